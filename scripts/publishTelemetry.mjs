@@ -0,0 +1,185 @@
+// scripts/publishTelemetry.mjs
+// Publishes synthetic readings to a home's network_data/current_data so the live panel,
+// history and alerts have moving data without a real device. Run it through
+// `npm run publish:telemetry -- [options]`; `--help` lists the options.
+//
+// Against the emulator the script acts as any user ID through a mock auth token. Against a
+// real database it signs in with email and password, and that account must be an owner or
+// editor of the home.
+
+import { parseArgs } from 'node:util';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getAuth, signInWithEmailAndPassword } from 'firebase/auth';
+import { getDatabase, connectDatabaseEmulator, ref, get } from 'firebase/database';
+import { __firebase_config } from '../src/firebaseConfig.js';
+import { createDatabaseApi } from '../src/firebaseDatabase.js';
+import { currentDataPath } from '../src/networkHistory.js';
+import { createRandom } from '../src/layout.js';
+import {
+  INCIDENT_TYPES, PUBLISH_INTERVAL, createReadingGenerator, getActiveIncident,
+  parseDuration, parseIncident, startPublishing,
+} from '../src/telemetryPublisher.js';
+
+const USAGE = `Usage: npm run publish:telemetry -- [options]
+
+Target
+  --target <emulator|firebase>  where to publish (default: emulator)
+  --user <uid>                  user to publish as; required for the emulator, where the
+                                app shows it in the profile menu
+  --email <address>             account to sign in with on a real database; the password
+                                is read from PUBLISHER_PASSWORD
+  --home <homeId>               home to publish to (default: the user's only home)
+
+Readings
+  --interval <duration>         time between readings (default: ${PUBLISH_INTERVAL / 1000}s)
+  --count <n>                   stop after n readings (default: run until stopped)
+  --noise <level>               random jitter, 0 for none (default: 1)
+  --drift <level>               slow swing of every metric, 0 for none (default: 1)
+  --drift-period <duration>     length of one swing (default: 10m)
+  --seed <n>                    repeat the same readings on every run
+  --incident <type@start+duration>
+                                e.g. outage@1m+30s or latency-spike@2m+45s; may be repeated.
+                                Types: ${Object.keys(INCIDENT_TYPES).join(', ')}
+
+Durations take ms, s, m or h; a bare number is seconds.
+The emulator host comes from FIREBASE_DATABASE_EMULATOR_HOST, or REACT_APP_EMULATOR_HOST and
+REACT_APP_DATABASE_EMULATOR_PORT as in the app (default: localhost:9000).`;
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) fail(`--${name} must be a number of at least 0`);
+  return number;
+};
+
+const parseCount = (value) => {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) fail('--count must be a whole number of at least 1');
+  return count;
+};
+
+const emulatorAddress = () => {
+  if (process.env.FIREBASE_DATABASE_EMULATOR_HOST) {
+    const [host, port] = process.env.FIREBASE_DATABASE_EMULATOR_HOST.split(':');
+    return { host, port: Number(port) };
+  }
+  return {
+    host: process.env.REACT_APP_EMULATOR_HOST || 'localhost',
+    port: Number(process.env.REACT_APP_DATABASE_EMULATOR_PORT) || 9000,
+  };
+};
+
+// Signs in and returns { app, db, uid }
+const connect = async ({ target, user, email }) => {
+  const app = initializeApp(JSON.parse(__firebase_config), 'telemetry-publisher');
+  const db = getDatabase(app);
+
+  if (target === 'emulator') {
+    if (!user) fail('--user is required for the emulator');
+    const { host, port } = emulatorAddress();
+    connectDatabaseEmulator(db, host, port, { mockUserToken: { sub: user } });
+    console.log(`Publishing to the emulator at ${host}:${port} as ${user}`);
+    return { app, db, uid: user };
+  }
+
+  const password = process.env.PUBLISHER_PASSWORD;
+  if (!email || !password) fail('A real database needs --email and the PUBLISHER_PASSWORD environment variable');
+  const credential = await signInWithEmailAndPassword(getAuth(app), email, password);
+  if (user && user !== credential.user.uid) fail(`${email} has user ID ${credential.user.uid}, not ${user}`);
+  console.log(`Publishing to ${db.app.options.databaseURL} as ${email}`);
+  return { app, db, uid: credential.user.uid };
+};
+
+// The home to publish to: --home, or the user's only home (their index lives at users/{uid}/homes)
+const resolveHome = async (db, uid, home) => {
+  if (home) return home;
+  const snapshot = await get(ref(db, `users/${uid}/homes`));
+  const homeIds = Object.keys(snapshot.val() || {});
+  if (homeIds.length === 0) fail(`${uid} has no homes yet; open the app once as this user, or pass --home`);
+  if (homeIds.length > 1) fail(`${uid} belongs to several homes; pick one with --home: ${homeIds.join(', ')}`);
+  return homeIds[0];
+};
+
+const main = async () => {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        target: { type: 'string', default: 'emulator' },
+        user: { type: 'string' },
+        email: { type: 'string' },
+        home: { type: 'string' },
+        interval: { type: 'string' },
+        count: { type: 'string' },
+        noise: { type: 'string', default: '1' },
+        drift: { type: 'string', default: '1' },
+        'drift-period': { type: 'string', default: '10m' },
+        seed: { type: 'string' },
+        incident: { type: 'string', multiple: true, default: [] },
+        help: { type: 'boolean', short: 'h' },
+      },
+    }));
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values.target !== 'emulator' && values.target !== 'firebase') fail('--target must be emulator or firebase');
+
+  let incidents;
+  let interval;
+  let driftPeriod;
+  try {
+    incidents = values.incident.map(parseIncident);
+    interval = values.interval ? parseDuration(values.interval) : PUBLISH_INTERVAL;
+    driftPeriod = parseDuration(values['drift-period']);
+  } catch (error) {
+    fail(error.message);
+  }
+  if (interval <= 0 || driftPeriod <= 0) fail('--interval and --drift-period must be longer than 0');
+  const count = values.count === undefined ? Infinity : parseCount(values.count);
+
+  const { app, db, uid } = await connect(values);
+  const homeId = await resolveHome(db, uid, values.home);
+  const path = currentDataPath(homeId);
+  console.log(`Writing to ${path} every ${interval / 1000}s`);
+
+  const start = Date.now();
+  const generate = createReadingGenerator({
+    start,
+    random: values.seed ? createRandom(parseNumber(values.seed, 'seed')) : Math.random,
+    noise: parseNumber(values.noise, 'noise'),
+    drift: parseNumber(values.drift, 'drift'),
+    driftPeriod,
+    incidents,
+  });
+
+  const shutdown = (code) => {
+    stop();
+    deleteApp(app).finally(() => process.exit(code));
+  };
+  const stop = startPublishing(createDatabaseApi(db), path, generate, {
+    interval,
+    count,
+    onReading: (reading) => {
+      const incident = getActiveIncident(incidents, Date.parse(reading.timestamp) - start);
+      const note = incident ? `  [${INCIDENT_TYPES[incident.type].label}]` : '';
+      console.log(`${reading.timestamp}  signal ${reading.signalStrength}  latency ${reading.latency}  delivery ${reading.deliveryRate}${note}`);
+    },
+    onError: (error) => {
+      console.error("Error publishing telemetry:", error.message);
+      if (/permission/i.test(error.message)) console.error(`${uid} must be an owner or editor of home ${homeId}.`);
+      shutdown(1);
+    },
+    onDone: () => shutdown(0),
+  });
+  process.on('SIGINT', () => shutdown(0));
+};
+
+main().catch(error => fail(`Error starting the telemetry publisher: ${error.message}`));
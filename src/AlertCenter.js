@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { HISTORY_METRICS } from './networkHistory';
+import { ALERT_OPERATORS, describeRule } from './alertRules';
+
+const STATUS_STYLES = {
+  active: 'bg-red-100 text-red-700',
+  acknowledged: 'bg-yellow-100 text-yellow-800',
+  cleared: 'bg-gray-100 text-gray-600',
+};
+
+const EMPTY_RULE = { metric: 'latency', operator: 'above', threshold: '100', durationMinutes: '2' };
+
+const formatTime = (time) => new Date(time).toLocaleString();
+
+// Notification center for threshold alerts: open alerts, rule editor and alert log.
+// `readOnly` (viewers of a home) shows everything without the controls that change it.
+const AlertCenter = ({ rules, alerts, alertsError, onSaveRule, onDeleteRule, onSetStatus, onClearLog, readOnly = false }) => {
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const openAlerts = alerts.filter(alert => alert.status !== 'cleared');
+
+  const handleAddRule = (e) => {
+    e.preventDefault();
+    const threshold = parseFloat(draft.threshold);
+    const durationMinutes = parseFloat(draft.durationMinutes) || 0;
+    if (!Number.isFinite(threshold)) return;
+    onSaveRule({ metric: draft.metric, operator: draft.operator, threshold, durationMinutes, enabled: true });
+    setDraft(EMPTY_RULE);
+  };
+
+  return (
+    <div id="alerts" className="bg-white p-6 rounded-lg shadow-md border border-gray-200 mb-8 mx-auto max-w-2xl text-left">
+      <h3 className="text-xl font-bold text-gray-800 mb-4">Alerts</h3>
+      {alertsError && <p className="text-red-600 text-sm mb-3">{alertsError}</p>}
+      {readOnly && <p className="text-xs text-gray-500 mb-3">You're a viewer in this home, so alerts and rules are read-only.</p>}
+
+      {/* Open notifications */}
+      {openAlerts.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No open alerts.</p>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {openAlerts.map(alert => (
+            <li key={alert.id} className="flex flex-wrap items-center justify-between gap-2 p-2 rounded-md border border-gray-200">
+              <div>
+                <span className={`text-xs font-semibold uppercase px-2 py-0.5 rounded ${STATUS_STYLES[alert.status]}`}>{alert.status}</span>
+                <span className="ml-2 font-medium text-gray-800">{alert.message}</span>
+                <span className="block text-xs text-gray-500">Value {alert.value} at {formatTime(alert.triggeredAt)}</span>
+              </div>
+              {!readOnly && (
+                <div className="flex gap-2">
+                  {alert.status === 'active' && (
+                    <button
+                      onClick={() => onSetStatus(alert.id, 'acknowledged')}
+                      className="py-1 px-2 text-xs rounded-md bg-yellow-500 text-white hover:bg-yellow-600 transition-colors duration-300"
+                    >
+                      Acknowledge
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onSetStatus(alert.id, 'cleared')}
+                    className="py-1 px-2 text-xs rounded-md bg-gray-200 text-gray-800 hover:bg-gray-300 transition-colors duration-300"
+                  >
+                    Clear
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Rules */}
+      <h4 className="font-semibold text-gray-800 mb-2">Rules</h4>
+      {rules.length === 0 && <p className="text-sm text-gray-500 mb-2">No rules yet.</p>}
+      <ul className="space-y-1 mb-3">
+        {rules.map(rule => (
+          <li key={rule.id} className="flex items-center justify-between text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                disabled={readOnly}
+                onChange={() => onSaveRule({ ...rule, enabled: !rule.enabled })}
+              />
+              <span className={rule.enabled ? 'text-gray-800' : 'text-gray-400 line-through'}>{describeRule(rule)}</span>
+            </label>
+            {!readOnly && <button onClick={() => onDeleteRule(rule.id)} className="text-xs text-red-600 hover:underline">Delete</button>}
+          </li>
+        ))}
+      </ul>
+      {!readOnly && (
+        <form onSubmit={handleAddRule} className="flex flex-wrap items-center gap-2 text-sm mb-4">
+          <select
+            aria-label="Metric"
+            value={draft.metric}
+            onChange={(e) => setDraft({ ...draft, metric: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {HISTORY_METRICS.map(metric => <option key={metric.key} value={metric.key}>{metric.label}</option>)}
+          </select>
+          <select
+            aria-label="Condition"
+            value={draft.operator}
+            onChange={(e) => setDraft({ ...draft, operator: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {Object.entries(ALERT_OPERATORS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <input
+            aria-label="Threshold"
+            type="number"
+            value={draft.threshold}
+            onChange={(e) => setDraft({ ...draft, threshold: e.target.value })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+          />
+          <span className="text-gray-600">for</span>
+          <input
+            aria-label="Duration in minutes"
+            type="number"
+            min="0"
+            value={draft.durationMinutes}
+            onChange={(e) => setDraft({ ...draft, durationMinutes: e.target.value })}
+            className="w-16 px-2 py-1 border border-gray-300 rounded-md"
+          />
+          <span className="text-gray-600">min</span>
+          <button type="submit" className="py-1 px-3 rounded-md bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-300">
+            Add Rule
+          </button>
+        </form>
+      )}
+
+      {/* Alert log */}
+      <details>
+        <summary className="cursor-pointer font-semibold text-gray-800">Alert Log ({alerts.length})</summary>
+        {alerts.length > 0 && !readOnly && (
+          <button onClick={onClearLog} className="mt-2 text-xs text-red-600 hover:underline">Delete log</button>
+        )}
+        <ul className="mt-2 space-y-1 text-xs text-gray-600 max-h-48 overflow-y-auto">
+          {alerts.map(alert => (
+            <li key={alert.id}>
+              {formatTime(alert.triggeredAt)}: {alert.message} (value {alert.value}) —{' '}
+              <span className={`px-1 rounded ${STATUS_STYLES[alert.status]}`}>{alert.status}</span>
+            </li>
+          ))}
+        </ul>
+      </details>
+    </div>
+  );
+};
+
+export default AlertCenter;
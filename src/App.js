@@ -1,93 +1,179 @@
-import { __app_id, __firebase_config, __initial_auth_token } from './firebaseConfig';
-import React, { useState, useEffect, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getDatabase, ref, onValue } from 'firebase/database'; // Updated imports for Realtime Database
+import React, { useState, useEffect, useCallback, useMemo, useDeferredValue } from 'react';
+import { DATA_SOURCES, getInitialDataSourceKind, rememberDataSourceKind, getDataSource } from './dataSource';
+import { buildTopology, scaleGraph, getNode, renameNode, updateNode, matchesGenerationOptions } from './topology';
+import { randomSeed } from './layout';
+import {
+  currentDataPath, toHistoryEntry, appendHistoryEntry, pruneHistory, HISTORY_RETENTION,
+} from './networkHistory';
+import { getTelemetryVisuals, DEFAULT_TELEMETRY_VISUALS } from './telemetryVisuals';
+import { subscribeToDeviceTelemetry, getNodeDeviceId, getNodeRingColors } from './deviceTelemetry';
+import { designToGraph, diagramFileName } from './topologyDesign';
+import { NO_FAILURES, toggleFailure, findIsolatedNodes } from './routing';
+import { createPacketStats, recordPacketEvents } from './packetStats';
+import { getDeviceTypes } from './trafficProfiles';
+import { computeTopologyMetrics, compareTopologies } from './topologyMetrics';
+import { canEdit } from './homes';
+import { getNodeZone, setZoneRule, assignRecommendedZones, findSecurityRisks } from './securityZones';
+import { renderTopologySvg, svgToPngBlob } from './topologySvg';
+import { downloadBlob, downloadText } from './fileDownload';
+import { SECTION_IDS, parseLocation, buildLocation } from './urlState';
+import TopologyCanvas from './TopologyCanvas';
+import TopologySvgView from './TopologySvgView';
+import TopologyTextDescription from './TopologyTextDescription';
+import TopologyEditorToolbar from './TopologyEditorToolbar';
+import PacketStatsPanel from './PacketStatsPanel';
+import NetworkHistoryPanel from './NetworkHistoryPanel';
+import AlertCenter from './AlertCenter';
+import TelemetryLegend from './TelemetryLegend';
+import DeviceHealthList from './DeviceHealthList';
+import DeviceCommandPanel from './DeviceCommandPanel';
+import DesignLibrary from './DesignLibrary';
+import TopologyMetricsPanel from './TopologyMetricsPanel';
+import RecommendationWizard from './RecommendationWizard';
+import TopologyParameters from './TopologyParameters';
+import SharedMediumPanel from './SharedMediumPanel';
+import SecurityZonesPanel from './SecurityZonesPanel';
+import FloorPlanPlanner from './FloorPlanPlanner';
+import ProfileMenu from './ProfileMenu';
+import HomePanel from './HomePanel';
+import useAlerts from './useAlerts';
+import useHomes from './useHomes';
+import usePrefersReducedMotion from './usePrefersReducedMotion';
+import useUrlState from './useUrlState';
+import useScrollSpy from './useScrollSpy';
 
 // Main App component
+const EMPTY_NETWORK_DATA = {
+  signalStrength: 'N/A',
+  latency: 'N/A',
+  deliveryRate: 'N/A',
+  lastUpdated: 'N/A',
+};
+
+const HISTORY_PRUNE_INTERVAL = 10 * 60 * 1000; // Milliseconds between history clean-ups while readings arrive
+
+// Header link labels; the links follow the sections' order on the page (SECTION_IDS)
+const NAV_LABELS = {
+  home: 'Home',
+  recommend: 'Recommend',
+  topologies: 'Topologies',
+  'why-choose': 'Why Choose?',
+  simulation: 'Visualize',
+  alerts: 'Alerts',
+  'floor-plan': 'Floor Plan',
+};
+
 const App = () => {
-  const [activeSection, setActiveSection] = useState('home');
-  const [selectedTopology, setSelectedTopology] = useState('star');
-  const canvasRef = useRef(null);
-  const animationFrameId = useRef(null); // To store animation frame ID for cleanup
-
-  // Firebase states
-  const [db, setDb] = useState(null); // This will now be Realtime Database instance
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [liveNetworkData, setLiveNetworkData] = useState({
-    signalStrength: 'N/A',
-    latency: 'N/A',
-    deliveryRate: 'N/A',
-    lastUpdated: 'N/A',
-  });
-  const [firebaseError, setFirebaseError] = useState(null);
-
-  // --- Firebase Initialization and Authentication ---
+  // The view the page was opened on, e.g. /visualize?topology=mesh (see ./urlState.js)
+  const [initialView] = useState(() => parseLocation(window.location));
+  const [activeSection, setActiveSection] = useState(initialView.section);
+  const [selectedTopology, setSelectedTopology] = useState(initialView.topology);
+  const [canvasSize, setCanvasSize] = useState(null);
+  const [graph, setGraph] = useState(null);
+
+  // Layout states: the seed drives every random placement so layouts are reproducible
+  const [layoutSeed, setLayoutSeed] = useState(() => initialView.seed || randomSeed());
+  const [meshLayout, setMeshLayout] = useState(initialView.layout);
+  // Size parameters; null keeps each topology's default
+  const [deviceCount, setDeviceCount] = useState(initialView.deviceCount);
+  const [treeShape, setTreeShape] = useState({ depth: initialView.treeDepth, branching: initialView.treeBranching });
+  const [hybridComposition, setHybridComposition] = useState(initialView.hybrid); // { segments: [{ kind, devices }], bridging }
+  const generationOptions = useMemo(() => ({
+    seed: layoutSeed,
+    layout: meshLayout,
+    deviceCount,
+    treeDepth: treeShape.depth,
+    treeBranching: treeShape.branching,
+    hybrid: hybridComposition,
+  }), [layoutSeed, meshLayout, deviceCount, treeShape, hybridComposition]);
+
+  // Topology editor states
+  const [editMode, setEditMode] = useState(false);
+  const [editTool, setEditTool] = useState('move');
+  const [selectedNodeId, setSelectedNodeId] = useState(null);
+
+  // Failure simulation state: ids of devices and links marked as failed
+  const [failures, setFailures] = useState(NO_FAILURES);
+
+  // Whether live readings drive link colors, packet speed and packet loss on the canvas
+  const [useLiveTelemetry, setUseLiveTelemetry] = useState(true);
+
+  // Delivered/dropped packet counters, kept per topology for comparison
+  const [packetStats, setPacketStats] = useState(createPacketStats);
+
+  // Bus shared-medium (CSMA/CD) mode and its live counters from the canvas
+  const [sharedMedium, setSharedMedium] = useState(true);
+  const [mediumStats, setMediumStats] = useState(null);
+
+  // Whether security zones are drawn on the canvas and their rules enforced by routers
+  const [securityZones, setSecurityZones] = useState(false);
+  const [diagramView, setDiagramView] = useState('canvas'); // 'canvas' or 'svg'
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const [reduceMotionChoice, setReduceMotionChoice] = useState(null); // null follows the system setting
+  const reducedMotion = reduceMotionChoice ?? prefersReducedMotion;
+
+  // Data source states: where live data comes from (Firebase, the local emulator or the offline mock)
+  const [dataSourceKind, setDataSourceKind] = useState(getInitialDataSourceKind);
+  const [dataSource, setDataSource] = useState(null);
+  const [account, setAccount] = useState(null); // { uid, isAnonymous, email, displayName, providers }
+  const [liveNetworkData, setLiveNetworkData] = useState(EMPTY_NETWORK_DATA);
+  const [dataSourceError, setDataSourceError] = useState(null);
+  const [deviceTelemetry, setDeviceTelemetry] = useState({}); // { [deviceId]: { name, telemetry, health } }
+
+  // The home being looked at; live data, devices, designs and alerts all belong to it
+  const homes = useHomes(dataSource, account);
+  const homeId = homes.home ? homes.home.id : null;
+  const homeEditable = canEdit(homes.role);
+
+  // Alert rules and notifications for the home
+  const { rules, alerts, alertsError, evaluateReading, saveRule, deleteRule, setStatus, clearLog } = useAlerts(dataSource, homeId, homeEditable);
+  const activeAlertCount = alerts.filter(alert => alert.status === 'active').length;
+
+  // --- Data Source Connection and Authentication ---
   useEffect(() => {
-    try {
-      // Access global variables for Firebase config and app ID
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-      const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-
-      if (!firebaseConfig || Object.keys(firebaseConfig).length === 0) {
-        console.error("Firebase config is missing or empty. Please ensure __firebase_config is set.");
-        setFirebaseError("Firebase is not configured. Live data will not be available.");
-        return;
-      }
+    // Start from a clean slate so readings from the previous source don't linger
+    setDataSource(null);
+    setAccount(null);
+    setDataSourceError(null);
+    setLiveNetworkData(EMPTY_NETWORK_DATA);
+    setDeviceTelemetry({});
 
-      const app = initializeApp(firebaseConfig);
-      const realtimeDb = getDatabase(app); // Get Realtime Database instance
-      const firebaseAuth = getAuth(app);
-
-      setDb(realtimeDb); // Set Realtime Database instance
-      setAuth(firebaseAuth);
-
-      const unsubscribeAuth = onAuthStateChanged(firebaseAuth, async (user) => {
-        if (user) {
-          setUserId(user.uid);
-          console.log("Firebase authenticated as:", user.uid);
-        } else {
-          // Sign in anonymously if no initial token or user is not authenticated
-          try {
-            if (initialAuthToken) {
-              await signInWithCustomToken(firebaseAuth, initialAuthToken);
-              console.log("Signed in with custom token.");
-            } else {
-              await signInAnonymously(firebaseAuth);
-              console.log("Signed in anonymously.");
-            }
-          } catch (error) {
-            console.error("Firebase authentication error:", error);
-            setFirebaseError(`Authentication failed: ${error.message}`);
-          }
-        }
+    try {
+      const source = getDataSource(dataSourceKind);
+      setDataSource(source);
+      const unsubscribeAuth = source.connect((uid, profile) => {
+        setAccount(profile);
+        console.log(`${DATA_SOURCES[dataSourceKind].label} authenticated as:`, uid);
+      }, (error) => {
+        setDataSourceError(`Authentication failed: ${error.message}`);
       });
 
-      return () => unsubscribeAuth(); // Cleanup auth listener
+      return () => unsubscribeAuth(); // Cleanup auth listener and any mock reading generator
     } catch (error) {
-      console.error("Error initializing Firebase:", error);
-      setFirebaseError(`Firebase initialization error: ${error.message}`);
+      console.error("Error initializing data source:", error);
+      setDataSourceError(`Data source initialization error: ${error.message}`);
     }
-  }, []); // Run once on component mount
+  }, [dataSourceKind]);
+
+  const changeDataSource = (kind) => {
+    rememberDataSourceKind(kind);
+    setDataSourceKind(kind);
+  };
 
-  // --- Firebase Realtime Database Listener ---
+  // --- Live Network Data Listener ---
   useEffect(() => {
-    if (!db || !userId) {
-      console.log("Waiting for Firebase DB and userId to be available for Realtime Database listener.");
+    if (!dataSource || !homeId) {
+      console.log("Waiting for the data source and a home to be available for the live data listener.");
       return;
     }
 
-    // Define the path for private user data in Realtime Database
-    // Using a simpler path for Realtime Database as it doesn't have the same collection/document structure as Firestore
-    const networkDataRef = ref(db, `users/${userId}/network_data/current_data`);
-    console.log("Setting up Realtime Database listener for:", `users/${userId}/network_data/current_data`);
-    console.log("Current User ID for Realtime Database path:", userId); // Log userId for user to copy
+    const networkDataPath = currentDataPath(homeId);
+    console.log("Setting up live data listener for:", networkDataPath);
+    console.log("Current Home ID for Realtime Database path:", homeId); // Log homeId for user to copy
 
-    const unsubscribeRealtimeDb = onValue(networkDataRef, (snapshot) => {
-      if (snapshot.exists()) {
-        const data = snapshot.val(); // Get data value for Realtime Database
+    let lastPruned = 0;
+    const unsubscribeLiveData = dataSource.subscribe(networkDataPath, (data) => {
+      if (data) {
         setLiveNetworkData({
           signalStrength: data.signalStrength || 'N/A',
           latency: data.latency || 'N/A',
@@ -95,427 +181,215 @@ const App = () => {
           lastUpdated: data.timestamp ? new Date(data.timestamp).toLocaleString() : new Date().toLocaleString(),
         });
         console.log("Live network data updated:", data);
+
+        // Keep a time series of readings; untimestamped readings can't be de-duplicated, so skip them.
+        // Viewers can't write to the home, so their apps leave this to the other members.
+        const historyEntry = homeEditable ? toHistoryEntry(data) : null;
+        if (historyEntry) {
+          appendHistoryEntry(dataSource, homeId, historyEntry).catch(error => {
+            console.error("Error appending network history:", error);
+          });
+        } else if (homeEditable) {
+          console.log("Reading has no timestamp; not added to history.");
+        }
+        // Drop readings older than the longest history window now and then, so history stays bounded
+        if (homeEditable && Date.now() - lastPruned >= HISTORY_PRUNE_INTERVAL) {
+          lastPruned = Date.now();
+          pruneHistory(dataSource, homeId, lastPruned - HISTORY_RETENTION).catch(error => {
+            console.error("Error pruning network history:", error);
+          });
+        }
+
+        evaluateReading(data); // Check the reading against the user's alert rules
       } else {
-        console.log("No live network data found. Please add data to Realtime Database at:", `users/${userId}/network_data/current_data`);
-        setLiveNetworkData({
-          signalStrength: 'N/A',
-          latency: 'N/A',
-          deliveryRate: 'N/A',
-          lastUpdated: 'N/A (No data yet)',
-        });
+        console.log("No live network data found. Please add data to Realtime Database at:", networkDataPath);
+        setLiveNetworkData({ ...EMPTY_NETWORK_DATA, lastUpdated: 'N/A (No data yet)' });
       }
     }, (error) => {
       console.error("Error fetching live network data from Realtime Database:", error);
       // Update error message to guide the user on setting up security rules
-      setFirebaseError(
+      setDataSourceError(
         `Failed to fetch live data due to permission issues. ` +
-        `Please ensure your Firebase Realtime Database rules allow read access for authenticated users at ` +
-        `'users/${userId}/network_data/current_data'. ` +
-        `You can set rules like: {"rules": {"users": {"$uid": {".read": "auth.uid == $uid", ".write": "auth.uid == $uid"}}}}`
+        `Please ensure your Firebase Realtime Database rules allow home members to read ` +
+        `'${networkDataPath}'. ` +
+        `Deploy the rules in database.rules.json with: firebase deploy --only database`
       );
     });
 
-    return () => unsubscribeRealtimeDb(); // Cleanup Realtime Database listener
-  }, [db, userId]); // Re-run when db or userId changes
+    return () => unsubscribeLiveData(); // Cleanup live data listener
+  }, [dataSource, homeId, homeEditable, evaluateReading]); // Re-run when the data source or home changes
+
+  // --- Per-Device Telemetry Listener ---
+  useEffect(() => {
+    setDeviceTelemetry({});
+    if (!dataSource || !homeId) return;
+
+    const unsubscribeDevices = subscribeToDeviceTelemetry(dataSource, homeId, (devices) => {
+      setDeviceTelemetry(devices);
+    }, (error) => {
+      console.error("Error fetching per-device telemetry from Realtime Database:", error);
+    });
+
+    return () => unsubscribeDevices(); // Cleanup device telemetry listener
+  }, [dataSource, homeId]);
+
+  // --- Address and Navigation ---
+  // The section and visualizer settings live in the URL, so views can be linked to and the
+  // back button works; the highlighted nav item follows the scroll position.
+  const urlView = useMemo(() => ({
+    section: activeSection,
+    topology: selectedTopology,
+    seed: layoutSeed,
+    layout: meshLayout,
+    deviceCount,
+    treeDepth: treeShape.depth,
+    treeBranching: treeShape.branching,
+    hybrid: hybridComposition,
+  }), [activeSection, selectedTopology, layoutSeed, meshLayout, deviceCount, treeShape, hybridComposition]);
+  // The alert center isn't shown while the data source is failing, so it drops out of the nav
+  const shownSectionIds = useMemo(
+    () => SECTION_IDS.filter(id => id !== 'alerts' || !dataSourceError),
+    [dataSourceError],
+  );
+  const followScrollTo = useScrollSpy(shownSectionIds, setActiveSection);
+  const scrollBehavior = reducedMotion ? 'auto' : 'smooth';
+
+  // Back and forward: restore the settings, keeping unchanged ones as they are so the
+  // canvas isn't rebuilt for nothing, and return to the section
+  const showView = useCallback((view) => {
+    setSelectedTopology(view.topology);
+    if (view.seed) setLayoutSeed(view.seed);
+    setMeshLayout(view.layout);
+    setDeviceCount(view.deviceCount);
+    setTreeShape(prev => (prev.depth === view.treeDepth && prev.branching === view.treeBranching
+      ? prev
+      : { depth: view.treeDepth, branching: view.treeBranching }));
+    setHybridComposition(prev => (JSON.stringify(prev) === JSON.stringify(view.hybrid) ? prev : view.hybrid));
+    setActiveSection(view.section);
+    const element = document.getElementById(view.section);
+    if (element) {
+      followScrollTo(view.section);
+      element.scrollIntoView({ behavior: scrollBehavior });
+    }
+  }, [followScrollTo, scrollBehavior]);
+  const startHistoryEntry = useUrlState(urlView, showView);
+
+  // Opening a link to a section jumps straight to it
+  useEffect(() => {
+    const { section } = parseLocation(window.location);
+    const element = document.getElementById(section);
+    if (element && section !== 'home') element.scrollIntoView();
+  }, []);
 
-  // Function to scroll to a section smoothly
+  // Function to scroll to a section smoothly; each section visited this way gets a history entry
   const scrollToSection = (id) => {
     const element = document.getElementById(id);
     if (element) {
-      element.scrollIntoView({ behavior: 'smooth' });
+      if (id !== activeSection) startHistoryEntry();
+      followScrollTo(id);
+      element.scrollIntoView({ behavior: scrollBehavior });
       setActiveSection(id);
     }
   };
 
-  // --- Canvas Drawing Logic with Animation ---
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const ctx = canvas.getContext('2d');
-    const deviceRadius = 15;
-    const deviceColor = '#3B82F6';
-    const connectionColor = '#60A5FA';
-    const textColor = '#1F2937';
-    const packetColor = '#FFD700'; // Gold for packets
-    const packetRadius = 5;
-    const packetSpeed = 1.5; // Pixels per frame
-
-    let packets = [];
-    let lastTime = 0;
-    const packetInterval = 1000; // Milliseconds between new packets
-
-    // Drawing helper functions
-    const drawDevice = (ctx, x, y, radius, color, label) => {
-      ctx.beginPath();
-      ctx.arc(x, y, radius, 0, Math.PI * 2);
-      ctx.fillStyle = color;
-      ctx.fill();
-      ctx.strokeStyle = '#2563EB';
-      ctx.lineWidth = 2;
-      ctx.stroke();
-      ctx.fillStyle = textColor;
-      ctx.fillText(label, x, y + radius + 10);
-    };
-
-    const drawConnection = (ctx, x1, y1, x2, y2, color) => {
-      ctx.beginPath();
-      ctx.moveTo(x1, y1);
-      ctx.lineTo(x2, y2);
-      ctx.strokeStyle = color;
-      ctx.lineWidth = 2;
-      ctx.stroke();
-    };
-
-    // Packet drawing and movement
-    const createPacket = (path) => {
-      if (path.length < 2) return null;
-      return {
-        x: path[0].x,
-        y: path[0].y,
-        path: path,
-        currentSegment: 0,
-        distanceTraveled: 0,
-      };
-    };
-
-    const updatePackets = (deltaTime) => {
-      packets = packets.filter(packet => {
-        if (packet.currentSegment >= packet.path.length - 1) {
-          return false; // Packet reached end of path
-        }
+  const handleCanvasResize = useCallback((size) => setCanvasSize(size), []);
+  const handlePacketEvents = useCallback((topology, events) => {
+    setPacketStats(prev => recordPacketEvents(prev, topology, events));
+  }, []);
 
-        const startNode = packet.path[packet.currentSegment];
-        const endNode = packet.path[packet.currentSegment + 1];
-
-        const segmentLength = Math.sqrt(
-          Math.pow(endNode.x - startNode.x, 2) + Math.pow(endNode.y - startNode.y, 2)
-        );
-
-        packet.distanceTraveled += packetSpeed * (deltaTime / 16); // Normalize speed by frame time
-
-        if (packet.distanceTraveled >= segmentLength) {
-          packet.currentSegment++;
-          packet.distanceTraveled = 0; // Reset for next segment
-          if (packet.currentSegment >= packet.path.length - 1) {
-            return false; // Packet completed its journey
-          }
-          // Set position to the start of the next segment
-          packet.x = packet.path[packet.currentSegment].x;
-          packet.y = packet.path[packet.currentSegment].y;
-        } else {
-          const ratio = packet.distanceTraveled / segmentLength;
-          packet.x = startNode.x + (endNode.x - startNode.x) * ratio;
-          packet.y = startNode.y + (endNode.y - startNode.y) * ratio;
-        }
-        return true;
-      });
-    };
-
-    const drawPacket = (ctx, packet) => {
-      ctx.beginPath();
-      ctx.arc(packet.x, packet.y, packetRadius, 0, Math.PI * 2);
-      ctx.fillStyle = packetColor;
-      ctx.fill();
-    };
-
-    // Topology specific drawing functions (now also return paths for packets)
-    const drawStarTopology = (ctx, width, height, r, dColor, cColor, tColor) => {
-      const centerX = width / 2;
-      const centerY = height / 2;
-      const hub = { x: centerX, y: centerY, label: 'Router/Hub' };
-      const numDevices = 5;
-      const spreadRadius = Math.min(width, height) * 0.35;
-      const devices = [];
-
-      drawDevice(ctx, hub.x, hub.y, r + 5, '#EF4444', hub.label);
-
-      for (let i = 0; i < numDevices; i++) {
-        const angle = (i / numDevices) * Math.PI * 2;
-        const deviceX = centerX + spreadRadius * Math.cos(angle);
-        const deviceY = centerY + spreadRadius * Math.sin(angle);
-        const device = { x: deviceX, y: deviceY, label: `Device ${i + 1}` };
-        devices.push(device);
-        drawDevice(ctx, device.x, device.y, r, dColor, device.label);
-        drawConnection(ctx, hub.x, hub.y, device.x, device.y, cColor);
-      }
-
-      // Return paths for packets (hub to device, and device to hub)
-      const paths = [];
-      devices.forEach(device => {
-        paths.push([hub, device]);
-        paths.push([device, hub]);
-      });
-      return paths;
-    };
-
-    const drawMeshTopology = (ctx, width, height, r, dColor, cColor, tColor) => {
-      const numDevices = 5;
-      const devices = [];
-      const padding = r * 2;
-
-      for (let i = 0; i < numDevices; i++) {
-        let x, y;
-        let collision;
-        do {
-          collision = false;
-          x = padding + Math.random() * (width - 2 * padding);
-          y = padding + Math.random() * (height - 2 * padding);
-          for (const existingDevice of devices) {
-            const dist = Math.sqrt(Math.pow(x - existingDevice.x, 2) + Math.pow(y - existingDevice.y, 2));
-            if (dist < r * 4) {
-              collision = true;
-              break;
-            }
-          }
-        } while (collision);
-        devices.push({ x, y, label: `Device ${i + 1}` });
-      }
-
-      const paths = [];
-      for (let i = 0; i < devices.length; i++) {
-        for (let j = i + 1; j < devices.length; j++) {
-          drawConnection(ctx, devices[i].x, devices[i].y, devices[j].x, devices[j].y, cColor);
-          paths.push([devices[i], devices[j]]);
-          paths.push([devices[j], devices[i]]);
-        }
-      }
-
-      devices.forEach(device => drawDevice(ctx, device.x, device.y, r, dColor, device.label));
-      return paths;
-    };
-
-    const drawBusTopology = (ctx, width, height, r, dColor, cColor, tColor) => {
-      const busY = height / 2;
-      const numDevices = 5;
-      const startX = width * 0.1;
-      const endX = width * 0.9;
-      const busLength = endX - startX;
-      const deviceSpacing = busLength / (numDevices - 1);
-
-      ctx.beginPath();
-      ctx.moveTo(startX, busY);
-      ctx.lineTo(endX, busY);
-      ctx.strokeStyle = '#F59E0B';
-      ctx.lineWidth = 4;
-      ctx.stroke();
-      ctx.fillStyle = textColor;
-      ctx.fillText('Main Bus', width / 2, busY - 20);
-
-      const devices = [];
-      for (let i = 0; i < numDevices; i++) {
-        const deviceX = startX + i * deviceSpacing;
-        const deviceY = busY + r * 2;
-        const device = { x: deviceX, y: deviceY, label: `Device ${i + 1}` };
-        devices.push(device);
-        drawDevice(ctx, device.x, device.y, r, dColor, device.label);
-        drawConnection(ctx, device.x, device.y - r, device.x, busY, cColor);
-      }
-
-      // For bus, packets travel along the bus line
-      const busNodes = devices.map(d => ({ x: d.x, y: busY }));
-      const paths = [];
-      for (let i = 0; i < busNodes.length - 1; i++) {
-        paths.push([busNodes[i], busNodes[i+1]]);
-        paths.push([busNodes[i+1], busNodes[i]]);
-      }
-      return paths;
-    };
-
-    const drawTreeTopology = (ctx, width, height, r, dColor, cColor, tColor) => {
-      const paths = [];
-
-      const root = { x: width / 2, y: height * 0.15, label: 'Root Hub' };
-      drawDevice(ctx, root.x, root.y, r, '#EF4444', root.label);
-
-      const level1Y = height * 0.45;
-      const level1A = { x: width * 0.25, y: level1Y, label: 'Sub-Hub A' };
-      const level1B = { x: width * 0.75, y: level1Y, label: 'Sub-Hub B' };
-
-      drawDevice(ctx, level1A.x, level1A.y, r, '#F59E0B', level1A.label);
-      drawConnection(ctx, root.x, root.y, level1A.x, level1A.y, cColor);
-      paths.push([root, level1A]);
-      paths.push([level1A, root]);
-
-      drawDevice(ctx, level1B.x, level1B.y, r, '#F59E0B', level1B.label);
-      drawConnection(ctx, root.x, root.y, level1B.x, level1B.y, cColor);
-      paths.push([root, level1B]);
-      paths.push([level1B, root]);
-
-      const level2Y = height * 0.75;
-      const devices = [
-        { x: width * 0.15, y: level2Y, label: 'Device 1' },
-        { x: width * 0.35, y: level2Y, label: 'Device 2' },
-        { x: width * 0.65, y: level2Y, label: 'Device 3' },
-        { x: width * 0.85, y: level2Y, label: 'Device 4' },
-      ];
-
-      drawDevice(ctx, devices[0].x, devices[0].y, r, dColor, devices[0].label);
-      drawConnection(ctx, level1A.x, level1A.y, devices[0].x, devices[0].y, cColor);
-      paths.push([level1A, devices[0]]);
-      paths.push([devices[0], level1A]);
-
-      drawDevice(ctx, devices[1].x, devices[1].y, r, dColor, devices[1].label);
-      drawConnection(ctx, level1A.x, level1A.y, devices[1].x, devices[1].y, cColor);
-      paths.push([level1A, devices[1]]);
-      paths.push([devices[1], level1A]);
-
-      drawDevice(ctx, devices[2].x, devices[2].y, r, dColor, devices[2].label);
-      drawConnection(ctx, level1B.x, level1B.y, devices[2].x, devices[2].y, cColor);
-      paths.push([level1B, devices[2]]);
-      paths.push([devices[2], level1B]);
-
-      drawDevice(ctx, devices[3].x, devices[3].y, r, dColor, devices[3].label);
-      drawConnection(ctx, level1B.x, level1B.y, devices[3].x, devices[3].y, cColor);
-      paths.push([level1B, devices[3]]);
-      paths.push([devices[3], level1B]);
-
-      return paths;
-    };
-
-    const drawHybridTopology = (ctx, width, height, r, dColor, cColor, tColor) => {
-      const paths = [];
-
-      // Star part (left side)
-      const starHub = { x: width * 0.25, y: height / 2, label: 'Star Hub' };
-      drawDevice(ctx, starHub.x, starHub.y, r + 5, '#EF4444', starHub.label);
-      const starDevices = [];
-      const starSpread = width * 0.1;
-      for (let i = 0; i < 3; i++) {
-        const angle = (i / 3) * Math.PI * 2;
-        const devX = starHub.x + starSpread * Math.cos(angle);
-        const devY = starHub.y + starSpread * Math.sin(angle);
-        const device = { x: devX, y: devY, label: `S-Dev ${i + 1}` };
-        starDevices.push(device);
-        drawDevice(ctx, device.x, device.y, r, dColor, device.label);
-        drawConnection(ctx, starHub.x, starHub.y, device.x, device.y, cColor);
-        paths.push([starHub, device]);
-        paths.push([device, starHub]);
-      }
-
-      // Mesh part (right side)
-      const meshDevices = [];
-      const meshPaddingX = width * 0.6;
-      const meshPaddingY = height * 0.1;
-      const meshWidth = width * 0.3;
-      const meshHeight = height * 0.8;
-
-      for (let i = 0; i < 3; i++) {
-        let x, y;
-        let collision;
-        do {
-          collision = false;
-          x = meshPaddingX + Math.random() * meshWidth;
-          y = meshPaddingY + Math.random() * meshHeight;
-          for (const existingDevice of meshDevices) {
-            const dist = Math.sqrt(Math.pow(x - existingDevice.x, 2) + Math.pow(y - existingDevice.y, 2));
-            if (dist < r * 4) {
-              collision = true;
-              break;
-            }
-          }
-        } while (collision);
-        const device = { x, y, label: `M-Dev ${i + 1}` };
-        meshDevices.push(device);
-      }
-
-      for (let i = 0; i < meshDevices.length; i++) {
-        for (let j = i + 1; j < meshDevices.length; j++) {
-          drawConnection(ctx, meshDevices[i].x, meshDevices[i].y, meshDevices[j].x, meshDevices[j].y, cColor);
-          paths.push([meshDevices[i], meshDevices[j]]);
-          paths.push([meshDevices[j], meshDevices[i]]);
-        }
-      }
-      meshDevices.forEach(device => drawDevice(ctx, device.x, device.y, r, '#10B981', device.label));
-
-      // Connect Star and Mesh (e.g., Star Hub to one Mesh Device)
-      if (starDevices.length > 0 && meshDevices.length > 0) {
-        drawConnection(ctx, starHub.x, starHub.y, meshDevices[0].x, meshDevices[0].y, '#DC2626');
-        paths.push([starHub, meshDevices[0]]);
-        paths.push([meshDevices[0], starHub]);
-        ctx.fillStyle = textColor;
-        ctx.fillText('Bridge Link', (starHub.x + meshDevices[0].x) / 2, (starHub.y + meshDevices[0].y) / 2 - 10);
-      }
-      return paths;
-    };
-
-    // Main draw and animation loop function
-    const animate = (currentTime) => {
-      const deltaTime = currentTime - lastTime;
-      lastTime = currentTime;
-
-      ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear canvas
-
-      let currentPaths = [];
-      ctx.font = '12px Inter, sans-serif';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-
-      // Draw the selected topology and get its paths
-      switch (selectedTopology) {
-        case 'star':
-          currentPaths = drawStarTopology(ctx, canvas.width, canvas.height, deviceRadius, deviceColor, connectionColor, textColor);
-          break;
-        case 'mesh':
-          currentPaths = drawMeshTopology(ctx, canvas.width, canvas.height, deviceRadius, deviceColor, connectionColor, textColor);
-          break;
-        case 'bus':
-          currentPaths = drawBusTopology(ctx, canvas.width, canvas.height, deviceRadius, deviceColor, connectionColor, textColor);
-          break;
-        case 'tree':
-          currentPaths = drawTreeTopology(ctx, canvas.width, canvas.height, deviceRadius, deviceColor, connectionColor, textColor);
-          break;
-        case 'hybrid':
-          currentPaths = drawHybridTopology(ctx, canvas.width, canvas.height, deviceRadius, deviceColor, connectionColor, textColor);
-          break;
-        default:
-          currentPaths = drawStarTopology(ctx, canvas.width, canvas.height, deviceRadius, deviceColor, connectionColor, textColor);
-          break;
+  // --- Topology Graph ---
+  // Regenerate the layout when the topology, generation options or canvas size changes; an
+  // edited layout with the same settings is rescaled instead so edits survive resizes.
+  useEffect(() => {
+    if (!canvasSize) return;
+    setGraph(prev => {
+      if (prev && prev.meta.edited && prev.type === selectedTopology && matchesGenerationOptions(prev, generationOptions)) {
+        return scaleGraph(prev, canvasSize.width, canvasSize.height);
       }
+      return buildTopology(selectedTopology, canvasSize.width, canvasSize.height, generationOptions);
+    });
+    setSelectedNodeId(null);
+  }, [selectedTopology, canvasSize, generationOptions]);
 
-      // Add new packets periodically
-      if (currentTime - (packets.lastSpawnTime || 0) > packetInterval) {
-        if (currentPaths.length > 0) {
-          const randomPath = currentPaths[Math.floor(Math.random() * currentPaths.length)];
-          const newPacket = createPacket(randomPath);
-          if (newPacket) {
-            packets.push(newPacket);
-            packets.lastSpawnTime = currentTime;
-          }
-        }
-      }
+  // Failures belong to a specific network, so start clean when the topology changes
+  useEffect(() => {
+    setFailures(NO_FAILURES);
+  }, [selectedTopology]);
+
+  const resetLayout = () => {
+    if (!canvasSize) return;
+    setGraph(buildTopology(selectedTopology, canvasSize.width, canvasSize.height, generationOptions));
+    setSelectedNodeId(null);
+    setFailures(NO_FAILURES);
+  };
 
-      updatePackets(deltaTime); // Update packet positions
-      packets.forEach(packet => drawPacket(ctx, packet)); // Draw packets
+  // Opens a saved or imported design in the canvas; throws if the design is invalid
+  const loadDesign = (design) => {
+    const loaded = designToGraph(design, generationOptions);
+    setSelectedTopology(loaded.type);
+    setGraph(canvasSize ? scaleGraph(loaded, canvasSize.width, canvasSize.height) : loaded);
+    setSelectedNodeId(null);
+    setFailures(NO_FAILURES);
+  };
 
-      animationFrameId.current = requestAnimationFrame(animate); // Continue the loop
-    };
+  // Shows the wizard's pick in the visualizer, sized to the household's device count
+  const applyRecommendation = (topology, count) => {
+    setSelectedTopology(topology);
+    setDeviceCount(count);
+    setHybridComposition(null); // Let the hybrid split the recommended device count
+    scrollToSection('simulation');
+  };
 
-    // Set canvas dimensions to be responsive
-    const resizeCanvas = () => {
-      canvas.width = canvas.offsetWidth;
-      canvas.height = Math.min(canvas.offsetWidth * 0.6, 400);
-      // Redraw immediately after resize, then start animation
-      if (animationFrameId.current) {
-        cancelAnimationFrame(animationFrameId.current);
-      }
-      lastTime = performance.now(); // Reset lastTime for smooth animation start
-      packets = []; // Clear packets on resize
-      animate(lastTime); // Start animation loop
-    };
-
-    // Initial setup
-    resizeCanvas(); // Set initial size and start animation
-    window.addEventListener('resize', resizeCanvas);
-
-    // Cleanup function
-    return () => {
-      window.removeEventListener('resize', resizeCanvas);
-      if (animationFrameId.current) {
-        cancelAnimationFrame(animationFrameId.current);
-      }
-    };
-  }, [selectedTopology]); // Re-run effect when topology changes
+  const selectedNode = graph && selectedNodeId ? getNode(graph, selectedNodeId) : null;
+  const selectedDeviceType = selectedNode ? getDeviceTypes(graph).get(selectedNode.id) || null : null;
+  const selectedZone = selectedNode ? getNodeZone(selectedNode) : null;
+  const isolatedNodeIds = useMemo(() => (graph ? findIsolatedNodes(graph, failures) : []), [graph, failures]);
+  const failureCount = failures.nodes.length + failures.edges.length;
+  // Per-device readings keyed by the canvas node they belong to
+  const nodeTelemetry = useMemo(() => {
+    if (!graph) return {};
+    return graph.nodes.reduce((matched, node) => {
+      const device = deviceTelemetry[getNodeDeviceId(node)];
+      if (device) matched[node.id] = device;
+      return matched;
+    }, {});
+  }, [graph, deviceTelemetry]);
+  // Analytics for the canvas graph, and every topology rebuilt with its device count for comparison
+  // Metrics trail the canvas slightly so dragging large meshes stays smooth
+  const metricsGraph = useDeferredValue(graph);
+  const topologyMetrics = useMemo(() => (metricsGraph ? computeTopologyMetrics(metricsGraph) : null), [metricsGraph]);
+  const metricsDeviceCount = topologyMetrics ? topologyMetrics.deviceCount : 0;
+  const securityRisks = useMemo(() => (metricsGraph ? findSecurityRisks(metricsGraph) : []), [metricsGraph]);
+  const topologyComparison = useMemo(() => {
+    if (!canvasSize || metricsDeviceCount === 0) return [];
+    return compareTopologies(canvasSize.width, canvasSize.height, metricsDeviceCount, { seed: layoutSeed, layout: meshLayout });
+  }, [canvasSize, metricsDeviceCount, layoutSeed, meshLayout]);
+  const telemetryVisuals = useMemo(
+    () => (useLiveTelemetry ? getTelemetryVisuals(liveNetworkData) : DEFAULT_TELEMETRY_VISUALS),
+    [useLiveTelemetry, liveNetworkData]
+  );
+  // What the SVG view and diagram exports show on top of the graph, matching the canvas
+  const diagramOverlay = useMemo(() => ({
+    failures,
+    isolatedNodeIds,
+    linkStyle: telemetryVisuals.linkStyle,
+    nodeRingColors: getNodeRingColors(nodeTelemetry),
+    showZones: securityZones,
+  }), [failures, isolatedNodeIds, telemetryVisuals, nodeTelemetry, securityZones]);
+  // The SVG view covers the canvas, which pauses underneath it; editing always uses the canvas
+  const showSvgView = diagramView === 'svg' && !editMode && Boolean(graph);
+
+  const diagramName = graph ? graph.meta.designName || `${graph.type} topology` : '';
+  const exportSvg = () => {
+    downloadText(renderTopologySvg(graph, diagramOverlay).markup, diagramFileName(diagramName, 'svg'), 'image/svg+xml');
+  };
+  const exportPng = async () => {
+    try {
+      downloadBlob(await svgToPngBlob(renderTopologySvg(graph, diagramOverlay)), diagramFileName(diagramName, 'png'));
+    } catch (error) {
+      console.error("Error exporting the diagram as PNG:", error);
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 font-sans text-gray-900">
@@ -523,42 +397,34 @@ const App = () => {
       <header className="bg-blue-700 text-white p-4 shadow-lg sticky top-0 z-50">
         <div className="max-w-7xl mx-auto flex justify-between items-center">
           <h1 className="text-2xl font-bold">Smart Home Networks</h1>
-          <nav>
-            <ul className="flex space-x-4">
-              <li>
-                <button
-                  onClick={() => scrollToSection('home')}
-                  className={`py-2 px-3 rounded-md transition-colors duration-300 ${activeSection === 'home' ? 'bg-blue-600' : 'hover:bg-blue-600'}`}
-                >
-                  Home
-                </button>
-              </li>
-              <li>
-                <button
-                  onClick={() => scrollToSection('topologies')}
-                  className={`py-2 px-3 rounded-md transition-colors duration-300 ${activeSection === 'topologies' ? 'bg-blue-600' : 'hover:bg-blue-600'}`}
-                >
-                  Topologies
-                </button>
-              </li>
-              <li>
-                <button
-                  onClick={() => scrollToSection('why-choose')}
-                  className={`py-2 px-3 rounded-md transition-colors duration-300 ${activeSection === 'why-choose' ? 'bg-blue-600' : 'hover:bg-blue-600'}`}
-                >
-                  Why Choose?
-                </button>
-              </li>
-              <li>
-                <button
-                  onClick={() => scrollToSection('simulation')}
-                  className={`py-2 px-3 rounded-md transition-colors duration-300 ${activeSection === 'simulation' ? 'bg-blue-600' : 'hover:bg-blue-600'}`}
-                >
-                  Visualize
-                </button>
-              </li>
-            </ul>
-          </nav>
+          <div className="flex items-center gap-4">
+            <nav>
+              <ul className="flex space-x-4">
+                {shownSectionIds.map(id => (
+                  <li key={id}>
+                    <a
+                      href={buildLocation({ ...urlView, section: id })}
+                      onClick={(e) => {
+                        e.preventDefault();
+                        scrollToSection(id);
+                      }}
+                      aria-current={activeSection === id ? 'location' : undefined}
+                      aria-label={id === 'alerts' ? `Alerts: ${activeAlertCount} active` : undefined}
+                      className={`relative block py-2 px-3 rounded-md transition-colors duration-300 ${activeSection === id ? 'bg-blue-600' : 'hover:bg-blue-600'}`}
+                    >
+                      {NAV_LABELS[id]}
+                      {id === 'alerts' && activeAlertCount > 0 && (
+                        <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs font-bold rounded-full px-1.5">
+                          {activeAlertCount}
+                        </span>
+                      )}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </nav>
+            <ProfileMenu dataSource={dataSource} account={account} />
+          </div>
         </div>
       </header>
 
@@ -573,12 +439,33 @@ const App = () => {
           <p className="text-lg md:text-xl max-w-2xl mx-auto">
             Explore different network topologies to optimize performance, reliability, and security for your connected home.
           </p>
-          <button
-            onClick={() => scrollToSection('topologies')}
-            className="mt-8 bg-white text-blue-700 font-bold py-3 px-8 rounded-full shadow-lg hover:bg-gray-100 transform hover:scale-105 transition-all duration-300"
-          >
-            Learn More
-          </button>
+          <div className="mt-8 flex flex-wrap justify-center gap-4">
+            <button
+              onClick={() => scrollToSection('recommend')}
+              className="bg-white text-blue-700 font-bold py-3 px-8 rounded-full shadow-lg hover:bg-gray-100 transform hover:scale-105 transition-all duration-300"
+            >
+              Find My Topology
+            </button>
+            <button
+              onClick={() => scrollToSection('topologies')}
+              className="border-2 border-white text-white font-bold py-3 px-8 rounded-full shadow-lg hover:bg-white hover:text-blue-700 transform hover:scale-105 transition-all duration-300"
+            >
+              Learn More
+            </button>
+          </div>
+        </div>
+      </section>
+
+      {/* Recommendation Wizard Section */}
+      <section id="recommend" className="py-16 px-4 md:px-8 bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="max-w-2xl mx-auto">
+          <h2 className="text-3xl md:text-4xl font-bold text-center text-gray-800 mb-4">
+            Which Topology Fits Your Home?
+          </h2>
+          <p className="text-center text-gray-700 mb-8">
+            Answer a few questions about your home and devices, and we'll score each topology for you.
+          </p>
+          <RecommendationWizard onApply={applyRecommendation} />
         </div>
       </section>
 
@@ -731,29 +618,83 @@ const App = () => {
             Visualize Topologies & Live Data
           </h2>
           <p className="text-gray-700 mb-8">
-            Select a topology to see an animated visual representation. Live network parameters are fetched from Firebase.
+            Select a topology to see an animated visual representation. Live network parameters come from the selected data source and drive the animation.
           </p>
 
           {/* Live Network Data Display */}
           <div className="bg-blue-50 p-6 rounded-lg shadow-md border border-blue-200 mb-8 mx-auto max-w-md">
-            <h3 className="text-xl font-bold text-blue-800 mb-4">Live Network Parameters</h3>
-            {firebaseError ? (
-              <p className="text-red-600 font-medium">{firebaseError}</p>
+            <h3 className="text-xl font-bold text-blue-800 mb-4">
+              Live Network Parameters
+              {homes.home && <span className="block text-sm font-medium text-blue-600">{homes.home.name}</span>}
+            </h3>
+            <div className="flex items-center justify-center gap-2 mb-4 text-sm">
+              <label htmlFor="data-source-select" className="font-medium text-gray-700">Data Source:</label>
+              <select
+                id="data-source-select"
+                value={dataSourceKind}
+                onChange={(e) => changeDataSource(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {Object.entries(DATA_SOURCES).map(([kind, { label }]) => (
+                  <option key={kind} value={kind}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {dataSourceError ? (
+              <p className="text-red-600 font-medium">{dataSourceError}</p>
             ) : (
               <div className="text-left text-gray-700 space-y-2">
-                <p><span className="font-semibold">User ID:</span> {userId || 'Authenticating...'}</p>
                 <p><span className="font-semibold">Signal Strength:</span> {liveNetworkData.signalStrength}</p>
                 <p><span className="font-semibold">Latency:</span> {liveNetworkData.latency}</p>
                 <p><span className="font-semibold">Delivery Rate:</span> {liveNetworkData.deliveryRate}</p>
                 <p className="text-sm text-gray-500">Last Updated: {liveNetworkData.lastUpdated}</p>
-                <p className="text-xs text-gray-500 mt-2">
-                  To update data, navigate to the `users/{userId}/network_data/current_data` path in your Firebase Realtime Database.
-                  Example data structure: `{'{'} "signalStrength": "75%", "latency": "20ms", "deliveryRate": "99%", "timestamp": "2023-07-24T10:30:00Z" {'}'}`
-                </p>
+                {dataSourceKind === 'mock' ? (
+                  <p className="text-xs text-gray-500 mt-2">
+                    Readings are generated in your browser every few seconds. Nothing is saved after the page is closed.
+                  </p>
+                ) : (
+                  <p className="text-xs text-gray-500 mt-2">
+                    To update data, navigate to the `homes/{homeId}/network_data/current_data` path in your {dataSourceKind === 'emulator' ? 'local emulator' : 'Firebase Realtime Database'}.
+                    Example data structure: `{'{'} "signalStrength": "75%", "latency": "20ms", "deliveryRate": "99%", "timestamp": "2023-07-24T10:30:00Z" {'}'}`
+                    Or publish generated readings with `npm run publish:telemetry -- --home {homeId}{dataSourceKind === 'emulator' ? ` --user ${account ? account.uid : '<uid>'}` : ' --target firebase --email <your email>'}`.
+                  </p>
+                )}
               </div>
             )}
+            {!dataSourceError && <DeviceHealthList devices={deviceTelemetry} />}
+            {!dataSourceError && (
+              <DeviceCommandPanel
+                dataSource={dataSource}
+                homeId={homeId}
+                devices={deviceTelemetry}
+                uid={account ? account.uid : null}
+                readOnly={!homeEditable}
+              />
+            )}
+            {!dataSourceError && <NetworkHistoryPanel dataSource={dataSource} homeId={homeId} />}
           </div>
 
+          {/* Homes, members and invites */}
+          {!dataSourceError && (
+            <div className="mx-auto max-w-2xl mb-8">
+              <HomePanel homes={homes} account={account} />
+            </div>
+          )}
+
+          {/* Alert Rules and Notifications */}
+          {!dataSourceError && (
+            <AlertCenter
+              rules={rules}
+              alerts={alerts}
+              alertsError={alertsError}
+              onSaveRule={saveRule}
+              onDeleteRule={deleteRule}
+              onSetStatus={setStatus}
+              onClearLog={clearLog}
+              readOnly={!homeEditable}
+            />
+          )}
+
           {/* Topology Selector */}
           <div className="mb-8">
             <label htmlFor="topology-select" className="block text-lg font-medium text-gray-700 mb-2">
@@ -771,15 +712,219 @@ const App = () => {
               <option value="tree">Tree</option>
               <option value="hybrid">Hybrid</option>
             </select>
+
+            {/* Layout Controls */}
+            <div className="mt-4 flex flex-wrap items-center justify-center gap-3 text-sm">
+              <label htmlFor="layout-seed" className="font-medium text-gray-700">Layout Seed:</label>
+              <input
+                id="layout-seed"
+                type="text"
+                value={layoutSeed}
+                onChange={(e) => setLayoutSeed(e.target.value)}
+                className="w-28 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                onClick={() => setLayoutSeed(randomSeed())}
+                className="py-1 px-3 rounded-md bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors duration-300"
+              >
+                Reshuffle
+              </button>
+              {(selectedTopology === 'mesh' || selectedTopology === 'hybrid') && (
+                <>
+                  <label htmlFor="mesh-layout" className="font-medium text-gray-700">Mesh Layout:</label>
+                  <select
+                    id="mesh-layout"
+                    value={meshLayout}
+                    onChange={(e) => setMeshLayout(e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="scatter">Random Scatter</option>
+                    <option value="force">Force-Directed</option>
+                  </select>
+                </>
+              )}
+            </div>
+
+            {/* Size Parameters */}
+            <TopologyParameters
+              topology={selectedTopology}
+              deviceCount={deviceCount}
+              onDeviceCountChange={setDeviceCount}
+              treeDepth={treeShape.depth}
+              treeBranching={treeShape.branching}
+              onTreeShapeChange={(changes) => setTreeShape(prev => ({ ...prev, ...changes }))}
+              hybridComposition={hybridComposition}
+              onHybridCompositionChange={setHybridComposition}
+            />
+          </div>
+
+          {/* Topology Editor Controls */}
+          <TopologyEditorToolbar
+            editMode={editMode}
+            onToggleEditMode={() => {
+              setEditMode(!editMode);
+              setSelectedNodeId(null);
+              setDiagramView('canvas'); // Editing happens on the canvas
+            }}
+            editTool={editTool}
+            onToolChange={setEditTool}
+            selectedNode={selectedNode}
+            onRename={(id, label) => setGraph(renameNode(graph, id, label))}
+            onSetDeviceId={(id, deviceId) => setGraph(updateNode(graph, id, { deviceId: deviceId || undefined }))}
+            selectedDeviceType={selectedDeviceType}
+            onSetDeviceType={(id, deviceType) => setGraph(updateNode(graph, id, { deviceType }))}
+            selectedZone={selectedZone}
+            onSetZone={(id, zone) => setGraph(updateNode(graph, id, { zone }))}
+            onReset={resetLayout}
+          />
+
+          {/* Failure Simulation Status */}
+          {!editMode && (
+            <div className="mb-4 flex flex-wrap items-center justify-center gap-3 text-sm">
+              <p className="text-gray-600">
+                Click a device or link to mark it as failed, or tab to the diagram and use the arrow keys and Enter. Packets reroute around failures or drop when no path remains.
+              </p>
+              {failureCount > 0 && (
+                <>
+                  <span className="font-medium text-red-600">
+                    {failureCount} failed element{failureCount === 1 ? '' : 's'}
+                    {isolatedNodeIds.length > 0 && `, ${isolatedNodeIds.length} isolated device${isolatedNodeIds.length === 1 ? '' : 's'}`}
+                  </span>
+                  <button
+                    onClick={() => setFailures(NO_FAILURES)}
+                    className="py-1 px-3 rounded-md bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors duration-300"
+                  >
+                    Clear Failures
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Diagram View and Export */}
+          <div className="mb-4 flex flex-wrap items-center justify-center gap-3 text-sm">
+            <label htmlFor="diagram-view" className="font-medium text-gray-700">View:</label>
+            <select
+              id="diagram-view"
+              value={diagramView}
+              onChange={(e) => setDiagramView(e.target.value)}
+              disabled={editMode}
+              className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 disabled:opacity-50"
+            >
+              <option value="canvas">Canvas (animated)</option>
+              <option value="svg">SVG (vector)</option>
+            </select>
+            <button
+              onClick={exportSvg}
+              disabled={!graph}
+              className="py-1 px-3 rounded-md bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors duration-300 disabled:opacity-50"
+            >
+              Export SVG
+            </button>
+            <button
+              onClick={exportPng}
+              disabled={!graph}
+              className="py-1 px-3 rounded-md bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors duration-300 disabled:opacity-50"
+            >
+              Export PNG
+            </button>
+            <label className="flex items-center gap-2 text-gray-700">
+              <input type="checkbox" checked={reducedMotion} onChange={() => setReduceMotionChoice(!reducedMotion)} />
+              Reduce motion
+            </label>
           </div>
 
           {/* Canvas for Simulation */}
-          <div className="bg-gray-100 border border-gray-300 rounded-lg shadow-lg overflow-hidden flex justify-center items-center">
-            <canvas ref={canvasRef} className="w-full h-auto block"></canvas>
+          <div className={`relative bg-gray-100 border rounded-lg shadow-lg overflow-hidden flex justify-center items-center ${editMode ? 'border-purple-400' : 'border-gray-300'}`}>
+            <TopologyCanvas
+              graph={graph}
+              onGraphChange={setGraph}
+              onResize={handleCanvasResize}
+              editMode={editMode}
+              editTool={editTool}
+              selectedNodeId={selectedNodeId}
+              onSelectNode={setSelectedNodeId}
+              failures={failures}
+              isolatedNodeIds={isolatedNodeIds}
+              onToggleFailure={(kind, id) => setFailures(prev => toggleFailure(prev, kind, id))}
+              onPacketEvents={handlePacketEvents}
+              telemetry={telemetryVisuals}
+              nodeTelemetry={nodeTelemetry}
+              sharedMedium={sharedMedium}
+              onMediumStats={setMediumStats}
+              securityZones={securityZones}
+              reducedMotion={reducedMotion}
+              hidden={showSvgView}
+            />
+            {showSvgView && <TopologySvgView graph={graph} overlay={diagramOverlay} />}
           </div>
+          {graph && (
+            <TopologyTextDescription
+              graph={graph}
+              options={{ failures, isolatedNodeIds, nodeTelemetry, showZones: securityZones }}
+            />
+          )}
+          {selectedTopology === 'bus' && (
+            <SharedMediumPanel
+              enabled={sharedMedium}
+              onToggle={() => {
+                setSharedMedium(!sharedMedium);
+                setMediumStats(null);
+              }}
+              stats={mediumStats}
+            />
+          )}
+          {graph && (
+            <SecurityZonesPanel
+              enabled={securityZones}
+              onToggle={() => setSecurityZones(!securityZones)}
+              graph={graph}
+              onSetRule={(from, to, action) => setGraph(setZoneRule(graph, from, to, action))}
+              onApplyRecommended={() => setGraph(assignRecommendedZones(graph))}
+              risks={securityRisks}
+            />
+          )}
+          <TelemetryLegend
+            enabled={useLiveTelemetry}
+            onToggle={() => setUseLiveTelemetry(!useLiveTelemetry)}
+            visuals={telemetryVisuals}
+          />
           <p className="text-gray-600 text-sm mt-4">
             Note: This is a simplified visual representation for illustrative purposes.
           </p>
+
+          {/* Topology Analytics */}
+          {topologyMetrics && (
+            <TopologyMetricsPanel
+              metrics={topologyMetrics}
+              comparison={topologyComparison}
+              activeTopology={selectedTopology}
+              deviceCount={metricsDeviceCount}
+            />
+          )}
+
+          {/* Saved Designs */}
+          <DesignLibrary dataSource={dataSource} homeId={homeId} graph={graph} onLoadDesign={loadDesign} readOnly={!homeEditable} />
+
+          {/* Packet Delivery Statistics */}
+          <PacketStatsPanel
+            stats={packetStats}
+            activeTopology={selectedTopology}
+            onReset={() => setPacketStats(createPacketStats())}
+          />
+        </div>
+      </section>
+
+      {/* Floor Plan and Wi-Fi Coverage Section */}
+      <section id="floor-plan" className="py-16 px-4 md:px-8 bg-gradient-to-br from-blue-50 to-indigo-100">
+        <div className="max-w-6xl mx-auto">
+          <h2 className="text-3xl md:text-4xl font-bold text-center text-gray-800 mb-4">
+            Plan Your Wi-Fi Coverage
+          </h2>
+          <p className="text-center text-gray-700 mb-8">
+            Draw your floor plan or trace over an uploaded one, place routers and mesh nodes, and see where the signal reaches.
+          </p>
+          <FloorPlanPlanner />
         </div>
       </section>
 
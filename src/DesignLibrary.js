@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  graphToDesign, serializeDesign, parseDesignFile, designFileName,
+  subscribeToDesigns, saveDesign, deleteDesign,
+} from './topologyDesign';
+import { downloadText } from './fileDownload';
+
+// Save the current canvas as a named design, reopen saved designs and move designs in and
+// out as JSON files. Import/export keep working when the database is unavailable, and for
+// viewers of a home, who can't change its saved designs (`readOnly`).
+const DesignLibrary = ({ dataSource, homeId, graph, onLoadDesign, readOnly = false }) => {
+  const [designs, setDesigns] = useState([]);
+  const [name, setName] = useState('');
+  const [message, setMessage] = useState(null); // { type: 'error' | 'info', text }
+  const fileInputRef = useRef(null);
+  const canSave = Boolean(dataSource && homeId && !readOnly);
+
+  useEffect(() => {
+    if (!dataSource || !homeId) return;
+    const unsubscribe = subscribeToDesigns(dataSource, homeId, setDesigns, (error) => {
+      console.error("Error fetching saved designs from Realtime Database:", error);
+      setMessage({ type: 'error', text: `Failed to load saved designs: ${error.message}` });
+    });
+    return () => unsubscribe(); // Cleanup designs listener
+  }, [dataSource, homeId]);
+
+  const currentName = () => name.trim() || (graph && graph.meta.designName) || `${graph.type} design`;
+
+  const handleSave = () => {
+    if (!graph) return;
+    const design = graphToDesign(graph, currentName());
+    saveDesign(dataSource, homeId, design)
+      .then(() => setMessage({ type: 'info', text: `Saved "${design.name}".` }))
+      .catch(error => setMessage({ type: 'error', text: `Failed to save design: ${error.message}` }));
+  };
+
+  const handleLoad = (design) => {
+    try {
+      onLoadDesign(design);
+      setName(design.name || '');
+      setMessage({ type: 'info', text: `Loaded "${design.name}".` });
+    } catch (error) {
+      setMessage({ type: 'error', text: `Could not open "${design.name}": ${error.message}` });
+    }
+  };
+
+  const handleExport = (design) => {
+    const { id, ...portable } = design; // The database key is not part of the file format
+    downloadText(serializeDesign(portable), designFileName(portable.name));
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    file.text().then(text => {
+      handleLoad(parseDesignFile(text));
+    }).catch(error => setMessage({ type: 'error', text: `Import failed: ${error.message}` }));
+  };
+
+  const handleDelete = (design) => {
+    deleteDesign(dataSource, homeId, design.id)
+      .catch(error => setMessage({ type: 'error', text: `Failed to delete design: ${error.message}` }));
+  };
+
+  return (
+    <div className="mt-6 bg-white p-4 rounded-lg shadow-md border border-gray-200 text-left">
+      <h3 className="text-lg font-bold text-gray-800 mb-3">Design Library</h3>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <input
+          type="text"
+          aria-label="Design name"
+          placeholder="Design name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!canSave || !graph}
+          className="py-1 px-3 rounded-md text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors duration-300"
+        >
+          Save
+        </button>
+        <button
+          onClick={() => graph && handleExport(graphToDesign(graph, currentName()))}
+          disabled={!graph}
+          className="py-1 px-3 rounded-md text-sm bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50 transition-colors duration-300"
+        >
+          Export JSON
+        </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className="py-1 px-3 rounded-md text-sm bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors duration-300"
+        >
+          Import JSON
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+      </div>
+      {message && (
+        <p className={`text-sm mb-2 ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+      )}
+      {!canSave && (
+        <p className="text-xs text-gray-500 mb-2">
+          {readOnly
+            ? 'Viewers can open and export this home\'s designs but not change them.'
+            : 'Sign-in is required to save designs; import and export still work.'}
+        </p>
+      )}
+      {designs.length > 0 && (
+        <ul className="divide-y divide-gray-100 text-sm">
+          {designs.map(design => (
+            <li key={design.id} className="py-2 flex flex-wrap justify-between items-center gap-2">
+              <span>
+                <span className="font-medium text-gray-800">{design.name}</span>
+                <span className="ml-2 text-xs text-gray-500 capitalize">
+                  {design.topology} · {(design.nodes || []).length} nodes · {design.updatedAt ? new Date(design.updatedAt).toLocaleDateString() : ''}
+                </span>
+              </span>
+              <span className="flex gap-3">
+                <button onClick={() => handleLoad(design)} className="text-blue-600 hover:underline">Open</button>
+                <button onClick={() => handleExport(design)} className="text-gray-600 hover:underline">Export</button>
+                {canSave && <button onClick={() => handleDelete(design)} className="text-red-600 hover:underline">Delete</button>}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DesignLibrary;
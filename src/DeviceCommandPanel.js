@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import {
+  COMMAND_TYPES, COMMAND_STATUSES, WIFI_BANDS, QOS_PRIORITIES, toCommandList, getCommandStatus,
+  describeCommand, sendCommand, clearFinishedCommands,
+} from './deviceCommands';
+
+const STATUS_TICK = 1000; // ms between re-checks for timed-out commands
+
+const formatTime = (time) => new Date(time).toLocaleTimeString();
+
+// Sends commands to one device at a time and follows each one until the device answers
+// or it times out. `devices` comes from subscribeToDeviceTelemetry; viewers (`readOnly`)
+// only see the command history.
+const DeviceCommandPanel = ({ dataSource, homeId, devices, uid, readOnly = false }) => {
+  const [selectedId, setSelectedId] = useState(null);
+  const [band, setBand] = useState(WIFI_BANDS[1]);
+  const [priority, setPriority] = useState('high');
+  const [now, setNow] = useState(Date.now);
+  const [error, setError] = useState(null);
+
+  // Names come straight from the database, so they may be missing or not strings
+  const deviceIds = Object.keys(devices)
+    .sort((a, b) => String(devices[a].name ?? a).localeCompare(String(devices[b].name ?? b)));
+  const deviceId = devices[selectedId] ? selectedId : deviceIds[0];
+  const device = deviceId ? devices[deviceId] : null;
+  const commands = device ? toCommandList(device.commands) : [];
+  const waiting = commands.some(command => getCommandStatus(command, now) === 'pending');
+
+  // Keep the clock running while anything is pending so expired commands show as timed out
+  useEffect(() => {
+    if (!waiting) return;
+    const timer = setInterval(() => setNow(Date.now()), STATUS_TICK);
+    return () => clearInterval(timer);
+  }, [waiting]);
+
+  if (!device) return null;
+  const state = device.state || {};
+
+  const send = (type, params) => {
+    setError(null);
+    setNow(Date.now());
+    sendCommand(dataSource, homeId, deviceId, type, params, uid).catch(err => {
+      console.error("Error sending device command:", err);
+      setError(`Failed to send ${COMMAND_TYPES[type].label.toLowerCase()}: ${err.message}`);
+    });
+  };
+
+  const clearFinished = () => {
+    clearFinishedCommands(dataSource, homeId, deviceId, commands).catch(err => {
+      console.error("Error clearing device commands:", err);
+      setError(`Failed to clear commands: ${err.message}`);
+    });
+  };
+
+  return (
+    <div className="mt-6 pt-4 border-t border-blue-200 text-left text-sm">
+      <div className="flex justify-between items-center gap-2 mb-2">
+        <h4 className="font-bold text-blue-800">Device Commands</h4>
+        <select
+          aria-label="Device"
+          value={deviceId}
+          onChange={(e) => setSelectedId(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md"
+        >
+          {deviceIds.map(id => <option key={id} value={id}>{String(devices[id].name ?? id)}</option>)}
+        </select>
+      </div>
+      <p className="text-xs text-gray-600 mb-2">
+        Band {state.band || 'unknown'} · QoS {state.qosPriority || 'normal'} · {state.blocked ? 'Blocked' : 'Allowed'}
+      </p>
+
+      {readOnly ? (
+        <p className="text-xs text-gray-500 mb-2">Viewers can follow commands but not send them.</p>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <button onClick={() => send('reboot')} className="py-1 px-2 rounded-md bg-blue-600 text-white hover:bg-blue-700">
+            {COMMAND_TYPES.reboot.label}
+          </button>
+          <span className="flex items-center gap-1">
+            <select aria-label="Band" value={band} onChange={(e) => setBand(e.target.value)} className="px-1 py-1 border border-gray-300 rounded-md">
+              {WIFI_BANDS.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+            <button onClick={() => send('setBand', { band })} className="py-1 px-2 rounded-md bg-white border border-gray-300 hover:bg-gray-100">
+              {COMMAND_TYPES.setBand.label}
+            </button>
+          </span>
+          <span className="flex items-center gap-1">
+            <select aria-label="QoS priority" value={priority} onChange={(e) => setPriority(e.target.value)} className="px-1 py-1 border border-gray-300 rounded-md capitalize">
+              {QOS_PRIORITIES.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+            <button onClick={() => send('setQosPriority', { priority })} className="py-1 px-2 rounded-md bg-white border border-gray-300 hover:bg-gray-100">
+              Set QoS
+            </button>
+          </span>
+          <button
+            onClick={() => send(state.blocked ? 'unblock' : 'block')}
+            className="py-1 px-2 rounded-md bg-white border border-red-300 text-red-700 hover:bg-red-50"
+          >
+            {state.blocked ? COMMAND_TYPES.unblock.label : COMMAND_TYPES.block.label}
+          </button>
+        </div>
+      )}
+      {error && <p className="text-red-600 mb-2">{error}</p>}
+
+      {commands.length === 0 ? (
+        <p className="text-xs text-gray-500">No commands sent to this device yet.</p>
+      ) : (
+        <>
+          <ul className="max-h-40 overflow-y-auto divide-y divide-blue-100">
+            {commands.map(command => {
+              const status = COMMAND_STATUSES[getCommandStatus(command, now)];
+              return (
+                <li key={command.id} className="py-1 flex justify-between items-center gap-2">
+                  <span>
+                    {describeCommand(command)}
+                    <span className="block text-xs text-gray-500">
+                      {formatTime(command.issuedAt)}{command.response && command.response.message ? ` · ${command.response.message}` : ''}
+                    </span>
+                  </span>
+                  <span className="text-xs font-semibold px-2 py-0.5 rounded text-white" style={{ backgroundColor: status.color }}>
+                    {status.label}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+          {!readOnly && !commands.every(command => getCommandStatus(command, now) === 'pending') && (
+            <button onClick={clearFinished} className="mt-1 text-xs text-gray-600 hover:underline">Clear finished</button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DeviceCommandPanel;
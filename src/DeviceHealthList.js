@@ -0,0 +1,48 @@
+import React from 'react';
+import { HEALTH_LEVELS, sortByHealth } from './deviceTelemetry';
+
+const formatReading = (value, unit) => (typeof value === 'number' ? `${value}${unit}` : 'N/A');
+
+// Per-device readings, worst devices first, so a misbehaving device stands out among many
+const DeviceHealthList = ({ devices }) => {
+  const sorted = sortByHealth(devices);
+  if (sorted.length === 0) {
+    return (
+      <p className="text-xs text-gray-500 mt-4">
+        No per-device telemetry yet. Devices report to `homes/{'{homeId}'}/devices/{'{deviceId}'}/telemetry`,
+        where a deviceId such as "device-1" or "hub" matches the node on the canvas.
+      </p>
+    );
+  }
+  const attentionCount = sorted.filter(device => device.health === 'unhealthy' || device.health === 'degraded').length;
+
+  return (
+    <div className="mt-6 pt-4 border-t border-blue-200 text-left">
+      <div className="flex justify-between items-baseline mb-2">
+        <h4 className="font-bold text-blue-800">Devices</h4>
+        <span className="text-xs text-gray-600">
+          {sorted.length} reporting, {attentionCount} need{attentionCount === 1 ? 's' : ''} attention
+        </span>
+      </div>
+      <ul className="max-h-56 overflow-y-auto divide-y divide-blue-100 text-sm">
+        {sorted.map(device => {
+          const health = HEALTH_LEVELS[device.health];
+          const telemetry = device.telemetry || {};
+          return (
+            <li key={device.id} className="py-1 flex justify-between items-center gap-2">
+              <span className="flex items-center gap-2">
+                <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: health.color }} title={health.label}></span>
+                {device.name}
+              </span>
+              <span className="text-xs text-gray-600">
+                {formatReading(telemetry.signalStrength, '%')} · {formatReading(telemetry.latency, 'ms')} · {formatReading(telemetry.deliveryRate, '%')}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default DeviceHealthList;
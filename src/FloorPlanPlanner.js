@@ -0,0 +1,329 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  WALL_MATERIALS, ACCESS_POINT_KINDS, SIGNAL_LEVELS,
+  computeHeatmap, estimateDeviceSignals, getCoverageShare,
+  createFloorPlan, createSampleFloorPlan, resizeFloorPlan, loadFloorPlan, saveFloorPlan,
+  addWall, addRoom, addAccessPoint, addPlanDevice, updatePlanItem, findPlanItemAt, findRoomAt, removePlanItemAt,
+} from './floorPlan';
+import { drawFloorPlan, getHeatmapColor } from './floorPlanRenderer';
+
+const TOOLS = {
+  select: { label: 'Select / Move', hint: 'Drag routers, mesh nodes and devices. Click one, or a room, to rename it.' },
+  wall: { label: 'Wall', hint: 'Drag to draw a wall of the chosen material.' },
+  room: { label: 'Room', hint: 'Drag a rectangle to add a room with four walls.' },
+  router: { label: 'Router', hint: 'Click to place a router.' },
+  mesh: { label: 'Mesh Node', hint: 'Click to place a mesh node.' },
+  device: { label: 'Smart Device', hint: 'Click to place a smart device and see its estimated signal.' },
+  erase: { label: 'Erase', hint: 'Click a router, device or wall to remove it. Erasing a room wall removes the room.' },
+};
+
+const GRID = 0.25; // Meters that drawn walls and placed items snap to
+const MAX_CANVAS_HEIGHT = 520;
+const SAVE_DELAY = 500; // Milliseconds of quiet before the plan is written to storage
+const GOOD_SIGNAL = SIGNAL_LEVELS.find(level => level.label === 'Good').min;
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+const snap = (value, max) => Math.min(max, Math.max(0, Math.round(value / GRID) * GRID));
+
+// Floor plan editor with an estimated Wi-Fi heatmap, for planning where routers and mesh
+// nodes go. Works entirely in the browser; the plan is remembered in localStorage.
+const FloorPlanPlanner = () => {
+  const [plan, setPlan] = useState(() => loadFloorPlan() || createSampleFloorPlan());
+  const [tool, setTool] = useState('select');
+  const [material, setMaterial] = useState('drywall');
+  const [showHeatmap, setShowHeatmap] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null); // Wall or room being dragged out
+  const [canvasWidth, setCanvasWidth] = useState(0);
+  const [backgroundImage, setBackgroundImage] = useState(null);
+  const [message, setMessage] = useState(null);
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null); // { id } while moving an item, { start } while drawing
+
+  useEffect(() => {
+    const timer = setTimeout(() => saveFloorPlan(plan), SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [plan]);
+
+  useEffect(() => {
+    const updateWidth = () => setCanvasWidth(containerRef.current ? containerRef.current.offsetWidth : 0);
+    updateWidth();
+    window.addEventListener('resize', updateWidth);
+    return () => window.removeEventListener('resize', updateWidth);
+  }, []);
+
+  useEffect(() => {
+    if (!plan.background) {
+      setBackgroundImage(null);
+      return;
+    }
+    const image = new Image();
+    image.onload = () => setBackgroundImage(image);
+    image.src = plan.background;
+  }, [plan.background]);
+
+  // Moving devices doesn't change the heatmap, so it only follows walls, access points and size
+  const { walls, accessPoints, width, height } = plan;
+  const heatmap = useMemo(
+    () => computeHeatmap({ walls, accessPoints, width, height }),
+    [walls, accessPoints, width, height]
+  );
+  const signals = useMemo(() => estimateDeviceSignals(plan), [plan]);
+  const coverage = getCoverageShare(heatmap, GOOD_SIGNAL);
+
+  const scale = canvasWidth > 0 ? Math.min(canvasWidth / plan.width, MAX_CANVAS_HEIGHT / plan.height) : 0;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || scale === 0) return;
+    canvas.width = Math.round(plan.width * scale);
+    canvas.height = Math.round(plan.height * scale);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return; // Canvas not supported (e.g. test environments)
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawFloorPlan(ctx, plan, scale, {
+      heatmap: showHeatmap ? heatmap : null,
+      background: backgroundImage,
+      signals,
+      selectedId,
+      draft,
+    });
+  }, [plan, scale, heatmap, showHeatmap, backgroundImage, signals, selectedId, draft]);
+
+  // --- Pointer handling ---
+  const toPlanPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: snap(((e.clientX - rect.left) * (canvas.width / rect.width)) / scale, plan.width),
+      y: snap(((e.clientY - rect.top) * (canvas.height / rect.height)) / scale, plan.height),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    const point = toPlanPoint(e);
+    switch (tool) {
+      case 'select': {
+        const item = findPlanItemAt(plan, point) || findRoomAt(plan, point);
+        setSelectedId(item ? item.id : null);
+        if (item && item.width === undefined) {
+          dragRef.current = { id: item.id };
+          e.currentTarget.setPointerCapture(e.pointerId);
+        }
+        break;
+      }
+      case 'wall':
+      case 'room':
+        dragRef.current = { start: point };
+        setDraft(tool === 'wall'
+          ? { x1: point.x, y1: point.y, x2: point.x, y2: point.y }
+          : { x: point.x, y: point.y, width: 0, height: 0 });
+        e.currentTarget.setPointerCapture(e.pointerId);
+        break;
+      case 'router':
+      case 'mesh':
+        setPlan(addAccessPoint(plan, tool, point.x, point.y));
+        break;
+      case 'device':
+        setPlan(addPlanDevice(plan, point.x, point.y));
+        break;
+      case 'erase':
+        setPlan(removePlanItemAt(plan, point));
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toPlanPoint(e);
+    if (drag.id) {
+      setPlan(updatePlanItem(plan, drag.id, point));
+    } else if (tool === 'wall') {
+      setDraft({ x1: drag.start.x, y1: drag.start.y, x2: point.x, y2: point.y });
+    } else {
+      setDraft({
+        x: Math.min(drag.start.x, point.x),
+        y: Math.min(drag.start.y, point.y),
+        width: Math.abs(point.x - drag.start.x),
+        height: Math.abs(point.y - drag.start.y),
+      });
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (draft && draft.x1 !== undefined && Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1) >= GRID) {
+      setPlan(addWall(plan, draft.x1, draft.y1, draft.x2, draft.y2, material));
+    } else if (draft && draft.width >= 2 * GRID && draft.height >= 2 * GRID) {
+      setPlan(addRoom(plan, draft.x, draft.y, draft.width, draft.height, null, material));
+    }
+    dragRef.current = null;
+    setDraft(null);
+  };
+
+  // --- Plan management ---
+  const handleUpload = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow uploading the same file again
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setPlan(prev => ({ ...prev, background: reader.result }));
+      setMessage(`Traced over "${file.name}". Set the plan size in meters so distances match the drawing.`);
+    };
+    reader.onerror = () => setMessage(`Could not read "${file.name}".`);
+    reader.readAsDataURL(file);
+  };
+
+  const setSize = (changes) => {
+    const next = { width: plan.width, height: plan.height, ...changes };
+    setPlan(resizeFloorPlan(plan, Math.min(60, Math.max(2, next.width || 2)), Math.min(60, Math.max(2, next.height || 2))));
+  };
+
+  const selectedItem = [...plan.accessPoints, ...plan.devices, ...plan.rooms].find(item => item.id === selectedId);
+  const accessPointLabels = new Map(plan.accessPoints.map(accessPoint => [accessPoint.id, accessPoint.label]));
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-xl border border-gray-200 text-left">
+      <div className="flex flex-wrap gap-2 mb-3">
+        {Object.entries(TOOLS).map(([key, { label }]) => (
+          <button
+            key={key}
+            onClick={() => setTool(key)}
+            className={`py-1 px-3 rounded-md text-sm transition-colors duration-300 ${tool === key ? 'bg-blue-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className="text-sm text-gray-600 mb-3">{TOOLS[tool].hint}</p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        {(tool === 'wall' || tool === 'room') && (
+          <>
+            <label htmlFor="wall-material" className="font-medium text-gray-700">Material:</label>
+            <select id="wall-material" value={material} onChange={(e) => setMaterial(e.target.value)} className={inputClass}>
+              {Object.entries(WALL_MATERIALS).map(([key, { label, loss }]) => (
+                <option key={key} value={key}>{label} (−{loss} dB)</option>
+              ))}
+            </select>
+          </>
+        )}
+        <label htmlFor="plan-width" className="font-medium text-gray-700">Size (m):</label>
+        <input
+          id="plan-width"
+          type="number"
+          min="2"
+          max="60"
+          value={plan.width}
+          onChange={(e) => setSize({ width: Number(e.target.value) })}
+          className={`w-20 ${inputClass}`}
+        />
+        <span className="text-gray-500">×</span>
+        <input
+          type="number"
+          aria-label="Plan depth in meters"
+          min="2"
+          max="60"
+          value={plan.height}
+          onChange={(e) => setSize({ height: Number(e.target.value) })}
+          className={`w-20 ${inputClass}`}
+        />
+        <label className="py-1 px-3 rounded-md bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 cursor-pointer">
+          Upload Plan Image
+          <input type="file" accept="image/*" onChange={handleUpload} className="hidden" />
+        </label>
+        {plan.background && (
+          <button onClick={() => setPlan({ ...plan, background: null })} className="text-red-600 hover:underline">Remove Image</button>
+        )}
+        <button onClick={() => setPlan(createFloorPlan(plan.width, plan.height))} className="text-blue-600 hover:underline">Start Empty</button>
+        <button onClick={() => setPlan(createSampleFloorPlan())} className="text-blue-600 hover:underline">Load Sample</button>
+        <label className="flex items-center gap-2 text-gray-700">
+          <input type="checkbox" checked={showHeatmap} onChange={() => setShowHeatmap(!showHeatmap)} />
+          Show heatmap
+        </label>
+      </div>
+
+      {selectedItem && (
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+          <label htmlFor="plan-item-label" className="font-medium text-gray-700">Name:</label>
+          <input
+            id="plan-item-label"
+            type="text"
+            value={selectedItem.label !== undefined ? selectedItem.label : selectedItem.name}
+            onChange={(e) => setPlan(updatePlanItem(plan, selectedItem.id, selectedItem.label !== undefined
+              ? { label: e.target.value }
+              : { name: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+      )}
+      {message && <p className="text-sm text-gray-600 mb-3">{message}</p>}
+
+      <div ref={containerRef} className="w-full bg-gray-50 border border-gray-300 rounded-lg overflow-hidden">
+        <canvas
+          ref={canvasRef}
+          className="block mx-auto max-w-full"
+          style={{ cursor: tool === 'select' ? 'grab' : 'crosshair', touchAction: 'none' }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+        ></canvas>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-medium text-gray-700">Signal:</span>
+        <span
+          className="inline-block w-32 h-3 rounded"
+          style={{ background: `linear-gradient(to right, ${getHeatmapColor(-90)}, ${getHeatmapColor(-60)}, ${getHeatmapColor(-30)})` }}
+        ></span>
+        {SIGNAL_LEVELS.map(level => (
+          <span key={level.label} className="font-medium" style={{ color: level.color }}>
+            {level.label}{Number.isFinite(level.min) ? ` (≥ ${level.min} dBm)` : ''}
+          </span>
+        ))}
+      </div>
+      <p className="mt-2 text-sm text-gray-700">
+        {heatmap
+          ? `${Math.round(coverage * 100)}% of the plan has good signal or better.`
+          : `Place a ${ACCESS_POINT_KINDS.router.label.toLowerCase()} to see the estimated coverage.`}
+      </p>
+
+      <h4 className="font-semibold text-gray-800 mt-4 mb-2">Placed Devices</h4>
+      {signals.length === 0 ? (
+        <p className="text-sm text-gray-500">Use the Smart Device tool to place devices on the plan.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-600 border-b">
+              <th className="py-1 text-left">Device</th>
+              <th className="py-1 text-left">Estimated Signal</th>
+              <th className="py-1 text-left">Connected To</th>
+            </tr>
+          </thead>
+          <tbody>
+            {signals.map(device => (
+              <tr key={device.id} className="border-b border-gray-100">
+                <td className="py-1">{device.label}</td>
+                <td className="py-1 font-medium" style={{ color: device.level.color }}>
+                  {device.rssi === null ? device.level.label : `${device.percent}% (${Math.round(device.rssi)} dBm, ${device.level.label})`}
+                </td>
+                <td className="py-1">{accessPointLabels.get(device.accessPointId) || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="mt-3 text-xs text-gray-500">
+        Estimates use a log-distance path loss model at 5 GHz with a fixed loss per wall. Real coverage also
+        depends on furniture, interference and the devices themselves.
+      </p>
+    </div>
+  );
+};
+
+export default FloorPlanPlanner;
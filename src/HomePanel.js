@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { ROLES, ROLE_KEYS, INVITE_ROLES, canManage, isLastOwner } from './homes';
+
+const buttonClass = 'py-1 px-3 rounded-md text-sm transition-colors duration-300 disabled:opacity-50';
+const primaryClass = `${buttonClass} bg-blue-600 text-white hover:bg-blue-700`;
+const secondaryClass = `${buttonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-100`;
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+// Picks which home is shown and manages it: members and their roles, invite codes, and
+// joining someone else's home with a code. `homes` is the result of useHomes().
+const HomePanel = ({ homes, account }) => {
+  const { home, role } = homes;
+  const [newHomeName, setNewHomeName] = useState('');
+  const [homeName, setHomeName] = useState(null); // Non-null while renaming
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [joinCode, setJoinCode] = useState('');
+  const [message, setMessage] = useState(null); // { type: 'error' | 'info', text }
+
+  const run = (action, success) => {
+    setMessage(null);
+    return action()
+      .then(result => {
+        if (success) setMessage({ type: 'info', text: typeof success === 'function' ? success(result) : success });
+      })
+      .catch(error => {
+        console.error("Home error:", error);
+        setMessage({ type: 'error', text: error.message });
+      });
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(() => homes.createHome(newHomeName), `Created "${newHomeName.trim()}".`).then(() => setNewHomeName(''));
+  };
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    run(() => homes.joinHome(joinCode), 'Joined the home.').then(() => setJoinCode(''));
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    run(() => homes.renameHome(homeName)).then(() => setHomeName(null));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${home.name}" and all of its data for every member?`)) return;
+    run(() => homes.deleteHome(), `Deleted "${home.name}".`);
+  };
+
+  const handleLeave = () => {
+    if (!window.confirm(`Leave "${home.name}"? You'll need a new invite to come back.`)) return;
+    run(() => homes.leaveHome(), `Left "${home.name}".`);
+  };
+
+  if (homes.homesError) {
+    return <p className="mt-6 text-red-600 text-sm">{homes.homesError}</p>;
+  }
+  if (!home && !homes.loaded) {
+    return <p className="mt-6 text-sm text-gray-500">Loading your homes...</p>;
+  }
+
+  const messageText = message && (
+    <p className={`mt-2 ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+  );
+  const otherHomeForms = (
+    <>
+      <form onSubmit={handleJoin} className="flex items-center gap-2">
+        <input aria-label="Invite code" placeholder="Invite code" value={joinCode} onChange={(e) => setJoinCode(e.target.value)} className={inputClass} />
+        <button type="submit" disabled={!joinCode.trim()} className={secondaryClass}>Join</button>
+      </form>
+      <form onSubmit={handleCreate} className="flex items-center gap-2">
+        <input aria-label="New home name" placeholder="New home name" value={newHomeName} onChange={(e) => setNewHomeName(e.target.value)} className={inputClass} />
+        <button type="submit" disabled={!newHomeName.trim()} className={secondaryClass}>Create home</button>
+      </form>
+    </>
+  );
+
+  if (!home) {
+    return (
+      <div className="mt-6 bg-white p-4 rounded-lg shadow-md border border-gray-200 text-left text-sm">
+        <p className="mb-3 text-gray-700">You're not in any home yet. Create one, or join someone else's with an invite code.</p>
+        <div className="flex flex-wrap gap-4">{otherHomeForms}</div>
+        {messageText}
+      </div>
+    );
+  }
+
+  const managing = canManage(role);
+  const uid = account ? account.uid : null;
+  const lastOwner = isLastOwner(home, uid);
+
+  return (
+    <div className="mt-6 bg-white p-4 rounded-lg shadow-md border border-gray-200 text-left text-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="text-lg font-bold text-gray-800">Home</h3>
+        <select
+          aria-label="Home"
+          value={home.id}
+          onChange={(e) => homes.selectHome(e.target.value)}
+          className={inputClass}
+        >
+          {homes.homes.map(item => (
+            <option key={item.id} value={item.id}>{item.name} ({ROLES[item.role].label})</option>
+          ))}
+        </select>
+      </div>
+
+      {homeName !== null ? (
+        <form onSubmit={handleRename} className="flex flex-wrap gap-2 mb-2">
+          <input aria-label="Home name" value={homeName} onChange={(e) => setHomeName(e.target.value)} className={`flex-1 ${inputClass}`} />
+          <button type="submit" className={primaryClass}>Rename</button>
+          <button type="button" onClick={() => setHomeName(null)} className={secondaryClass}>Cancel</button>
+        </form>
+      ) : (
+        <p className="text-gray-600 mb-2">
+          You're {role === 'viewer' ? 'a' : 'an'} <span className="font-semibold">{ROLES[role].label.toLowerCase()}</span> of{' '}
+          <span className="font-semibold">{home.name}</span>. {ROLES[role].description}
+          {managing && (
+            <button onClick={() => setHomeName(home.name)} className="ml-2 text-blue-600 hover:underline">Rename</button>
+          )}
+        </p>
+      )}
+
+      {/* Members */}
+      <h4 className="font-semibold text-gray-800 mt-3 mb-1">Members</h4>
+      <ul className="divide-y divide-gray-100 mb-3">
+        {home.members.map(member => (
+          <li key={member.uid} className="py-1 flex flex-wrap items-center justify-between gap-2">
+            <span className="text-gray-800">
+              {member.name || 'Guest'}
+              {member.uid === uid && <span className="text-gray-500"> (you)</span>}
+            </span>
+            {managing && !(member.uid === uid && lastOwner) ? (
+              <span className="flex items-center gap-2">
+                <select
+                  aria-label={`Role of ${member.name || 'Guest'}`}
+                  value={member.role}
+                  onChange={(e) => run(() => homes.setMemberRole(member.uid, e.target.value))}
+                  className={inputClass}
+                >
+                  {ROLE_KEYS.map(key => <option key={key} value={key}>{ROLES[key].label}</option>)}
+                </select>
+                {member.uid !== uid && (
+                  <button onClick={() => run(() => homes.removeMember(member.uid))} className="text-red-600 hover:underline">Remove</button>
+                )}
+              </span>
+            ) : (
+              <span className="text-gray-500">{ROLES[member.role].label}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Invites */}
+      {managing && (
+        <>
+          <h4 className="font-semibold text-gray-800 mb-1">Invite someone</h4>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <select aria-label="Invite role" value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} className={inputClass}>
+              {INVITE_ROLES.map(key => <option key={key} value={key}>{ROLES[key].label}</option>)}
+            </select>
+            <button
+              onClick={() => run(() => homes.createInvite(inviteRole), code => `Invite code created: ${code}`)}
+              className={primaryClass}
+            >
+              Create invite code
+            </button>
+          </div>
+          {homes.invites.length > 0 && (
+            <ul className="mb-3 space-y-1">
+              {homes.invites.map(invite => (
+                <li key={invite.code} className="flex flex-wrap items-center justify-between gap-2">
+                  <code className="px-1 bg-gray-100 rounded select-all">{invite.code}</code>
+                  <span className="text-gray-500">{ROLES[invite.role].label}</span>
+                  <button onClick={() => run(() => homes.revokeInvite(invite.code))} className="text-red-600 hover:underline">Revoke</button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="text-xs text-gray-500 mb-3">Anyone signed in with a code can join until you revoke it.</p>
+        </>
+      )}
+
+      {/* Other homes */}
+      <div className="flex flex-wrap gap-4 border-t border-gray-100 pt-3">{otherHomeForms}</div>
+      <div className="mt-3 flex gap-4">
+        {managing && <button onClick={handleDelete} className="text-red-600 hover:underline">Delete this home</button>}
+        {!lastOwner && <button onClick={handleLeave} className="text-gray-600 hover:underline">Leave this home</button>}
+      </div>
+
+      {messageText}
+    </div>
+  );
+};
+
+export default HomePanel;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import {
+  HISTORY_WINDOWS, HISTORY_METRICS, MAX_HISTORY_ENTRIES, subscribeToHistory, summarizeSeries, downsampleSeries,
+} from './networkHistory';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 80;
+
+const formatValue = (value, unit) => (value === null ? 'N/A' : `${value.toFixed(1)}${unit}`);
+
+// Single-metric line chart drawn as inline SVG, scaled to the selected time window
+const MetricChart = ({ points, color, from, to }) => {
+  if (points.length === 0) {
+    return <p className="text-xs text-gray-500 italic py-6 text-center">No readings in this window.</p>;
+  }
+  const values = points.map(point => point.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const toX = (t) => ((t - from) / (to - from)) * CHART_WIDTH;
+  const toY = (value) => CHART_HEIGHT - 4 - ((value - min) / range) * (CHART_HEIGHT - 8);
+  const line = points.map(point => `${toX(point.t).toFixed(1)},${toY(point.value).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" className="w-full h-20 bg-white rounded border border-gray-200">
+      <polyline points={line} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      {points.length === 1 && <circle cx={toX(points[0].t)} cy={toY(points[0].value)} r="3" fill={color} />}
+    </svg>
+  );
+};
+
+// Charts of signal strength, latency and delivery rate over a selectable time window
+const NetworkHistoryPanel = ({ dataSource, homeId }) => {
+  const [windowKey, setWindowKey] = useState('hour');
+  const [entries, setEntries] = useState([]);
+  const [historyError, setHistoryError] = useState(null);
+  const [range, setRange] = useState(null);
+
+  useEffect(() => {
+    if (!dataSource || !homeId) return;
+    const to = Date.now();
+    const from = to - HISTORY_WINDOWS[windowKey].duration;
+    setRange({ from, to });
+    setHistoryError(null);
+
+    const unsubscribe = subscribeToHistory(dataSource, homeId, from, (history) => {
+      setEntries(history);
+      const latest = history.reduce((newest, entry) => Math.max(newest, entry.timestamp), Date.now());
+      setRange({ from, to: latest });
+    }, (error) => {
+      console.error("Error fetching network history from Realtime Database:", error);
+      setHistoryError(`Failed to load history: ${error.message}`);
+    });
+    return () => unsubscribe(); // Cleanup history listener
+  }, [dataSource, homeId, windowKey]);
+
+  return (
+    <div className="mt-6 pt-4 border-t border-blue-200 text-left">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="font-bold text-blue-800">History</h4>
+        <select
+          aria-label="History window"
+          value={windowKey}
+          onChange={(e) => setWindowKey(e.target.value)}
+          className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        >
+          {Object.entries(HISTORY_WINDOWS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {historyError ? (
+        <p className="text-red-600 text-sm">{historyError}</p>
+      ) : (
+        <div className="space-y-4">
+          {entries.length >= MAX_HISTORY_ENTRIES && (
+            <p className="text-xs text-gray-500 italic">
+              Showing the latest {MAX_HISTORY_ENTRIES.toLocaleString()} readings in this window.
+            </p>
+          )}
+          {HISTORY_METRICS.map(metric => {
+            const summary = summarizeSeries(entries, metric.key);
+            return (
+              <div key={metric.key}>
+                <div className="flex justify-between items-baseline text-sm mb-1">
+                  <span className="font-semibold text-gray-700">{metric.label}</span>
+                  <span className="text-xs text-gray-500">
+                    min {formatValue(summary.min, metric.unit)} · avg {formatValue(summary.avg, metric.unit)} · max {formatValue(summary.max, metric.unit)}
+                  </span>
+                </div>
+                {range && (
+                  <MetricChart
+                    points={downsampleSeries(entries, metric.key)}
+                    color={metric.color}
+                    from={range.from}
+                    to={range.to}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NetworkHistoryPanel;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { TOPOLOGY_TYPES } from './topology';
+import { summarizeEntry } from './packetStats';
+
+const formatSeconds = (ms) => (ms === null ? '—' : `${(ms / 1000).toFixed(1)} s`);
+
+// Delivery counts per topology plus the most recent end-to-end deliveries
+const PacketStatsPanel = ({ stats, activeTopology, onReset }) => (
+  <div className="mt-6 bg-white p-4 rounded-lg shadow-md border border-gray-200 text-left">
+    <div className="flex justify-between items-center mb-3">
+      <h3 className="text-lg font-bold text-gray-800">Packet Delivery</h3>
+      <button
+        onClick={onReset}
+        className="py-1 px-3 rounded-md text-sm bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors duration-300"
+      >
+        Reset Counters
+      </button>
+    </div>
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-gray-600 border-b border-gray-200">
+            <th className="py-1 pr-2 font-semibold">Topology</th>
+            <th className="py-1 px-2 font-semibold text-right">Delivered</th>
+            <th className="py-1 px-2 font-semibold text-right">Dropped</th>
+            <th className="py-1 px-2 font-semibold text-right">Blocked</th>
+            <th className="py-1 px-2 font-semibold text-right">Avg Hops</th>
+            <th className="py-1 pl-2 font-semibold text-right">Avg Travel Time</th>
+          </tr>
+        </thead>
+        <tbody>
+          {TOPOLOGY_TYPES.map(type => {
+            const summary = summarizeEntry(stats.byTopology[type]);
+            return (
+              <tr key={type} className={`border-b border-gray-100 ${type === activeTopology ? 'bg-blue-50 font-medium' : ''}`}>
+                <td className="py-1 pr-2 capitalize">{type}</td>
+                <td className="py-1 px-2 text-right">{summary.delivered}</td>
+                <td className="py-1 px-2 text-right">{summary.dropped}</td>
+                <td className="py-1 px-2 text-right">{summary.blocked}</td>
+                <td className="py-1 px-2 text-right">{summary.averageHops === null ? '—' : summary.averageHops.toFixed(2)}</td>
+                <td className="py-1 pl-2 text-right">{formatSeconds(summary.averageTravelTime)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+    {stats.recent.length > 0 && (
+      <div className="mt-3">
+        <h4 className="text-sm font-semibold text-gray-700 mb-1">Recent Deliveries</h4>
+        <ul className="text-xs text-gray-600 space-y-1">
+          {stats.recent.map((packet, i) => (
+            <li key={i}>
+              <span className="capitalize">{packet.topology}</span>: {packet.sourceLabel} → {packet.destinationLabel},{' '}
+              {packet.hops} hop{packet.hops === 1 ? '' : 's'}, {formatSeconds(packet.travelTime)}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+  </div>
+);
+
+export default PacketStatsPanel;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { describeAuthError, getAccountLabel, getAccountInitial, getProviderLabels } from './userAccount';
+
+// Header menu for the signed-in account. Guests can save their session to an email or
+// Google account (keeping their home) or sign in to an existing one; account holders see
+// how they signed in and can sign out.
+const ProfileMenu = ({ dataSource, account }) => {
+  const [open, setOpen] = useState(false);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'error' | 'info', text }
+  const menuRef = useRef(null);
+
+  // Close when clicking elsewhere or pressing Escape
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKey);
+    };
+  }, [open]);
+
+  // A different account starts with a clean form
+  const uid = account ? account.uid : null;
+  useEffect(() => {
+    setPassword('');
+  }, [uid]);
+
+  const run = (action, success) => {
+    setBusy(true);
+    setMessage(null);
+    action()
+      .then(() => {
+        setPassword('');
+        setMessage(success ? { type: 'info', text: success } : null);
+      })
+      .catch(error => {
+        console.error("Account error:", error);
+        setMessage({ type: 'error', text: describeAuthError(error) });
+      })
+      .finally(() => setBusy(false));
+  };
+
+  const handleCreateAccount = (e) => {
+    e.preventDefault();
+    run(() => dataSource.createAccount(email.trim(), password), 'Account saved. Sign in with it on your other devices.');
+  };
+  const handleSignIn = () => run(() => dataSource.signInWithEmail(email.trim(), password));
+  const handleGoogle = () => run(() => dataSource.signInWithGoogle());
+  const handleSignOut = () => run(() => dataSource.signOut());
+
+  const ready = Boolean(dataSource && account);
+  const isGuest = !account || account.isAnonymous;
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        aria-haspopup="true"
+        aria-expanded={open}
+        className="flex items-center gap-2 py-1 px-2 rounded-md hover:bg-blue-600 transition-colors duration-300"
+      >
+        <span className={`w-8 h-8 rounded-full flex items-center justify-center font-bold ${isGuest ? 'bg-blue-500' : 'bg-white text-blue-700'}`}>
+          {getAccountInitial(account)}
+        </span>
+        <span className="hidden md:inline max-w-[10rem] truncate">{getAccountLabel(account)}</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white text-gray-800 rounded-lg shadow-xl border border-gray-200 p-4 text-left text-sm">
+          {!ready ? (
+            <p className="text-gray-600">Connecting to the data source...</p>
+          ) : isGuest ? (
+            <>
+              <p className="font-semibold text-gray-800">You're using a guest session</p>
+              <p className="text-gray-600 mt-1 mb-3">
+                Guest data lives in this browser only. Save it to an account to keep your home and see it on your phone and laptop.
+              </p>
+              <form onSubmit={handleCreateAccount} className="space-y-2">
+                <input
+                  type="email"
+                  aria-label="Email"
+                  placeholder="Email"
+                  autoComplete="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+                <input
+                  type="password"
+                  aria-label="Password"
+                  placeholder="Password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    disabled={busy}
+                    className="flex-1 py-1 px-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Save to new account
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleSignIn}
+                    disabled={busy}
+                    className="flex-1 py-1 px-2 border border-blue-600 text-blue-700 rounded-md hover:bg-blue-50 disabled:opacity-50"
+                  >
+                    Sign in
+                  </button>
+                </div>
+              </form>
+              <button
+                onClick={handleGoogle}
+                disabled={busy}
+                className="w-full mt-2 py-1 px-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+              >
+                Continue with Google
+              </button>
+              <p className="text-xs text-gray-500 mt-2">
+                Signing in to an existing account switches to that account's home; this guest session's data is not merged into it.
+              </p>
+            </>
+          ) : (
+            <>
+              <p className="font-semibold text-gray-800 truncate">{getAccountLabel(account)}</p>
+              {account.email && account.email !== getAccountLabel(account) && (
+                <p className="text-gray-600 truncate">{account.email}</p>
+              )}
+              <p className="text-xs text-gray-500 mt-1">Signed in with {getProviderLabels(account).join(' and ') || 'a token'}</p>
+              <button
+                onClick={handleSignOut}
+                disabled={busy}
+                className="w-full mt-3 py-1 px-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+              >
+                Sign out
+              </button>
+            </>
+          )}
+          {message && (
+            <p className={`mt-2 ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>{message.text}</p>
+          )}
+          {account && <p className="text-xs text-gray-400 mt-3 break-all">User ID: {account.uid}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfileMenu;
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { HOME_SIZES, DEVICE_TYPES, BUDGETS, DEFAULT_ANSWERS, recommendTopology } from './topologyRecommendation';
+
+const STEPS = ['Your Home', 'Your Devices', 'Your Priorities'];
+
+const PRIORITY_LABELS = {
+  1: 'Lowest cost',
+  2: 'Mostly cost',
+  3: 'Balanced',
+  4: 'Mostly reliability',
+  5: 'Maximum reliability',
+};
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+// Step-by-step questionnaire that scores the topologies and hands the winner to the visualizer
+const RecommendationWizard = ({ onApply }) => {
+  const [step, setStep] = useState(0);
+  const [answers, setAnswers] = useState(DEFAULT_ANSWERS);
+  const [result, setResult] = useState(null);
+
+  const setAnswer = (key, value) => setAnswers(prev => ({ ...prev, [key]: value }));
+  const toggleDeviceType = (type) => setAnswer('deviceTypes', answers.deviceTypes.includes(type)
+    ? answers.deviceTypes.filter(item => item !== type)
+    : [...answers.deviceTypes, type]);
+
+  const startOver = () => {
+    setStep(0);
+    setResult(null);
+  };
+
+  if (result) {
+    const [best, ...others] = result.ranking;
+    return (
+      <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-200 text-left">
+        <p className="text-sm text-gray-600">We recommend</p>
+        <h3 className="text-3xl font-bold text-gray-800 capitalize mb-1">{best.type} Topology</h3>
+        <p className="text-sm text-gray-600 mb-4">Score {best.score} / 100 for {answers.deviceCount} devices</p>
+        <ul className="list-disc list-inside text-gray-700 space-y-1 mb-6">
+          {best.reasons.map(reason => <li key={reason}>{reason}</li>)}
+        </ul>
+        <h4 className="font-semibold text-gray-800 mb-2">How the others compare</h4>
+        <ul className="space-y-2 mb-6">
+          {others.map(entry => (
+            <li key={entry.type} className="text-sm">
+              <div className="flex justify-between text-gray-700">
+                <span className="capitalize">{entry.type}</span>
+                <span>{entry.score}</span>
+              </div>
+              <div className="h-2 bg-gray-200 rounded">
+                <div className="h-2 bg-blue-400 rounded" style={{ width: `${entry.score}%` }}></div>
+              </div>
+              {entry.reasons.length > 0 && <p className="text-xs text-gray-500 mt-1">{entry.reasons[entry.reasons.length - 1]}</p>}
+            </li>
+          ))}
+        </ul>
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={() => onApply(best.type, answers.deviceCount)}
+            className="py-2 px-4 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-300"
+          >
+            Visualize {best.type}
+          </button>
+          <button
+            onClick={startOver}
+            className="py-2 px-4 rounded-md font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 transition-colors duration-300"
+          >
+            Start Over
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-xl border border-gray-200 text-left">
+      <p className="text-sm text-gray-500 mb-1">Step {step + 1} of {STEPS.length}</p>
+      <h3 className="text-2xl font-bold text-gray-800 mb-4">{STEPS[step]}</h3>
+
+      {step === 0 && (
+        <div className="space-y-4">
+          <fieldset>
+            <legend className="font-medium text-gray-700 mb-2">How big is your home?</legend>
+            {Object.entries(HOME_SIZES).map(([size, { label }]) => (
+              <label key={size} className="flex items-center gap-2 text-gray-700">
+                <input type="radio" name="home-size" checked={answers.homeSize === size} onChange={() => setAnswer('homeSize', size)} />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+          <label className="flex items-center gap-2 text-gray-700">
+            <span className="font-medium">Floors:</span>
+            <input
+              type="number"
+              min="1"
+              max="5"
+              value={answers.floors}
+              onChange={(e) => setAnswer('floors', Math.min(5, Math.max(1, Number(e.target.value) || 1)))}
+              className={`w-20 ${inputClass}`}
+            />
+          </label>
+        </div>
+      )}
+
+      {step === 1 && (
+        <div className="space-y-4">
+          <label className="flex items-center gap-2 text-gray-700">
+            <span className="font-medium">Number of devices:</span>
+            <input
+              type="number"
+              min="2"
+              max="40"
+              value={answers.deviceCount}
+              onChange={(e) => setAnswer('deviceCount', Math.min(40, Math.max(2, Number(e.target.value) || 2)))}
+              className={`w-20 ${inputClass}`}
+            />
+          </label>
+          <fieldset>
+            <legend className="font-medium text-gray-700 mb-2">Which kinds of devices?</legend>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+              {Object.entries(DEVICE_TYPES).map(([type, { label }]) => (
+                <label key={type} className="flex items-center gap-2 text-gray-700">
+                  <input type="checkbox" checked={answers.deviceTypes.includes(type)} onChange={() => toggleDeviceType(type)} />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        </div>
+      )}
+
+      {step === 2 && (
+        <div className="space-y-4">
+          <fieldset>
+            <legend className="font-medium text-gray-700 mb-2">What is your budget?</legend>
+            {Object.entries(BUDGETS).map(([budget, { label }]) => (
+              <label key={budget} className="flex items-center gap-2 text-gray-700">
+                <input type="radio" name="budget" checked={answers.budget === budget} onChange={() => setAnswer('budget', budget)} />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+          <label className="block text-gray-700">
+            <span className="font-medium">Reliability vs. cost:</span> {PRIORITY_LABELS[answers.priority]}
+            <input
+              type="range"
+              min="1"
+              max="5"
+              value={answers.priority}
+              onChange={(e) => setAnswer('priority', Number(e.target.value))}
+              className="block w-full mt-2"
+            />
+          </label>
+        </div>
+      )}
+
+      <div className="flex justify-between mt-6">
+        <button
+          onClick={() => setStep(step - 1)}
+          disabled={step === 0}
+          className="py-2 px-4 rounded-md font-medium bg-gray-200 text-gray-800 hover:bg-gray-300 disabled:opacity-50 transition-colors duration-300"
+        >
+          Back
+        </button>
+        {step < STEPS.length - 1 ? (
+          <button
+            onClick={() => setStep(step + 1)}
+            className="py-2 px-4 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-300"
+          >
+            Next
+          </button>
+        ) : (
+          <button
+            onClick={() => setResult(recommendTopology(answers))}
+            className="py-2 px-4 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-300"
+          >
+            See Recommendation
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecommendationWizard;
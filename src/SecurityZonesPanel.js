@@ -0,0 +1,103 @@
+import React from 'react';
+import { SECURITY_ZONES, ZONE_KEYS, RISK_LEVELS, getNodeZone, getZoneRules } from './securityZones';
+import { CANVAS_COLORS } from './topologyRenderer';
+
+// Zone legend, the allow/deny matrix between zones and the risk report for the canvas graph.
+// `enabled` turns on the regions and rule enforcement on the canvas; rules can be edited
+// either way. `risks` comes from findSecurityRisks.
+const SecurityZonesPanel = ({ enabled, onToggle, graph, onSetRule, onApplyRecommended, risks }) => {
+  const rules = getZoneRules(graph);
+  const counts = graph.nodes.reduce((totals, node) => {
+    const zone = getNodeZone(node);
+    if (zone) totals[zone] = (totals[zone] || 0) + 1;
+    return totals;
+  }, {});
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 text-left text-sm">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <h4 className="font-semibold text-gray-800">Security Zones</h4>
+        <label className="flex items-center gap-2 text-gray-700">
+          <input type="checkbox" checked={enabled} onChange={onToggle} />
+          Show zones and enforce their rules
+        </label>
+      </div>
+      <p className="text-gray-600 mb-3">
+        Put each device in a zone with the Zone picker in edit mode; devices without one are Trusted.
+        {enabled && (
+          <> Routers block traffic between zones that the rules deny
+            (<span className="font-bold" style={{ color: CANVAS_COLORS.failure }}>⛔</span>).</>
+        )}
+      </p>
+
+      <ul className="flex flex-wrap gap-x-4 gap-y-1 mb-3">
+        {ZONE_KEYS.map(zone => (
+          <li key={zone} className="flex items-center gap-1" title={SECURITY_ZONES[zone].description}>
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: SECURITY_ZONES[zone].color }}></span>
+            {SECURITY_ZONES[zone].label} ({counts[zone] || 0})
+          </li>
+        ))}
+      </ul>
+
+      <div className="overflow-x-auto mb-2">
+        <table className="text-xs">
+          <thead>
+            <tr className="text-gray-600">
+              <th className="py-1 pr-2 font-semibold text-left">From ↓ / To →</th>
+              {ZONE_KEYS.map(to => <th key={to} className="py-1 px-2 font-semibold">{SECURITY_ZONES[to].label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {ZONE_KEYS.map(from => (
+              <tr key={from}>
+                <th className="py-1 pr-2 font-semibold text-left text-gray-600">{SECURITY_ZONES[from].label}</th>
+                {ZONE_KEYS.map(to => {
+                  if (from === to) return <td key={to} className="py-1 px-2 text-center text-gray-400">—</td>;
+                  const denied = rules[from][to] === 'deny';
+                  return (
+                    <td key={to} className="py-1 px-2 text-center">
+                      <button
+                        onClick={() => onSetRule(from, to, denied ? 'allow' : 'deny')}
+                        aria-label={`${SECURITY_ZONES[from].label} to ${SECURITY_ZONES[to].label}: ${denied ? 'deny' : 'allow'}`}
+                        className={`w-14 py-0.5 rounded font-medium ${denied ? 'bg-red-100 text-red-700 hover:bg-red-200' : 'bg-green-100 text-green-700 hover:bg-green-200'}`}
+                      >
+                        {denied ? 'Deny' : 'Allow'}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <button
+        onClick={onApplyRecommended}
+        className="mb-3 py-1 px-3 rounded-md bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 transition-colors duration-300"
+      >
+        Move Devices to Recommended Zones
+      </button>
+
+      <h5 className="font-semibold text-gray-800 mb-1">Risk Report</h5>
+      {risks.length === 0 ? (
+        <p className="text-green-700">No risky placements or rules found.</p>
+      ) : (
+        <ul className="space-y-1">
+          {risks.map((risk, i) => (
+            <li key={i} className="flex items-start gap-2">
+              <span
+                className="shrink-0 text-xs font-semibold px-1.5 rounded text-white"
+                style={{ backgroundColor: RISK_LEVELS[risk.level].color }}
+              >
+                {RISK_LEVELS[risk.level].label}
+              </span>
+              <span className="text-gray-700">{risk.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SecurityZonesPanel;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { CANVAS_COLORS } from './topologyRenderer';
+import { FRAME_RATE } from './sharedMedium';
+
+const Counter = ({ label, value }) => (
+  <div className="p-2 bg-white rounded border border-gray-200 text-center">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-lg font-semibold text-gray-800">{value}</p>
+  </div>
+);
+
+// Toggle and live counters for the bus shared-medium (CSMA/CD) simulation.
+// `stats` is the summary from the canvas, or null before the first update.
+const SharedMediumPanel = ({ enabled, onToggle, stats }) => (
+  <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 text-left text-sm">
+    <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+      <h4 className="font-semibold text-gray-800">Shared Medium</h4>
+      <label className="flex items-center gap-2 text-gray-700">
+        <input type="checkbox" checked={enabled} onChange={onToggle} />
+        Simulate the bus as one shared cable (CSMA/CD)
+      </label>
+    </div>
+    {enabled ? (
+      <>
+        <p className="text-gray-600 mb-3">
+          Only one device can talk on the bus at a time. Each device listens first, but a signal takes time to
+          travel, so two devices can start together: their signals collide
+          (<span className="font-bold" style={{ color: CANVAS_COLORS.failure }}>✺</span>) and both retry after a random,
+          growing wait. Each device sends {FRAME_RATE * 60} frames a minute, so add devices to watch the bus saturate.
+        </p>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+          <Counter label="Throughput" value={stats ? `${stats.throughput.toFixed(2)} frames/s` : '–'} />
+          <Counter label="Utilization" value={stats ? `${Math.round(stats.utilization * 100)}%` : '–'} />
+          <Counter label="Collisions" value={stats ? stats.collisions : '–'} />
+          <Counter label="Delivered" value={stats ? stats.delivered : '–'} />
+          <Counter label="Dropped" value={stats ? stats.dropped : '–'} />
+        </div>
+        {stats && <p className="mt-2 text-xs text-gray-500">{stats.stations} devices sharing the bus. Counters restart when the bus changes.</p>}
+      </>
+    ) : (
+      <p className="text-gray-600">Packets travel the bus as if every device had its own link.</p>
+    )}
+  </div>
+);
+
+export default SharedMediumPanel;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { SIGNAL_BANDS, BASE_PACKET_SPEED } from './telemetryVisuals';
+import { CANVAS_COLORS, LINK_LOAD_BANDS } from './topologyRenderer';
+import { TRAFFIC_PROFILES } from './trafficProfiles';
+import { LINK_CAPACITY } from './packetSimulation';
+import { HEALTH_LEVELS } from './deviceTelemetry';
+
+// Explains how live readings are mapped onto the canvas, with the values currently applied
+const TelemetryLegend = ({ enabled, onToggle, visuals }) => (
+  <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 text-left text-sm">
+    <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+      <h4 className="font-semibold text-gray-800">Legend</h4>
+      <label className="flex items-center gap-2 text-gray-700">
+        <input type="checkbox" checked={enabled} onChange={onToggle} />
+        Drive animation from live data
+      </label>
+    </div>
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div>
+        <p className="font-medium text-gray-700 mb-1">Links: signal strength</p>
+        <ul className="space-y-1">
+          {SIGNAL_BANDS.map(band => (
+            <li key={band.label} className="flex items-center gap-2">
+              <span className="inline-block w-8 rounded" style={{ backgroundColor: band.color, height: band.width }}></span>
+              {band.label}
+            </li>
+          ))}
+          <li className="flex items-center gap-2">
+            <span className="inline-block w-8 rounded" style={{ backgroundColor: CANVAS_COLORS.connection, height: 2 }}></span>
+            No reading
+          </li>
+        </ul>
+      </div>
+      <div>
+        <p className="font-medium text-gray-700 mb-1">Packet speed: latency</p>
+        <p className="text-gray-600">Lower latency moves packets faster.</p>
+        <p className="text-gray-600">
+          Current: {(visuals.packetSpeed / BASE_PACKET_SPEED).toFixed(2)}× base speed
+        </p>
+      </div>
+      <div>
+        <p className="font-medium text-gray-700 mb-1">Packet loss: delivery rate</p>
+        <p className="text-gray-600 flex items-center gap-2">
+          <span className="font-bold" style={{ color: CANVAS_COLORS.failure }}>✕</span>
+          marks a dropped packet.
+        </p>
+        <p className="text-gray-600">Current: {Math.round((1 - visuals.deliveryRatio) * 100)}% of packets dropped</p>
+      </div>
+    </div>
+    <div className="mt-3 flex flex-wrap items-center gap-3">
+      <span className="font-medium text-gray-700">Device rings: per-device health</span>
+      {Object.entries(HEALTH_LEVELS).filter(([level]) => level !== 'unknown').map(([level, { label, color }]) => (
+        <span key={level} className="flex items-center gap-1 text-gray-600">
+          <span className="inline-block w-3 h-3 rounded-full border-2" style={{ borderColor: color }}></span>
+          {label}
+        </span>
+      ))}
+      <span className="text-gray-500">(hover a device for its readings)</span>
+    </div>
+    <div className="mt-3 flex flex-wrap items-center gap-3">
+      <span className="font-medium text-gray-700">Packets: device traffic</span>
+      {Object.entries(TRAFFIC_PROFILES).filter(([, profile]) => profile.pattern !== 'none').map(([type, { label, color }]) => (
+        <span key={type} className="flex items-center gap-1 text-gray-600">
+          <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: color }}></span>
+          {label}
+        </span>
+      ))}
+      <span className="text-gray-500">(bigger dots carry more data; set a device's type in edit mode)</span>
+    </div>
+    <div className="mt-3 flex flex-wrap items-center gap-3">
+      <span className="font-medium text-gray-700">Link load: share of {LINK_CAPACITY.link} KB/s in use</span>
+      {LINK_LOAD_BANDS.map(band => (
+        <span key={band.label} className="font-bold" style={{ color: band.color }}>{band.label}</span>
+      ))}
+      <span className="text-gray-500">Packets queue at a busy link and drop when the queue is full.</span>
+    </div>
+    {enabled && !visuals.live && (
+      <p className="mt-3 text-xs text-gray-500">No live readings yet; showing default behavior.</p>
+    )}
+  </div>
+);
+
+export default TelemetryLegend;
@@ -0,0 +1,517 @@
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { getNode, moveNode, addDevice, removeNode, addLink, removeEdge } from './topology';
+import {
+  drawTopology, drawPacket, drawDropMarker, drawCollisionMarker, drawBlockedMarker, drawSharedMedium, findNodeAt, findEdgeAt,
+  DROP_MARKER_DURATION, COLLISION_MARKER_DURATION, BLOCK_MARKER_DURATION,
+} from './topologyRenderer';
+import { createRoutedPacket, assignPacketLoss, updatePackets, createLinkStates } from './packetSimulation';
+import { createTrafficState, generateTraffic } from './trafficProfiles';
+import { DEFAULT_TELEMETRY_VISUALS } from './telemetryVisuals';
+import { HEALTH_LEVELS, getNodeRingColors } from './deviceTelemetry';
+import { NO_FAILURES } from './routing';
+import { createSharedMedium, stepSharedMedium, summarizeMediumStats } from './sharedMedium';
+import { getZoneRules, isTrafficAllowed } from './securityZones';
+import { describeTopology, describeNode, findNodeInDirection } from './topologyDescription';
+
+export const EDIT_TOOLS = ['move', 'add', 'link', 'delete'];
+
+const MEDIUM_STATS_INTERVAL = 500; // Milliseconds between shared-medium counter updates
+const REDUCED_MOTION_FRAME_INTERVAL = 250; // Milliseconds between still frames when motion is reduced
+
+const formatReading = (value, unit) => (typeof value === 'number' ? `${value}${unit}` : 'N/A');
+
+// Floating card with a device's own readings, shown while hovering it
+const DeviceTooltip = ({ node, device, position }) => {
+  const health = HEALTH_LEVELS[device ? device.health : 'unknown'];
+  const telemetry = device && device.telemetry;
+  return (
+    <div
+      role="tooltip"
+      className="absolute z-10 pointer-events-none bg-white border border-gray-300 rounded-md shadow-lg p-2 text-left text-xs text-gray-700"
+      style={{ left: position.x + 12, top: position.y + 12 }}
+    >
+      <p className="font-semibold text-gray-800">{node.label}</p>
+      <p style={{ color: health.color }} className="font-medium">{health.label}</p>
+      {telemetry ? (
+        <>
+          <p>Signal: {formatReading(telemetry.signalStrength, '%')}</p>
+          <p>Latency: {formatReading(telemetry.latency, 'ms')}</p>
+          <p>Delivery: {formatReading(telemetry.deliveryRate, '%')}</p>
+          {telemetry.timestamp && <p className="text-gray-500">{new Date(telemetry.timestamp).toLocaleTimeString()}</p>}
+        </>
+      ) : (
+        <p className="text-gray-500">No telemetry for this device.</p>
+      )}
+    </div>
+  );
+};
+
+// Animated canvas for a topology graph. In edit mode pointer input is turned into
+// graph edits (drag, add, link, delete) reported through `onGraphChange`; otherwise
+// clicking a device or link toggles its simulated failure through `onToggleFailure`.
+// Devices send traffic according to their type (see ./trafficProfiles.js) over links with
+// limited bandwidth; each link's utilization is printed under it.
+// `telemetry` ({ linkStyle, packetSpeed, deliveryRatio }) ties the animation to live readings;
+// `nodeTelemetry` ({ [nodeId]: { telemetry, health } }) adds per-device health rings and tooltips.
+// With `sharedMedium` on, a bus carries one CSMA/CD transmission at a time instead of routed
+// packets, and `onMediumStats` receives its summarized counters a couple of times a second.
+// With `securityZones` on, zones are drawn as colored regions and routers block the traffic
+// the graph's zone rules deny.
+// The canvas is focusable: arrow keys (plus Home and End) move a focus ring between nodes and
+// Enter or Space acts on the focused node like a click, with both announced to screen
+// readers. With `reducedMotion` on, the simulation keeps running but packets, signals and
+// markers aren't drawn and the canvas is repainted only a few times a second. While `hidden`
+// (covered by another view of the diagram), the simulation pauses and the canvas is taken out
+// of the tab order and the accessibility tree.
+const TopologyCanvas = ({
+  graph,
+  onGraphChange,
+  onResize,
+  editMode = false,
+  editTool = 'move',
+  selectedNodeId = null,
+  onSelectNode = () => {},
+  failures = NO_FAILURES,
+  isolatedNodeIds = [],
+  onToggleFailure = () => {},
+  onPacketEvents = () => {},
+  telemetry = DEFAULT_TELEMETRY_VISUALS,
+  nodeTelemetry = {},
+  sharedMedium = false,
+  onMediumStats = () => {},
+  securityZones = false,
+  reducedMotion = false,
+  hidden = false,
+}) => {
+  const canvasRef = useRef(null);
+  const [hover, setHover] = useState(null); // { nodeId, x, y } in CSS pixels for the tooltip
+  const [focusedNodeId, setFocusedNodeId] = useState(null); // Node reached with the arrow keys
+  const [hasFocus, setHasFocus] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
+  const descriptionId = useId();
+  const animationFrameId = useRef(null); // To store animation frame ID for cleanup
+  const graphRef = useRef(graph);
+  const packetsRef = useRef([]);
+  const dropsRef = useRef([]); // Recently dropped packets, drawn as fading markers
+  const trafficRef = useRef(createTrafficState()); // Per-device send timers
+  const linksRef = useRef(createLinkStates()); // Per-link queues and utilization
+  const mediumRef = useRef(null); // Shared-medium state, rebuilt when the bus or its failures change
+  const collisionsRef = useRef([]); // Recent collisions, drawn as fading bursts
+  const blocksRef = useRef([]); // Packets recently blocked by zone rules, drawn on their router
+  const sharedMediumRef = useRef(sharedMedium);
+  const securityZonesRef = useRef(securityZones);
+  const reducedMotionRef = useRef(reducedMotion);
+  const hiddenRef = useRef(hidden);
+  const resumeRef = useRef(null); // Restarts the animation loop after a pause
+  const overlayRef = useRef({
+    selectedNodeId,
+    focusedNodeId: null,
+    hoveredEdgeId: null,
+    linkSourceId: null,
+    pointer: null,
+    failures,
+    isolatedNodeIds,
+    linkStyle: telemetry.linkStyle,
+    linkLoads: null,
+    showZones: securityZones,
+  });
+  const telemetryRef = useRef(telemetry);
+  const draggingIdRef = useRef(null);
+  const onResizeRef = useRef(onResize);
+  const onPacketEventsRef = useRef(onPacketEvents);
+  const onMediumStatsRef = useRef(onMediumStats);
+
+  // Keep the animation loop reading the latest props without restarting it
+  useEffect(() => {
+    graphRef.current = graph;
+  }, [graph]);
+
+  useEffect(() => {
+    onResizeRef.current = onResize;
+    onPacketEventsRef.current = onPacketEvents;
+    onMediumStatsRef.current = onMediumStats;
+  }, [onResize, onPacketEvents, onMediumStats]);
+
+  useEffect(() => {
+    sharedMediumRef.current = sharedMedium;
+    mediumRef.current = null;
+    packetsRef.current = [];
+    linksRef.current = createLinkStates();
+    overlayRef.current.linkLoads = null;
+  }, [sharedMedium]);
+
+  useEffect(() => {
+    securityZonesRef.current = securityZones;
+    overlayRef.current.showZones = securityZones;
+  }, [securityZones]);
+
+  useEffect(() => {
+    reducedMotionRef.current = reducedMotion;
+  }, [reducedMotion]);
+
+  useEffect(() => {
+    hiddenRef.current = hidden;
+    if (!hidden && animationFrameId.current === null && resumeRef.current) resumeRef.current();
+  }, [hidden]);
+
+  useEffect(() => {
+    overlayRef.current.selectedNodeId = selectedNodeId;
+    const node = selectedNodeId && graphRef.current && getNode(graphRef.current, selectedNodeId);
+    if (node) setAnnouncement(`${node.label || node.id} selected.`);
+  }, [selectedNodeId]);
+
+  // The ring only shows while the canvas has keyboard focus, and goes when its node is deleted
+  const focusedNode = graph && focusedNodeId ? getNode(graph, focusedNodeId) : null;
+  useEffect(() => {
+    overlayRef.current.focusedNodeId = hasFocus && focusedNode ? focusedNode.id : null;
+  }, [hasFocus, focusedNode]);
+
+  useEffect(() => {
+    telemetryRef.current = telemetry;
+    overlayRef.current.linkStyle = telemetry.linkStyle;
+  }, [telemetry]);
+
+  useEffect(() => {
+    overlayRef.current.nodeRingColors = getNodeRingColors(nodeTelemetry);
+  }, [nodeTelemetry]);
+
+  useEffect(() => {
+    overlayRef.current.failures = failures;
+    overlayRef.current.isolatedNodeIds = isolatedNodeIds;
+  }, [failures, isolatedNodeIds]);
+
+  useEffect(() => {
+    // Drop any half-drawn link when leaving edit mode or switching tools
+    overlayRef.current.linkSourceId = null;
+    overlayRef.current.hoveredEdgeId = null;
+    draggingIdRef.current = null;
+  }, [editMode, editTool]);
+
+  // --- Canvas Drawing Logic with Animation ---
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return; // Canvas not supported (e.g. test environments)
+
+    let lastTime = 0;
+    let lastStatsTime = 0;
+    let lastFrameTime = 0;
+
+    // One step of the shared bus: frames wait for silence, collide and back off
+    const animateSharedMedium = (currentGraph, deltaTime, currentTime, showMotion) => {
+      const failures = overlayRef.current.failures;
+      let medium = mediumRef.current;
+      if (!medium || medium.graph !== currentGraph || medium.failures !== failures) {
+        // Failures keep the counters running; a different bus starts them over
+        const stats = medium && medium.graph === currentGraph ? medium.stats : undefined;
+        medium = { ...createSharedMedium(currentGraph, failures, stats), graph: currentGraph, failures };
+        mediumRef.current = medium;
+        collisionsRef.current = [];
+      }
+
+      overlayRef.current.linkLoads = null;
+      const { delivered, dropped, collisions } = stepSharedMedium(medium, deltaTime);
+      if (delivered.length > 0 || dropped.length > 0) {
+        onPacketEventsRef.current(currentGraph.type, { delivered, dropped });
+      }
+      if (showMotion) drawSharedMedium(ctx, medium);
+
+      collisions.forEach(collision => collisionsRef.current.push({ ...collision, time: currentTime }));
+      collisionsRef.current = collisionsRef.current.filter(collision => currentTime - collision.time < COLLISION_MARKER_DURATION);
+      if (showMotion) collisionsRef.current.forEach(collision => drawCollisionMarker(ctx, collision, currentTime - collision.time));
+
+      if (currentTime - lastStatsTime > MEDIUM_STATS_INTERVAL) {
+        onMediumStatsRef.current({ ...summarizeMediumStats(medium.stats), stations: medium.stations.length });
+        lastStatsTime = currentTime;
+      }
+      return dropped;
+    };
+
+    // Devices send packets following their traffic profiles; links queue what they can't carry
+    // yet and routers stop what the zone rules deny
+    const animatePackets = (currentGraph, deltaTime, currentTime, showMotion) => {
+      const failures = overlayRef.current.failures;
+      const rules = securityZonesRef.current ? getZoneRules(currentGraph) : null;
+      const spawnDrops = [];
+      generateTraffic(currentGraph, trafficRef.current, deltaTime, failures).forEach(send => {
+        const denied = Boolean(rules) && !isTrafficAllowed(currentGraph, send.source, send.destination, rules);
+        const newPacket = createRoutedPacket(currentGraph, send.source, send.destination, failures, send, denied);
+        if (newPacket) {
+          packetsRef.current.push(assignPacketLoss(newPacket, telemetryRef.current.deliveryRatio));
+        } else {
+          // No route at all: the packet dies at its source
+          const sourceNode = getNode(currentGraph, send.source);
+          if (sourceNode) spawnDrops.push({ x: sourceNode.x, y: sourceNode.y, source: send.source, destination: send.destination });
+        }
+      });
+
+      const { packets, delivered, dropped: droppedInFlight, blocked } = updatePackets(
+        packetsRef.current, currentGraph, deltaTime, telemetryRef.current.packetSpeed, failures, linksRef.current
+      );
+      overlayRef.current.linkLoads = linksRef.current;
+      const dropped = [...spawnDrops, ...droppedInFlight];
+      packetsRef.current = packets;
+      if (delivered.length > 0 || dropped.length > 0 || blocked.length > 0) {
+        onPacketEventsRef.current(currentGraph.type, { delivered, dropped, blocked });
+      }
+      if (showMotion) packetsRef.current.forEach(packet => drawPacket(ctx, packet));
+
+      blocked.forEach(block => blocksRef.current.push({ ...block, time: currentTime }));
+      blocksRef.current = blocksRef.current.filter(block => currentTime - block.time < BLOCK_MARKER_DURATION);
+      if (showMotion) blocksRef.current.forEach(block => drawBlockedMarker(ctx, block, currentTime - block.time));
+      return dropped;
+    };
+
+    // Main draw and animation loop function
+    const animate = (currentTime) => {
+      if (hiddenRef.current) {
+        animationFrameId.current = null; // Paused until shown again
+        return;
+      }
+      const deltaTime = currentTime - lastTime;
+      lastTime = currentTime;
+
+      // With reduced motion only still frames are drawn, a few times a second
+      const showMotion = !reducedMotionRef.current;
+      const drawFrame = showMotion || currentTime - lastFrameTime >= REDUCED_MOTION_FRAME_INTERVAL;
+      if (drawFrame) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height); // Clear canvas
+        lastFrameTime = currentTime;
+      }
+
+      const currentGraph = graphRef.current;
+      if (currentGraph) {
+        if (drawFrame) drawTopology(ctx, currentGraph, overlayRef.current);
+
+        const dropped = sharedMediumRef.current && currentGraph.type === 'bus'
+          ? animateSharedMedium(currentGraph, deltaTime, currentTime, showMotion)
+          : animatePackets(currentGraph, deltaTime, currentTime, showMotion);
+
+        dropped.forEach(drop => dropsRef.current.push({ ...drop, time: currentTime }));
+        dropsRef.current = dropsRef.current.filter(drop => currentTime - drop.time < DROP_MARKER_DURATION);
+        if (showMotion) dropsRef.current.forEach(drop => drawDropMarker(ctx, drop, currentTime - drop.time));
+      }
+
+      animationFrameId.current = requestAnimationFrame(animate); // Continue the loop
+    };
+
+    // Set canvas dimensions to be responsive
+    const resizeCanvas = () => {
+      canvas.width = canvas.offsetWidth;
+      canvas.height = Math.min(canvas.offsetWidth * 0.6, 400);
+      packetsRef.current = []; // Clear packets on resize
+      linksRef.current = createLinkStates();
+      overlayRef.current.linkLoads = null;
+      dropsRef.current = [];
+      collisionsRef.current = [];
+      blocksRef.current = [];
+      if (onResizeRef.current) {
+        onResizeRef.current({ width: canvas.width, height: canvas.height });
+      }
+    };
+
+    // Initial setup
+    resizeCanvas();
+    window.addEventListener('resize', resizeCanvas);
+    resumeRef.current = () => {
+      lastTime = performance.now(); // Reset lastTime for smooth animation start
+      animationFrameId.current = requestAnimationFrame(animate);
+    };
+    resumeRef.current();
+
+    // Cleanup function
+    return () => {
+      window.removeEventListener('resize', resizeCanvas);
+      if (animationFrameId.current) {
+        cancelAnimationFrame(animationFrameId.current);
+      }
+    };
+  }, []);
+
+  // --- Pointer handling ---
+  const toCanvasPoint = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!graph) return;
+    const { x, y } = toCanvasPoint(e);
+    const node = findNodeAt(graph, x, y);
+    const overlay = overlayRef.current;
+
+    if (!editMode) {
+      if (node) {
+        onToggleFailure('nodes', node.id);
+      } else {
+        const edge = findEdgeAt(graph, x, y);
+        if (edge) onToggleFailure('edges', edge.id);
+      }
+      return;
+    }
+
+    switch (editTool) {
+      case 'move':
+        onSelectNode(node ? node.id : null);
+        if (node) {
+          draggingIdRef.current = node.id;
+          e.currentTarget.setPointerCapture(e.pointerId);
+        }
+        break;
+      case 'add':
+        if (!node) onGraphChange(addDevice(graph, x, y));
+        else onSelectNode(node.id);
+        break;
+      case 'link':
+        if (!node) {
+          overlay.linkSourceId = null;
+        } else if (!overlay.linkSourceId) {
+          overlay.linkSourceId = node.id;
+        } else {
+          onGraphChange(addLink(graph, overlay.linkSourceId, node.id));
+          overlay.linkSourceId = null;
+        }
+        break;
+      case 'delete': {
+        if (node) {
+          if (node.id === selectedNodeId) onSelectNode(null);
+          onGraphChange(removeNode(graph, node.id));
+          break;
+        }
+        const edge = findEdgeAt(graph, x, y);
+        if (edge) onGraphChange(removeEdge(graph, edge.id));
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  const updateHover = (e, point) => {
+    const node = findNodeAt(graph, point.x, point.y);
+    if (!node) {
+      if (hover) setHover(null);
+      return;
+    }
+    const rect = canvasRef.current.getBoundingClientRect();
+    setHover({ nodeId: node.id, x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!graph) return;
+    const point = toCanvasPoint(e);
+    if (!editMode) {
+      updateHover(e, point);
+      return;
+    }
+    const overlay = overlayRef.current;
+    overlay.pointer = point;
+
+    if (draggingIdRef.current) {
+      const canvas = canvasRef.current;
+      const x = Math.max(0, Math.min(canvas.width, point.x));
+      const y = Math.max(0, Math.min(canvas.height, point.y));
+      onGraphChange(moveNode(graph, draggingIdRef.current, x, y));
+    } else if (editTool === 'delete') {
+      const edge = findNodeAt(graph, point.x, point.y) ? null : findEdgeAt(graph, point.x, point.y);
+      overlay.hoveredEdgeId = edge ? edge.id : null;
+    }
+  };
+
+  const handlePointerUp = () => {
+    draggingIdRef.current = null;
+  };
+
+  // --- Keyboard handling ---
+  const describeOptions = { failures, isolatedNodeIds, nodeTelemetry, showZones: securityZones };
+
+  const focusNode = (id) => {
+    const node = getNode(graph, id);
+    setFocusedNodeId(id);
+    setAnnouncement(describeNode(graph, id, describeOptions));
+    // Show the same readings card a pointer hover would
+    const canvas = canvasRef.current;
+    const scale = canvas.getBoundingClientRect().width / canvas.width || 1;
+    setHover({ nodeId: id, x: node.x * scale, y: node.y * scale });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!graph) return;
+    if (e.key === 'Enter' || e.key === ' ') {
+      if (!focusedNode) return;
+      e.preventDefault();
+      const label = focusedNode.label || focusedNode.id;
+      if (editMode) {
+        onSelectNode(focusedNode.id);
+      } else {
+        const failed = failures.nodes.includes(focusedNode.id);
+        onToggleFailure('nodes', focusedNode.id);
+        setAnnouncement(failed ? `${label} restored.` : `${label} marked as failed.`);
+      }
+      return;
+    }
+    if (e.key === 'Escape') {
+      setFocusedNodeId(null);
+      setHover(null);
+      if (editMode) onSelectNode(null);
+      return;
+    }
+    const nextId = findNodeInDirection(graph, focusedNode ? focusedNode.id : null, e.key);
+    if (nextId) {
+      e.preventDefault();
+      focusNode(nextId);
+    } else if (focusedNode && e.key.startsWith('Arrow')) {
+      e.preventDefault();
+      setAnnouncement(`No node further ${e.key.slice(5).toLowerCase()} from ${focusedNode.label || focusedNode.id}.`);
+    }
+  };
+
+  const cursor = !editMode ? 'pointer' : editTool === 'move' ? 'grab' : 'crosshair';
+
+  const hoveredNode = hover && graph ? getNode(graph, hover.nodeId) : null;
+
+  return (
+    <div className="relative w-full" aria-hidden={hidden || undefined}>
+      <canvas
+        ref={canvasRef}
+        className="w-full h-auto block focus:outline-none focus-visible:ring-4 focus-visible:ring-sky-600"
+        style={{ cursor, touchAction: editMode ? 'none' : 'auto' }}
+        tabIndex={hidden ? -1 : 0}
+        role="application"
+        aria-roledescription="network diagram"
+        aria-label="Network topology"
+        aria-describedby={descriptionId}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setHasFocus(true)}
+        onBlur={() => {
+          setHasFocus(false);
+          setHover(null);
+        }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => {
+          overlayRef.current.pointer = null;
+          setHover(null);
+        }}
+      ></canvas>
+      {hoveredNode && !editMode && (
+        <DeviceTooltip node={hoveredNode} device={nodeTelemetry[hoveredNode.id]} position={hover} />
+      )}
+      <p id={descriptionId} className="sr-only">
+        {graph ? describeTopology(graph, { failures, isolatedNodeIds }) : ''}
+        {' '}Use the arrow keys to move between nodes, Home and End to jump to the first and last one,
+        and Enter to {editMode ? 'select' : 'fail or restore'} the focused node.
+      </p>
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+    </div>
+  );
+};
+
+export default TopologyCanvas;
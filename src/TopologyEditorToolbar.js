@@ -0,0 +1,104 @@
+import React from 'react';
+import { EDIT_TOOLS } from './TopologyCanvas';
+import { TRAFFIC_PROFILES } from './trafficProfiles';
+import { SECURITY_ZONES } from './securityZones';
+
+const TOOL_LABELS = {
+  move: 'Select / Move',
+  add: 'Add Device',
+  link: 'Draw Link',
+  delete: 'Delete',
+};
+
+const TOOL_HINTS = {
+  move: 'Drag devices to reposition them. Click a device to rename it.',
+  add: 'Click an empty spot on the canvas to add a device.',
+  link: 'Click one device, then another, to connect them.',
+  delete: 'Click a device or a link to remove it.',
+};
+
+// Edit-mode controls shown above the topology canvas. `selectedDeviceType` is the traffic
+// profile of the selected device (null for hubs), which `onSetDeviceType` changes;
+// `selectedZone` is its security zone, changed through `onSetZone`.
+const TopologyEditorToolbar = ({
+  editMode, onToggleEditMode, editTool, onToolChange, selectedNode, onRename, onSetDeviceId,
+  selectedDeviceType = null, onSetDeviceType, selectedZone = null, onSetZone, onReset,
+}) => (
+  <div className="mb-4 flex flex-col items-center space-y-3">
+    <div className="flex flex-wrap justify-center gap-2">
+      <button
+        onClick={onToggleEditMode}
+        className={`py-2 px-4 rounded-md font-medium transition-colors duration-300 ${editMode ? 'bg-purple-600 text-white hover:bg-purple-700' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+      >
+        {editMode ? 'Done Editing' : 'Edit Topology'}
+      </button>
+      {editMode && EDIT_TOOLS.map(tool => (
+        <button
+          key={tool}
+          onClick={() => onToolChange(tool)}
+          className={`py-2 px-3 rounded-md text-sm transition-colors duration-300 ${editTool === tool ? 'bg-blue-600 text-white' : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'}`}
+        >
+          {TOOL_LABELS[tool]}
+        </button>
+      ))}
+      {editMode && (
+        <button
+          onClick={onReset}
+          className="py-2 px-3 rounded-md text-sm bg-white border border-red-300 text-red-600 hover:bg-red-50 transition-colors duration-300"
+        >
+          Reset Layout
+        </button>
+      )}
+    </div>
+    {editMode && <p className="text-sm text-gray-600">{TOOL_HINTS[editTool]}</p>}
+    {editMode && selectedNode && (
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        <label htmlFor="node-label-input" className="text-sm font-medium text-gray-700">Label:</label>
+        <input
+          id="node-label-input"
+          type="text"
+          value={selectedNode.label}
+          onChange={(e) => onRename(selectedNode.id, e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        <label htmlFor="node-device-id-input" className="text-sm font-medium text-gray-700">Device ID:</label>
+        <input
+          id="node-device-id-input"
+          type="text"
+          placeholder={selectedNode.id}
+          value={selectedNode.deviceId || ''}
+          onChange={(e) => onSetDeviceId(selectedNode.id, e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        {selectedDeviceType && (
+          <>
+            <label htmlFor="node-device-type-select" className="text-sm font-medium text-gray-700">Traffic:</label>
+            <select
+              id="node-device-type-select"
+              value={selectedDeviceType}
+              onChange={(e) => onSetDeviceType(selectedNode.id, e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            >
+              {Object.entries(TRAFFIC_PROFILES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+          </>
+        )}
+        {selectedZone && (
+          <>
+            <label htmlFor="node-zone-select" className="text-sm font-medium text-gray-700">Zone:</label>
+            <select
+              id="node-zone-select"
+              value={selectedZone}
+              onChange={(e) => onSetZone(selectedNode.id, e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            >
+              {Object.entries(SECURITY_ZONES).map(([zone, { label }]) => <option key={zone} value={zone}>{label}</option>)}
+            </select>
+          </>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+export default TopologyEditorToolbar;
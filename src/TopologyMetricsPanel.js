@@ -0,0 +1,91 @@
+import React from 'react';
+import { HOME_WIDTH_METERS } from './topologyMetrics';
+
+const formatNumber = (value, digits = 1) => (value === null ? '—' : value.toFixed(digits));
+const formatPercent = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+
+const METRIC_ROWS = [
+  { key: 'nodeCount', label: 'Nodes', format: (value) => value },
+  { key: 'linkCount', label: 'Links', format: (value) => value },
+  { key: 'diameter', label: 'Diameter (hops)', format: (value) => value },
+  { key: 'averageHops', label: 'Avg Hop Count', format: (value) => formatNumber(value, 2) },
+  { key: 'cableLength', label: 'Cable Length', format: (value) => `${formatNumber(value)} m` },
+  { key: 'redundantLinks', label: 'Redundant Links', format: (value) => value },
+  { key: 'faultTolerance', label: 'Fault Tolerance', format: formatPercent },
+  { key: 'worstFailureLoss', label: 'Worst Single Failure', format: (value) => `${formatPercent(value)} cut off` },
+];
+
+// Metrics of the topology on the canvas, plus every topology side by side at the same device count
+const TopologyMetricsPanel = ({ metrics, comparison, activeTopology, deviceCount }) => (
+  <div className="mt-6 bg-white p-4 rounded-lg shadow-md border border-gray-200 text-left">
+    <h3 className="text-lg font-bold text-gray-800 mb-3">Topology Analytics</h3>
+    <dl className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+      {METRIC_ROWS.map(({ key, label, format }) => (
+        <div key={key} className="p-2 bg-gray-50 rounded-md border border-gray-200">
+          <dt className="text-gray-600">{label}</dt>
+          <dd className="text-lg font-semibold text-gray-800">{format(metrics[key])}</dd>
+        </div>
+      ))}
+    </dl>
+    {metrics.unreachablePairs > 0 && (
+      <p className="mt-2 text-sm text-red-600">
+        {metrics.unreachablePairs} device pair{metrics.unreachablePairs === 1 ? ' has' : 's have'} no path between them.
+      </p>
+    )}
+
+    <h4 className="mt-4 text-sm font-semibold text-gray-700 mb-1">Single Points of Failure</h4>
+    {metrics.singlePointsOfFailure.length === 0 ? (
+      <p className="text-sm text-gray-600">None: no single device or link failure cuts off the rest of the network.</p>
+    ) : (
+      <ul className="text-sm text-gray-700 space-y-1">
+        {metrics.singlePointsOfFailure.map(point => (
+          <li key={`${point.kind}-${point.id}`}>
+            <span className="font-medium">{point.kind === 'nodes' ? 'Device' : 'Link'}: {point.label}</span>
+            {' '}cuts off {point.isolated} node{point.isolated === 1 ? '' : 's'}
+          </li>
+        ))}
+      </ul>
+    )}
+
+    <h4 className="mt-4 text-sm font-semibold text-gray-700 mb-1">Comparison with {deviceCount} Devices</h4>
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-gray-600 border-b border-gray-200">
+            <th className="py-1 pr-2 font-semibold">Metric</th>
+            {comparison.map(({ type }) => (
+              <th key={type} className={`py-1 px-2 font-semibold text-right capitalize ${type === activeTopology ? 'bg-blue-50' : ''}`}>
+                {type}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {METRIC_ROWS.map(({ key, label, format }) => (
+            <tr key={key} className="border-b border-gray-100">
+              <td className="py-1 pr-2">{label}</td>
+              {comparison.map(({ type, metrics: entry }) => (
+                <td key={type} className={`py-1 px-2 text-right ${type === activeTopology ? 'bg-blue-50 font-medium' : ''}`}>
+                  {format(entry[key])}
+                </td>
+              ))}
+            </tr>
+          ))}
+          <tr>
+            <td className="py-1 pr-2">Single Points of Failure</td>
+            {comparison.map(({ type, metrics: entry }) => (
+              <td key={type} className={`py-1 px-2 text-right ${type === activeTopology ? 'bg-blue-50 font-medium' : ''}`}>
+                {entry.singlePointsOfFailure.length}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+    <p className="mt-2 text-xs text-gray-500">
+      Cable lengths assume the canvas spans a home about {HOME_WIDTH_METERS} m wide. The comparison uses each topology's default layout.
+    </p>
+  </div>
+);
+
+export default TopologyMetricsPanel;
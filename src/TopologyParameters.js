@@ -0,0 +1,138 @@
+import React from 'react';
+import {
+  DEFAULT_DEVICE_COUNTS, DEFAULT_TREE_SHAPE, HYBRID_SEGMENT_KINDS, HYBRID_BRIDGING, PARAMETER_LIMITS, defaultHybridComposition,
+} from './topology';
+
+const MAX_DEVICES = PARAMETER_LIMITS.devices;
+const MAX_TREE_DEPTH = PARAMETER_LIMITS.treeDepth;
+const MAX_TREE_BRANCHING = PARAMETER_LIMITS.treeBranching;
+const MAX_HYBRID_SEGMENTS = PARAMETER_LIMITS.hybridSegments;
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+const clampInt = (value, min, max) => Math.min(max, Math.max(min, Math.round(Number(value)) || min));
+
+// Size controls for the generated topology. Unset values (null) mean the topology's default.
+const TopologyParameters = ({
+  topology,
+  deviceCount, onDeviceCountChange,
+  treeDepth, treeBranching, onTreeShapeChange,
+  hybridComposition, onHybridCompositionChange,
+}) => {
+  const devices = deviceCount || DEFAULT_DEVICE_COUNTS[topology];
+
+  if (topology === 'hybrid') {
+    const composition = hybridComposition || defaultHybridComposition(devices);
+    const setSegments = (segments) => onHybridCompositionChange({ ...composition, segments });
+    const updateSegment = (index, changes) =>
+      setSegments(composition.segments.map((segment, i) => (i === index ? { ...segment, ...changes } : segment)));
+    const total = composition.segments.reduce((sum, segment) => sum + segment.devices, 0);
+
+    return (
+      <div className="mt-4 flex flex-col items-center gap-2 text-sm">
+        <span className="font-medium text-gray-700">Hybrid Parts ({total} devices):</span>
+        {composition.segments.map((segment, i) => (
+          <div key={i} className="flex items-center gap-2">
+            <select
+              aria-label={`Part ${i + 1} topology`}
+              value={segment.kind}
+              onChange={(e) => updateSegment(i, { kind: e.target.value })}
+              className={`${inputClass} capitalize`}
+            >
+              {HYBRID_SEGMENT_KINDS.map(kind => <option key={kind} value={kind}>{kind}</option>)}
+            </select>
+            <input
+              type="number"
+              aria-label={`Part ${i + 1} devices`}
+              min="1"
+              max={MAX_DEVICES}
+              value={segment.devices}
+              onChange={(e) => updateSegment(i, { devices: clampInt(e.target.value, 1, MAX_DEVICES) })}
+              className={`w-20 ${inputClass}`}
+            />
+            <button
+              onClick={() => setSegments(composition.segments.filter((_, index) => index !== i))}
+              disabled={composition.segments.length <= 1}
+              className="text-red-600 hover:underline disabled:opacity-50"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <div className="flex flex-wrap items-center justify-center gap-2">
+          <button
+            onClick={() => setSegments([...composition.segments, { kind: 'star', devices: 3 }])}
+            disabled={composition.segments.length >= MAX_HYBRID_SEGMENTS}
+            className="py-1 px-3 rounded-md bg-white border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50 transition-colors duration-300"
+          >
+            Add Part
+          </button>
+          <label htmlFor="hybrid-bridging" className="font-medium text-gray-700">Bridging:</label>
+          <select
+            id="hybrid-bridging"
+            value={composition.bridging}
+            onChange={(e) => onHybridCompositionChange({ ...composition, bridging: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(HYBRID_BRIDGING).map(([bridging, label]) => <option key={bridging} value={bridging}>{label}</option>)}
+          </select>
+          {hybridComposition && (
+            <button onClick={() => onHybridCompositionChange(null)} className="text-blue-600 hover:underline">Default</button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-4 flex flex-wrap items-center justify-center gap-3 text-sm">
+      <label htmlFor="device-count" className="font-medium text-gray-700">Devices:</label>
+      <input
+        id="device-count"
+        type="range"
+        min="1"
+        max={MAX_DEVICES}
+        value={devices}
+        onChange={(e) => onDeviceCountChange(Number(e.target.value))}
+      />
+      <input
+        type="number"
+        aria-label="Device count"
+        min="1"
+        max={MAX_DEVICES}
+        value={devices}
+        onChange={(e) => onDeviceCountChange(clampInt(e.target.value, 1, MAX_DEVICES))}
+        className={`w-20 ${inputClass}`}
+      />
+      {deviceCount !== null && (
+        <button onClick={() => onDeviceCountChange(null)} className="text-blue-600 hover:underline">Default</button>
+      )}
+      {topology === 'tree' && (
+        <>
+          <label htmlFor="tree-depth" className="font-medium text-gray-700">Depth:</label>
+          <input
+            id="tree-depth"
+            type="number"
+            min="1"
+            max={MAX_TREE_DEPTH}
+            value={treeDepth || DEFAULT_TREE_SHAPE.depth}
+            onChange={(e) => onTreeShapeChange({ depth: clampInt(e.target.value, 1, MAX_TREE_DEPTH) })}
+            className={`w-16 ${inputClass}`}
+          />
+          <label htmlFor="tree-branching" className="font-medium text-gray-700">Branching:</label>
+          <input
+            id="tree-branching"
+            type="number"
+            min="1"
+            max={MAX_TREE_BRANCHING}
+            value={treeBranching || DEFAULT_TREE_SHAPE.branching}
+            onChange={(e) => onTreeShapeChange({ branching: clampInt(e.target.value, 1, MAX_TREE_BRANCHING) })}
+            className={`w-16 ${inputClass}`}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TopologyParameters;
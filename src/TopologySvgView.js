@@ -0,0 +1,18 @@
+import React, { useMemo } from 'react';
+import { renderTopologySvg } from './topologySvg';
+
+// Vector view of the canvas graph, laid over the canvas so it keeps the canvas's size.
+// `overlay` takes the same failure, telemetry and zone options as drawTopology. The view
+// is static: packets and clicks stay with the canvas view.
+const TopologySvgView = ({ graph, overlay }) => {
+  const svg = useMemo(() => renderTopologySvg(graph, overlay, { fit: true }), [graph, overlay]);
+
+  return (
+    <div
+      className="absolute inset-0 bg-white"
+      dangerouslySetInnerHTML={{ __html: svg.markup }}
+    />
+  );
+};
+
+export default TopologySvgView;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { getVisibleNodes } from './topology';
+import { describeTopology, describeNode } from './topologyDescription';
+
+// Text version of the diagram: a summary plus one line per node with its links and status.
+// `options` takes the failure, telemetry and zone state the canvas is showing.
+const TopologyTextDescription = ({ graph, options }) => (
+  <details className="mt-2 text-left text-sm text-gray-700">
+    <summary className="cursor-pointer font-medium text-gray-800">Text description of the diagram</summary>
+    <p className="mt-2">{describeTopology(graph, options)}</p>
+    <ul className="mt-1 list-disc pl-5 space-y-0.5">
+      {getVisibleNodes(graph).map(node => <li key={node.id}>{describeNode(graph, node.id, options)}</li>)}
+    </ul>
+  </details>
+);
+
+export default TopologyTextDescription;
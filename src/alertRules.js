@@ -0,0 +1,110 @@
+// src/alertRules.js
+// Threshold alert rules on live network metrics. Rules live under homes/{homeId}/alert_rules
+// and the alerts they raise under homes/{homeId}/alerts, so everyone in the home sees them.
+// Evaluation itself is pure: it takes the previous per-rule state and returns the next one.
+
+import { HISTORY_METRICS, parseMetric, parseTimestamp } from './networkHistory';
+
+export const ALERT_OPERATORS = {
+  above: { label: 'above', test: (value, threshold) => value > threshold },
+  below: { label: 'below', test: (value, threshold) => value < threshold },
+};
+
+export const ALERT_STATUSES = ['active', 'acknowledged', 'cleared'];
+
+export const alertRulesPath = (homeId) => `homes/${homeId}/alert_rules`;
+export const alertsPath = (homeId) => `homes/${homeId}/alerts`;
+
+const getMetric = (key) => HISTORY_METRICS.find(metric => metric.key === key);
+
+// Human-readable rule text, e.g. "Latency above 100ms for 2 min"
+export const describeRule = (rule) => {
+  const metric = getMetric(rule.metric);
+  const label = metric ? metric.label : rule.metric;
+  const unit = metric ? metric.unit : '';
+  const duration = rule.durationMinutes > 0 ? ` for ${rule.durationMinutes} min` : '';
+  return `${label} ${ALERT_OPERATORS[rule.operator].label} ${rule.threshold}${unit}${duration}`;
+};
+
+// Checks one reading against every enabled rule. `ruleState` maps ruleId to
+// { breachStartedAt, firing }; a rule fires once when its condition has held for its
+// whole duration and re-arms as soon as the condition clears. Readings without a timestamp
+// are skipped: every member's app has to agree on when a breach started, and the alert is
+// named after the reading that raised it (see getAlertId).
+// Returns { ruleState, triggered: [{ rule, value, triggeredAt }] }.
+export const evaluateRules = (rules, reading, ruleState = {}) => {
+  const time = parseTimestamp(reading.timestamp);
+  if (time === null) return { ruleState, triggered: [] };
+  const nextState = {};
+  const triggered = [];
+
+  rules.forEach(rule => {
+    const previous = ruleState[rule.id] || { breachStartedAt: null, firing: false };
+    const value = parseMetric(reading[rule.metric]);
+    const operator = ALERT_OPERATORS[rule.operator];
+    if (!rule.enabled || !operator || value === null || !operator.test(value, rule.threshold)) {
+      nextState[rule.id] = { breachStartedAt: null, firing: false };
+      return;
+    }
+
+    const breachStartedAt = previous.breachStartedAt ?? time;
+    const heldFor = time - breachStartedAt;
+    const shouldFire = heldFor >= (rule.durationMinutes || 0) * 60 * 1000;
+    if (shouldFire && !previous.firing) {
+      triggered.push({ rule, value, triggeredAt: time });
+    }
+    nextState[rule.id] = { breachStartedAt, firing: previous.firing || shouldFire };
+  });
+
+  return { ruleState: nextState, triggered };
+};
+
+// How far back the rule state is rebuilt from history: the longest rule duration, plus a few
+// readings before it to tell whether a breach was already under way
+const REPLAY_MARGIN = 5 * 60 * 1000;
+export const getReplayWindow = (rules) =>
+  Math.max(0, ...rules.filter(rule => rule.enabled).map(rule => (rule.durationMinutes || 0) * 60 * 1000)) + REPLAY_MARGIN;
+
+// Rule state after the given history entries (oldest first), without raising alerts. Every
+// member's app rebuilds it from the same shared history, so all of them see a breach start
+// at the same reading and fire on the same one, whenever each was opened.
+export const replayRules = (rules, entries) =>
+  entries.reduce((ruleState, entry) => evaluateRules(rules, entry, ruleState).ruleState, {});
+
+// --- Database access ---
+// Turns an object of children into an array with ids
+const toList = (value) => Object.entries(value || {}).map(([id, child]) => ({ id, ...child }));
+
+export const subscribeToAlertRules = (source, homeId, callback, onError) =>
+  source.subscribe(alertRulesPath(homeId), (value) => callback(toList(value)), onError);
+
+export const saveAlertRule = (source, homeId, rule) => {
+  const { id, ...fields } = rule;
+  if (id) return source.set(`${alertRulesPath(homeId)}/${id}`, fields);
+  return source.push(alertRulesPath(homeId), fields);
+};
+
+export const deleteAlertRule = (source, homeId, ruleId) => source.remove(`${alertRulesPath(homeId)}/${ruleId}`);
+
+// Newest alerts first
+export const subscribeToAlerts = (source, homeId, callback, onError) =>
+  source.subscribe(alertsPath(homeId), (value) => {
+    callback(toList(value).sort((a, b) => b.triggeredAt - a.triggeredAt));
+  }, onError);
+
+// Every owner and editor app evaluates the same readings, so an alert's id comes from the rule
+// and the timestamp of the reading that raised it: each app names the same alert the same way.
+export const getAlertId = (ruleId, triggeredAt) => `${ruleId}_${triggeredAt}`;
+
+// Creates the alert unless another member's app already has, so an alert someone has since
+// acknowledged or cleared isn't reset to active. Resolves with whether this call created it.
+export const recordAlert = (source, homeId, { rule, value, triggeredAt }) =>
+  source.transaction(`${alertsPath(homeId)}/${getAlertId(rule.id, triggeredAt)}`, (current) => {
+    if (current !== null) return undefined;
+    return { ruleId: rule.id, message: describeRule(rule), value, triggeredAt, status: 'active' };
+  });
+
+export const setAlertStatus = (source, homeId, alertId, status) =>
+  source.update(`${alertsPath(homeId)}/${alertId}`, { status, [`${status}At`]: Date.now() });
+
+export const clearAlertLog = (source, homeId) => source.remove(alertsPath(homeId));
@@ -0,0 +1,82 @@
+import {
+  evaluateRules, replayRules, describeRule, recordAlert, setAlertStatus, subscribeToAlerts, alertsPath,
+} from './alertRules';
+import { readOnce } from './homes';
+import { createMockDataSource } from './mockDataSource';
+
+const latencyRule = { id: 'r1', metric: 'latency', operator: 'above', threshold: 100, durationMinutes: 2, enabled: true };
+const deliveryRule = { id: 'r2', metric: 'deliveryRate', operator: 'below', threshold: 95, durationMinutes: 0, enabled: true };
+const at = (minutes) => Date.UTC(2024, 0, 1, 12, minutes);
+
+test('describes rules in plain language', () => {
+  expect(describeRule(latencyRule)).toBe('Latency above 100ms for 2 min');
+  expect(describeRule(deliveryRule)).toBe('Delivery Rate below 95%');
+});
+
+test('fires only after the condition has held for the whole duration', () => {
+  let result = evaluateRules([latencyRule], { latency: '130ms', timestamp: at(0) });
+  expect(result.triggered).toHaveLength(0);
+  result = evaluateRules([latencyRule], { latency: '150ms', timestamp: at(1) }, result.ruleState);
+  expect(result.triggered).toHaveLength(0);
+  result = evaluateRules([latencyRule], { latency: '120ms', timestamp: at(2) }, result.ruleState);
+  expect(result.triggered).toEqual([{ rule: latencyRule, value: 120, triggeredAt: at(2) }]);
+
+  // Still breached: no duplicate alert
+  result = evaluateRules([latencyRule], { latency: '120ms', timestamp: at(3) }, result.ruleState);
+  expect(result.triggered).toHaveLength(0);
+});
+
+test('a reading back under the threshold re-arms the rule', () => {
+  let result = evaluateRules([deliveryRule], { deliveryRate: '90%', timestamp: at(0) });
+  expect(result.triggered).toHaveLength(1);
+  result = evaluateRules([deliveryRule], { deliveryRate: '99%', timestamp: at(1) }, result.ruleState);
+  result = evaluateRules([deliveryRule], { deliveryRate: '80%', timestamp: at(2) }, result.ruleState);
+  expect(result.triggered).toHaveLength(1);
+});
+
+test('disabled rules and missing values never fire', () => {
+  const disabled = { ...deliveryRule, enabled: false };
+  expect(evaluateRules([disabled], { deliveryRate: '10%', timestamp: at(0) }).triggered).toHaveLength(0);
+  expect(evaluateRules([deliveryRule], { deliveryRate: 'N/A', timestamp: at(0) }).triggered).toHaveLength(0);
+});
+
+test('readings without a timestamp are skipped', () => {
+  let result = evaluateRules([deliveryRule], { deliveryRate: '90%' });
+  expect(result).toEqual({ ruleState: {}, triggered: [] });
+  result = evaluateRules([deliveryRule], { deliveryRate: '90%', timestamp: at(1) }, result.ruleState);
+  expect(result.triggered).toEqual([expect.objectContaining({ triggeredAt: at(1) })]);
+});
+
+test('apps opened mid-breach fire on the same reading once they replay the history', () => {
+  const readings = [0, 1, 2, 3].map(minute => ({ latency: 150, timestamp: at(minute) }));
+  // One app saw the whole breach; the other opens at 12:02 and catches up from history
+  const seenLive = readings.reduce((result, reading) => {
+    const next = evaluateRules([latencyRule], reading, result.ruleState);
+    return { ruleState: next.ruleState, triggered: [...result.triggered, ...next.triggered] };
+  }, { ruleState: {}, triggered: [] });
+  const caughtUp = evaluateRules([latencyRule], readings[2], replayRules([latencyRule], readings.slice(0, 2)));
+  expect(seenLive.triggered.map(alert => alert.triggeredAt)).toEqual([at(2)]);
+  expect(caughtUp.triggered.map(alert => alert.triggeredAt)).toEqual([at(2)]);
+});
+
+test('an alert recorded again keeps the status members gave it', async () => {
+  const source = createMockDataSource();
+  const [alert] = evaluateRules([deliveryRule], { deliveryRate: '90%', timestamp: at(5) }).triggered;
+  await expect(recordAlert(source, 'h', alert)).resolves.toBe(true);
+  await setAlertStatus(source, 'h', `r2_${at(5)}`, 'acknowledged');
+  await expect(recordAlert(source, 'h', alert)).resolves.toBe(false);
+  await expect(readOnce(source, `${alertsPath('h')}/r2_${at(5)}/status`)).resolves.toBe('acknowledged');
+});
+
+test('two apps evaluating the same reading record a single alert', async () => {
+  const source = createMockDataSource();
+  const reading = { deliveryRate: '90%', timestamp: at(5) };
+  const clients = [evaluateRules([deliveryRule], reading), evaluateRules([deliveryRule], reading)];
+  await Promise.all(clients.flatMap(({ triggered }) => triggered.map(alert => recordAlert(source, 'h', alert))));
+
+  const callback = jest.fn();
+  subscribeToAlerts(source, 'h', callback);
+  expect(callback).toHaveBeenLastCalledWith([
+    expect.objectContaining({ id: `r2_${at(5)}`, ruleId: 'r2', value: 90, status: 'active' }),
+  ]);
+});
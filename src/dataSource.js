@@ -0,0 +1,84 @@
+// src/dataSource.js
+// Picks where live data comes from. Every data source has the same small API, used by the
+// modules that read and write user data:
+//   connect(onUser, onError) -> unsubscribe      signs in and calls onUser(uid, account) for
+//                                                 every user, with account = { uid, isAnonymous,
+//                                                 email, displayName, providers }
+//   subscribe(path, callback, onError, { orderBy, startAt, endAt, limitToFirst, limitToLast }?)
+//                                                 -> unsubscribe; calls back with the value at
+//                                                 `path` (or null)
+//   set(path, value), update(path, values), remove(path) -> Promise; null values in
+//                                                 `values` remove their child
+//   push(path, value) -> Promise<key>
+//   transaction(path, apply) -> Promise<committed>  writes apply(current value or null),
+//                                                 unless it returns undefined
+//   createAccount(email, password), signInWithEmail(email, password), signInWithGoogle()
+//                                                 -> Promise<account>; creating an account or
+//                                                 using Google as a guest keeps the guest's uid
+//   signOut() -> Promise                           then continues as a new guest
+// The source is chosen by REACT_APP_DATA_SOURCE ("firebase", "emulator" or "mock"), unless
+// the user picked one in the UI, which is remembered in localStorage.
+
+import { __firebase_config, __initial_auth_token } from './firebaseConfig';
+import { createFirebaseDataSource, isFirebaseConfigured } from './firebaseDataSource';
+import { createMockDataSource } from './mockDataSource';
+
+export const DATA_SOURCES = {
+  firebase: { label: 'Firebase' },
+  emulator: { label: 'Local Emulator' },
+  mock: { label: 'Offline Mock' },
+};
+
+const STORAGE_KEY = 'smartHome.dataSource';
+
+const firebaseConfig = () => (__firebase_config ? JSON.parse(__firebase_config) : {});
+
+const emulatorSettings = () => ({
+  host: process.env.REACT_APP_EMULATOR_HOST || 'localhost',
+  databasePort: Number(process.env.REACT_APP_DATABASE_EMULATOR_PORT) || 9000,
+  authPort: Number(process.env.REACT_APP_AUTH_EMULATOR_PORT) || 9099,
+});
+
+const readStoredKind = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null; // Storage can be disabled, e.g. in private browsing
+  }
+};
+
+// UI choice first, then the environment; without a Firebase config fall back to the mock
+export const getInitialDataSourceKind = () => {
+  const stored = readStoredKind();
+  if (DATA_SOURCES[stored]) return stored;
+  const configured = process.env.REACT_APP_DATA_SOURCE;
+  if (DATA_SOURCES[configured]) return configured;
+  return isFirebaseConfigured(firebaseConfig()) ? 'firebase' : 'mock';
+};
+
+export const rememberDataSourceKind = (kind) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, kind);
+  } catch (error) {
+    console.error("Could not remember the data source choice:", error);
+  }
+};
+
+// Sources are created once per kind: Firebase apps and emulator connections can't be set up twice
+const sources = {};
+
+// Throws when the source can't be created, e.g. Firebase without a config
+export const getDataSource = (kind) => {
+  if (!sources[kind]) {
+    if (kind === 'mock') {
+      sources[kind] = createMockDataSource();
+    } else {
+      sources[kind] = createFirebaseDataSource({
+        config: firebaseConfig(),
+        authToken: __initial_auth_token,
+        emulator: kind === 'emulator' ? emulatorSettings() : null,
+      });
+    }
+  }
+  return sources[kind];
+};
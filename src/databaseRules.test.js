@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+// Checks database.rules.json against the Realtime Database emulator, through the same
+// helpers the app uses. Skipped unless the emulator is running; `npm run test:rules` starts
+// it, runs this file and stops it again.
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { initializeApp, deleteApp } from 'firebase/app';
+import { getDatabase, connectDatabaseEmulator } from 'firebase/database';
+import { createDatabaseApi } from './firebaseDatabase';
+import {
+  createHome, createInvite, joinHome, readOnce, renameHome, setMemberRole, removeMember,
+  leaveHome, deleteHome, membersPath, invitePath,
+} from './homes';
+import { saveDesign, designsPath } from './topologyDesign';
+import { currentDataPath } from './networkHistory';
+import { sendCommand } from './deviceCommands';
+
+const emulatorHost = process.env.FIREBASE_DATABASE_EMULATOR_HOST;
+const describeWithEmulator = emulatorHost ? describe : describe.skip;
+
+const RULES = fs.readFileSync(path.join(__dirname, '..', 'database.rules.json'), 'utf8');
+const DESIGN = { name: 'Flat', topology: 'star', nodes: [], edges: [] };
+
+describeWithEmulator('database rules', () => {
+  const namespace = `rules-test-${Date.now()}`;
+  const apps = [];
+
+  // A data source signed in as `uid` ('owner' bypasses the rules, for setup)
+  const connectAs = (uid) => {
+    const [host, port] = emulatorHost.split(':');
+    const app = initializeApp({ projectId: 'demo-smart-home', databaseURL: `http://${emulatorHost}?ns=${namespace}` }, `${uid}-${apps.length}`);
+    apps.push(app);
+    const db = getDatabase(app);
+    connectDatabaseEmulator(db, host, Number(port), { mockUserToken: uid === 'owner' ? 'owner' : { sub: uid } });
+    return { ...createDatabaseApi(db), uid };
+  };
+
+  // Jest's node environment has no fetch, so the rules go up over plain http
+  const loadRules = () => new Promise((resolve, reject) => {
+    const request = http.request(`http://${emulatorHost}/.settings/rules.json?ns=${namespace}`, {
+      method: 'PUT',
+      headers: { Authorization: 'Bearer owner' },
+    }, (response) => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => (response.statusCode === 200 ? resolve() : reject(new Error(`Loading the rules failed: ${body}`))));
+    });
+    request.on('error', reject);
+    request.end(RULES);
+  });
+  const account = (source) => ({ uid: source.uid, email: `${source.uid}@example.com`, displayName: null });
+
+  let alice;
+  let bob;
+  let carol;
+  let homeId;
+
+  beforeAll(async () => {
+    await loadRules();
+    alice = connectAs('alice');
+    bob = connectAs('bob');
+    carol = connectAs('carol');
+    homeId = await createHome(alice, account(alice), 'Alice\'s flat');
+  });
+
+  afterAll(() => Promise.all(apps.map(app => deleteApp(app))));
+
+  test('only members can read a home', async () => {
+    await expect(readOnce(alice, membersPath(homeId))).resolves.toMatchObject({ alice: { role: 'owner' } });
+    await expect(readOnce(bob, membersPath(homeId))).rejects.toThrow(/permission/i);
+    await expect(readOnce(bob, currentDataPath(homeId))).rejects.toThrow(/permission/i);
+  });
+
+  test('nobody can add themselves to a home without an invite', async () => {
+    await expect(bob.set(`${membersPath(homeId)}/bob`, { role: 'viewer', joinedAt: 1 })).rejects.toThrow(/permission/i);
+    await expect(bob.set(`${membersPath(homeId)}/bob`, { role: 'owner', joinedAt: 1, invite: 'made-up-code' })).rejects.toThrow(/permission/i);
+  });
+
+  test('an invite lets a user join with its role, and viewers cannot write', async () => {
+    const code = await createInvite(alice, { id: homeId, name: 'Alice\'s flat' }, 'viewer', 'alice');
+    await expect(createInvite(bob, { id: homeId, name: 'Alice\'s flat' }, 'editor', 'bob')).rejects.toThrow(/permission/i);
+
+    // The invite's role can't be upgraded while joining
+    await expect(bob.set(`${membersPath(homeId)}/bob`, { role: 'editor', joinedAt: 1, invite: code })).rejects.toThrow(/permission/i);
+    await expect(joinHome(bob, account(bob), code)).resolves.toBe(homeId);
+
+    await expect(readOnce(bob, currentDataPath(homeId))).resolves.toBeNull();
+    await expect(saveDesign(bob, homeId, DESIGN)).rejects.toThrow(/permission/i);
+    await expect(sendCommand(bob, homeId, 'device-1', 'reboot', {}, 'bob')).rejects.toThrow(/permission/i);
+    await expect(bob.set(`${membersPath(homeId)}/bob/role`, 'owner')).rejects.toThrow(/permission/i);
+    await expect(renameHome(bob, homeId, 'Bob\'s now')).rejects.toThrow(/permission/i);
+  });
+
+  test('owners promote members, and editors can change home data but not members', async () => {
+    await setMemberRole(alice, homeId, 'bob', 'editor');
+    await expect(saveDesign(bob, homeId, DESIGN)).resolves.toBeDefined();
+    await expect(bob.set(currentDataPath(homeId), { latency: '20ms' })).resolves.toBeUndefined();
+    await expect(sendCommand(bob, homeId, 'device-1', 'reboot', {}, 'bob')).resolves.toBeDefined();
+    await expect(bob.set(`homes/${homeId}/devices/device-1/commands/bogus`, { type: 'format', issuedAt: 1, expiresAt: 2 })).rejects.toThrow(/permission/i);
+    await expect(readOnce(alice, designsPath(homeId))).resolves.not.toBeNull();
+    await expect(bob.remove(`${membersPath(homeId)}/alice`)).rejects.toThrow(/permission/i);
+    await expect(bob.set(`homes/${homeId}/backdoor`, true)).rejects.toThrow(/permission/i);
+  });
+
+  test('members can leave, removed members lose access, and only owners delete a home', async () => {
+    const code = await createInvite(alice, { id: homeId, name: 'Alice\'s flat' }, 'viewer', 'alice');
+    await joinHome(carol, account(carol), code);
+    await leaveHome(carol, homeId, 'carol');
+    await expect(readOnce(carol, membersPath(homeId))).rejects.toThrow(/permission/i);
+
+    await removeMember(alice, homeId, 'bob');
+    await expect(readOnce(bob, designsPath(homeId))).rejects.toThrow(/permission/i);
+    await expect(bob.remove(`homes/${homeId}`)).rejects.toThrow(/permission/i);
+
+    await deleteHome(alice, homeId, 'alice');
+    await expect(readOnce(connectAs('owner'), `homes/${homeId}`)).resolves.toBeNull();
+    await expect(readOnce(alice, invitePath(code))).resolves.toBeNull();
+  });
+});
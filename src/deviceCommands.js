@@ -0,0 +1,89 @@
+// src/deviceCommands.js
+// Commands sent from the dashboard to devices. Each device has a queue under
+// homes/{homeId}/devices/{deviceId}/commands/{commandId}:
+//   { type, params, issuedBy, issuedAt, expiresAt, response? }
+// The device side answers by writing `response: { ok, message, respondedAt }` and, when the
+// command changes a setting, the device's `state` ({ band, qosPriority, blocked }). A
+// command with no response by `expiresAt` has timed out.
+
+import { devicesPath } from './deviceTelemetry';
+
+export const COMMAND_TIMEOUT = 15000; // ms a device has to answer
+export const WIFI_BANDS = ['2.4GHz', '5GHz'];
+export const QOS_PRIORITIES = ['low', 'normal', 'high'];
+
+export const COMMAND_TYPES = {
+  reboot: { label: 'Reboot' },
+  setBand: { label: 'Switch band', param: 'band', options: WIFI_BANDS },
+  setQosPriority: { label: 'Set QoS priority', param: 'priority', options: QOS_PRIORITIES },
+  block: { label: 'Block' },
+  unblock: { label: 'Unblock' },
+};
+
+export const COMMAND_STATUSES = {
+  pending: { label: 'Pending', color: '#3B82F6' },
+  acknowledged: { label: 'Acknowledged', color: '#10B981' },
+  failed: { label: 'Failed', color: '#DC2626' },
+  timedOut: { label: 'Timed out', color: '#F59E0B' },
+};
+
+export const commandsPath = (homeId, deviceId) => `${devicesPath(homeId)}/${deviceId}/commands`;
+
+// Status as of `now`; the device's answer wins even if it arrived late
+export const getCommandStatus = (command, now = Date.now()) => {
+  if (command.response) return command.response.ok ? 'acknowledged' : 'failed';
+  return now > command.expiresAt ? 'timedOut' : 'pending';
+};
+
+// A device's commands, newest first: [{ id, type, params, issuedAt, expiresAt, response? }]
+export const toCommandList = (value) => Object.entries(value || {})
+  .map(([id, command]) => ({ id, params: {}, ...command }))
+  .sort((a, b) => b.issuedAt - a.issuedAt);
+
+export const describeCommand = (command) => {
+  const type = COMMAND_TYPES[command.type];
+  if (!type) return command.type;
+  return type.param ? `${type.label} to ${command.params[type.param]}` : type.label;
+};
+
+// Queues a command and resolves with its id. Throws for unknown commands or missing options.
+export const sendCommand = (source, homeId, deviceId, type, params = {}, uid = null, now = Date.now()) => {
+  const definition = COMMAND_TYPES[type];
+  if (!definition) return Promise.reject(new Error(`Unknown command: ${type}`));
+  if (definition.param && !definition.options.includes(params[definition.param])) {
+    return Promise.reject(new Error(`${definition.label} needs one of: ${definition.options.join(', ')}`));
+  }
+  return source.push(commandsPath(homeId, deviceId), {
+    type,
+    params: definition.param ? { [definition.param]: params[definition.param] } : {},
+    issuedBy: uid,
+    issuedAt: now,
+    expiresAt: now + COMMAND_TIMEOUT,
+  });
+};
+
+// Device side: answers a command
+export const respondToCommand = (source, homeId, deviceId, commandId, { ok, message = '' }, now = Date.now()) =>
+  source.set(`${commandsPath(homeId, deviceId)}/${commandId}/response`, { ok, message, respondedAt: now });
+
+// Removes answered and timed-out commands, keeping the ones still waiting
+export const clearFinishedCommands = (source, homeId, deviceId, commands, now = Date.now()) =>
+  Promise.all(commands
+    .filter(command => getCommandStatus(command, now) !== 'pending')
+    .map(command => source.remove(`${commandsPath(homeId, deviceId)}/${command.id}`)));
+
+// The state a device reports after applying `command`, given its current `state`
+export const applyCommand = (state, command) => {
+  switch (command.type) {
+    case 'setBand':
+      return { ...state, band: command.params.band };
+    case 'setQosPriority':
+      return { ...state, qosPriority: command.params.priority };
+    case 'block':
+      return { ...state, blocked: true };
+    case 'unblock':
+      return { ...state, blocked: false };
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,70 @@
+import { createMockDataSource, MOCK_REBOOT_TIME } from './mockDataSource';
+import { subscribeToDeviceTelemetry } from './deviceTelemetry';
+import { userHomesPath } from './homes';
+import {
+  sendCommand, getCommandStatus, toCommandList, describeCommand, clearFinishedCommands, COMMAND_TIMEOUT,
+} from './deviceCommands';
+
+const HOME = 'home-1';
+
+// A mock source with one home whose devices answer commands on every tick
+const connectMock = () => {
+  const source = createMockDataSource({ interval: 1000 });
+  source.set(`${userHomesPath('demo-user')}/${HOME}`, { joinedAt: 1 });
+  const devices = jest.fn();
+  subscribeToDeviceTelemetry(source, HOME, devices);
+  const disconnect = source.connect(() => {});
+  const commandsOf = (deviceId) => toCommandList(devices.mock.calls.at(-1)[0][deviceId].commands);
+  const stateOf = (deviceId) => devices.mock.calls.at(-1)[0][deviceId].state;
+  return { source, disconnect, commandsOf, stateOf };
+};
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('a command is pending until answered, and times out without an answer', () => {
+  const command = { type: 'reboot', params: {}, issuedAt: 1000, expiresAt: 1000 + COMMAND_TIMEOUT };
+  expect(getCommandStatus(command, 2000)).toBe('pending');
+  expect(getCommandStatus(command, 1000 + COMMAND_TIMEOUT + 1)).toBe('timedOut');
+  expect(getCommandStatus({ ...command, response: { ok: true } }, 99999)).toBe('acknowledged');
+  expect(getCommandStatus({ ...command, response: { ok: false } }, 2000)).toBe('failed');
+  expect(describeCommand({ type: 'setBand', params: { band: '5GHz' } })).toBe('Switch band to 5GHz');
+});
+
+test('commands need a known type and a valid option', async () => {
+  const source = createMockDataSource();
+  await expect(sendCommand(source, HOME, 'device-1', 'selfDestruct')).rejects.toThrow(/Unknown command/);
+  await expect(sendCommand(source, HOME, 'device-1', 'setBand', { band: '6GHz' })).rejects.toThrow(/2.4GHz, 5GHz/);
+});
+
+test('mock devices acknowledge commands, apply settings and refuse what they cannot do', async () => {
+  const { source, disconnect, commandsOf, stateOf } = connectMock();
+  await sendCommand(source, HOME, 'device-1', 'setQosPriority', { priority: 'high' }, 'demo-user');
+  await sendCommand(source, HOME, 'device-4', 'setBand', { band: '5GHz' }, 'demo-user');
+  await sendCommand(source, HOME, 'hub', 'block', {}, 'demo-user');
+  expect(getCommandStatus(commandsOf('device-1')[0])).toBe('pending');
+
+  jest.advanceTimersByTime(1000);
+  expect(getCommandStatus(commandsOf('device-1')[0])).toBe('acknowledged');
+  expect(stateOf('device-1')).toEqual({ qosPriority: 'high' });
+  expect(commandsOf('device-4')[0].response).toMatchObject({ ok: false, message: 'Garage Sensor only supports 2.4GHz.' });
+  expect(getCommandStatus(commandsOf('hub')[0])).toBe('failed');
+  expect(stateOf('hub')).toEqual({});
+  disconnect();
+});
+
+test('a rebooting device misses commands, which then time out and can be cleared', async () => {
+  const { source, disconnect, commandsOf } = connectMock();
+  await sendCommand(source, HOME, 'device-2', 'reboot', {}, 'demo-user');
+  jest.advanceTimersByTime(1000);
+  expect(commandsOf('device-2')[0].response).toMatchObject({ ok: true, message: 'Rebooting' });
+
+  await sendCommand(source, HOME, 'device-2', 'block', {}, 'demo-user');
+  jest.advanceTimersByTime(COMMAND_TIMEOUT + 1000);
+  expect(COMMAND_TIMEOUT + 2000).toBeLessThan(MOCK_REBOOT_TIME);
+  expect(getCommandStatus(commandsOf('device-2')[0])).toBe('timedOut');
+
+  await clearFinishedCommands(source, HOME, 'device-2', commandsOf('device-2'));
+  expect(commandsOf('device-2')).toEqual([]);
+  disconnect();
+});
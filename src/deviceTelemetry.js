@@ -0,0 +1,79 @@
+// src/deviceTelemetry.js
+// Per-device readings stored under homes/{homeId}/devices/{deviceId}/telemetry, with the
+// same fields as network_data/current_data. Canvas nodes are matched to devices by
+// `node.deviceId`, falling back to the node id (e.g. "device-1" or "hub").
+
+import { parseMetric, parseTimestamp } from './networkHistory';
+
+export const devicesPath = (homeId) => `homes/${homeId}/devices`;
+
+export const HEALTH_LEVELS = {
+  healthy: { label: 'Healthy', color: '#10B981' },
+  degraded: { label: 'Degraded', color: '#F59E0B' },
+  unhealthy: { label: 'Unhealthy', color: '#DC2626' },
+  unknown: { label: 'No data', color: '#9CA3AF' },
+};
+
+// Limits per metric: crossing `degraded` or `unhealthy` moves a device into that level
+const HEALTH_THRESHOLDS = {
+  signalStrength: { degraded: 70, unhealthy: 40, higherIsBetter: true },
+  latency: { degraded: 80, unhealthy: 150, higherIsBetter: false },
+  deliveryRate: { degraded: 97, unhealthy: 90, higherIsBetter: true },
+};
+
+const HEALTH_ORDER = ['unhealthy', 'degraded', 'healthy', 'unknown'];
+
+export const getNodeDeviceId = (node) => node.deviceId || node.id;
+
+// Health ring color for each node in `nodeTelemetry` ({ [nodeId]: { health } })
+export const getNodeRingColors = (nodeTelemetry) => Object.fromEntries(
+  Object.entries(nodeTelemetry).map(([nodeId, device]) => [nodeId, HEALTH_LEVELS[device.health].color])
+);
+
+// Normalizes a raw telemetry record into numbers
+export const parseTelemetry = (raw = {}) => ({
+  signalStrength: parseMetric(raw.signalStrength),
+  latency: parseMetric(raw.latency),
+  deliveryRate: parseMetric(raw.deliveryRate),
+  timestamp: parseTimestamp(raw.timestamp),
+});
+
+// Worst level reached by any metric; 'unknown' when there are no readings at all
+export const getDeviceHealth = (telemetry) => {
+  if (!telemetry) return 'unknown';
+  let level = 'unknown';
+  Object.entries(HEALTH_THRESHOLDS).forEach(([key, limits]) => {
+    const value = telemetry[key];
+    if (typeof value !== 'number') return;
+    const worseThan = (limit) => (limits.higherIsBetter ? value < limit : value > limit);
+    const metricLevel = worseThan(limits.unhealthy) ? 'unhealthy' : worseThan(limits.degraded) ? 'degraded' : 'healthy';
+    if (HEALTH_ORDER.indexOf(metricLevel) < HEALTH_ORDER.indexOf(level)) level = metricLevel;
+  });
+  return level;
+};
+
+// Listens to every device in the home; calls back with
+// { [deviceId]: { name, telemetry, health, state, commands } }, where `state` is the settings
+// the device last reported and `commands` its raw command queue (see ./deviceCommands.js)
+export const subscribeToDeviceTelemetry = (source, homeId, callback, onError) =>
+  source.subscribe(devicesPath(homeId), (value) => {
+    const devices = {};
+    Object.entries(value || {}).forEach(([id, device]) => {
+      const telemetry = device && device.telemetry ? parseTelemetry(device.telemetry) : null;
+      devices[id] = {
+        name: String((device && device.name) || id), // Whatever was stored, so it can be sorted and shown
+        telemetry,
+        health: getDeviceHealth(telemetry),
+        state: (device && device.state) || {},
+        commands: (device && device.commands) || {},
+      };
+    });
+    callback(devices);
+  }, onError);
+
+// Devices sorted worst-first, for the health list
+export const sortByHealth = (devices) =>
+  Object.entries(devices)
+    .map(([id, device]) => ({ id, ...device }))
+    .sort((a, b) => HEALTH_ORDER.indexOf(a.health) - HEALTH_ORDER.indexOf(b.health) ||
+      String(a.name ?? a.id).localeCompare(String(b.name ?? b.id)));
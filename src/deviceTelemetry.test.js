@@ -0,0 +1,36 @@
+import { parseTelemetry, getDeviceHealth, sortByHealth, getNodeDeviceId, subscribeToDeviceTelemetry } from './deviceTelemetry';
+import { createMockDataSource } from './mockDataSource';
+
+test('classifies devices by their worst metric', () => {
+  expect(getDeviceHealth(parseTelemetry({ signalStrength: '85%', latency: '20ms', deliveryRate: '99%' }))).toBe('healthy');
+  expect(getDeviceHealth(parseTelemetry({ signalStrength: '85%', latency: '100ms', deliveryRate: '99%' }))).toBe('degraded');
+  expect(getDeviceHealth(parseTelemetry({ signalStrength: '30%', latency: '100ms', deliveryRate: '99%' }))).toBe('unhealthy');
+  expect(getDeviceHealth(parseTelemetry({}))).toBe('unknown');
+  expect(getDeviceHealth(null)).toBe('unknown');
+});
+
+test('sorts the worst devices first', () => {
+  const devices = {
+    a: { name: 'Camera', health: 'healthy' },
+    b: { name: 'Thermostat', health: 'unhealthy' },
+    c: { name: 'Doorbell', health: 'degraded' },
+  };
+  expect(sortByHealth(devices).map(device => device.id)).toEqual(['b', 'c', 'a']);
+});
+
+test('names that aren\'t strings are read as text and still sort', async () => {
+  const source = createMockDataSource();
+  await source.set('homes/h/devices', { plug: { name: 42 }, lamp: { name: 'Lamp' }, fan: {} });
+  const callback = jest.fn();
+  subscribeToDeviceTelemetry(source, 'h', callback);
+  const devices = callback.mock.calls.at(-1)[0];
+  expect(devices.plug.name).toBe('42');
+  expect(devices.fan.name).toBe('fan');
+  expect(sortByHealth(devices).map(device => device.id)).toEqual(['plug', 'fan', 'lamp']);
+  expect(sortByHealth({ a: { name: 7, health: 'healthy' }, b: { health: 'healthy' } }).map(device => device.id)).toEqual(['a', 'b']);
+});
+
+test('nodes map to devices by deviceId, falling back to their id', () => {
+  expect(getNodeDeviceId({ id: 'device-1' })).toBe('device-1');
+  expect(getNodeDeviceId({ id: 'device-1', deviceId: 'cam-front' })).toBe('cam-front');
+});
@@ -0,0 +1,15 @@
+// src/fileDownload.js
+// Browser downloads for exported designs and diagrams.
+
+// Triggers a browser download of `blob` as a file
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadText = (text, fileName, type = 'application/json') =>
+  downloadBlob(new Blob([text], { type }), fileName);
@@ -0,0 +1,104 @@
+// src/firebaseDataSource.js
+// Data source backed by a Firebase project, or by the local Firebase emulator suite when
+// `emulator` ({ host, databasePort, authPort }) is given. Signs users in anonymously, or
+// with the custom token from firebaseConfig.js when one is set. Anonymous users can later
+// save their session to an email/password or Google account; linking keeps the same uid,
+// so their homes and everything else under users/{uid} come along.
+
+import { initializeApp } from 'firebase/app';
+import {
+  getAuth, connectAuthEmulator, signInAnonymously, signInWithCustomToken, onAuthStateChanged,
+  EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup, signInWithCredential,
+  createUserWithEmailAndPassword, signInWithEmailAndPassword, signInWithPopup, signOut,
+} from 'firebase/auth';
+import { getDatabase, connectDatabaseEmulator } from 'firebase/database';
+import { createDatabaseApi } from './firebaseDatabase';
+
+export const isFirebaseConfigured = (config) => Boolean(config && Object.keys(config).length > 0);
+
+// The parts of a Firebase user the app shows; see dataSource.js
+const toAccount = (user) => ({
+  uid: user.uid,
+  isAnonymous: user.isAnonymous,
+  email: user.email,
+  displayName: user.displayName,
+  providers: user.providerData.map(profile => profile.providerId),
+});
+
+export const createFirebaseDataSource = ({ config, authToken = null, emulator = null }) => {
+  if (!isFirebaseConfigured(config)) {
+    throw new Error("Firebase is not configured. Live data will not be available.");
+  }
+
+  // The emulator gets its own named app so both can be initialized in one page session
+  const app = initializeApp(config, emulator ? 'emulator' : undefined);
+  const db = getDatabase(app);
+  const auth = getAuth(app);
+  if (emulator) {
+    connectDatabaseEmulator(db, emulator.host, emulator.databasePort);
+    connectAuthEmulator(auth, `http://${emulator.host}:${emulator.authPort}`, { disableWarnings: true });
+    console.log("Using Firebase emulators at", emulator.host);
+  }
+
+  // Linking doesn't change the signed-in user, so onAuthStateChanged stays quiet; report it ourselves
+  let reportUser = () => {};
+  const linked = (credential) => {
+    reportUser(credential.user);
+    return toAccount(credential.user);
+  };
+  const signedIn = (credential) => toAccount(credential.user);
+
+  return {
+    connect: (onUser, onError) => onAuthStateChanged(auth, async (user) => {
+      reportUser = (current) => onUser(current.uid, toAccount(current));
+      if (user) {
+        reportUser(user);
+        return;
+      }
+      try {
+        if (authToken) {
+          await signInWithCustomToken(auth, authToken);
+          console.log("Signed in with custom token.");
+        } else {
+          await signInAnonymously(auth);
+          console.log("Signed in anonymously.");
+        }
+      } catch (error) {
+        console.error("Firebase authentication error:", error);
+        onError(error);
+      }
+    }),
+
+    // Saves an anonymous session under a new email/password account, or creates a fresh one
+    createAccount: (email, password) => {
+      const user = auth.currentUser;
+      if (user && user.isAnonymous) {
+        return linkWithCredential(user, EmailAuthProvider.credential(email, password)).then(linked);
+      }
+      return createUserWithEmailAndPassword(auth, email, password).then(signedIn);
+    },
+
+    // Switches to an existing account; data of an anonymous session stays under its old uid
+    signInWithEmail: (email, password) => signInWithEmailAndPassword(auth, email, password).then(signedIn),
+
+    // Links Google to an anonymous session, unless that Google account already has a home
+    // of its own, in which case it signs in to that one instead
+    signInWithGoogle: async () => {
+      const provider = new GoogleAuthProvider();
+      const user = auth.currentUser;
+      if (!user || !user.isAnonymous) return signInWithPopup(auth, provider).then(signedIn);
+      try {
+        return linked(await linkWithPopup(user, provider));
+      } catch (error) {
+        const credential = GoogleAuthProvider.credentialFromError(error);
+        if (error.code !== 'auth/credential-already-in-use' || !credential) throw error;
+        return signedIn(await signInWithCredential(auth, credential));
+      }
+    },
+
+    // The auth listener then starts a new anonymous session
+    signOut: () => signOut(auth),
+
+    ...createDatabaseApi(db),
+  };
+};
@@ -0,0 +1,30 @@
+// src/firebaseDatabase.js
+// The data half of the data source API (see dataSource.js) for a Realtime Database
+// instance. Kept apart from firebaseDataSource.js and its sign-in code so the security
+// rules tests can talk to the emulator as any user.
+
+import {
+  ref, query, orderByChild, startAt, endAt, limitToFirst, limitToLast, onValue, set, push, update, remove,
+  runTransaction,
+} from 'firebase/database';
+
+export const createDatabaseApi = (db) => ({
+  subscribe: (path, callback, onError, options = {}) => {
+    let target = ref(db, path);
+    if (options.orderBy) {
+      const constraints = [orderByChild(options.orderBy)];
+      if (options.startAt !== undefined) constraints.push(startAt(options.startAt));
+      if (options.endAt !== undefined) constraints.push(endAt(options.endAt));
+      if (options.limitToFirst) constraints.push(limitToFirst(options.limitToFirst));
+      if (options.limitToLast) constraints.push(limitToLast(options.limitToLast));
+      target = query(target, ...constraints);
+    }
+    return onValue(target, (snapshot) => callback(snapshot.val()), onError);
+  },
+
+  set: (path, value) => set(ref(db, path), value),
+  push: (path, value) => push(ref(db, path), value).then(child => child.key),
+  update: (path, values) => update(ref(db, path), values),
+  remove: (path) => remove(ref(db, path)),
+  transaction: (path, apply) => runTransaction(ref(db, path), apply).then(result => result.committed),
+});
@@ -0,0 +1,272 @@
+// src/floorPlan.js
+// Floor plans for planning Wi-Fi coverage: walls, rooms, access points (routers and mesh
+// nodes) and smart devices, all in meters. Signal strength is estimated with a log-distance
+// path loss model on 5 GHz plus a fixed loss for every wall between access point and spot.
+// Plans are kept in localStorage so a planning session survives a reload.
+
+export const WALL_MATERIALS = {
+  drywall: { label: 'Drywall', loss: 3, color: '#9CA3AF' },
+  glass: { label: 'Glass', loss: 2, color: '#38BDF8' },
+  wood: { label: 'Wood', loss: 4, color: '#A16207' },
+  brick: { label: 'Brick', loss: 8, color: '#B45309' },
+  concrete: { label: 'Concrete', loss: 12, color: '#374151' },
+};
+
+export const ACCESS_POINT_KINDS = {
+  router: { label: 'Router', txPower: 20 }, // dBm
+  mesh: { label: 'Mesh node', txPower: 17 },
+};
+
+// Best-first signal bands in dBm
+export const SIGNAL_LEVELS = [
+  { min: -55, label: 'Excellent', color: '#059669' },
+  { min: -67, label: 'Good', color: '#65A30D' },
+  { min: -75, label: 'Fair', color: '#D97706' },
+  { min: -85, label: 'Weak', color: '#DC2626' },
+  { min: -Infinity, label: 'No usable signal', color: '#6B7280' },
+];
+
+const REFERENCE_LOSS = 47; // dB lost over the first meter at 5 GHz
+const PATH_LOSS_EXPONENT = 3.5; // Typical for homes with furniture and people
+const STRONGEST_RSSI = -30; // Shown as 100%
+const WEAKEST_RSSI = -90; // Shown as 0%
+const STORAGE_KEY = 'smartHome.floorPlan';
+
+export const getSignalLevel = (rssi) => SIGNAL_LEVELS.find(level => rssi >= level.min);
+
+// dBm as the 0–100% signal strength the rest of the app uses
+export const signalPercent = (rssi) =>
+  Math.round(Math.min(100, Math.max(0, ((rssi - WEAKEST_RSSI) / (STRONGEST_RSSI - WEAKEST_RSSI)) * 100)));
+
+// --- Geometry ---
+const cross = (ax, ay, bx, by, cx, cy) => (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+
+// Where segment a–b properly crosses segment c–d, as a fraction of the way from a to b,
+// or null when they don't cross (touching at an end doesn't count)
+export const segmentCrossing = (a, b, c, d) => {
+  const d1 = cross(c.x, c.y, d.x, d.y, a.x, a.y);
+  const d2 = cross(c.x, c.y, d.x, d.y, b.x, b.y);
+  const d3 = cross(a.x, a.y, b.x, b.y, c.x, c.y);
+  const d4 = cross(a.x, a.y, b.x, b.y, d.x, d.y);
+  const crosses = ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+  return crosses ? d1 / (d1 - d2) : null;
+};
+
+const distanceToSegment = (point, wall) => {
+  const dx = wall.x2 - wall.x1;
+  const dy = wall.y2 - wall.y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - wall.x1) * dx + (point.y - wall.y1) * dy) / lengthSquared));
+  return Math.hypot(point.x - (wall.x1 + t * dx), point.y - (wall.y1 + t * dy));
+};
+
+// --- Signal model ---
+// Total wall loss in dB on the straight line between two points. Walls drawn on top of
+// each other (e.g. the shared side of two neighbouring rooms) count once, as the strongest.
+export const getWallLoss = (plan, from, to) => {
+  const crossings = [];
+  plan.walls.forEach(wall => {
+    const at = segmentCrossing(from, to, { x: wall.x1, y: wall.y1 }, { x: wall.x2, y: wall.y2 });
+    if (at === null) return;
+    const loss = WALL_MATERIALS[wall.material].loss;
+    const same = crossings.find(crossing => Math.abs(crossing.at - at) < 1e-6);
+    if (same) same.loss = Math.max(same.loss, loss);
+    else crossings.push({ at, loss });
+  });
+  return crossings.reduce((total, crossing) => total + crossing.loss, 0);
+};
+
+// Received signal in dBm at `point` from one access point
+export const estimateSignalFrom = (plan, accessPoint, point) => {
+  const distance = Math.max(1, Math.hypot(point.x - accessPoint.x, point.y - accessPoint.y));
+  return ACCESS_POINT_KINDS[accessPoint.kind].txPower
+    - REFERENCE_LOSS
+    - 10 * PATH_LOSS_EXPONENT * Math.log10(distance)
+    - getWallLoss(plan, accessPoint, point);
+};
+
+// Strongest signal at `point`: { rssi, accessPointId }, or null without access points
+export const estimateSignal = (plan, point) =>
+  plan.accessPoints.reduce((best, accessPoint) => {
+    const rssi = estimateSignalFrom(plan, accessPoint, point);
+    return !best || rssi > best.rssi ? { rssi, accessPointId: accessPoint.id } : best;
+  }, null);
+
+// Strongest signal on a grid of `cellSize`-meter cells, sampled at each cell's center.
+// Returns { cellSize, columns, rows, values: [rssi per cell, row by row] }, or null without access points.
+export const computeHeatmap = (plan, cellSize = 0.5) => {
+  if (plan.accessPoints.length === 0) return null;
+  const columns = Math.ceil(plan.width / cellSize);
+  const rows = Math.ceil(plan.height / cellSize);
+  const values = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      values.push(estimateSignal(plan, { x: (column + 0.5) * cellSize, y: (row + 0.5) * cellSize }).rssi);
+    }
+  }
+  return { cellSize, columns, rows, values };
+};
+
+// Every placed device with its estimated signal: [{ ...device, rssi, percent, level, accessPointId }]
+export const estimateDeviceSignals = (plan) =>
+  plan.devices.map(device => {
+    const signal = estimateSignal(plan, device);
+    if (!signal) return { ...device, rssi: null, percent: 0, level: SIGNAL_LEVELS[SIGNAL_LEVELS.length - 1], accessPointId: null };
+    return { ...device, ...signal, percent: signalPercent(signal.rssi), level: getSignalLevel(signal.rssi) };
+  });
+
+// Share of the plan (0–1) where the signal is at least `minRssi`, e.g. -67 dBm for "Good"
+export const getCoverageShare = (heatmap, minRssi) =>
+  (heatmap && heatmap.values.length > 0
+    ? heatmap.values.filter(rssi => rssi >= minRssi).length / heatmap.values.length
+    : 0);
+
+// --- Editing ---
+// Outer walls are brick; everything else starts empty
+export const createFloorPlan = (width = 14, height = 10) => ({
+  width,
+  height,
+  background: null, // Data URL of an uploaded plan image, stretched over the whole plan
+  walls: [
+    { id: 'wall-1', x1: 0, y1: 0, x2: width, y2: 0, material: 'brick' },
+    { id: 'wall-2', x1: width, y1: 0, x2: width, y2: height, material: 'brick' },
+    { id: 'wall-3', x1: width, y1: height, x2: 0, y2: height, material: 'brick' },
+    { id: 'wall-4', x1: 0, y1: height, x2: 0, y2: 0, material: 'brick' },
+  ],
+  rooms: [],
+  accessPoints: [],
+  devices: [],
+  nextId: 5,
+});
+
+const OUTER_WALL_IDS = ['wall-1', 'wall-2', 'wall-3', 'wall-4'];
+
+// Changes the plan size in meters, moving the outer walls with it
+export const resizeFloorPlan = (plan, width, height) => {
+  const outline = createFloorPlan(width, height).walls;
+  return {
+    ...plan,
+    width,
+    height,
+    walls: plan.walls.map(wall => {
+      const index = OUTER_WALL_IDS.indexOf(wall.id);
+      return index === -1 ? wall : { ...outline[index], material: wall.material };
+    }),
+  };
+};
+
+const withId = (plan, prefix) => [`${prefix}-${plan.nextId}`, { ...plan, nextId: plan.nextId + 1 }];
+
+export const addWall = (plan, x1, y1, x2, y2, material = 'drywall') => {
+  const [id, next] = withId(plan, 'wall');
+  return { ...next, walls: [...next.walls, { id, x1, y1, x2, y2, material }] };
+};
+
+// A room is a named rectangle; its four walls are added with it and removed with it
+export const addRoom = (plan, x, y, width, height, name, material = 'drywall') => {
+  const [id, next] = withId(plan, 'room');
+  const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+  const walls = corners.map(([x1, y1], i) => {
+    const [x2, y2] = corners[(i + 1) % corners.length];
+    return { id: `${id}-wall-${i + 1}`, x1, y1, x2, y2, material, roomId: id };
+  });
+  return {
+    ...next,
+    rooms: [...next.rooms, { id, name: name || `Room ${next.rooms.length + 1}`, x, y, width, height }],
+    walls: [...next.walls, ...walls],
+  };
+};
+
+export const addAccessPoint = (plan, kind, x, y) => {
+  const [id, next] = withId(plan, kind);
+  const count = plan.accessPoints.filter(accessPoint => accessPoint.kind === kind).length;
+  const label = `${ACCESS_POINT_KINDS[kind].label} ${count + 1}`;
+  return { ...next, accessPoints: [...next.accessPoints, { id, kind, label, x, y }] };
+};
+
+export const addPlanDevice = (plan, x, y, label) => {
+  const [id, next] = withId(plan, 'device');
+  return { ...next, devices: [...next.devices, { id, label: label || `Device ${plan.devices.length + 1}`, x, y }] };
+};
+
+// Applies `changes` to the access point, device or room with `id`
+export const updatePlanItem = (plan, id, changes) => {
+  const update = (items) => items.map(item => (item.id === id ? { ...item, ...changes } : item));
+  return { ...plan, accessPoints: update(plan.accessPoints), devices: update(plan.devices), rooms: update(plan.rooms) };
+};
+
+// Access point or device within `tolerance` meters of `point`, nearest first
+export const findPlanItemAt = (plan, point, tolerance = 0.6) => {
+  const items = [...plan.accessPoints, ...plan.devices]
+    .map(item => ({ item, distance: Math.hypot(item.x - point.x, item.y - point.y) }))
+    .filter(({ distance }) => distance <= tolerance)
+    .sort((a, b) => a.distance - b.distance);
+  return items.length > 0 ? items[0].item : null;
+};
+
+// Smallest room containing `point`, if any
+export const findRoomAt = (plan, point) =>
+  plan.rooms
+    .filter(room => point.x >= room.x && point.x <= room.x + room.width && point.y >= room.y && point.y <= room.y + room.height)
+    .sort((a, b) => a.width * a.height - b.width * b.height)[0] || null;
+
+// Removes the access point or device at `point`, else the nearest wall (and its room with all its walls)
+export const removePlanItemAt = (plan, point, tolerance = 0.4) => {
+  const item = findPlanItemAt(plan, point);
+  if (item) {
+    return {
+      ...plan,
+      accessPoints: plan.accessPoints.filter(accessPoint => accessPoint.id !== item.id),
+      devices: plan.devices.filter(device => device.id !== item.id),
+    };
+  }
+  const wall = plan.walls
+    .filter(candidate => distanceToSegment(point, candidate) <= tolerance)
+    .sort((a, b) => distanceToSegment(point, a) - distanceToSegment(point, b))[0];
+  if (!wall) return plan;
+  if (wall.roomId) {
+    return {
+      ...plan,
+      rooms: plan.rooms.filter(room => room.id !== wall.roomId),
+      walls: plan.walls.filter(candidate => candidate.roomId !== wall.roomId),
+    };
+  }
+  return { ...plan, walls: plan.walls.filter(candidate => candidate.id !== wall.id) };
+};
+
+// A two-bedroom apartment to start from
+export const createSampleFloorPlan = () => {
+  let plan = createFloorPlan(14, 10);
+  plan = addRoom(plan, 0, 0, 6, 6, 'Living Room');
+  plan = addRoom(plan, 6, 0, 4, 4, 'Kitchen');
+  plan = addRoom(plan, 10, 0, 4, 5, 'Bedroom');
+  plan = addRoom(plan, 10, 5, 4, 5, 'Office');
+  plan = addRoom(plan, 0, 6, 4, 4, 'Bathroom', 'brick');
+  plan = addAccessPoint(plan, 'router', 2, 2);
+  plan = addPlanDevice(plan, 5, 1, 'Smart TV');
+  plan = addPlanDevice(plan, 8, 2, 'Smart Fridge');
+  plan = addPlanDevice(plan, 13, 1, 'Smart Speaker');
+  plan = addPlanDevice(plan, 13, 9, 'Security Camera');
+  plan = addPlanDevice(plan, 1, 9, 'Leak Sensor');
+  return plan;
+};
+
+// --- Persistence ---
+export const loadFloorPlan = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null; // Storage can be disabled, e.g. in private browsing
+  }
+};
+
+export const saveFloorPlan = (plan) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(plan));
+  } catch (error) {
+    console.error("Could not save the floor plan (large background images may not fit):", error);
+  }
+};
@@ -0,0 +1,86 @@
+import {
+  createFloorPlan, createSampleFloorPlan, resizeFloorPlan, addWall, addRoom, addAccessPoint, addPlanDevice,
+  getWallLoss, estimateSignal, estimateSignalFrom, computeHeatmap, estimateDeviceSignals, getCoverageShare,
+  removePlanItemAt, findRoomAt, signalPercent, WALL_MATERIALS,
+} from './floorPlan';
+
+const withRouter = (plan = createFloorPlan(20, 10)) => addAccessPoint(plan, 'router', 2, 5);
+
+test('signal fades with distance', () => {
+  const plan = withRouter();
+  const near = estimateSignal(plan, { x: 4, y: 5 });
+  const far = estimateSignal(plan, { x: 16, y: 5 });
+  expect(near.rssi).toBeGreaterThan(far.rssi);
+  // Ten times the distance costs 35 dB with a path loss exponent of 3.5
+  const accessPoint = plan.accessPoints[0];
+  expect(estimateSignalFrom(plan, accessPoint, { x: 3, y: 5 }) - estimateSignalFrom(plan, accessPoint, { x: 12, y: 5 }))
+    .toBeCloseTo(35);
+});
+
+test('walls in the way cost their material loss, and overlapping walls count once', () => {
+  let plan = withRouter();
+  const from = { x: 2, y: 5 };
+  const to = { x: 10, y: 5 };
+  const open = estimateSignal(plan, to).rssi;
+
+  plan = addWall(plan, 6, 0, 6, 10, 'concrete');
+  expect(getWallLoss(plan, from, to)).toBe(WALL_MATERIALS.concrete.loss);
+  expect(open - estimateSignal(plan, to).rssi).toBeCloseTo(WALL_MATERIALS.concrete.loss);
+
+  plan = addWall(plan, 6, 0, 6, 10, 'drywall'); // Same spot, weaker material
+  expect(getWallLoss(plan, from, to)).toBe(WALL_MATERIALS.concrete.loss);
+  plan = addWall(plan, 8, 0, 8, 10, 'drywall');
+  expect(getWallLoss(plan, from, to)).toBe(WALL_MATERIALS.concrete.loss + WALL_MATERIALS.drywall.loss);
+  // A wall that ends before the line doesn't block it
+  expect(getWallLoss(addWall(createFloorPlan(20, 10), 6, 0, 6, 4), from, to)).toBe(0);
+});
+
+test('the strongest access point serves each spot', () => {
+  const plan = addAccessPoint(withRouter(), 'mesh', 18, 5);
+  expect(estimateSignal(plan, { x: 3, y: 5 }).accessPointId).toBe(plan.accessPoints[0].id);
+  expect(estimateSignal(plan, { x: 17, y: 5 }).accessPointId).toBe(plan.accessPoints[1].id);
+  expect(estimateSignal(createFloorPlan(), { x: 1, y: 1 })).toBeNull();
+});
+
+test('the heatmap covers the plan and a mesh node improves coverage', () => {
+  let plan = addWall(withRouter(), 10, 0, 10, 10, 'concrete');
+  const heatmap = computeHeatmap(plan, 1);
+  expect(heatmap.columns).toBe(20);
+  expect(heatmap.rows).toBe(10);
+  expect(heatmap.values).toHaveLength(200);
+  expect(computeHeatmap(createFloorPlan())).toBeNull();
+
+  const before = getCoverageShare(heatmap, -67);
+  plan = addAccessPoint(plan, 'mesh', 15, 5);
+  expect(getCoverageShare(computeHeatmap(plan, 1), -67)).toBeGreaterThan(before);
+});
+
+test('placed devices get an estimated signal', () => {
+  let plan = addPlanDevice(withRouter(), 3, 5, 'Speaker');
+  plan = addPlanDevice(plan, 19, 9, 'Camera');
+  const [speaker, camera] = estimateDeviceSignals(plan);
+  expect(speaker).toMatchObject({ label: 'Speaker', accessPointId: plan.accessPoints[0].id });
+  expect(speaker.percent).toBeGreaterThan(camera.percent);
+  expect(speaker.level.label).toBe('Excellent');
+  expect(signalPercent(-30)).toBe(100);
+  expect(signalPercent(-95)).toBe(0);
+
+  const [unplanned] = estimateDeviceSignals(addPlanDevice(createFloorPlan(), 1, 1));
+  expect(unplanned).toMatchObject({ rssi: null, percent: 0 });
+});
+
+test('rooms bring their walls, and erasing one wall removes the room', () => {
+  let plan = addRoom(createFloorPlan(), 1, 1, 4, 3, 'Kitchen');
+  expect(plan.walls.filter(wall => wall.roomId === plan.rooms[0].id)).toHaveLength(4);
+  expect(findRoomAt(plan, { x: 2, y: 2 }).name).toBe('Kitchen');
+
+  plan = removePlanItemAt(plan, { x: 3, y: 1.1 });
+  expect(plan.rooms).toHaveLength(0);
+  expect(plan.walls).toHaveLength(4); // Only the outer walls are left
+});
+
+test('resizing moves the outer walls', () => {
+  const plan = resizeFloorPlan(createSampleFloorPlan(), 20, 12);
+  expect(plan.walls.find(wall => wall.id === 'wall-2')).toMatchObject({ x1: 20, x2: 20, y2: 12 });
+  expect(plan.rooms).toHaveLength(5);
+});
@@ -0,0 +1,113 @@
+// src/floorPlanRenderer.js
+// Canvas drawing for floor plans from ./floorPlan.js. Plans are in meters and drawn at
+// `scale` pixels per meter.
+
+import { WALL_MATERIALS, signalPercent } from './floorPlan';
+import { CANVAS_COLORS } from './topologyRenderer';
+
+const HEATMAP_ALPHA = 0.45;
+const ACCESS_POINT_RADIUS = 9;
+const DEVICE_RADIUS = 6;
+
+// Continuous red (0%) to green (100%) so the heatmap shows gradients, not just bands
+export const getHeatmapColor = (rssi) => `hsl(${Math.round(signalPercent(rssi) * 1.2)}, 85%, 50%)`;
+
+const drawHeatmap = (ctx, heatmap, scale) => {
+  const size = heatmap.cellSize * scale;
+  ctx.save();
+  ctx.globalAlpha = HEATMAP_ALPHA;
+  heatmap.values.forEach((rssi, i) => {
+    const column = i % heatmap.columns;
+    const row = Math.floor(i / heatmap.columns);
+    ctx.fillStyle = getHeatmapColor(rssi);
+    ctx.fillRect(column * size, row * size, Math.ceil(size), Math.ceil(size));
+  });
+  ctx.restore();
+};
+
+const drawWall = (ctx, wall, scale, color, width = 4) => {
+  ctx.beginPath();
+  ctx.moveTo(wall.x1 * scale, wall.y1 * scale);
+  ctx.lineTo(wall.x2 * scale, wall.y2 * scale);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.lineCap = 'round';
+  ctx.stroke();
+};
+
+const drawLabel = (ctx, text, x, y, color = CANVAS_COLORS.text) => {
+  ctx.fillStyle = color;
+  ctx.fillText(text, x, y);
+};
+
+// Paints a plan. `options`: { heatmap (from computeHeatmap), background (loaded Image),
+// signals (from estimateDeviceSignals), selectedId, draft: a wall { x1, y1, x2, y2 } or
+// room { x, y, width, height } being drawn }.
+export const drawFloorPlan = (ctx, plan, scale, options = {}) => {
+  ctx.font = '11px Inter, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  if (options.background) {
+    ctx.drawImage(options.background, 0, 0, plan.width * scale, plan.height * scale);
+  }
+  if (options.heatmap) drawHeatmap(ctx, options.heatmap, scale);
+
+  plan.rooms.forEach(room => {
+    drawLabel(ctx, room.name, (room.x + room.width / 2) * scale, (room.y + room.height / 2) * scale, '#4B5563');
+  });
+  plan.walls.forEach(wall => drawWall(ctx, wall, scale, WALL_MATERIALS[wall.material].color));
+
+  const { draft } = options;
+  if (draft) {
+    ctx.setLineDash([6, 4]);
+    if (draft.x1 !== undefined) {
+      drawWall(ctx, draft, scale, CANVAS_COLORS.selection, 3);
+    } else {
+      ctx.strokeStyle = CANVAS_COLORS.selection;
+      ctx.lineWidth = 3;
+      ctx.strokeRect(draft.x * scale, draft.y * scale, draft.width * scale, draft.height * scale);
+    }
+    ctx.setLineDash([]);
+  }
+
+  // Devices show their estimated signal
+  const signals = new Map((options.signals || []).map(signal => [signal.id, signal]));
+  plan.devices.forEach(device => {
+    const signal = signals.get(device.id);
+    const x = device.x * scale;
+    const y = device.y * scale;
+    ctx.beginPath();
+    ctx.arc(x, y, DEVICE_RADIUS, 0, Math.PI * 2);
+    ctx.fillStyle = CANVAS_COLORS.device;
+    ctx.fill();
+    ctx.strokeStyle = device.id === options.selectedId ? CANVAS_COLORS.selection : '#FFFFFF';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    drawLabel(ctx, device.label, x, y + DEVICE_RADIUS + 8);
+    if (signal && signal.rssi !== null) {
+      drawLabel(ctx, `${signal.percent}% · ${signal.level.label}`, x, y - DEVICE_RADIUS - 8, signal.level.color);
+    }
+  });
+
+  plan.accessPoints.forEach(accessPoint => {
+    const x = accessPoint.x * scale;
+    const y = accessPoint.y * scale;
+    ctx.beginPath();
+    ctx.arc(x, y, ACCESS_POINT_RADIUS, 0, Math.PI * 2);
+    ctx.fillStyle = accessPoint.kind === 'router' ? CANVAS_COLORS.hub : CANVAS_COLORS.meshGroup;
+    ctx.fill();
+    ctx.strokeStyle = accessPoint.id === options.selectedId ? CANVAS_COLORS.selection : '#FFFFFF';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    // Radio waves above the access point
+    [5, 9].forEach(radius => {
+      ctx.beginPath();
+      ctx.arc(x, y - ACCESS_POINT_RADIUS + 2, ACCESS_POINT_RADIUS + radius, -Math.PI * 0.75, -Math.PI * 0.25);
+      ctx.strokeStyle = CANVAS_COLORS.text;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    });
+    drawLabel(ctx, accessPoint.label, x, y + ACCESS_POINT_RADIUS + 10);
+  });
+};
@@ -0,0 +1,209 @@
+// src/homes.js
+// Homes group everything a network owns so several people can share it. Each home lives
+// under homes/{homeId}:
+//   meta: { name, createdBy, createdAt }
+//   members/{uid}: { role, name, joinedAt, invite? }
+//   invites/{code}: { role, createdAt }            readable by owners only
+//   network_data, devices, designs, alert_rules, alerts
+// users/{uid}/homes/{homeId} lists the homes a user belongs to, users/{uid}/homes_started
+// records that they have had one, and invites/{code} lets whoever holds an invite code find
+// the home to join. database.rules.json enforces roles.
+
+export const ROLES = {
+  owner: { label: 'Owner', description: 'Manages members and invites, and can rename or delete the home.' },
+  editor: { label: 'Editor', description: 'Changes designs, alert rules and alerts.' },
+  viewer: { label: 'Viewer', description: 'Sees the home\'s network and data but changes nothing.' },
+};
+export const ROLE_KEYS = Object.keys(ROLES);
+export const INVITE_ROLES = ['editor', 'viewer']; // Owners are promoted, not invited
+
+export const DEFAULT_HOME_NAME = 'My Home';
+export const MAX_HOME_NAME_LENGTH = 60;
+
+// Everything a home owns; also what's moved over from the old per-user users/{uid} layout
+export const HOME_SECTIONS = ['network_data', 'devices', 'designs', 'alert_rules', 'alerts'];
+
+const INVITE_CODE_LENGTH = 20;
+const INVITE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // No 0/o or 1/l/i to misread
+
+export const homePath = (homeId) => `homes/${homeId}`;
+export const membersPath = (homeId) => `homes/${homeId}/members`;
+export const homeInvitesPath = (homeId) => `homes/${homeId}/invites`;
+export const userHomesPath = (uid) => `users/${uid}/homes`;
+export const homesStartedPath = (uid) => `users/${uid}/homes_started`;
+export const invitePath = (code) => `invites/${code}`;
+
+export const canEdit = (role) => role === 'owner' || role === 'editor';
+export const canManage = (role) => role === 'owner';
+
+// How a member is listed to the rest of the home
+export const getMemberName = (account) => account.displayName || account.email || 'Guest';
+
+export const normalizeHomeName = (name) => {
+  const trimmed = (name || '').trim().slice(0, MAX_HOME_NAME_LENGTH);
+  if (!trimmed) throw new Error("A home needs a name.");
+  return trimmed;
+};
+
+// Unguessable: the code alone is enough to join the home
+export const createInviteCode = (randomValues = (count) => crypto.getRandomValues(new Uint32Array(count))) =>
+  Array.from(randomValues(INVITE_CODE_LENGTH), value => INVITE_ALPHABET[value % INVITE_ALPHABET.length]).join('');
+
+// One-off read through subscribe(), which every data source has
+export const readOnce = (source, path) => new Promise((resolve, reject) => {
+  let unsubscribe = null;
+  let done = false;
+  unsubscribe = source.subscribe(path, (value) => {
+    if (done) return;
+    done = true;
+    if (unsubscribe) unsubscribe();
+    resolve(value);
+  }, reject);
+  if (done) unsubscribe(); // The value was already there, before subscribe() returned
+});
+
+const ROLE_ORDER = { owner: 0, editor: 1, viewer: 2 };
+
+const toMemberList = (value) => Object.entries(value || {})
+  .map(([uid, member]) => ({ uid, ...member }))
+  .sort((a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role] || (a.name || '').localeCompare(b.name || ''));
+
+// --- Listing ---
+
+// Calls back with the ids of the user's homes
+export const subscribeToUserHomes = (source, uid, callback, onError) =>
+  source.subscribe(userHomesPath(uid), (value) => callback(Object.keys(value || {})), onError);
+
+// Calls back with { id, name, createdBy, createdAt, members: [{ uid, role, name, joinedAt }] },
+// or null once the home is gone
+export const subscribeToHome = (source, homeId, callback, onError) => {
+  let meta;
+  let members;
+  const report = () => {
+    if (meta === undefined || members === undefined) return;
+    callback(meta ? { id: homeId, ...meta, members } : null);
+  };
+  const unsubscribeMeta = source.subscribe(`${homePath(homeId)}/meta`, (value) => {
+    meta = value;
+    report();
+  }, onError);
+  const unsubscribeMembers = source.subscribe(membersPath(homeId), (value) => {
+    members = toMemberList(value);
+    report();
+  }, onError);
+  return () => {
+    unsubscribeMeta();
+    unsubscribeMembers();
+  };
+};
+
+// Open invites of a home, newest first: [{ code, role, createdAt }]
+export const subscribeToInvites = (source, homeId, callback, onError) =>
+  source.subscribe(homeInvitesPath(homeId), (value) => {
+    callback(Object.entries(value || {})
+      .map(([code, invite]) => ({ code, ...invite }))
+      .sort((a, b) => b.createdAt - a.createdAt));
+  }, onError);
+
+// --- Creating, joining and leaving ---
+
+// Remembers that the user has had a home, so losing the last one doesn't make a new one
+export const markHomesStarted = (source, uid) => source.set(homesStartedPath(uid), true);
+
+// Whether a user without homes should get one made for them: on their first sign-in, or when
+// data from before homes existed is still waiting to be moved. Someone who deleted or left
+// their last home chooses what to do next.
+export const needsFirstHome = async (source, uid) => {
+  if (await readOnce(source, homesStartedPath(uid)) === null) return true;
+  for (const section of HOME_SECTIONS) {
+    if (await readOnce(source, `users/${uid}/${section}`) !== null) return true;
+  }
+  return false;
+};
+
+// Moves data from the old users/{uid} layout into a home, section by section
+export const moveLegacyData = async (source, uid, homeId) => {
+  for (const section of HOME_SECTIONS) {
+    const value = await readOnce(source, `users/${uid}/${section}`);
+    if (value === null) continue;
+    await source.set(`${homePath(homeId)}/${section}`, value);
+    await source.remove(`users/${uid}/${section}`);
+  }
+};
+
+// Creates a home owned by `account` and resolves with its id. `moveLegacy` brings along the
+// data the user had before homes existed.
+export const createHome = async (source, account, name, { moveLegacy = false } = {}) => {
+  const now = Date.now();
+  const homeId = await source.push('homes', {
+    meta: { name: normalizeHomeName(name), createdBy: account.uid, createdAt: now },
+    members: { [account.uid]: { role: 'owner', name: getMemberName(account), joinedAt: now } },
+  });
+  await source.set(`${userHomesPath(account.uid)}/${homeId}`, { joinedAt: now });
+  await markHomesStarted(source, account.uid);
+  if (moveLegacy) await moveLegacyData(source, account.uid, homeId);
+  return homeId;
+};
+
+export const renameHome = (source, homeId, name) => source.set(`${homePath(homeId)}/meta/name`, normalizeHomeName(name));
+
+// Resolves with the code to share. The invite stays valid until revoked.
+export const createInvite = async (source, home, role, uid) => {
+  if (!INVITE_ROLES.includes(role)) throw new Error(`Invites can't grant the ${role} role.`);
+  const code = createInviteCode();
+  const createdAt = Date.now();
+  await source.set(invitePath(code), { homeId: home.id, homeName: home.name, role, createdBy: uid, createdAt });
+  await source.set(`${homeInvitesPath(home.id)}/${code}`, { role, createdAt });
+  return code;
+};
+
+export const revokeInvite = async (source, homeId, code) => {
+  await source.remove(invitePath(code));
+  await source.remove(`${homeInvitesPath(homeId)}/${code}`);
+};
+
+// Joins the home an invite code points to, with the invite's role; resolves with the home id
+export const joinHome = async (source, account, code) => {
+  const trimmed = (code || '').trim().toLowerCase();
+  const invite = trimmed ? await readOnce(source, invitePath(trimmed)) : null;
+  if (!invite) throw new Error("That invite code isn't valid. It may have been revoked.");
+  const joined = await readOnce(source, `${userHomesPath(account.uid)}/${invite.homeId}`);
+  if (joined) throw new Error(`You're already a member of ${invite.homeName}.`);
+
+  const now = Date.now();
+  await source.set(`${membersPath(invite.homeId)}/${account.uid}`, {
+    role: invite.role, name: getMemberName(account), joinedAt: now, invite: trimmed,
+  });
+  await source.set(`${userHomesPath(account.uid)}/${invite.homeId}`, { joinedAt: now });
+  await markHomesStarted(source, account.uid);
+  return invite.homeId;
+};
+
+export const setMemberRole = (source, homeId, uid, role) => {
+  if (!ROLES[role]) return Promise.reject(new Error(`Unknown role: ${role}`));
+  return source.set(`${membersPath(homeId)}/${uid}/role`, role);
+};
+
+// The removed member's own list of homes is tidied up by their app the next time it loads
+export const removeMember = (source, homeId, uid) => source.remove(`${membersPath(homeId)}/${uid}`);
+
+export const leaveHome = async (source, homeId, uid) => {
+  await source.remove(`${membersPath(homeId)}/${uid}`);
+  await source.remove(`${userHomesPath(uid)}/${homeId}`);
+};
+
+// Owners only: revokes the home's invites, then removes the home and everything in it
+export const deleteHome = async (source, homeId, uid) => {
+  const invites = await readOnce(source, homeInvitesPath(homeId));
+  for (const code of Object.keys(invites || {})) {
+    await source.remove(invitePath(code));
+  }
+  await source.remove(homePath(homeId));
+  await source.remove(`${userHomesPath(uid)}/${homeId}`);
+};
+
+// An owner may not demote or remove the last owner, which would leave the home unmanageable
+export const isLastOwner = (home, uid) => {
+  const owners = home.members.filter(member => member.role === 'owner');
+  return owners.length === 1 && owners[0].uid === uid;
+};
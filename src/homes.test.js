@@ -0,0 +1,98 @@
+import { webcrypto } from 'crypto';
+import { createMockDataSource } from './mockDataSource';
+import {
+  createHome, createInvite, revokeInvite, joinHome, leaveHome, deleteHome, setMemberRole, readOnce,
+  subscribeToHome, subscribeToUserHomes, createInviteCode, isLastOwner, canEdit, homePath, userHomesPath,
+  needsFirstHome,
+} from './homes';
+import { designsPath } from './topologyDesign';
+
+// jsdom has no Web Crypto, which invite codes are drawn from
+beforeAll(() => {
+  window.crypto = webcrypto;
+});
+
+const alice = { uid: 'alice', email: 'alice@example.com', displayName: 'Alice' };
+const bob = { uid: 'bob', email: 'bob@example.com', displayName: null };
+
+test('the first home takes over the data a user had before homes existed', async () => {
+  const source = createMockDataSource();
+  await source.set('users/alice/designs/d1', { name: 'Flat' });
+  await source.set('users/alice/settings', { theme: 'dark' });
+
+  const homeId = await createHome(source, alice, '  Flat  ', { moveLegacy: true });
+  await expect(readOnce(source, `${designsPath(homeId)}/d1`)).resolves.toEqual({ name: 'Flat' });
+  await expect(readOnce(source, 'users/alice/designs')).resolves.toBeNull();
+  await expect(readOnce(source, 'users/alice/settings')).resolves.toEqual({ theme: 'dark' });
+
+  const home = jest.fn();
+  subscribeToHome(source, homeId, home);
+  expect(home).toHaveBeenLastCalledWith(expect.objectContaining({
+    id: homeId, name: 'Flat', createdBy: 'alice', members: [expect.objectContaining({ uid: 'alice', role: 'owner', name: 'Alice' })],
+  }));
+  const homes = jest.fn();
+  subscribeToUserHomes(source, 'alice', homes);
+  expect(homes).toHaveBeenLastCalledWith([homeId]);
+});
+
+test('only a first sign-in or data still to move gets a home made automatically', async () => {
+  const source = createMockDataSource();
+  await expect(needsFirstHome(source, 'alice')).resolves.toBe(true);
+
+  const homeId = await createHome(source, alice, 'Flat', { moveLegacy: true });
+  await deleteHome(source, homeId, 'alice');
+  await expect(needsFirstHome(source, 'alice')).resolves.toBe(false);
+
+  await source.set('users/alice/alert_rules/r1', { metric: 'latency' });
+  await expect(needsFirstHome(source, 'alice')).resolves.toBe(true);
+});
+
+test('invites add members with the invite\'s role until revoked', async () => {
+  const source = createMockDataSource();
+  const homeId = await createHome(source, alice, 'Flat');
+  const home = { id: homeId, name: 'Flat' };
+  await expect(createInvite(source, home, 'owner', 'alice')).rejects.toThrow(/owner/);
+
+  const code = await createInvite(source, home, 'viewer', 'alice');
+  await expect(joinHome(source, bob, ` ${code.toUpperCase()} `)).resolves.toBe(homeId);
+  await expect(joinHome(source, bob, code)).rejects.toThrow(/already a member of Flat/);
+  await expect(readOnce(source, `${homePath(homeId)}/members/bob`)).resolves.toMatchObject({ role: 'viewer', name: 'bob@example.com' });
+
+  await revokeInvite(source, homeId, code);
+  await leaveHome(source, homeId, 'bob');
+  await expect(joinHome(source, bob, code)).rejects.toThrow(/isn't valid/);
+  await expect(readOnce(source, userHomesPath('bob'))).resolves.toBeNull();
+});
+
+test('deleting a home revokes its invites', async () => {
+  const source = createMockDataSource();
+  const homeId = await createHome(source, alice, 'Flat');
+  const code = await createInvite(source, { id: homeId, name: 'Flat' }, 'editor', 'alice');
+
+  await deleteHome(source, homeId, 'alice');
+  await expect(readOnce(source, homePath(homeId))).resolves.toBeNull();
+  await expect(joinHome(source, bob, code)).rejects.toThrow(/isn't valid/);
+});
+
+test('roles decide who may edit, and a home keeps at least one owner', async () => {
+  const source = createMockDataSource();
+  const homeId = await createHome(source, alice, 'Flat');
+  const code = await createInvite(source, { id: homeId, name: 'Flat' }, 'editor', 'alice');
+  await joinHome(source, bob, code);
+
+  const home = jest.fn();
+  subscribeToHome(source, homeId, home);
+  expect(isLastOwner(home.mock.calls.at(-1)[0], 'alice')).toBe(true);
+  await setMemberRole(source, homeId, 'bob', 'owner');
+  expect(isLastOwner(home.mock.calls.at(-1)[0], 'alice')).toBe(false);
+  await expect(setMemberRole(source, homeId, 'bob', 'admin')).rejects.toThrow(/Unknown role/);
+
+  expect([canEdit('owner'), canEdit('editor'), canEdit('viewer'), canEdit(null)]).toEqual([true, true, false, false]);
+});
+
+test('invite codes are long and avoid look-alike characters', () => {
+  const code = createInviteCode();
+  expect(code).toMatch(/^[a-z2-9]{20}$/);
+  expect(code).not.toMatch(/[01ilo]/);
+  expect(createInviteCode()).not.toBe(code);
+});
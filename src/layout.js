@@ -0,0 +1,116 @@
+// src/layout.js
+// Deterministic layout helpers. All randomness comes from a seeded generator so the
+// same seed and canvas size always produce the same picture.
+
+export const LAYOUT_MODES = ['scatter', 'force'];
+
+// Minimum spacing multiplier (in device radii) used when scattering devices
+const MIN_DEVICE_SPACING = 4;
+// Give up on spacing after this many tries so tiny canvases can't loop forever
+const MAX_PLACEMENT_ATTEMPTS = 100;
+const FORCE_ITERATIONS = 200;
+
+// Turns any seed string into a 32-bit integer (FNV-1a)
+export const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Small, fast seeded PRNG (mulberry32); returns a function yielding floats in [0, 1)
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A fresh seed for the "reshuffle" control
+export const randomSeed = () => String(Math.floor(Math.random() * 100000));
+
+// Places `count` points at random inside a rectangle, keeping them apart from each other
+export const scatterPositions = (count, area, r, random) => {
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    let x, y;
+    let collision;
+    let attempts = 0;
+    do {
+      collision = false;
+      attempts++;
+      x = area.x + random() * area.width;
+      y = area.y + random() * area.height;
+      for (const existing of positions) {
+        const dist = Math.sqrt(Math.pow(x - existing.x, 2) + Math.pow(y - existing.y, 2));
+        if (dist < r * MIN_DEVICE_SPACING) {
+          collision = true;
+          break;
+        }
+      }
+    } while (collision && attempts < MAX_PLACEMENT_ATTEMPTS);
+    positions.push({ x, y });
+  }
+  return positions;
+};
+
+// Fruchterman-Reingold spring layout inside `area`. `links` are [i, j] index pairs into
+// `positions`; the result has the same length and order. Runs a fixed number of
+// iterations from the given starting positions, so it is as deterministic as its input.
+export const forceDirectedLayout = (positions, links, area) => {
+  const count = positions.length;
+  if (count < 2) return positions.map(pos => ({ ...pos }));
+
+  const nodes = positions.map(pos => ({ ...pos }));
+  const k = Math.sqrt((area.width * area.height) / count); // Ideal edge length
+  let temperature = Math.max(area.width, area.height) / 10;
+  const cooling = temperature / (FORCE_ITERATIONS + 1);
+
+  for (let iteration = 0; iteration < FORCE_ITERATIONS; iteration++) {
+    const displacement = nodes.map(() => ({ x: 0, y: 0 }));
+
+    // Every pair repels
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const dx = nodes[i].x - nodes[j].x;
+        const dy = nodes[i].y - nodes[j].y;
+        const dist = Math.max(0.01, Math.hypot(dx, dy));
+        const force = (k * k) / dist;
+        displacement[i].x += (dx / dist) * force;
+        displacement[i].y += (dy / dist) * force;
+        displacement[j].x -= (dx / dist) * force;
+        displacement[j].y -= (dy / dist) * force;
+      }
+    }
+
+    // Linked pairs attract
+    links.forEach(([i, j]) => {
+      const dx = nodes[i].x - nodes[j].x;
+      const dy = nodes[i].y - nodes[j].y;
+      const dist = Math.max(0.01, Math.hypot(dx, dy));
+      const force = (dist * dist) / k;
+      displacement[i].x -= (dx / dist) * force;
+      displacement[i].y -= (dy / dist) * force;
+      displacement[j].x += (dx / dist) * force;
+      displacement[j].y += (dy / dist) * force;
+    });
+
+    // Move each node at most `temperature` pixels and keep it inside the area
+    for (let i = 0; i < count; i++) {
+      const node = nodes[i];
+      const length = Math.max(0.01, Math.hypot(displacement[i].x, displacement[i].y));
+      const step = Math.min(length, temperature);
+      node.x = Math.max(area.x, Math.min(area.x + area.width, node.x + (displacement[i].x / length) * step));
+      node.y = Math.max(area.y, Math.min(area.y + area.height, node.y + (displacement[i].y / length) * step));
+    }
+    temperature -= cooling;
+  }
+  return nodes;
+};
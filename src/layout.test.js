@@ -0,0 +1,42 @@
+import { createRandom, scatterPositions, forceDirectedLayout } from './layout';
+import { buildTopology } from './topology';
+
+const AREA = { x: 0, y: 0, width: 400, height: 300 };
+
+test('the same seed yields the same sequence', () => {
+  const a = createRandom('demo');
+  const b = createRandom('demo');
+  const c = createRandom('other');
+  const first = [a(), a(), a()];
+  expect([b(), b(), b()]).toEqual(first);
+  expect([c(), c(), c()]).not.toEqual(first);
+  first.forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+});
+
+test('seeded mesh layouts are reproducible', () => {
+  const positions = (seed, layout) =>
+    buildTopology('mesh', 800, 400, { seed, layout }).nodes.map(node => [node.x, node.y]);
+  expect(positions('42', 'scatter')).toEqual(positions('42', 'scatter'));
+  expect(positions('42', 'scatter')).not.toEqual(positions('43', 'scatter'));
+  expect(positions('42', 'force')).toEqual(positions('42', 'force'));
+});
+
+test('force-directed layout spreads nodes out and keeps them in the area', () => {
+  const start = scatterPositions(5, AREA, 15, createRandom('spread'));
+  const links = [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]];
+  const result = forceDirectedLayout(start, links, AREA);
+  let minDistance = Infinity;
+  result.forEach((a, i) => {
+    expect(a.x).toBeGreaterThanOrEqual(AREA.x);
+    expect(a.x).toBeLessThanOrEqual(AREA.x + AREA.width);
+    expect(a.y).toBeGreaterThanOrEqual(AREA.y);
+    expect(a.y).toBeLessThanOrEqual(AREA.y + AREA.height);
+    result.slice(i + 1).forEach(b => {
+      minDistance = Math.min(minDistance, Math.hypot(a.x - b.x, a.y - b.y));
+    });
+  });
+  expect(minDistance).toBeGreaterThan(60);
+});
@@ -0,0 +1,275 @@
+// src/mockDataSource.js
+// In-browser data source for offline development and demos. Keeps the database as a plain
+// object in memory and, once connected, generates realistic readings for current_data and
+// a handful of devices every few seconds, in each home of whoever is signed in. Accounts
+// work like Firebase Authentication: the demo user starts anonymous and can be saved to an
+// email or (pretend) Google account under the same uid. Nothing is persisted across page
+// loads, and security rules are not enforced.
+
+import { currentDataPath } from './networkHistory';
+import { devicesPath } from './deviceTelemetry';
+import { userHomesPath } from './homes';
+import { WIFI_BANDS, toCommandList, getCommandStatus, respondToCommand, applyCommand } from './deviceCommands';
+
+export const MOCK_USER_ID = 'demo-user';
+export const MOCK_READING_INTERVAL = 3000; // ms between generated readings
+export const MOCK_GOOGLE_ACCOUNT = { email: 'demo.user@gmail.com', displayName: 'Demo User' };
+const MIN_PASSWORD_LENGTH = 6; // Firebase's own minimum
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Ids match the nodes of the default layouts so the canvas shows their health rings
+// `bands` limits which Wi-Fi bands a device can switch to; the hub can't be blocked
+export const MOCK_DEVICES = [
+  { id: 'hub', name: 'Main Hub', bands: WIFI_BANDS, blockable: false },
+  { id: 'device-1', name: 'Thermostat', bands: WIFI_BANDS, blockable: true },
+  { id: 'device-2', name: 'Front Door Camera', bands: WIFI_BANDS, blockable: true },
+  { id: 'device-3', name: 'Smart Speaker', bands: WIFI_BANDS, blockable: true },
+  { id: 'device-4', name: 'Garage Sensor', bands: ['2.4GHz'], blockable: true },
+];
+export const MOCK_REBOOT_TIME = 20000; // ms a rebooting device is silent, so commands sent then time out
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+const isPrefix = (prefix, path) => prefix.every((segment, i) => path[i] === segment);
+
+const readAt = (root, segments) =>
+  segments.reduce((node, segment) => (node && typeof node === 'object' ? node[segment] : undefined), root);
+
+// Returns a copy of `node` with `value` written at `segments`; null removes the entry and
+// any parents left empty, as the Realtime Database does
+const writeAt = (node, segments, value) => {
+  if (segments.length === 0) return value;
+  const [head, ...rest] = segments;
+  const next = { ...(node && typeof node === 'object' ? node : {}) };
+  const child = writeAt(next[head], rest, value);
+  if (child === null || (typeof child === 'object' && Object.keys(child).length === 0)) delete next[head];
+  else next[head] = child;
+  return Object.keys(next).length > 0 ? next : null;
+};
+
+// Children ordered by `orderBy`, between `startAt` and `endAt` and cut to the first or last
+// few, like an orderByChild query
+const applyQuery = (value, { orderBy, startAt, endAt, limitToFirst, limitToLast } = {}) => {
+  if (!orderBy || !value || typeof value !== 'object') return value;
+  let children = Object.entries(value)
+    .filter(([, child]) => startAt === undefined || (child && child[orderBy] >= startAt))
+    .filter(([, child]) => endAt === undefined || (child && child[orderBy] <= endAt))
+    .sort(([, a], [, b]) => (a[orderBy] > b[orderBy] ? 1 : a[orderBy] < b[orderBy] ? -1 : 0));
+  if (limitToFirst) children = children.slice(0, limitToFirst);
+  if (limitToLast) children = children.slice(-limitToLast);
+  return children.length > 0 ? Object.fromEntries(children) : null;
+};
+
+// Push keys sort in creation order, like Firebase push ids
+let lastPushTime = 0;
+let pushCounter = 0;
+const createPushKey = () => {
+  const now = Date.now();
+  pushCounter = now === lastPushTime ? pushCounter + 1 : 0;
+  lastPushTime = now;
+  return `-${now.toString(36).padStart(9, '0')}${pushCounter.toString(36).padStart(3, '0')}`;
+};
+
+// Moves `value` a random step within [min, max]
+const walk = (value, step, min, max, random) =>
+  Math.min(max, Math.max(min, value + (random() - 0.5) * 2 * step));
+
+// One random-walk state per metric; readings use the same strings as real devices ("75%", "20ms")
+const createReadingGenerator = (random) => {
+  let state = { signalStrength: 80, latency: 30, deliveryRate: 98.5 };
+  return (time) => {
+    state = {
+      signalStrength: walk(state.signalStrength, 4, 30, 99, random),
+      latency: walk(state.latency, 8, 5, 200, random),
+      deliveryRate: walk(state.deliveryRate, 0.8, 85, 100, random),
+    };
+    return {
+      signalStrength: `${Math.round(state.signalStrength)}%`,
+      latency: `${Math.round(state.latency)}ms`,
+      deliveryRate: `${state.deliveryRate.toFixed(1)}%`,
+      timestamp: new Date(time).toISOString(),
+    };
+  };
+};
+
+// Why a mock device turns a command down, or null when it carries it out
+const refuseCommand = (device, command) => {
+  if (command.type === 'setBand' && !device.bands.includes(command.params.band)) {
+    return `${device.name} only supports ${device.bands.join(' and ')}.`;
+  }
+  if (command.type === 'block' && !device.blockable) return `${device.name} can't be blocked.`;
+  return null;
+};
+
+// Errors carry Firebase's codes so the UI handles both sources alike
+const authError = (code) => Object.assign(new Error(`Firebase: Error (${code}).`), { code });
+
+export const createMockDataSource = ({ random = Math.random, interval = MOCK_READING_INTERVAL } = {}) => {
+  let root = null;
+  const listeners = new Set();
+
+  // --- Accounts ---
+  const accounts = new Map(); // email -> { uid, password, displayName, providers }
+  let anonymousSessions = 0;
+  let user = null;
+  let reportUser = () => {};
+
+  const startAnonymousSession = () => {
+    anonymousSessions++;
+    const uid = anonymousSessions === 1 ? MOCK_USER_ID : `${MOCK_USER_ID}-${anonymousSessions}`;
+    user = { uid, isAnonymous: true, email: null, displayName: null, providers: [] };
+  };
+
+  const switchUser = (next) => {
+    user = next;
+    reportUser();
+    return Promise.resolve({ ...user });
+  };
+
+  const accountUser = (email, account) => ({
+    uid: account.uid, isAnonymous: false, email, displayName: account.displayName, providers: account.providers,
+  });
+
+  // An anonymous session keeps its uid when saved; otherwise the account gets a new one
+  const saveAccount = (email, account) => {
+    const uid = user && user.isAnonymous ? user.uid : `${MOCK_USER_ID}-${createPushKey().slice(1)}`;
+    const saved = { ...account, uid };
+    accounts.set(email, saved);
+    return switchUser(accountUser(email, saved));
+  };
+
+  const notify = (changed) => {
+    listeners.forEach(listener => {
+      if (isPrefix(listener.segments, changed) || isPrefix(changed, listener.segments)) {
+        listener.callback(clone(applyQuery(readAt(root, listener.segments), listener.options)));
+      }
+    });
+  };
+
+  const write = (path, value) => {
+    const segments = splitPath(path);
+    root = writeAt(root, segments, clone(value));
+    notify(segments);
+  };
+
+  const source = {
+    subscribe: (path, callback, onError, options = {}) => {
+      const listener = { segments: splitPath(path), callback, options };
+      listeners.add(listener);
+      callback(clone(applyQuery(readAt(root, listener.segments), options)));
+      return () => listeners.delete(listener);
+    },
+
+    set: (path, value) => Promise.resolve(write(path, value)),
+    push: (path, value) => {
+      const key = createPushKey();
+      write(`${path}/${key}`, value);
+      return Promise.resolve(key);
+    },
+    update: (path, values) => {
+      // Null values remove their child, as in the Realtime Database
+      const current = readAt(root, splitPath(path));
+      const next = { ...(current && typeof current === 'object' ? current : {}) };
+      Object.entries(values).forEach(([key, value]) => {
+        if (value === null) delete next[key];
+        else next[key] = value;
+      });
+      write(path, next);
+      return Promise.resolve();
+    },
+    remove: (path) => Promise.resolve(write(path, null)),
+    transaction: (path, apply) => {
+      const next = apply(clone(readAt(root, splitPath(path))));
+      if (next === undefined) return Promise.resolve(false);
+      write(path, next);
+      return Promise.resolve(true);
+    },
+
+    // Signs in the demo user and starts generating readings for each of their homes until
+    // unsubscribed
+    connect: (onUser) => {
+      const generators = new Map(); // homeId -> { network, devices }
+
+      // The device side of the command queue: answers new commands on the next tick
+      const answerCommands = (homeId, device, time) => {
+        const path = `${devicesPath(homeId)}/${device.id}`;
+        const reported = readAt(root, splitPath(`${path}/state`)) || {};
+        let state = reported;
+        toCommandList(readAt(root, splitPath(`${path}/commands`)))
+          .filter(command => getCommandStatus(command, time) === 'pending')
+          .reverse() // Oldest first
+          .forEach(command => {
+            const refusal = refuseCommand(device, command);
+            if (refusal) {
+              respondToCommand(source, homeId, device.id, command.id, { ok: false, message: refusal }, time);
+              return;
+            }
+            state = applyCommand(state, command);
+            if (command.type === 'reboot') device.rebootUntil = time + MOCK_REBOOT_TIME;
+            respondToCommand(source, homeId, device.id, command.id, { ok: true, message: command.type === 'reboot' ? 'Rebooting' : 'Done' }, time);
+          });
+        if (state !== reported) write(`${path}/state`, state);
+      };
+
+      const tick = () => {
+        const time = Date.now();
+        Object.keys(readAt(root, splitPath(userHomesPath(user.uid))) || {}).forEach(homeId => {
+          if (!generators.has(homeId)) {
+            generators.set(homeId, {
+              network: createReadingGenerator(random),
+              devices: MOCK_DEVICES.map(device => ({ ...device, next: createReadingGenerator(random), rebootUntil: 0 })),
+            });
+          }
+          const { network, devices } = generators.get(homeId);
+          write(currentDataPath(homeId), network(time));
+          devices.forEach(device => {
+            if (time < device.rebootUntil) return; // Rebooting devices neither report nor answer
+            answerCommands(homeId, device, time);
+            // Only the device's own fields, so its command queue survives
+            const path = `${devicesPath(homeId)}/${device.id}`;
+            write(path, { ...readAt(root, splitPath(path)), name: device.name, telemetry: device.next(time) });
+          });
+        });
+      };
+      reportUser = () => {
+        onUser(user.uid, { ...user });
+        tick(); // The new user's homes show readings straight away
+      };
+      if (!user) startAnonymousSession();
+      reportUser();
+      const timer = setInterval(tick, interval);
+      return () => {
+        clearInterval(timer);
+        reportUser = () => {};
+      };
+    },
+
+    createAccount: (email, password) => {
+      if (!EMAIL_PATTERN.test(email)) return Promise.reject(authError('auth/invalid-email'));
+      if (password.length < MIN_PASSWORD_LENGTH) return Promise.reject(authError('auth/weak-password'));
+      if (accounts.has(email)) return Promise.reject(authError('auth/email-already-in-use'));
+      return saveAccount(email, { password, displayName: null, providers: ['password'] });
+    },
+
+    signInWithEmail: (email, password) => {
+      const account = accounts.get(email);
+      if (!account || account.password !== password) return Promise.reject(authError('auth/invalid-credential'));
+      return switchUser(accountUser(email, account));
+    },
+
+    // Always the same pretend Google account, so signing in "on another device" finds it again
+    signInWithGoogle: () => {
+      const { email, displayName } = MOCK_GOOGLE_ACCOUNT;
+      const account = accounts.get(email);
+      if (account) return switchUser(accountUser(email, account));
+      return saveAccount(email, { password: null, displayName, providers: ['google.com'] });
+    },
+
+    signOut: () => {
+      startAnonymousSession();
+      reportUser();
+      return Promise.resolve();
+    },
+  };
+  return source;
+};
@@ -0,0 +1,151 @@
+import { createMockDataSource, MOCK_USER_ID, MOCK_DEVICES, MOCK_GOOGLE_ACCOUNT } from './mockDataSource';
+import { currentDataPath, historyPath, subscribeToHistory, pruneHistory } from './networkHistory';
+import { subscribeToDeviceTelemetry } from './deviceTelemetry';
+import { userHomesPath } from './homes';
+
+test('notifies listeners on the written path and its parents', async () => {
+  const source = createMockDataSource();
+  const parent = jest.fn();
+  const child = jest.fn();
+  source.subscribe('users/a', parent);
+  source.subscribe('users/a/settings/theme', child);
+  expect(parent).toHaveBeenLastCalledWith(null);
+
+  await source.set('users/a/settings', { theme: 'dark' });
+  expect(parent).toHaveBeenLastCalledWith({ settings: { theme: 'dark' } });
+  expect(child).toHaveBeenLastCalledWith('dark');
+
+  await source.update('users/a/settings', { units: 'metric' });
+  expect(parent).toHaveBeenLastCalledWith({ settings: { theme: 'dark', units: 'metric' } });
+
+  await source.update('users/a/settings', { theme: null });
+  expect(parent).toHaveBeenLastCalledWith({ settings: { units: 'metric' } });
+
+  await source.remove('users/a/settings');
+  expect(parent).toHaveBeenLastCalledWith(null);
+  expect(child).toHaveBeenLastCalledWith(null);
+});
+
+test('push keys keep creation order', async () => {
+  const source = createMockDataSource();
+  const first = await source.push('items', { n: 1 });
+  const second = await source.push('items', { n: 2 });
+  expect(first < second).toBe(true);
+
+  const callback = jest.fn();
+  source.subscribe('items', callback);
+  expect(Object.values(callback.mock.calls[0][0])).toEqual([{ n: 1 }, { n: 2 }]);
+});
+
+test('history queries only return entries since the start time', async () => {
+  const source = createMockDataSource();
+  await source.set(`${historyPath('u')}/1000`, { timestamp: 1000, latency: 10 });
+  await source.set(`${historyPath('u')}/3000`, { timestamp: 3000, latency: 30 });
+  const callback = jest.fn();
+  subscribeToHistory(source, 'u', 2000, callback);
+  expect(callback).toHaveBeenLastCalledWith([{ timestamp: 3000, latency: 30 }]);
+});
+
+test('queries can be cut to the first or last entries and end at a value', async () => {
+  const source = createMockDataSource();
+  await Promise.all([1, 2, 3, 4].map(n => source.set(`items/k${n}`, { n })));
+  const keys = (options) => {
+    const callback = jest.fn();
+    source.subscribe('items', callback, undefined, { orderBy: 'n', ...options })();
+    return Object.keys(callback.mock.calls[0][0] || {});
+  };
+  expect(keys({ limitToLast: 2 })).toEqual(['k3', 'k4']);
+  expect(keys({ endAt: 3, limitToFirst: 2 })).toEqual(['k1', 'k2']);
+  expect(keys({ startAt: 2, endAt: 3 })).toEqual(['k2', 'k3']);
+});
+
+test('pruning removes history entries older than the cut-off', async () => {
+  const source = createMockDataSource();
+  await Promise.all([1000, 2000, 3000].map(timestamp => source.set(`${historyPath('u')}/${timestamp}`, { timestamp })));
+  await expect(pruneHistory(source, 'u', 2500)).resolves.toBe(2);
+  await expect(pruneHistory(source, 'u', 2500)).resolves.toBe(0);
+  const callback = jest.fn();
+  subscribeToHistory(source, 'u', 0, callback);
+  expect(callback).toHaveBeenLastCalledWith([{ timestamp: 3000 }]);
+});
+
+test('connecting signs in the demo user and generates readings in their homes', () => {
+  jest.useFakeTimers();
+  const source = createMockDataSource({ interval: 1000 });
+  source.set(`${userHomesPath(MOCK_USER_ID)}/home-1`, { joinedAt: 1 });
+  const readings = jest.fn();
+  const devices = jest.fn();
+  source.subscribe(currentDataPath('home-1'), readings);
+  subscribeToDeviceTelemetry(source, 'home-1', devices);
+
+  const onUser = jest.fn();
+  const disconnect = source.connect(onUser);
+  expect(onUser).toHaveBeenCalledWith(MOCK_USER_ID, expect.objectContaining({ uid: MOCK_USER_ID, isAnonymous: true }));
+  expect(readings.mock.calls.at(-1)[0]).toEqual({
+    signalStrength: expect.stringMatching(/^\d+%$/),
+    latency: expect.stringMatching(/^\d+ms$/),
+    deliveryRate: expect.stringMatching(/^[\d.]+%$/),
+    timestamp: expect.any(String),
+  });
+  expect(Object.keys(devices.mock.calls.at(-1)[0])).toHaveLength(MOCK_DEVICES.length);
+
+  const calls = readings.mock.calls.length;
+  jest.advanceTimersByTime(1000);
+  expect(readings.mock.calls.length).toBe(calls + 1);
+
+  disconnect();
+  jest.advanceTimersByTime(5000);
+  expect(readings.mock.calls.length).toBe(calls + 1);
+  jest.useRealTimers();
+});
+
+test('saving a guest session to an account keeps its uid and data', async () => {
+  const source = createMockDataSource();
+  const onUser = jest.fn();
+  const disconnect = source.connect(onUser);
+  await source.set(`users/${MOCK_USER_ID}/designs/d1`, { name: 'Flat' });
+
+  await expect(source.createAccount('not-an-email', 'secret1')).rejects.toMatchObject({ code: 'auth/invalid-email' });
+  await expect(source.createAccount('sam@example.com', '123')).rejects.toMatchObject({ code: 'auth/weak-password' });
+  const account = await source.createAccount('sam@example.com', 'secret1');
+  expect(account).toMatchObject({ uid: MOCK_USER_ID, isAnonymous: false, email: 'sam@example.com', providers: ['password'] });
+  expect(onUser).toHaveBeenLastCalledWith(MOCK_USER_ID, account);
+
+  const designs = jest.fn();
+  source.subscribe(`users/${MOCK_USER_ID}/designs`, designs);
+  expect(designs).toHaveBeenLastCalledWith({ d1: { name: 'Flat' } });
+  disconnect();
+});
+
+test('signing out starts a new guest, and signing back in returns to the same home', async () => {
+  const source = createMockDataSource();
+  const onUser = jest.fn();
+  const disconnect = source.connect(onUser);
+  await source.createAccount('sam@example.com', 'secret1');
+
+  await source.signOut();
+  const [guestId, guest] = onUser.mock.calls.at(-1);
+  expect(guest.isAnonymous).toBe(true);
+  expect(guestId).not.toBe(MOCK_USER_ID);
+  await expect(source.createAccount('sam@example.com', 'other12')).rejects.toMatchObject({ code: 'auth/email-already-in-use' });
+  await expect(source.signInWithEmail('sam@example.com', 'wrong')).rejects.toMatchObject({ code: 'auth/invalid-credential' });
+
+  const account = await source.signInWithEmail('sam@example.com', 'secret1');
+  expect(account.uid).toBe(MOCK_USER_ID);
+  expect(onUser).toHaveBeenLastCalledWith(MOCK_USER_ID, account);
+  disconnect();
+});
+
+test('Google links to the guest session once, then signs in to that account', async () => {
+  const source = createMockDataSource();
+  const onUser = jest.fn();
+  const disconnect = source.connect(onUser);
+
+  const linked = await source.signInWithGoogle();
+  expect(linked).toMatchObject({ uid: MOCK_USER_ID, email: MOCK_GOOGLE_ACCOUNT.email, providers: ['google.com'] });
+
+  await source.signOut();
+  const again = await source.signInWithGoogle();
+  expect(again.uid).toBe(MOCK_USER_ID);
+  disconnect();
+});
@@ -0,0 +1,126 @@
+// src/networkHistory.js
+// Time series of live network readings stored under homes/{homeId}/network_data/history.
+// Entries are keyed by their timestamp (ms) so the same reading written twice, e.g. by two
+// open tabs, lands on the same key instead of being duplicated.
+// The database should index history by timestamp: {"history": {".indexOn": ["timestamp"]}}.
+
+export const HISTORY_WINDOWS = {
+  hour: { label: 'Last Hour', duration: 60 * 60 * 1000 },
+  day: { label: 'Last Day', duration: 24 * 60 * 60 * 1000 },
+  week: { label: 'Last Week', duration: 7 * 24 * 60 * 60 * 1000 },
+};
+
+export const HISTORY_METRICS = [
+  { key: 'signalStrength', label: 'Signal Strength', unit: '%', color: '#3B82F6' },
+  { key: 'latency', label: 'Latency', unit: 'ms', color: '#F59E0B' },
+  { key: 'deliveryRate', label: 'Delivery Rate', unit: '%', color: '#10B981' },
+];
+
+const MAX_CHART_POINTS = 200; // Longer series are averaged into this many buckets
+// Most entries a history listener downloads. A reading every few seconds adds up to
+// hundreds of thousands a week, so long windows show only their latest readings.
+export const MAX_HISTORY_ENTRIES = 10000;
+// Entries older than the longest window are pruned, at most this many per pass
+export const HISTORY_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_BATCH = 1000;
+
+export const currentDataPath = (homeId) => `homes/${homeId}/network_data/current_data`;
+export const historyPath = (homeId) => `homes/${homeId}/network_data/history`;
+
+// Readings arrive as strings like "75%" or "20ms"; keep just the number
+export const parseMetric = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+export const parseTimestamp = (value) => {
+  if (typeof value === 'number') return value;
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+// Converts a current_data snapshot into a history entry, or null when it has no usable timestamp
+export const toHistoryEntry = (data) => {
+  const timestamp = parseTimestamp(data.timestamp);
+  if (timestamp === null) return null;
+  return {
+    signalStrength: parseMetric(data.signalStrength),
+    latency: parseMetric(data.latency),
+    deliveryRate: parseMetric(data.deliveryRate),
+    timestamp,
+  };
+};
+
+export const appendHistoryEntry = (source, homeId, entry) =>
+  source.set(`${historyPath(homeId)}/${entry.timestamp}`, entry);
+
+// Listens to the latest MAX_HISTORY_ENTRIES entries newer than `since` (ms); calls back with
+// entries sorted by time
+export const subscribeToHistory = (source, homeId, since, callback, onError) =>
+  source.subscribe(historyPath(homeId), (value) => {
+    const entries = Object.values(value || {});
+    entries.sort((a, b) => a.timestamp - b.timestamp);
+    callback(entries);
+  }, onError, { orderBy: 'timestamp', startAt: since, limitToLast: MAX_HISTORY_ENTRIES });
+
+// One-off read of the history entries matching a query; resolves with { [key]: entry }
+const readHistoryOnce = (source, homeId, options) => new Promise((resolve, reject) => {
+  let done = false;
+  let unsubscribe = null;
+  unsubscribe = source.subscribe(historyPath(homeId), (value) => {
+    if (done) return;
+    done = true;
+    // The mock answers before subscribe returns, so stop listening once it has
+    Promise.resolve().then(() => unsubscribe());
+    resolve(value || {});
+  }, reject, { orderBy: 'timestamp', ...options });
+});
+
+// Entries from `from` to `to` (ms, both included), sorted by time
+export const readHistory = (source, homeId, from, to) =>
+  readHistoryOnce(source, homeId, { startAt: from, endAt: to, limitToLast: MAX_HISTORY_ENTRIES })
+    .then(value => Object.values(value).sort((a, b) => a.timestamp - b.timestamp));
+
+// Deletes up to PRUNE_BATCH entries older than `before` (ms); resolves with how many went
+export const pruneHistory = async (source, homeId, before) => {
+  const stale = Object.keys(await readHistoryOnce(source, homeId, { endAt: before - 1, limitToFirst: PRUNE_BATCH }));
+  if (stale.length > 0) await source.update(historyPath(homeId), Object.fromEntries(stale.map(key => [key, null])));
+  return stale.length;
+};
+
+// Min, average and max of one metric, ignoring missing values. Loops rather than spreading
+// into Math.min/max, which overflows the stack on long series.
+export const summarizeSeries = (entries, key) => {
+  let min = null;
+  let max = null;
+  let total = 0;
+  let count = 0;
+  entries.forEach(entry => {
+    const value = entry[key];
+    if (typeof value !== 'number') return;
+    min = min === null ? value : Math.min(min, value);
+    max = max === null ? value : Math.max(max, value);
+    total += value;
+    count++;
+  });
+  return { min, avg: count > 0 ? total / count : null, max, count };
+};
+
+// Averages a metric into at most `maxPoints` time buckets for charting; returns [{ t, value }]
+export const downsampleSeries = (entries, key, maxPoints = MAX_CHART_POINTS) => {
+  const points = entries
+    .filter(entry => typeof entry[key] === 'number')
+    .map(entry => ({ t: entry.timestamp, value: entry[key] }));
+  if (points.length <= maxPoints) return points;
+
+  const bucketSize = Math.ceil(points.length / maxPoints);
+  const buckets = [];
+  for (let i = 0; i < points.length; i += bucketSize) {
+    const bucket = points.slice(i, i + bucketSize);
+    buckets.push({
+      t: bucket.reduce((sum, point) => sum + point.t, 0) / bucket.length,
+      value: bucket.reduce((sum, point) => sum + point.value, 0) / bucket.length,
+    });
+  }
+  return buckets;
+};
@@ -0,0 +1,33 @@
+import { parseMetric, toHistoryEntry, summarizeSeries, downsampleSeries } from './networkHistory';
+
+test('parses readings with units into numbers', () => {
+  expect(parseMetric('75%')).toBe(75);
+  expect(parseMetric('20ms')).toBe(20);
+  expect(parseMetric(12.5)).toBe(12.5);
+  expect(parseMetric('N/A')).toBeNull();
+});
+
+test('builds history entries only for timestamped readings', () => {
+  expect(toHistoryEntry({ signalStrength: '75%', latency: '20ms', deliveryRate: '99%', timestamp: '2023-07-24T10:30:00Z' }))
+    .toEqual({ signalStrength: 75, latency: 20, deliveryRate: 99, timestamp: Date.parse('2023-07-24T10:30:00Z') });
+  expect(toHistoryEntry({ signalStrength: '75%' })).toBeNull();
+});
+
+test('summarizes min, average and max while skipping gaps', () => {
+  const entries = [{ latency: 10 }, { latency: null }, { latency: 30 }, { latency: 20 }];
+  expect(summarizeSeries(entries, 'latency')).toEqual({ min: 10, avg: 20, max: 30, count: 3 });
+  expect(summarizeSeries([], 'latency').avg).toBeNull();
+});
+
+test('summarizes a week of readings without overflowing the stack', () => {
+  const entries = Array.from({ length: 201600 }, (_, i) => ({ latency: i % 100 }));
+  expect(summarizeSeries(entries, 'latency')).toMatchObject({ min: 0, max: 99, count: 201600 });
+});
+
+test('downsamples long series into averaged buckets', () => {
+  const entries = Array.from({ length: 10 }, (_, i) => ({ timestamp: i, latency: i }));
+  expect(downsampleSeries(entries, 'latency', 20)).toHaveLength(10);
+  expect(downsampleSeries(entries, 'latency', 5)).toEqual([
+    { t: 0.5, value: 0.5 }, { t: 2.5, value: 2.5 }, { t: 4.5, value: 4.5 }, { t: 6.5, value: 6.5 }, { t: 8.5, value: 8.5 },
+  ]);
+});
@@ -0,0 +1,249 @@
+// src/packetSimulation.js
+// Packet movement along topology graphs. Packets store a path of node ids and read
+// node positions from the current graph every frame, so they keep following links
+// while nodes are dragged around and disappear when their link is removed.
+// Optionally links have a bandwidth: a packet waits in a link's queue until the link has
+// finished sending the packets ahead of it, and is dropped when the queue is full.
+// Packets the security zone rules deny (see ./securityZones.js) are blocked at the first
+// router they reach.
+
+import { NODE_TYPES, EDGE_KINDS, getNodeMap, isRouter } from './topology';
+import { NO_FAILURES, isHopUsable, findShortestPath } from './routing';
+
+// Bandwidth of each link kind in KB/s; an edge's own `capacity` overrides it
+export const LINK_CAPACITY = {
+  [EDGE_KINDS.LINK]: 80,
+  [EDGE_KINDS.BUS]: 80,
+  [EDGE_KINDS.DROP]: 80,
+  [EDGE_KINDS.BRIDGE]: 160,
+};
+export const LINK_QUEUE_LIMIT = 10; // Packets waiting for a link before new ones are dropped
+const UTILIZATION_WINDOW = 2000; // Milliseconds the link utilization is averaged over
+
+export const getLinkCapacity = (edge) => edge.capacity || LINK_CAPACITY[edge.kind] || LINK_CAPACITY[EDGE_KINDS.LINK];
+
+// Per-link state for the congestion model, kept between frames by the caller:
+// edge id -> { busy: ms left sending the current packet, queue: [packets], utilization: 0–1, dropped }
+export const createLinkStates = () => new Map();
+
+const getLinkState = (links, edgeId) => {
+  if (!links.has(edgeId)) links.set(edgeId, { busy: 0, queue: [], utilization: 0, dropped: 0 });
+  return links.get(edgeId);
+};
+
+// `traffic` ({ size in KB, color, deviceType }) describes what the packet carries; `denied`
+// marks a packet the zone rules don't allow
+export const createPacket = (path, traffic = {}, denied = false) => {
+  if (path.length < 2) return null;
+  return {
+    path: path,
+    source: path[0],
+    destination: path[path.length - 1],
+    currentSegment: 0,
+    distanceTraveled: 0,
+    elapsed: 0, // Milliseconds since the packet was sent
+    hops: null, // Filled in once the packet starts moving
+    lossPoint: null, // { segment, ratio } where the packet will be lost, if it is doomed
+    x: null,
+    y: null,
+    rerouted: false,
+    size: traffic.size || null, // Null when links have no bandwidth limit to apply
+    color: traffic.color || null,
+    deviceType: traffic.deviceType || null,
+    waitingOn: null, // Id of the link whose queue the packet is in
+    admittedSegment: -1, // Last segment the packet was allowed onto its link
+    denied, // Blocked by the first router on its path
+  };
+};
+
+// Decides up front whether a packet gets lost in transit, so that on average a
+// `deliveryRatio` share arrives. Lost packets vanish at a random point on their path.
+export const assignPacketLoss = (packet, deliveryRatio, random = Math.random) => {
+  if (random() < deliveryRatio) return packet;
+  packet.lossPoint = {
+    segment: Math.floor(random() * (packet.path.length - 1)),
+    ratio: random(),
+  };
+  return packet;
+};
+
+// Hops between real devices; passing through bus taps doesn't count, the bus is one shared medium
+export const countHops = (path, nodeMap) =>
+  Math.max(0, path.filter(id => {
+    const node = nodeMap.get(id);
+    return !node || node.type !== NODE_TYPES.BUS_TAP;
+  }).length - 1);
+
+// Picks two distinct working devices to exchange a packet. Hubs only take part when the
+// graph has fewer than two devices (e.g. while a user is sketching a network).
+export const pickEndpoints = (graph, failures = NO_FAILURES) => {
+  const working = graph.nodes.filter(node => node.type !== NODE_TYPES.BUS_TAP && !failures.nodes.includes(node.id));
+  const devices = working.filter(node => node.type === NODE_TYPES.DEVICE);
+  const candidates = devices.length >= 2 ? devices : working;
+  if (candidates.length < 2) return null;
+
+  const sourceIndex = Math.floor(Math.random() * candidates.length);
+  let destinationIndex = Math.floor(Math.random() * (candidates.length - 1));
+  if (destinationIndex >= sourceIndex) destinationIndex++;
+  return { source: candidates[sourceIndex].id, destination: candidates[destinationIndex].id };
+};
+
+// Creates a packet routed hop by hop along the current shortest working path, or null if unreachable
+export const createRoutedPacket = (graph, source, destination, failures = NO_FAILURES, traffic = {}, denied = false) => {
+  const path = findShortestPath(graph, source, destination, failures);
+  return path ? createPacket(path, traffic, denied) : null;
+};
+
+// Moves the link clocks forward and averages how busy each link was
+const advanceLinks = (links, packets, deltaTime) => {
+  const inFlight = new Set(packets);
+  const weight = 1 - Math.exp(-deltaTime / UTILIZATION_WINDOW);
+  links.forEach((link, edgeId) => {
+    const busyShare = deltaTime > 0 ? Math.min(link.busy, deltaTime) / deltaTime : 0;
+    link.busy = Math.max(0, link.busy - deltaTime);
+    link.utilization += (busyShare - link.utilization) * weight;
+    // Forget packets that were delivered, dropped or rerouted elsewhere while queued
+    link.queue = link.queue.filter(packet => inFlight.has(packet) && packet.waitingOn === edgeId);
+  });
+};
+
+// Advances every packet by `speed` pixels per 16ms frame. Before starting a hop over a
+// failed link or node the packet is rerouted along the shortest working path; if none
+// exists (or its link fails mid-flight) it is dropped. Packets with a loss point are
+// dropped when they reach it. With `links` (from createLinkStates) each hop first waits
+// for bandwidth on its link: a packet of `size` KB holds the link for size / capacity.
+// Denied packets stop at the first router they would pass through.
+// Returns { packets: still in flight, delivered: [{ source, destination, labels, hops, travelTime }],
+// dropped: [{ x, y, source, destination }], blocked: [{ x, y, source, destination, router }] }.
+export const updatePackets = (packets, graph, deltaTime, speed, failures = NO_FAILURES, links = null) => {
+  const nodeMap = getNodeMap(graph);
+  const delivered = [];
+  const dropped = [];
+  const blocked = [];
+  const edgeByHop = new Map();
+  if (links) {
+    advanceLinks(links, packets, deltaTime);
+    graph.edges.forEach(edge => {
+      edgeByHop.set(`${edge.source}|${edge.target}`, edge);
+      edgeByHop.set(`${edge.target}|${edge.source}`, edge);
+    });
+  }
+
+  const dropPacket = (packet, node) => {
+    dropped.push({
+      x: packet.x ?? node.x,
+      y: packet.y ?? node.y,
+      source: packet.source,
+      destination: packet.destination,
+    });
+    return false;
+  };
+
+  const blockPacket = (packet, router) => {
+    blocked.push({ x: router.x, y: router.y, source: packet.source, destination: packet.destination, router: router.id });
+    return false;
+  };
+
+  const labelOf = (id) => (nodeMap.has(id) ? nodeMap.get(id).label : id);
+
+  const deliverPacket = (packet) => {
+    delivered.push({
+      source: packet.source,
+      destination: packet.destination,
+      sourceLabel: labelOf(packet.source),
+      destinationLabel: labelOf(packet.destination),
+      hops: countHops(packet.path, nodeMap),
+      travelTime: packet.elapsed,
+      deviceType: packet.deviceType,
+    });
+    return false;
+  };
+
+  const inFlight = packets.filter(packet => {
+    if (packet.currentSegment >= packet.path.length - 1) {
+      return deliverPacket(packet); // Packet reached end of path
+    }
+    packet.elapsed += deltaTime;
+
+    const startId = packet.path[packet.currentSegment];
+    let endId = packet.path[packet.currentSegment + 1];
+    const startNode = nodeMap.get(startId);
+    if (!startNode) return false; // Node was deleted in the editor
+    if (packet.denied && packet.currentSegment > 0 && packet.distanceTraveled === 0 && isRouter(startNode)) {
+      return blockPacket(packet, startNode);
+    }
+
+    if (!isHopUsable(graph, startId, endId, failures)) {
+      if (packet.distanceTraveled > 0) {
+        return dropPacket(packet, startNode); // Link went down under the packet
+      }
+      const destination = packet.path[packet.path.length - 1];
+      const detour = findShortestPath(graph, startId, destination, failures);
+      if (!detour || detour.length < 2) {
+        return dropPacket(packet, startNode);
+      }
+      packet.path = [...packet.path.slice(0, packet.currentSegment), ...detour];
+      packet.rerouted = true;
+      endId = packet.path[packet.currentSegment + 1];
+    }
+    const endNode = nodeMap.get(endId);
+
+    // Wait in line until the link is free; a full queue means the packet is lost to congestion
+    const edge = links && packet.size && packet.admittedSegment !== packet.currentSegment
+      ? edgeByHop.get(`${startId}|${endId}`)
+      : null;
+    if (edge) {
+      const link = getLinkState(links, edge.id);
+      if (packet.waitingOn !== edge.id) {
+        if (link.queue.length >= LINK_QUEUE_LIMIT) {
+          link.dropped++;
+          return dropPacket(packet, startNode);
+        }
+        packet.waitingOn = edge.id;
+        link.queue.push(packet);
+      }
+      if (link.queue[0] !== packet || link.busy > 0) {
+        // Queued packets line up along the start of the link
+        const position = link.queue.indexOf(packet) + 1;
+        const length = Math.hypot(endNode.x - startNode.x, endNode.y - startNode.y) || 1;
+        const offset = Math.min(position * 8, length / 2) / length;
+        packet.x = startNode.x + (endNode.x - startNode.x) * offset;
+        packet.y = startNode.y + (endNode.y - startNode.y) * offset;
+        return true;
+      }
+      link.queue.shift();
+      link.busy = (packet.size / getLinkCapacity(edge)) * 1000;
+      packet.waitingOn = null;
+      packet.admittedSegment = packet.currentSegment;
+    }
+
+    const segmentLength = Math.sqrt(
+      Math.pow(endNode.x - startNode.x, 2) + Math.pow(endNode.y - startNode.y, 2)
+    );
+
+    packet.distanceTraveled += speed * (deltaTime / 16); // Normalize speed by frame time
+
+    if (packet.distanceTraveled >= segmentLength) {
+      packet.currentSegment++;
+      packet.distanceTraveled = 0; // Reset for next segment
+      if (packet.currentSegment >= packet.path.length - 1) {
+        return deliverPacket(packet); // Packet completed its journey
+      }
+      // Set position to the start of the next segment
+      packet.x = endNode.x;
+      packet.y = endNode.y;
+    } else {
+      const ratio = packet.distanceTraveled / segmentLength;
+      packet.x = startNode.x + (endNode.x - startNode.x) * ratio;
+      packet.y = startNode.y + (endNode.y - startNode.y) * ratio;
+      const { lossPoint } = packet;
+      if (lossPoint && lossPoint.segment === packet.currentSegment && ratio >= lossPoint.ratio) {
+        return dropPacket(packet, startNode); // Lost in transit
+      }
+    }
+    packet.hops = countHops(packet.path, nodeMap);
+    return true;
+  });
+
+  return { packets: inFlight, delivered, dropped, blocked };
+};
@@ -0,0 +1,112 @@
+import { buildTopology, getNodeMap, updateNode } from './topology';
+import { NO_FAILURES, toggleFailure } from './routing';
+import { createRandom } from './layout';
+import {
+  countHops, createRoutedPacket, updatePackets, createLinkStates, getLinkCapacity,
+} from './packetSimulation';
+import { createTrafficState, generateTraffic } from './trafficProfiles';
+
+const WIDTH = 800;
+const HEIGHT = 400;
+
+// Runs the simulation in 16ms frames until no packets are left in flight
+const runToCompletion = (packets, graph, failures = NO_FAILURES) => {
+  const delivered = [];
+  const dropped = [];
+  const blocked = [];
+  for (let frame = 0; frame < 10000 && packets.length > 0; frame++) {
+    const result = updatePackets(packets, graph, 16, 10, failures);
+    packets = result.packets;
+    delivered.push(...result.delivered);
+    dropped.push(...result.dropped);
+    blocked.push(...result.blocked);
+  }
+  return { delivered, dropped, blocked };
+};
+
+test('tree packets travel hop by hop through both sub-hubs', () => {
+  const graph = buildTopology('tree', WIDTH, HEIGHT);
+  const packet = createRoutedPacket(graph, 'device-1', 'device-3');
+  expect(packet.path).toEqual(['device-1', 'sub-hub-a', 'root', 'sub-hub-b', 'device-3']);
+
+  const { delivered } = runToCompletion([packet], graph);
+  expect(delivered).toHaveLength(1);
+  expect(delivered[0]).toMatchObject({ sourceLabel: 'Device 1', destinationLabel: 'Device 3', hops: 4 });
+  expect(delivered[0].travelTime).toBeGreaterThan(0);
+});
+
+test('bus taps do not count as hops', () => {
+  const graph = buildTopology('bus', WIDTH, HEIGHT);
+  const packet = createRoutedPacket(graph, 'device-1', 'device-5');
+  expect(countHops(packet.path, getNodeMap(graph))).toBe(1);
+});
+
+test('packets drop when a failure leaves no route', () => {
+  const graph = buildTopology('star', WIDTH, HEIGHT);
+  const packet = createRoutedPacket(graph, 'device-1', 'device-2');
+  const failures = toggleFailure(NO_FAILURES, 'edges', 'hub--device-2');
+  const { delivered, dropped } = runToCompletion([packet], graph, failures);
+  expect(delivered).toHaveLength(0);
+  expect(dropped).toHaveLength(1);
+});
+
+test('packets denied by zone rules stop at the first router', () => {
+  const tree = buildTopology('tree', WIDTH, HEIGHT);
+  const { delivered, blocked } = runToCompletion([createRoutedPacket(tree, 'device-1', 'device-3', NO_FAILURES, {}, true)], tree);
+  expect(delivered).toHaveLength(0);
+  expect(blocked).toEqual([expect.objectContaining({ router: 'sub-hub-a', source: 'device-1', destination: 'device-3' })]);
+
+  // Without a router on the way nothing stops the packet
+  const mesh = buildTopology('mesh', WIDTH, HEIGHT);
+  expect(runToCompletion([createRoutedPacket(mesh, 'device-1', 'device-2', NO_FAILURES, {}, true)], mesh).delivered).toHaveLength(1);
+});
+
+// Runs devices' traffic through bandwidth-limited links for `duration` milliseconds
+const runTraffic = (graph, duration) => {
+  const links = createLinkStates();
+  const traffic = createTrafficState();
+  const random = createRandom('congestion');
+  let packets = [];
+  const dropped = [];
+  for (let time = 0; time < duration; time += 16) {
+    const sent = generateTraffic(graph, traffic, 16, NO_FAILURES, random)
+      .map(send => createRoutedPacket(graph, send.source, send.destination, NO_FAILURES, send));
+    const result = updatePackets([...packets, ...sent], graph, 16, 10, NO_FAILURES, links);
+    packets = result.packets;
+    dropped.push(...result.dropped);
+  }
+  return { links, dropped };
+};
+
+test('a link sends queued packets one at a time at its capacity', () => {
+  const graph = buildTopology('star', WIDTH, HEIGHT);
+  const links = createLinkStates();
+  const traffic = { size: 8 }; // 8 KB over an 80 KB/s link takes 100ms
+  let packets = [
+    createRoutedPacket(graph, 'device-1', 'hub', NO_FAILURES, traffic),
+    createRoutedPacket(graph, 'device-1', 'hub', NO_FAILURES, traffic),
+  ];
+  packets = updatePackets(packets, graph, 16, 1, NO_FAILURES, links).packets;
+  expect(packets[0].waitingOn).toBe(null);
+  expect(packets[1].waitingOn).toBe('hub--device-1');
+  expect(getLinkCapacity(graph.edges[0])).toBe(80);
+
+  for (let time = 16; time < 128; time += 16) packets = updatePackets(packets, graph, 16, 1, NO_FAILURES, links).packets;
+  expect(packets[1].waitingOn).toBe(null);
+});
+
+test('three cameras streaming through a star hub congest the link to the recorder', () => {
+  const star = buildTopology('star', WIDTH, HEIGHT);
+  const oneCamera = runTraffic(star, 10000);
+  const recorderLink = (result) => result.links.get('hub--device-3');
+  expect(recorderLink(oneCamera).utilization).toBeLessThan(0.6);
+  expect(oneCamera.dropped).toHaveLength(0);
+
+  const threeCameras = runTraffic(
+    updateNode(updateNode(star, 'device-2', { deviceType: 'camera' }), 'device-4', { deviceType: 'camera' }),
+    10000
+  );
+  expect(recorderLink(threeCameras).utilization).toBeGreaterThan(0.85);
+  expect(recorderLink(threeCameras).dropped).toBeGreaterThan(0);
+  expect(threeCameras.dropped.length).toBe(recorderLink(threeCameras).dropped);
+});
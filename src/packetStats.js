@@ -0,0 +1,46 @@
+// src/packetStats.js
+// Per-topology delivery statistics for the packet simulation. Packets blocked by security
+// zone rules are counted apart from dropped ones, since stopping them is intended.
+
+import { TOPOLOGY_TYPES } from './topology';
+
+const RECENT_LIMIT = 5; // Number of recent deliveries kept for display
+
+const emptyEntry = () => ({ delivered: 0, dropped: 0, blocked: 0, totalHops: 0, totalTravelTime: 0 });
+
+export const createPacketStats = () => ({
+  byTopology: Object.fromEntries(TOPOLOGY_TYPES.map(type => [type, emptyEntry()])),
+  recent: [],
+});
+
+// Folds one frame's delivered, dropped and blocked packets into the stats for `topology`
+export const recordPacketEvents = (stats, topology, { delivered = [], dropped = [], blocked = [] }) => {
+  if (delivered.length === 0 && dropped.length === 0 && blocked.length === 0) return stats;
+  const entry = { ...(stats.byTopology[topology] || emptyEntry()) };
+  delivered.forEach(packet => {
+    entry.delivered++;
+    entry.totalHops += packet.hops;
+    entry.totalTravelTime += packet.travelTime;
+  });
+  entry.dropped += dropped.length;
+  entry.blocked += blocked.length;
+
+  return {
+    byTopology: { ...stats.byTopology, [topology]: entry },
+    recent: [
+      ...delivered.map(packet => ({ ...packet, topology })).reverse(),
+      ...stats.recent,
+    ].slice(0, RECENT_LIMIT),
+  };
+};
+
+// Derived figures for one topology's entry
+export const summarizeEntry = (entry) => {
+  const sent = entry.delivered + entry.dropped;
+  return {
+    ...entry,
+    averageHops: entry.delivered > 0 ? entry.totalHops / entry.delivered : null,
+    averageTravelTime: entry.delivered > 0 ? entry.totalTravelTime / entry.delivered : null,
+    deliveryRatio: sent > 0 ? entry.delivered / sent : null,
+  };
+};
@@ -0,0 +1,175 @@
+// src/routing.js
+// Path finding and reachability over topology graphs, taking simulated failures into
+// account. `failures` is always shaped { nodes: [nodeId], edges: [edgeId] }.
+
+import { NODE_TYPES, findEdge } from './topology';
+
+export const NO_FAILURES = { nodes: [], edges: [] };
+
+const toFailureSets = (failures = NO_FAILURES) => ({
+  nodes: new Set(failures.nodes),
+  edges: new Set(failures.edges),
+});
+
+// Adds the id if missing, removes it otherwise
+export const toggleFailure = (failures, kind, id) => {
+  const list = failures[kind];
+  return {
+    ...failures,
+    [kind]: list.includes(id) ? list.filter(item => item !== id) : [...list, id],
+  };
+};
+
+// A hop is usable when the edge exists, is up, and neither endpoint has failed
+export const isHopUsable = (graph, from, to, failures = NO_FAILURES) => {
+  const edge = findEdge(graph, from, to);
+  return Boolean(edge)
+    && !failures.edges.includes(edge.id)
+    && !failures.nodes.includes(from)
+    && !failures.nodes.includes(to);
+};
+
+// Working neighbors of every node over working links, built once per search so large
+// graphs (e.g. a 40-device full mesh) stay fast
+const buildLiveAdjacency = (graph, failureSets) => {
+  const adjacency = new Map(graph.nodes.map(node => [node.id, []]));
+  graph.edges.forEach(edge => {
+    if (failureSets.edges.has(edge.id)) return;
+    if (failureSets.nodes.has(edge.source) || failureSets.nodes.has(edge.target)) return;
+    adjacency.get(edge.source).push(edge.target);
+    adjacency.get(edge.target).push(edge.source);
+  });
+  return adjacency;
+};
+
+// Breadth-first search for the path with the fewest hops; returns an array of node ids or null
+export const findShortestPath = (graph, from, to, failures = NO_FAILURES) => {
+  const failureSets = toFailureSets(failures);
+  if (failureSets.nodes.has(from) || failureSets.nodes.has(to)) return null;
+  if (from === to) return [from];
+
+  const adjacency = buildLiveAdjacency(graph, failureSets);
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const neighbor of adjacency.get(current) || []) {
+      if (previous.has(neighbor)) continue;
+      previous.set(neighbor, current);
+      if (neighbor === to) {
+        const path = [to];
+        let step = current;
+        while (step !== null) {
+          path.unshift(step);
+          step = previous.get(step);
+        }
+        return path;
+      }
+      queue.push(neighbor);
+    }
+  }
+  return null;
+};
+
+// Fewest-hop paths from one node to every node it can reach, as a Map of node id -> path
+export const findShortestPathsFrom = (graph, from, failures = NO_FAILURES) => {
+  const failureSets = toFailureSets(failures);
+  const paths = new Map();
+  if (failureSets.nodes.has(from)) return paths;
+
+  const adjacency = buildLiveAdjacency(graph, failureSets);
+  paths.set(from, [from]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const neighbor of adjacency.get(current) || []) {
+      if (paths.has(neighbor)) continue;
+      paths.set(neighbor, [...paths.get(current), neighbor]);
+      queue.push(neighbor);
+    }
+  }
+  return paths;
+};
+
+// Nodes (articulation points) and links (bridges) whose loss splits the graph, found with
+// Tarjan's depth-first search. Failures are ignored: this describes the intact network.
+export const findCutElements = (graph) => {
+  const adjacency = new Map(graph.nodes.map(node => [node.id, []]));
+  graph.edges.forEach(edge => {
+    adjacency.get(edge.source).push({ neighbor: edge.target, edgeId: edge.id });
+    adjacency.get(edge.target).push({ neighbor: edge.source, edgeId: edge.id });
+  });
+
+  const discovered = new Map();
+  const low = new Map();
+  const nodes = new Set();
+  const edges = new Set();
+  const visit = (id, parentEdgeId) => {
+    discovered.set(id, discovered.size);
+    low.set(id, discovered.get(id));
+    let children = 0;
+    adjacency.get(id).forEach(({ neighbor, edgeId }) => {
+      if (edgeId === parentEdgeId) return;
+      if (discovered.has(neighbor)) {
+        low.set(id, Math.min(low.get(id), discovered.get(neighbor)));
+        return;
+      }
+      children++;
+      visit(neighbor, edgeId);
+      low.set(id, Math.min(low.get(id), low.get(neighbor)));
+      if (low.get(neighbor) > discovered.get(id)) edges.add(edgeId);
+      if (parentEdgeId !== null && low.get(neighbor) >= discovered.get(id)) nodes.add(id);
+    });
+    if (parentEdgeId === null && children > 1) nodes.add(id);
+  };
+  graph.nodes.forEach(node => {
+    if (!discovered.has(node.id)) visit(node.id, null);
+  });
+  return { nodes, edges };
+};
+
+// Groups working nodes into sets that can still reach each other
+export const getConnectedComponents = (graph, failures = NO_FAILURES) => {
+  const failureSets = toFailureSets(failures);
+  const adjacency = buildLiveAdjacency(graph, failureSets);
+  const visited = new Set();
+  const components = [];
+
+  graph.nodes.forEach(node => {
+    if (visited.has(node.id) || failureSets.nodes.has(node.id)) return;
+    const component = [];
+    const stack = [node.id];
+    visited.add(node.id);
+    while (stack.length > 0) {
+      const current = stack.pop();
+      component.push(current);
+      adjacency.get(current).forEach(neighbor => {
+        if (!visited.has(neighbor)) {
+          visited.add(neighbor);
+          stack.push(neighbor);
+        }
+      });
+    }
+    components.push(component);
+  });
+  return components;
+};
+
+// Working nodes (bus taps excluded) that are cut off from the main part of the network.
+// The main part is the component holding a working hub, or the largest one when no hub is up.
+export const findIsolatedNodes = (graph, failures = NO_FAILURES) => {
+  const components = getConnectedComponents(graph, failures);
+  if (components.length <= 1) return [];
+
+  const typeById = new Map(graph.nodes.map(node => [node.id, node.type]));
+  const hasHub = (component) => component.some(id => typeById.get(id) === NODE_TYPES.HUB);
+  const main = components.reduce((best, component) => {
+    if (hasHub(component) !== hasHub(best)) return hasHub(component) ? component : best;
+    return component.length > best.length ? component : best;
+  });
+
+  return components
+    .filter(component => component !== main)
+    .flat()
+    .filter(id => typeById.get(id) !== NODE_TYPES.BUS_TAP);
+};
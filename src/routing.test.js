@@ -0,0 +1,58 @@
+import { buildTopology } from './topology';
+import {
+  NO_FAILURES, toggleFailure, isHopUsable, findShortestPath, findShortestPathsFrom, findIsolatedNodes, findCutElements,
+} from './routing';
+
+const WIDTH = 800;
+const HEIGHT = 400;
+
+test('finds the fewest-hop path through the tree', () => {
+  const graph = buildTopology('tree', WIDTH, HEIGHT);
+  expect(findShortestPath(graph, 'device-1', 'device-3')).toEqual(['device-1', 'sub-hub-a', 'root', 'sub-hub-b', 'device-3']);
+});
+
+test('mesh reroutes around a failed link', () => {
+  const graph = buildTopology('mesh', WIDTH, HEIGHT);
+  const failures = toggleFailure(NO_FAILURES, 'edges', 'device-1--device-2');
+  expect(isHopUsable(graph, 'device-1', 'device-2', failures)).toBe(false);
+  const path = findShortestPath(graph, 'device-1', 'device-2', failures);
+  expect(path).toHaveLength(3);
+  expect(findIsolatedNodes(graph, failures)).toEqual([]);
+});
+
+test('a failed star hub isolates every device', () => {
+  const graph = buildTopology('star', WIDTH, HEIGHT);
+  const failures = toggleFailure(NO_FAILURES, 'nodes', 'hub');
+  expect(findShortestPath(graph, 'device-1', 'device-2', failures)).toBeNull();
+  expect(findIsolatedNodes(graph, failures)).toHaveLength(4);
+});
+
+test('a bus break cuts off the devices beyond it', () => {
+  const graph = buildTopology('bus', WIDTH, HEIGHT);
+  const failures = toggleFailure(NO_FAILURES, 'edges', 'tap-3--tap-4');
+  expect(findShortestPath(graph, 'device-1', 'device-5', failures)).toBeNull();
+  expect(findIsolatedNodes(graph, failures).sort()).toEqual(['device-4', 'device-5']);
+});
+
+test('toggleFailure adds and removes ids', () => {
+  const failed = toggleFailure(NO_FAILURES, 'nodes', 'hub');
+  expect(failed.nodes).toEqual(['hub']);
+  expect(toggleFailure(failed, 'nodes', 'hub').nodes).toEqual([]);
+});
+
+test('cut elements are the hubs and links whose loss splits the network', () => {
+  const tree = findCutElements(buildTopology('tree', WIDTH, HEIGHT));
+  expect([...tree.nodes].sort()).toEqual(['root', 'sub-hub-a', 'sub-hub-b']);
+  expect(tree.edges.size).toBe(6); // Every tree link is a bridge
+
+  const mesh = findCutElements(buildTopology('mesh', WIDTH, HEIGHT));
+  expect(mesh.nodes.size + mesh.edges.size).toBe(0);
+});
+
+test('findShortestPathsFrom matches findShortestPath for every target', () => {
+  const graph = buildTopology('hybrid', WIDTH, HEIGHT);
+  const paths = findShortestPathsFrom(graph, 's-dev-1');
+  graph.nodes.forEach(node => {
+    expect(paths.get(node.id)).toEqual(findShortestPath(graph, 's-dev-1', node.id));
+  });
+});
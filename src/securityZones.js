@@ -0,0 +1,208 @@
+// src/securityZones.js
+// Network segmentation for topology graphs. Devices belong to a security zone (`node.zone`,
+// Trusted when unset) and the graph's `zoneRules` say which zones may start traffic to
+// which: { [fromZone]: { [toZone]: 'allow' | 'deny' } }, falling back to DEFAULT_ZONE_RULES.
+// Traffic within a zone, and to or from hubs, is always allowed. Routers (hubs and sub-hubs)
+// enforce the rules, so traffic that never passes one can't be blocked.
+
+import { NODE_TYPES, isRouter } from './topology';
+import { findShortestPathsFrom } from './routing';
+import { getDeviceTypes, TRAFFIC_PROFILES } from './trafficProfiles';
+
+export const SECURITY_ZONES = {
+  trusted: { label: 'Trusted', color: '#2563EB', description: 'Laptops, phones and other personal devices' },
+  iot: { label: 'IoT', color: '#10B981', description: 'Smart speakers, sensors, lights and TVs' },
+  guest: { label: 'Guest', color: '#F59E0B', description: 'Visitors\' devices' },
+  cameras: { label: 'Cameras', color: '#8B5CF6', description: 'Security cameras and their recorder' },
+};
+
+export const ZONE_KEYS = Object.keys(SECURITY_ZONES);
+export const DEFAULT_ZONE = 'trusted'; // A flat home network puts everything here
+
+// Where each device type belongs
+export const RECOMMENDED_ZONES = {
+  camera: 'cameras',
+  recorder: 'cameras',
+  tv: 'iot',
+  assistant: 'iot',
+  sensor: 'iot',
+  light: 'iot',
+  laptop: 'trusted',
+  generic: 'trusted',
+};
+
+// Personal devices make a segment worth protecting
+const PERSONAL_DEVICE_TYPES = ['laptop'];
+
+// Trusted devices may reach everything; the rest stay in their own zone
+export const DEFAULT_ZONE_RULES = {
+  trusted: { iot: 'allow', guest: 'allow', cameras: 'allow' },
+  iot: { trusted: 'deny', guest: 'deny', cameras: 'deny' },
+  guest: { trusted: 'deny', iot: 'deny', cameras: 'deny' },
+  cameras: { trusted: 'deny', iot: 'deny', guest: 'deny' },
+};
+
+// Rules that defeat the point of segmenting, and how bad each one is
+const RISKY_ALLOWS = [
+  { from: 'guest', to: 'trusted', level: 'high' },
+  { from: 'iot', to: 'trusted', level: 'medium' },
+  { from: 'cameras', to: 'trusted', level: 'medium' },
+  { from: 'guest', to: 'iot', level: 'medium' },
+  { from: 'guest', to: 'cameras', level: 'medium' },
+];
+
+export const RISK_LEVELS = {
+  high: { label: 'High', color: '#DC2626' },
+  medium: { label: 'Medium', color: '#D97706' },
+};
+
+// The zone a node is in; null for hubs and bus taps, which carry traffic for every zone
+export const getNodeZone = (node) => {
+  if (node.type !== NODE_TYPES.DEVICE) return null;
+  return SECURITY_ZONES[node.zone] ? node.zone : DEFAULT_ZONE;
+};
+
+// The graph's full rule matrix, defaults filled in
+export const getZoneRules = (graph) => Object.fromEntries(ZONE_KEYS.map(from => [
+  from,
+  { ...DEFAULT_ZONE_RULES[from], ...((graph.zoneRules && graph.zoneRules[from]) || {}) },
+]));
+
+export const isZoneTrafficAllowed = (rules, fromZone, toZone) =>
+  !fromZone || !toZone || fromZone === toZone || rules[fromZone][toZone] !== 'deny';
+
+// Whether the rules let `sourceId` start traffic to `destinationId`
+export const isTrafficAllowed = (graph, sourceId, destinationId, rules = getZoneRules(graph)) => {
+  const source = graph.nodes.find(node => node.id === sourceId);
+  const destination = graph.nodes.find(node => node.id === destinationId);
+  if (!source || !destination) return true;
+  return isZoneTrafficAllowed(rules, getNodeZone(source), getNodeZone(destination));
+};
+
+// Returns the graph with one rule changed, flagged as edited like other editor changes
+export const setZoneRule = (graph, from, to, action) => ({
+  ...graph,
+  zoneRules: { ...graph.zoneRules, [from]: { ...((graph.zoneRules && graph.zoneRules[from]) || {}), [to]: action } },
+  meta: { ...graph.meta, edited: true },
+});
+
+// Moves every device into the zone its type belongs in
+export const assignRecommendedZones = (graph) => {
+  const types = getDeviceTypes(graph);
+  return {
+    ...graph,
+    nodes: graph.nodes.map(node => (types.has(node.id) ? { ...node, zone: RECOMMENDED_ZONES[types.get(node.id)] } : node)),
+    meta: { ...graph.meta, edited: true },
+  };
+};
+
+// Convex hull (Andrew's monotone chain) of [{ x, y }], counter-clockwise
+const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const half = (list) => list.reduce((hull, point) => {
+    while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+    hull.push(point);
+    return hull;
+  }, []);
+  const lower = half(sorted);
+  const upper = half([...sorted].reverse());
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+const REGION_STEPS = 12; // Points around each device when padding a region
+
+// One rounded outline per zone in use, hugging its devices `padding` pixels out:
+// [{ zone, color, points: [{ x, y }] }]
+export const getZoneRegions = (graph, padding) => {
+  const members = new Map();
+  graph.nodes.forEach(node => {
+    const zone = getNodeZone(node);
+    if (!zone) return;
+    if (!members.has(zone)) members.set(zone, []);
+    members.get(zone).push(node);
+  });
+  return ZONE_KEYS.filter(zone => members.has(zone)).map(zone => {
+    const around = members.get(zone).flatMap(node => Array.from({ length: REGION_STEPS }, (_, i) => {
+      const angle = (i / REGION_STEPS) * Math.PI * 2;
+      return { x: node.x + padding * Math.cos(angle), y: node.y + padding * Math.sin(angle) };
+    }));
+    return { zone, color: SECURITY_ZONES[zone].color, points: convexHull(around) };
+  });
+};
+
+const labelList = (nodes) => nodes.map(node => node.label).join(', ');
+
+// Placements and rules that leave devices exposed, most serious first:
+// [{ level: 'high' | 'medium', message, nodeIds }]
+export const findSecurityRisks = (graph) => {
+  const risks = [];
+  const rules = getZoneRules(graph);
+  const types = getDeviceTypes(graph);
+  const devices = graph.nodes.filter(node => types.has(node.id));
+  const zoneOf = new Map(devices.map(node => [node.id, getNodeZone(node)]));
+  const flagged = new Set();
+
+  // Smart devices sharing a segment with personal ones
+  ZONE_KEYS.forEach(zone => {
+    const inZone = devices.filter(node => zoneOf.get(node.id) === zone);
+    const personal = inZone.filter(node => PERSONAL_DEVICE_TYPES.includes(types.get(node.id)));
+    const smart = inZone.filter(node => ['iot', 'cameras'].includes(RECOMMENDED_ZONES[types.get(node.id)]));
+    if (personal.length === 0 || smart.length === 0) return;
+    smart.forEach(node => flagged.add(node.id));
+    risks.push({
+      level: 'high',
+      message: `${labelList(smart)} share${smart.length === 1 ? 's' : ''} the ${SECURITY_ZONES[zone].label} segment with ${labelList(personal)}. A compromised smart device could reach them directly.`,
+      nodeIds: [...smart, ...personal].map(node => node.id),
+    });
+  });
+
+  // Devices outside the zone their type belongs in
+  devices.forEach(node => {
+    const recommended = RECOMMENDED_ZONES[types.get(node.id)];
+    if (flagged.has(node.id) || zoneOf.get(node.id) === recommended) return;
+    risks.push({
+      level: 'medium',
+      message: `${node.label} (${TRAFFIC_PROFILES[types.get(node.id)].label}) is in ${SECURITY_ZONES[zoneOf.get(node.id)].label}; ${SECURITY_ZONES[recommended].label} is recommended.`,
+      nodeIds: [node.id],
+    });
+  });
+
+  // Rules that open less trusted zones onto more trusted ones
+  RISKY_ALLOWS.forEach(({ from, to, level }) => {
+    if (!isZoneTrafficAllowed(rules, from, to)) return;
+    risks.push({
+      level,
+      message: `${SECURITY_ZONES[from].label} devices may start connections to ${SECURITY_ZONES[to].label} devices.`,
+      nodeIds: [],
+    });
+  });
+
+  // Denied traffic with no router in between to stop it, one finding per pair of zones
+  const unguarded = new Map();
+  devices.forEach(source => {
+    const paths = findShortestPathsFrom(graph, source.id);
+    devices.forEach(destination => {
+      const [from, to] = [zoneOf.get(source.id), zoneOf.get(destination.id)];
+      const key = `${from}>${to}`;
+      if (isZoneTrafficAllowed(rules, from, to) || unguarded.has(key) || !paths.has(destination.id)) return;
+      const path = paths.get(destination.id);
+      const guarded = path.slice(1, -1).some(id => {
+        const node = graph.nodes.find(candidate => candidate.id === id);
+        return node && isRouter(node);
+      });
+      if (!guarded) unguarded.set(key, { from, to, source, destination });
+    });
+  });
+  unguarded.forEach(({ from, to, source, destination }) => {
+    risks.push({
+      level: 'high',
+      message: `${SECURITY_ZONES[from].label} → ${SECURITY_ZONES[to].label} is denied, but ${source.label} reaches ${destination.label} without passing a router, so nothing can block it.`,
+      nodeIds: [source.id, destination.id],
+    });
+  });
+
+  const order = Object.keys(RISK_LEVELS);
+  return risks.sort((a, b) => order.indexOf(a.level) - order.indexOf(b.level));
+};
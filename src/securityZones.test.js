@@ -0,0 +1,63 @@
+import { buildTopology, updateNode, getNode } from './topology';
+import {
+  getNodeZone, getZoneRules, isTrafficAllowed, setZoneRule, assignRecommendedZones, getZoneRegions, findSecurityRisks,
+} from './securityZones';
+
+const WIDTH = 800;
+const HEIGHT = 400;
+
+// Star devices by position: camera, sensor, recorder, assistant, tv
+const star = () => buildTopology('star', WIDTH, HEIGHT);
+
+test('devices default to Trusted, hubs belong to no zone, and rules decide between zones', () => {
+  let graph = star();
+  expect(getNodeZone(getNode(graph, 'hub'))).toBeNull();
+  expect(getNodeZone(getNode(graph, 'device-1'))).toBe('trusted');
+
+  graph = updateNode(updateNode(graph, 'device-1', { zone: 'iot' }), 'device-2', { zone: 'guest' });
+  expect(isTrafficAllowed(graph, 'device-3', 'device-1')).toBe(true); // Trusted may reach IoT
+  expect(isTrafficAllowed(graph, 'device-1', 'device-3')).toBe(false);
+  expect(isTrafficAllowed(graph, 'device-1', 'hub')).toBe(true);
+
+  graph = setZoneRule(graph, 'iot', 'trusted', 'allow');
+  expect(isTrafficAllowed(graph, 'device-1', 'device-3')).toBe(true);
+  expect(getZoneRules(graph).guest.trusted).toBe('deny');
+  expect(graph.meta.edited).toBe(true);
+});
+
+test('the report flags smart devices beside laptops and devices outside their zone', () => {
+  const graph = updateNode(star(), 'device-5', { deviceType: 'laptop' });
+  const risks = findSecurityRisks(graph);
+  expect(risks[0]).toMatchObject({ level: 'high', nodeIds: expect.arrayContaining(['device-1', 'device-5']) });
+  expect(risks[0].message).toMatch(/share the Trusted segment with Device 5/);
+
+  const zoned = assignRecommendedZones(graph);
+  expect(zoned.nodes.map(getNodeZone)).toEqual([null, 'cameras', 'iot', 'cameras', 'iot', 'trusted']);
+  expect(findSecurityRisks(zoned)).toEqual([]);
+
+  const moved = updateNode(zoned, 'device-2', { zone: 'guest' });
+  expect(findSecurityRisks(moved)).toEqual([expect.objectContaining({ level: 'medium', nodeIds: ['device-2'] })]);
+});
+
+test('the report flags permissive rules and denied traffic that no router can stop', () => {
+  const open = setZoneRule(assignRecommendedZones(star()), 'guest', 'trusted', 'allow');
+  expect(findSecurityRisks(open)).toEqual([
+    expect.objectContaining({ level: 'high', message: 'Guest devices may start connections to Trusted devices.' }),
+  ]);
+
+  const mesh = updateNode(buildTopology('mesh', WIDTH, HEIGHT), 'device-1', { zone: 'iot', deviceType: 'sensor' });
+  const unguarded = findSecurityRisks(mesh).filter(risk => /without passing a router/.test(risk.message));
+  expect(unguarded).toHaveLength(1);
+  expect(unguarded[0].message).toMatch(/^IoT → Trusted is denied, but Device 1 reaches/);
+});
+
+test('each zone in use gets one region around its devices', () => {
+  const graph = updateNode(star(), 'device-1', { zone: 'cameras' });
+  const regions = getZoneRegions(graph, 30);
+  expect(regions.map(region => region.zone)).toEqual(['trusted', 'cameras']);
+
+  const cameras = regions[1].points;
+  const device = getNode(graph, 'device-1');
+  expect(Math.min(...cameras.map(point => point.x))).toBeCloseTo(device.x - 30);
+  expect(Math.max(...cameras.map(point => point.y))).toBeCloseTo(device.y + 30, 0);
+});
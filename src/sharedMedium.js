@@ -0,0 +1,195 @@
+// src/sharedMedium.js
+// CSMA/CD simulation of a bus as one shared medium. Every device on a bus tap is a station;
+// a station with a frame listens to the bus and transmits only when it hears nothing. Signals
+// spread along the cable at SIGNAL_SPEED, so two stations can both hear silence and start
+// at nearly the same time: their signals collide, both jam and retry after a random binary
+// exponential backoff. Times are in milliseconds and slowed down so the signals are visible.
+// The medium is mutated in place each step, like the packets in packetSimulation.js.
+
+import { NODE_TYPES, EDGE_KINDS, getNodeMap } from './topology';
+import { NO_FAILURES, getConnectedComponents } from './routing';
+
+export const SIGNAL_SPEED = 0.5; // Canvas pixels per millisecond
+export const FRAME_DURATION = 1500; // Time to put one frame on the bus
+export const JAM_DURATION = 200; // Jam signal sent after a collision is detected
+export const FRAME_RATE = 0.1; // New frames per second per station
+const MAX_ATTEMPTS = 16; // Frames are dropped after this many collisions, as in Ethernet
+const BACKOFF_EXPONENT_LIMIT = 5; // Backoff waits at most 2^5 - 1 slots
+const MAX_STEP = 100; // Longer gaps (e.g. a background tab) are clamped
+
+export const createMediumStats = () => ({ elapsed: 0, busyTime: 0, delivered: 0, dropped: 0, collisions: 0 });
+
+// Stations are working devices dropped onto a bus tap. Stations in different connected
+// parts (e.g. after a bus break) can't hear or reach each other.
+export const createSharedMedium = (graph, failures = NO_FAILURES, stats = createMediumStats()) => {
+  const nodeMap = getNodeMap(graph);
+  const componentOf = new Map();
+  getConnectedComponents(graph, failures).forEach((component, index) => {
+    component.forEach(id => componentOf.set(id, index));
+  });
+
+  const stations = [];
+  graph.edges.forEach(edge => {
+    if (edge.kind !== EDGE_KINDS.DROP || failures.edges.includes(edge.id)) return;
+    const [deviceId, tapId] = nodeMap.get(edge.source).type === NODE_TYPES.BUS_TAP
+      ? [edge.target, edge.source]
+      : [edge.source, edge.target];
+    const device = nodeMap.get(deviceId);
+    const tap = nodeMap.get(tapId);
+    if (!device || !tap || tap.type !== NODE_TYPES.BUS_TAP || failures.nodes.includes(deviceId)) return;
+    stations.push({
+      id: deviceId,
+      label: device.label,
+      x: tap.x,
+      y: tap.y,
+      component: componentOf.get(deviceId),
+      state: 'idle', // idle | ready | transmitting | backoff
+      frame: null, // { destination, createdAt, attempts }
+      backoffUntil: 0,
+    });
+  });
+
+  // One-way signal travel time across the longest stretch of bus: the backoff slot time
+  const xs = stations.map(station => station.x);
+  const span = xs.length > 1 ? Math.max(...xs) - Math.min(...xs) : 0;
+  return {
+    stations,
+    transmissions: [], // { id, station, destination, start, end, collided, collidedWith }
+    now: 0,
+    slotTime: Math.max(span / SIGNAL_SPEED, FRAME_DURATION / 4),
+    maxDelay: span / SIGNAL_SPEED,
+    stats,
+    nextId: 1,
+  };
+};
+
+// Time for a signal to travel between two stations; Infinity when they are cut off
+const signalDelay = (a, b) =>
+  (a.component === b.component ? Math.abs(a.x - b.x) / SIGNAL_SPEED : Infinity);
+
+// Whether `station` hears `transmission` (including its jam signal) at `time`
+const hears = (medium, station, transmission, time) => {
+  const sender = medium.stations.find(item => item.id === transmission.station);
+  const delay = signalDelay(sender, station);
+  return time >= transmission.start + delay && time <= transmission.end + delay;
+};
+
+const pickDestination = (medium, station, random) => {
+  const peers = medium.stations.filter(other => other !== station && other.component === station.component);
+  return peers.length > 0 ? peers[Math.floor(random() * peers.length)].id : null;
+};
+
+// Advances the medium by `deltaTime`. Returns the events of this step:
+// { delivered: [{ source, destination, sourceLabel, destinationLabel, hops, travelTime }],
+//   dropped: [{ x, y, source, destination }], collisions: [{ x, y }] }
+export const stepSharedMedium = (medium, deltaTime, random = Math.random) => {
+  const step = Math.min(deltaTime, MAX_STEP);
+  medium.now += step;
+  const now = medium.now;
+  const { stations, stats } = medium;
+  const byId = new Map(stations.map(station => [station.id, station]));
+  const delivered = [];
+  const dropped = [];
+  const collisions = [];
+
+  // New frames arrive at random (a Poisson process per station)
+  const arrivalChance = 1 - Math.exp((-FRAME_RATE * step) / 1000);
+  stations.forEach(station => {
+    if (station.state !== 'idle' || random() >= arrivalChance) return;
+    const destination = pickDestination(medium, station, random);
+    if (!destination) return;
+    station.frame = { destination, createdAt: now, attempts: 0 };
+    station.state = 'ready';
+  });
+
+  // Collision detection: a transmitting station notices another signal arriving while it sends
+  medium.transmissions.forEach(own => {
+    if (own.collided || now > own.end) return;
+    const station = byId.get(own.station);
+    const other = medium.transmissions.find(tr => tr.station !== own.station && hears(medium, station, tr, now)
+      && tr.end + signalDelay(byId.get(tr.station), station) >= own.start);
+    if (!other) return;
+    own.collided = true;
+    own.collidedWith = other.id;
+    own.end = now + JAM_DURATION;
+    if (other.collidedWith !== own.id) {
+      // First side to notice records the collision where the two signals meet
+      const sender = byId.get(other.station);
+      stats.collisions++;
+      collisions.push({ x: (station.x + sender.x) / 2, y: (station.y + sender.y) / 2 });
+    }
+  });
+
+  // Finished transmissions: deliver, or back off and retry after a collision
+  medium.transmissions.forEach(transmission => {
+    if (transmission.finished || now < transmission.end) return;
+    transmission.finished = true;
+    const station = byId.get(transmission.station);
+    if (!station) return;
+    if (!transmission.collided) {
+      const destination = byId.get(transmission.destination);
+      stats.delivered++;
+      delivered.push({
+        source: station.id,
+        destination: transmission.destination,
+        sourceLabel: station.label,
+        destinationLabel: destination ? destination.label : transmission.destination,
+        hops: 1,
+        travelTime: now - station.frame.createdAt,
+      });
+      station.frame = null;
+      station.state = 'idle';
+      return;
+    }
+    station.frame.attempts++;
+    if (station.frame.attempts >= MAX_ATTEMPTS) {
+      stats.dropped++;
+      dropped.push({ x: station.x, y: station.y, source: station.id, destination: station.frame.destination });
+      station.frame = null;
+      station.state = 'idle';
+      return;
+    }
+    const slots = 2 ** Math.min(station.frame.attempts, BACKOFF_EXPONENT_LIMIT);
+    station.backoffUntil = now + Math.floor(random() * slots) * medium.slotTime;
+    station.state = 'backoff';
+  });
+  // Signals linger until they have run off both ends of the bus
+  medium.transmissions = medium.transmissions.filter(tr => !tr.finished || now <= tr.end + medium.maxDelay);
+
+  stations.forEach(station => {
+    if (station.state === 'backoff' && now >= station.backoffUntil) station.state = 'ready';
+  });
+
+  // Carrier sense: ready stations start sending as soon as they hear silence (1-persistent)
+  stations.forEach(station => {
+    if (station.state !== 'ready') return;
+    if (medium.transmissions.some(tr => tr.station !== station.id && hears(medium, station, tr, now))) return;
+    medium.transmissions.push({
+      id: medium.nextId++,
+      station: station.id,
+      destination: station.frame.destination,
+      start: now,
+      end: now + FRAME_DURATION,
+      collided: false,
+      collidedWith: null,
+    });
+    station.state = 'transmitting';
+  });
+
+  stats.elapsed += step;
+  if (medium.transmissions.some(tr => now >= tr.start && now <= tr.end)) stats.busyTime += step;
+
+  return { delivered, dropped, collisions };
+};
+
+// Delivered frames per second and the share of time the bus carried a signal
+export const summarizeMediumStats = (stats) => {
+  const seconds = stats.elapsed / 1000;
+  return {
+    throughput: seconds > 0 ? stats.delivered / seconds : 0,
+    utilization: stats.elapsed > 0 ? stats.busyTime / stats.elapsed : 0,
+    collisions: stats.collisions,
+    delivered: stats.delivered,
+    dropped: stats.dropped,
+  };
+};
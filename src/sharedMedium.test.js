@@ -0,0 +1,82 @@
+import { buildTopology } from './topology';
+import { createRandom } from './layout';
+import { createSharedMedium, stepSharedMedium, summarizeMediumStats, FRAME_DURATION } from './sharedMedium';
+
+const WIDTH = 800;
+const HEIGHT = 400;
+const NO_ARRIVALS = () => 0.99; // Never creates frames on its own, and backs off for the longest wait
+
+const queueFrame = (medium, stationId, destination) => {
+  const station = medium.stations.find(item => item.id === stationId);
+  station.frame = { destination, createdAt: medium.now, attempts: 0 };
+  station.state = 'ready';
+};
+
+// Steps the medium in 16ms frames for `duration` milliseconds, collecting the events
+const run = (medium, duration, random) => {
+  const events = { delivered: [], dropped: [], collisions: [] };
+  for (let time = 0; time < duration; time += 16) {
+    const result = stepSharedMedium(medium, 16, random);
+    Object.keys(events).forEach(key => events[key].push(...result[key]));
+  }
+  return events;
+};
+
+test('every bus device is a station, and a bus break splits them apart', () => {
+  const graph = buildTopology('bus', WIDTH, HEIGHT);
+  const medium = createSharedMedium(graph);
+  expect(medium.stations.map(station => station.id)).toEqual(['device-1', 'device-2', 'device-3', 'device-4', 'device-5']);
+  expect(new Set(medium.stations.map(station => station.component)).size).toBe(1);
+
+  const busEdge = graph.edges.find(edge => edge.source === 'tap-2' && edge.target === 'tap-3');
+  const broken = createSharedMedium(graph, { nodes: [], edges: [busEdge.id] });
+  expect(new Set(broken.stations.map(station => station.component)).size).toBe(2);
+});
+
+test('a lone sender delivers its frame after one frame time', () => {
+  const medium = createSharedMedium(buildTopology('bus', WIDTH, HEIGHT));
+  queueFrame(medium, 'device-1', 'device-5');
+
+  const { delivered, collisions } = run(medium, FRAME_DURATION + 100, NO_ARRIVALS);
+  expect(collisions).toHaveLength(0);
+  expect(delivered).toHaveLength(1);
+  expect(delivered[0]).toMatchObject({ source: 'device-1', destination: 'device-5', hops: 1 });
+  expect(summarizeMediumStats(medium.stats).utilization).toBeGreaterThan(0.9);
+});
+
+test('a station that hears the bus busy waits its turn', () => {
+  const medium = createSharedMedium(buildTopology('bus', WIDTH, HEIGHT));
+  queueFrame(medium, 'device-1', 'device-3');
+  run(medium, 1300, NO_ARRIVALS); // Long enough for the signal to reach the far end
+  queueFrame(medium, 'device-5', 'device-2');
+
+  const { delivered, collisions } = run(medium, 2 * FRAME_DURATION + 2000, NO_ARRIVALS);
+  expect(collisions).toHaveLength(0);
+  expect(delivered.map(frame => frame.source)).toEqual(['device-1', 'device-5']);
+});
+
+test('simultaneous senders collide, back off and both get through', () => {
+  const medium = createSharedMedium(buildTopology('bus', WIDTH, HEIGHT));
+  queueFrame(medium, 'device-1', 'device-3');
+  queueFrame(medium, 'device-5', 'device-3');
+
+  const first = stepSharedMedium(medium, 16, NO_ARRIVALS);
+  expect(medium.transmissions).toHaveLength(2);
+  expect(first.collisions).toHaveLength(0); // Neither signal has reached the other sender yet
+
+  const random = createRandom('backoff');
+  const { delivered, collisions } = run(medium, 60000, () => Math.max(random(), 0.01));
+  expect(collisions.length).toBeGreaterThanOrEqual(1);
+  expect(collisions[0].x).toBeCloseTo((medium.stations[0].x + medium.stations[4].x) / 2);
+  expect(medium.stats.collisions).toBe(collisions.length);
+  expect(delivered.map(frame => frame.source).sort()).toEqual(['device-1', 'device-5']);
+});
+
+test('a busier bus collides more often', () => {
+  const collisionShare = (deviceCount) => {
+    const medium = createSharedMedium(buildTopology('bus', WIDTH, HEIGHT, { deviceCount }));
+    run(medium, 300000, createRandom('load'));
+    return medium.stats.collisions / Math.max(1, medium.stats.delivered);
+  };
+  expect(collisionShare(20)).toBeGreaterThan(collisionShare(3));
+});
@@ -0,0 +1,115 @@
+// src/telemetryPublisher.js
+// Synthetic network readings for development, demos and UI tests, written to a home's
+// network_data/current_data by scripts/publishTelemetry.mjs. Each metric sits on a
+// baseline, drifts slowly along a sine wave and jitters with random noise; scripted
+// incidents such as an outage or a latency spike take over for a while.
+// This module imports nothing so plain Node can load it without a bundler.
+
+export const PUBLISH_INTERVAL = 3000; // ms between readings, like the mock data source
+export const DRIFT_PERIOD = 10 * 60 * 1000; // ms for one full swing of the drift
+export const DEFAULT_INCIDENT_DURATION = 30000;
+
+export const BASELINE = { signalStrength: 80, latency: 25, deliveryRate: 99 };
+// Amplitudes at noise and drift level 1; signal and delivery sag while latency climbs
+const NOISE = { signalStrength: 3, latency: 4, deliveryRate: 0.4 };
+const DRIFT = { signalStrength: -10, latency: 12, deliveryRate: -1 };
+const LIMITS = { signalStrength: [0, 100], latency: [1, 5000], deliveryRate: [0, 100] };
+
+const OUTAGE_LATENCY = 1000; // pings time out while the link is down
+const SPIKE_LATENCY = 350; // extra ms at the peak of a latency spike
+
+// `apply` gets the normal reading and how far through the incident we are (0..1)
+export const INCIDENT_TYPES = {
+  outage: {
+    label: 'Outage',
+    apply: () => ({ signalStrength: 0, latency: OUTAGE_LATENCY, deliveryRate: 0 }),
+  },
+  'latency-spike': {
+    label: 'Latency spike',
+    apply: (reading, progress) => {
+      const strength = Math.sin(Math.PI * progress); // ramps up and back down
+      return { ...reading, latency: reading.latency + SPIKE_LATENCY * strength, deliveryRate: reading.deliveryRate - 3 * strength };
+    },
+  },
+};
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// "500ms", "45s", "2m" or "1h"; a bare number is seconds
+export const parseDuration = (text) => {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid duration: ${text}`);
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 's']);
+};
+
+// "outage@2m+30s" starts an outage two minutes in and lasts 30 seconds
+export const parseIncident = (text) => {
+  const match = /^([a-z-]+)@([^+]+)(?:\+(.+))?$/.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid incident "${text}"; expected type@start+duration, e.g. outage@2m+30s`);
+  const [, type, start, duration] = match;
+  if (!INCIDENT_TYPES[type]) {
+    throw new Error(`Unknown incident type "${type}"; expected one of: ${Object.keys(INCIDENT_TYPES).join(', ')}`);
+  }
+  return { type, start: parseDuration(start), duration: duration ? parseDuration(duration) : DEFAULT_INCIDENT_DURATION };
+};
+
+// The incident running `elapsed` ms after the start, or null
+export const getActiveIncident = (incidents, elapsed) =>
+  incidents.find(incident => elapsed >= incident.start && elapsed < incident.start + incident.duration) || null;
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+// Returns `(time) => reading` for times from `start` on. Readings use the same strings as
+// real devices: { signalStrength: "78%", latency: "24ms", deliveryRate: "99.1%", timestamp }.
+// Pass a seeded `random` (createRandom from ./layout.js) to repeat a run exactly.
+export const createReadingGenerator = ({
+  start = Date.now(), random = Math.random, noise = 1, drift = 1, driftPeriod = DRIFT_PERIOD, incidents = [],
+} = {}) => (time) => {
+  const elapsed = time - start;
+  const wave = Math.sin((2 * Math.PI * elapsed) / driftPeriod);
+  let values = {};
+  Object.keys(BASELINE).forEach(key => {
+    values[key] = BASELINE[key] + drift * DRIFT[key] * wave + noise * NOISE[key] * (random() - 0.5) * 2;
+  });
+
+  const incident = getActiveIncident(incidents, elapsed);
+  if (incident) values = INCIDENT_TYPES[incident.type].apply(values, (elapsed - incident.start) / incident.duration);
+  Object.keys(values).forEach(key => { values[key] = clamp(values[key], LIMITS[key]); });
+
+  return {
+    signalStrength: `${Math.round(values.signalStrength)}%`,
+    latency: `${Math.round(values.latency)}ms`,
+    deliveryRate: `${values.deliveryRate.toFixed(1)}%`,
+    timestamp: new Date(time).toISOString(),
+  };
+};
+
+// Writes a reading to `path` now and then every `interval` ms, `count` times in all.
+// Returns a function that stops publishing.
+export const startPublishing = (source, path, generate, {
+  interval = PUBLISH_INTERVAL, count = Infinity, onReading = () => {}, onError = () => {}, onDone = () => {},
+} = {}) => {
+  let published = 0;
+  let timer = null;
+  const stop = () => clearInterval(timer);
+
+  const publish = () => {
+    const reading = generate(Date.now());
+    published++;
+    const last = published >= count;
+    if (last) stop();
+    source.set(path, reading)
+      .then(() => {
+        onReading(reading);
+        if (last) onDone();
+      })
+      .catch(error => {
+        stop();
+        onError(error);
+      });
+  };
+
+  timer = setInterval(publish, interval);
+  publish();
+  return stop;
+};
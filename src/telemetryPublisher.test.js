@@ -0,0 +1,61 @@
+import { createMockDataSource } from './mockDataSource';
+import { currentDataPath } from './networkHistory';
+import { readOnce } from './homes';
+import { createRandom } from './layout';
+import {
+  createReadingGenerator, parseDuration, parseIncident, startPublishing, PUBLISH_INTERVAL,
+} from './telemetryPublisher';
+
+const readingAt = (options, time) => createReadingGenerator({ start: 0, random: createRandom(7), ...options })(time);
+
+test('durations and incidents parse from the command line form', () => {
+  expect([parseDuration('500ms'), parseDuration('45s'), parseDuration('2m'), parseDuration('1.5')]).toEqual([500, 45000, 120000, 1500]);
+  expect(() => parseDuration('soon')).toThrow(/Invalid duration/);
+  expect(parseIncident('outage@1m+30s')).toEqual({ type: 'outage', start: 60000, duration: 30000 });
+  expect(parseIncident('latency-spike@90')).toEqual({ type: 'latency-spike', start: 90000, duration: 30000 });
+  expect(() => parseIncident('meteor@1m')).toThrow(/Unknown incident type "meteor"/);
+  expect(() => parseIncident('outage')).toThrow(/type@start\+duration/);
+});
+
+test('readings stay in range and repeat for the same seed', () => {
+  const generate = createReadingGenerator({ start: 0, random: createRandom(42), noise: 5 });
+  const again = createReadingGenerator({ start: 0, random: createRandom(42), noise: 5 });
+  for (let time = 0; time < 600000; time += PUBLISH_INTERVAL) {
+    const reading = generate(time);
+    expect(again(time)).toEqual(reading);
+    expect(parseFloat(reading.signalStrength)).toBeGreaterThanOrEqual(0);
+    expect(parseFloat(reading.deliveryRate)).toBeLessThanOrEqual(100);
+    expect(parseFloat(reading.latency)).toBeGreaterThanOrEqual(1);
+  }
+  expect(generate(0)).toMatchObject({ signalStrength: expect.stringMatching(/^\d+%$/), latency: expect.stringMatching(/^\d+ms$/) });
+});
+
+test('drift moves the readings slowly and incidents take over while they last', () => {
+  const quiet = { noise: 0, driftPeriod: 40000 };
+  expect(readingAt(quiet, 0)).toMatchObject({ signalStrength: '80%', latency: '25ms', deliveryRate: '99.0%' });
+  expect(readingAt(quiet, 10000)).toMatchObject({ signalStrength: '70%', latency: '37ms', deliveryRate: '98.0%' });
+  expect(readingAt({ ...quiet, drift: 0 }, 10000)).toMatchObject({ signalStrength: '80%', latency: '25ms' });
+
+  const incidents = [parseIncident('outage@10s+5s'), parseIncident('latency-spike@20s+10s')];
+  expect(readingAt({ ...quiet, incidents }, 12000)).toMatchObject({ signalStrength: '0%', deliveryRate: '0.0%', latency: '1000ms' });
+  expect(parseFloat(readingAt({ ...quiet, incidents }, 25000).latency)).toBeGreaterThan(300);
+  expect(readingAt({ ...quiet, incidents }, 30000).latency).toBe(readingAt(quiet, 30000).latency);
+});
+
+test('publishing writes current_data every interval until the count is reached', async () => {
+  jest.useFakeTimers();
+  const source = createMockDataSource();
+  const path = currentDataPath('home-1');
+  const onReading = jest.fn();
+  const onDone = jest.fn();
+  startPublishing(source, path, createReadingGenerator(), { interval: 1000, count: 3, onReading, onDone });
+
+  for (let tick = 0; tick < 5; tick++) {
+    jest.advanceTimersByTime(1000);
+    await Promise.resolve(); // let the write settle
+  }
+  expect(onReading).toHaveBeenCalledTimes(3);
+  expect(onDone).toHaveBeenCalledTimes(1);
+  await expect(readOnce(source, path)).resolves.toEqual(onReading.mock.calls[2][0]);
+  jest.useRealTimers();
+});
@@ -0,0 +1,47 @@
+// src/telemetryVisuals.js
+// Maps live network readings onto the topology animation: signal strength drives link
+// color and thickness, latency drives packet speed and delivery rate drives packet loss.
+
+import { parseMetric } from './networkHistory';
+import { CANVAS_COLORS } from './topologyRenderer';
+
+export const BASE_PACKET_SPEED = 1.5; // Pixels per frame with no telemetry
+const REFERENCE_LATENCY = 20; // ms at which packets move at the base speed
+const MIN_PACKET_SPEED = 0.3;
+const MAX_PACKET_SPEED = 4;
+
+// Signal strength bands shared by the canvas and its legend
+export const SIGNAL_BANDS = [
+  { min: 70, label: 'Strong (≥ 70%)', color: '#10B981', width: 4 },
+  { min: 40, label: 'Fair (40–69%)', color: '#F59E0B', width: 3 },
+  { min: 0, label: 'Weak (< 40%)', color: '#EF4444', width: 1.5 },
+];
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+export const getSignalBand = (signalStrength) =>
+  SIGNAL_BANDS.find(band => signalStrength >= band.min) || SIGNAL_BANDS[SIGNAL_BANDS.length - 1];
+
+// Higher latency means slower packets, inversely proportional around REFERENCE_LATENCY
+export const latencyToSpeed = (latency) =>
+  clamp(BASE_PACKET_SPEED * (REFERENCE_LATENCY / Math.max(latency, 1)), MIN_PACKET_SPEED, MAX_PACKET_SPEED);
+
+// Visual parameters for a liveNetworkData object. Missing readings fall back to the
+// defaults the animation always used; `live` tells whether any reading was applied.
+export const getTelemetryVisuals = (liveNetworkData) => {
+  const signalStrength = parseMetric(liveNetworkData.signalStrength);
+  const latency = parseMetric(liveNetworkData.latency);
+  const deliveryRate = parseMetric(liveNetworkData.deliveryRate);
+
+  const band = signalStrength === null ? null : getSignalBand(signalStrength);
+  return {
+    live: signalStrength !== null || latency !== null || deliveryRate !== null,
+    linkStyle: band
+      ? { color: band.color, width: band.width }
+      : { color: CANVAS_COLORS.connection, width: 2 },
+    packetSpeed: latency === null ? BASE_PACKET_SPEED : latencyToSpeed(latency),
+    deliveryRatio: deliveryRate === null ? 1 : clamp(deliveryRate / 100, 0, 1),
+  };
+};
+
+export const DEFAULT_TELEMETRY_VISUALS = getTelemetryVisuals({});
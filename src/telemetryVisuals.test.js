@@ -0,0 +1,32 @@
+import { getTelemetryVisuals, latencyToSpeed, BASE_PACKET_SPEED, DEFAULT_TELEMETRY_VISUALS } from './telemetryVisuals';
+import { createPacket, assignPacketLoss } from './packetSimulation';
+
+test('missing readings keep the default animation', () => {
+  const visuals = getTelemetryVisuals({ signalStrength: 'N/A', latency: 'N/A', deliveryRate: 'N/A' });
+  expect(visuals).toEqual(DEFAULT_TELEMETRY_VISUALS);
+  expect(visuals).toMatchObject({ live: false, packetSpeed: BASE_PACKET_SPEED, deliveryRatio: 1 });
+});
+
+test('maps readings onto link style, speed and loss', () => {
+  const strong = getTelemetryVisuals({ signalStrength: '85%', latency: '20ms', deliveryRate: '97%' });
+  expect(strong.live).toBe(true);
+  expect(strong.linkStyle).toEqual({ color: '#10B981', width: 4 });
+  expect(strong.packetSpeed).toBe(BASE_PACKET_SPEED);
+  expect(strong.deliveryRatio).toBeCloseTo(0.97);
+
+  expect(getTelemetryVisuals({ signalStrength: '30%' }).linkStyle.color).toBe('#EF4444');
+});
+
+test('latency slows packets down within limits', () => {
+  expect(latencyToSpeed(200)).toBeLessThan(latencyToSpeed(40));
+  expect(latencyToSpeed(100000)).toBe(0.3);
+  expect(latencyToSpeed(0)).toBe(4);
+});
+
+test('assignPacketLoss dooms packets beyond the delivery ratio', () => {
+  const sequence = (values) => () => values.shift();
+  const kept = assignPacketLoss(createPacket(['a', 'b', 'c']), 0.9, sequence([0.5]));
+  expect(kept.lossPoint).toBeNull();
+  const lost = assignPacketLoss(createPacket(['a', 'b', 'c']), 0.9, sequence([0.95, 0.6, 0.25]));
+  expect(lost.lossPoint).toEqual({ segment: 1, ratio: 0.25 });
+});
@@ -0,0 +1,457 @@
+// src/topology.js
+// Graph model for the supported network topologies. Each builder returns a plain
+// object graph ({ type, nodes, edges, annotations, meta }) with canvas coordinates
+// already laid out, so the same network definition can be drawn, analysed or tested.
+
+import { createRandom, scatterPositions, forceDirectedLayout } from './layout';
+
+export const TOPOLOGY_TYPES = ['star', 'mesh', 'bus', 'tree', 'hybrid'];
+
+export const NODE_TYPES = {
+  HUB: 'hub',
+  SUB_HUB: 'sub-hub',
+  DEVICE: 'device',
+  BUS_TAP: 'bus-tap', // Invisible attachment point where a device drops onto the bus
+};
+
+export const EDGE_KINDS = {
+  LINK: 'link',
+  BUS: 'bus',
+  DROP: 'drop',
+  BRIDGE: 'bridge',
+};
+
+// Layout options shared by every builder
+const DEFAULT_OPTIONS = {
+  deviceRadius: 15,
+  seed: '1', // Drives every random choice, so the same seed gives the same layout
+  layout: 'scatter', // How mesh devices are placed: 'scatter' or 'force'
+  // Optional size parameters; unset ones fall back to DEFAULT_DEVICE_COUNTS and DEFAULT_TREE_SHAPE:
+  // deviceCount, treeDepth, treeBranching, and hybrid ({ segments: [{ kind, devices }], bridging })
+};
+
+export const DEFAULT_DEVICE_COUNTS = { star: 5, mesh: 5, bus: 5, tree: 4, hybrid: 6 };
+export const DEFAULT_TREE_SHAPE = { depth: 2, branching: 2 };
+// Largest sizes the parameter controls, and links to the visualizer, accept
+export const PARAMETER_LIMITS = { devices: 100, treeDepth: 4, treeBranching: 4, hybridSegments: 4 };
+
+// Options that decide what a builder generates. Graphs record them in meta so the app can
+// tell whether an edited graph still belongs to the current settings.
+const GENERATION_KEYS = ['seed', 'layout', 'deviceCount', 'treeDepth', 'treeBranching', 'hybrid'];
+
+export const pickGenerationOptions = (options) =>
+  Object.fromEntries(GENERATION_KEYS.map(key => [key, options[key] ?? null]));
+
+// Compared by value, since the hybrid composition is an object
+export const matchesGenerationOptions = (graph, options) =>
+  GENERATION_KEYS.every(key => JSON.stringify(graph.meta[key] ?? null) === JSON.stringify(options[key] ?? null));
+
+// --- Graph helpers ---
+const createGraph = (type, width, height, options) => ({
+  type,
+  nodes: [],
+  edges: [],
+  annotations: [], // Free-standing text labels such as "Main Bus"
+  meta: {
+    width,
+    height,
+    deviceRadius: options.deviceRadius,
+    ...pickGenerationOptions(options),
+    edited: false,
+  },
+});
+
+const addNode = (graph, node) => {
+  graph.nodes.push(node);
+  return node;
+};
+
+const addEdge = (graph, source, target, kind = EDGE_KINDS.LINK, label) => {
+  const edge = { id: `${source.id}--${target.id}`, source: source.id, target: target.id, kind };
+  if (label) edge.label = label;
+  graph.edges.push(edge);
+  return edge;
+};
+
+export const getNode = (graph, id) => graph.nodes.find(node => node.id === id);
+
+export const getNodeMap = (graph) => new Map(graph.nodes.map(node => [node.id, node]));
+
+// Edges are undirected, so either endpoint order matches
+export const findEdge = (graph, a, b) =>
+  graph.edges.find(edge => (edge.source === a && edge.target === b) || (edge.source === b && edge.target === a));
+
+export const hasEdge = (graph, a, b) => Boolean(findEdge(graph, a, b));
+
+export const getNeighbors = (graph, id) =>
+  graph.edges.reduce((neighbors, edge) => {
+    if (edge.source === id) neighbors.push(edge.target);
+    else if (edge.target === id) neighbors.push(edge.source);
+    return neighbors;
+  }, []);
+
+// Nodes that represent something the user would call a device (hubs included), i.e. not bus taps
+export const getVisibleNodes = (graph) => graph.nodes.filter(node => node.type !== NODE_TYPES.BUS_TAP);
+
+// Hubs and sub-hubs forward traffic between devices, so they are where zone rules are enforced
+export const isRouter = (node) => node.type === NODE_TYPES.HUB || node.type === NODE_TYPES.SUB_HUB;
+
+// Two-node id paths in both directions for every edge, as consumed by the packet animation
+export const getEdgePaths = (graph) =>
+  graph.edges.flatMap(edge => [[edge.source, edge.target], [edge.target, edge.source]]);
+
+// Positions for a fully meshed group of devices inside `area`
+const layoutMeshGroup = (count, area, options, random) => {
+  const positions = scatterPositions(count, area, options.deviceRadius, random);
+  if (options.layout !== 'force') return positions;
+  const links = [];
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) links.push([i, j]);
+  }
+  return forceDirectedLayout(positions, links, area);
+};
+
+// --- Topology builders ---
+export const buildStarTopology = (width, height, options = DEFAULT_OPTIONS) => {
+  const graph = createGraph('star', width, height, options);
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const numDevices = options.deviceCount || DEFAULT_DEVICE_COUNTS[graph.type];
+  const spreadRadius = Math.min(width, height) * 0.35;
+
+  const hub = addNode(graph, { id: 'hub', type: NODE_TYPES.HUB, label: 'Router/Hub', x: centerX, y: centerY });
+
+  for (let i = 0; i < numDevices; i++) {
+    const angle = (i / numDevices) * Math.PI * 2;
+    const device = addNode(graph, {
+      id: `device-${i + 1}`,
+      type: NODE_TYPES.DEVICE,
+      label: `Device ${i + 1}`,
+      x: centerX + spreadRadius * Math.cos(angle),
+      y: centerY + spreadRadius * Math.sin(angle),
+    });
+    addEdge(graph, hub, device);
+  }
+  return graph;
+};
+
+export const buildMeshTopology = (width, height, options = DEFAULT_OPTIONS) => {
+  const graph = createGraph('mesh', width, height, options);
+  const r = options.deviceRadius;
+  const numDevices = options.deviceCount || DEFAULT_DEVICE_COUNTS[graph.type];
+  const padding = r * 2;
+
+  const random = createRandom(options.seed);
+  const positions = layoutMeshGroup(numDevices, {
+    x: padding,
+    y: padding,
+    width: width - 2 * padding,
+    height: height - 2 * padding,
+  }, options, random);
+  const devices = positions.map((pos, i) => addNode(graph, {
+    id: `device-${i + 1}`,
+    type: NODE_TYPES.DEVICE,
+    label: `Device ${i + 1}`,
+    ...pos,
+  }));
+
+  // Full mesh: every device links to every other device
+  for (let i = 0; i < devices.length; i++) {
+    for (let j = i + 1; j < devices.length; j++) {
+      addEdge(graph, devices[i], devices[j]);
+    }
+  }
+  return graph;
+};
+
+export const buildBusTopology = (width, height, options = DEFAULT_OPTIONS) => {
+  const graph = createGraph('bus', width, height, options);
+  const r = options.deviceRadius;
+  const busY = height / 2;
+  const numDevices = options.deviceCount || DEFAULT_DEVICE_COUNTS[graph.type];
+  const startX = width * 0.1;
+  const endX = width * 0.9;
+  const deviceSpacing = numDevices > 1 ? (endX - startX) / (numDevices - 1) : 0;
+
+  graph.annotations.push({ text: 'Main Bus', x: width / 2, y: busY - 20 });
+
+  let previousTap = null;
+  for (let i = 0; i < numDevices; i++) {
+    const x = startX + i * deviceSpacing;
+    const tap = addNode(graph, { id: `tap-${i + 1}`, type: NODE_TYPES.BUS_TAP, label: '', x, y: busY });
+    const device = addNode(graph, {
+      id: `device-${i + 1}`,
+      type: NODE_TYPES.DEVICE,
+      label: `Device ${i + 1}`,
+      x,
+      y: busY + r * 2,
+    });
+    addEdge(graph, device, tap, EDGE_KINDS.DROP);
+    if (previousTap) addEdge(graph, previousTap, tap, EDGE_KINDS.BUS);
+    previousTap = tap;
+  }
+  return graph;
+};
+
+export const buildTreeTopology = (width, height, options = DEFAULT_OPTIONS) => {
+  const graph = createGraph('tree', width, height, options);
+  const depth = options.treeDepth || DEFAULT_TREE_SHAPE.depth; // Hub levels, root included
+  const branching = options.treeBranching || DEFAULT_TREE_SHAPE.branching; // Sub-hubs under each hub
+  const levelY = (level) => height * (0.15 + (0.6 * level) / depth);
+
+  // Hub levels: each hub sits in the middle of its equal share of the canvas width
+  let level = [addNode(graph, { id: 'root', type: NODE_TYPES.HUB, label: 'Root Hub', x: width / 2, y: levelY(0) })];
+  for (let depthIndex = 1; depthIndex < depth; depthIndex++) {
+    const count = level.length * branching;
+    const next = [];
+    level.forEach((parent, parentIndex) => {
+      for (let i = 0; i < branching; i++) {
+        const letter = String.fromCharCode(65 + i);
+        const suffix = parent.type === NODE_TYPES.HUB ? letter : `${parent.label.slice('Sub-Hub '.length)}-${letter}`;
+        const index = parentIndex * branching + i;
+        const hub = addNode(graph, {
+          id: `sub-hub-${suffix.toLowerCase()}`,
+          type: NODE_TYPES.SUB_HUB,
+          label: `Sub-Hub ${suffix}`,
+          x: (width * (index + 0.5)) / count,
+          y: levelY(depthIndex),
+        });
+        addEdge(graph, parent, hub);
+        next.push(hub);
+      }
+    });
+    level = next;
+  }
+
+  // Devices are split into contiguous groups under the lowest hubs, each group spread
+  // evenly across its hub's share of the width
+  const numDevices = options.deviceCount || DEFAULT_DEVICE_COUNTS.tree;
+  const slot = width / level.length;
+  let deviceIndex = 0;
+  level.forEach((parent, parentIndex) => {
+    const groupSize = Math.floor(numDevices / level.length) + (parentIndex < numDevices % level.length ? 1 : 0);
+    for (let i = 0; i < groupSize; i++) {
+      deviceIndex++;
+      const device = addNode(graph, {
+        id: `device-${deviceIndex}`,
+        type: NODE_TYPES.DEVICE,
+        label: `Device ${deviceIndex}`,
+        x: slot * (parentIndex + 0.1 + ((i + 0.5) * 0.8) / groupSize),
+        y: levelY(depth),
+      });
+      addEdge(graph, parent, device);
+    }
+  });
+  return graph;
+};
+
+// --- Hybrid segments ---
+// Each segment of a hybrid is laid out in its own column of the canvas and returns the
+// node that bridges it to the other segments. `prefix` keeps ids unique per segment.
+const SEGMENT_BUILDERS = {
+  star: (graph, segment, area, names) => {
+    const hub = addNode(graph, {
+      id: names.hub,
+      type: NODE_TYPES.HUB,
+      label: names.hubLabel,
+      group: 'star',
+      x: area.x + area.width / 2,
+      y: area.y + area.height / 2,
+    });
+    const spread = Math.min(area.width * 0.2, area.height * 0.4);
+    for (let i = 0; i < segment.devices; i++) {
+      const angle = (i / segment.devices) * Math.PI * 2;
+      const device = addNode(graph, {
+        id: `${names.prefix}-dev-${i + 1}`,
+        type: NODE_TYPES.DEVICE,
+        label: `${names.labelPrefix}-Dev ${i + 1}`,
+        group: 'star',
+        x: hub.x + spread * Math.cos(angle),
+        y: hub.y + spread * Math.sin(angle),
+      });
+      addEdge(graph, hub, device);
+    }
+    return hub;
+  },
+
+  mesh: (graph, segment, area, names, options, random) => {
+    const positions = layoutMeshGroup(segment.devices, {
+      x: area.x + area.width * 0.2,
+      y: area.y + area.height * 0.1,
+      width: area.width * 0.6,
+      height: area.height * 0.8,
+    }, options, random);
+    const devices = positions.map((pos, i) => addNode(graph, {
+      id: `${names.prefix}-dev-${i + 1}`,
+      type: NODE_TYPES.DEVICE,
+      label: `${names.labelPrefix}-Dev ${i + 1}`,
+      group: 'mesh',
+      ...pos,
+    }));
+    for (let i = 0; i < devices.length; i++) {
+      for (let j = i + 1; j < devices.length; j++) {
+        addEdge(graph, devices[i], devices[j]);
+      }
+    }
+    return devices[0];
+  },
+
+  bus: (graph, segment, area, names, options) => {
+    const busY = area.y + area.height / 2;
+    const startX = area.x + area.width * 0.1;
+    const spacing = segment.devices > 1 ? (area.width * 0.8) / (segment.devices - 1) : 0;
+    let previousTap = null;
+    let firstTap = null;
+    for (let i = 0; i < segment.devices; i++) {
+      const x = startX + i * spacing;
+      const tap = addNode(graph, { id: `${names.prefix}-tap-${i + 1}`, type: NODE_TYPES.BUS_TAP, label: '', group: 'bus', x, y: busY });
+      const device = addNode(graph, {
+        id: `${names.prefix}-dev-${i + 1}`,
+        type: NODE_TYPES.DEVICE,
+        label: `${names.labelPrefix}-Dev ${i + 1}`,
+        group: 'bus',
+        x,
+        y: busY + options.deviceRadius * 2,
+      });
+      addEdge(graph, device, tap, EDGE_KINDS.DROP);
+      if (previousTap) addEdge(graph, previousTap, tap, EDGE_KINDS.BUS);
+      previousTap = tap;
+      firstTap = firstTap || tap;
+    }
+    return firstTap;
+  },
+};
+
+export const HYBRID_SEGMENT_KINDS = Object.keys(SEGMENT_BUILDERS);
+export const HYBRID_BRIDGING = {
+  chain: 'Chain (each part to the next)',
+  full: 'Full (every part to every other)',
+  backbone: 'Backbone (all parts to a core router)',
+};
+
+// The default hybrid: a star and a mesh bridged together, sharing `deviceCount` devices.
+// The mesh keeps at least one device so there is something to bridge to.
+export const defaultHybridComposition = (deviceCount = DEFAULT_DEVICE_COUNTS.hybrid) => {
+  const meshDevices = Math.max(1, Math.floor(deviceCount / 2));
+  return {
+    segments: [
+      { kind: 'star', devices: Math.max(0, deviceCount - meshDevices) },
+      { kind: 'mesh', devices: meshDevices },
+    ],
+    bridging: 'chain',
+  };
+};
+
+// Ids stay short for the first segment of each kind ("star-hub", "s-dev-1") and gain a
+// number for repeats ("star-hub-2", "s2-dev-1")
+const segmentNames = (kind, occurrence) => {
+  const letter = kind.charAt(0);
+  const number = occurrence > 1 ? occurrence : '';
+  const title = kind.charAt(0).toUpperCase() + kind.slice(1);
+  return {
+    prefix: `${letter}${number}`,
+    labelPrefix: `${letter.toUpperCase()}${number}`,
+    hub: occurrence > 1 ? `${kind}-hub-${occurrence}` : `${kind}-hub`,
+    hubLabel: occurrence > 1 ? `${title} Hub ${occurrence}` : `${title} Hub`,
+  };
+};
+
+export const buildHybridTopology = (width, height, options = DEFAULT_OPTIONS) => {
+  const graph = createGraph('hybrid', width, height, options);
+  const composition = options.hybrid || defaultHybridComposition(options.deviceCount || DEFAULT_DEVICE_COUNTS.hybrid);
+  const segments = composition.segments.filter(segment => SEGMENT_BUILDERS[segment.kind] && segment.devices > 0);
+  const random = createRandom(options.seed);
+
+  // Segments share the width; a backbone router takes a band along the top
+  const top = composition.bridging === 'backbone' ? height * 0.2 : 0;
+  const occurrences = {};
+  const gateways = segments.map((segment, i) => {
+    occurrences[segment.kind] = (occurrences[segment.kind] || 0) + 1;
+    const area = { x: (width * i) / segments.length, y: top, width: width / segments.length, height: height - top };
+    const names = segmentNames(segment.kind, occurrences[segment.kind]);
+    return SEGMENT_BUILDERS[segment.kind](graph, segment, area, names, options, random);
+  });
+
+  if (composition.bridging === 'backbone') {
+    const core = addNode(graph, { id: 'core-router', type: NODE_TYPES.HUB, label: 'Core Router', x: width / 2, y: height * 0.1 });
+    gateways.forEach(gateway => addEdge(graph, core, gateway, EDGE_KINDS.BRIDGE, 'Bridge Link'));
+  } else {
+    for (let i = 0; i < gateways.length; i++) {
+      const partners = composition.bridging === 'full' ? gateways.slice(i + 1) : gateways.slice(i + 1, i + 2);
+      partners.forEach(partner => addEdge(graph, gateways[i], partner, EDGE_KINDS.BRIDGE, 'Bridge Link'));
+    }
+  }
+  return graph;
+};
+
+const BUILDERS = {
+  star: buildStarTopology,
+  mesh: buildMeshTopology,
+  bus: buildBusTopology,
+  tree: buildTreeTopology,
+  hybrid: buildHybridTopology,
+};
+
+// Builds the graph for a topology type, falling back to star for unknown types.
+// `options` may override any of DEFAULT_OPTIONS and set the size parameters listed there.
+export const buildTopology = (type, width, height, options = {}) => {
+  const builder = BUILDERS[type] || buildStarTopology;
+  return builder(width, height, { ...DEFAULT_OPTIONS, ...options });
+};
+
+// --- Editing operations ---
+// These never mutate their input; they return a new graph flagged as edited so that
+// a resize rescales the user's layout instead of regenerating the default one.
+const withChanges = (graph, changes) => ({
+  ...graph,
+  ...changes,
+  meta: { ...graph.meta, edited: true },
+});
+
+export const moveNode = (graph, id, x, y) =>
+  withChanges(graph, { nodes: graph.nodes.map(node => (node.id === id ? { ...node, x, y } : node)) });
+
+// Merges `changes` into one node, e.g. { deviceId } to tie it to a device's telemetry
+export const updateNode = (graph, id, changes) =>
+  withChanges(graph, { nodes: graph.nodes.map(node => (node.id === id ? { ...node, ...changes } : node)) });
+
+export const renameNode = (graph, id, label) => updateNode(graph, id, { label });
+
+// Adds a device with the first free "Device N" label
+export const addDevice = (graph, x, y) => {
+  const ids = new Set(graph.nodes.map(node => node.id));
+  const labels = new Set(graph.nodes.map(node => node.label));
+  let n = 1;
+  while (ids.has(`device-${n}`) || labels.has(`Device ${n}`)) n++;
+  const device = { id: `device-${n}`, type: NODE_TYPES.DEVICE, label: `Device ${n}`, x, y };
+  return withChanges(graph, { nodes: [...graph.nodes, device] });
+};
+
+// Removes a node together with every edge attached to it
+export const removeNode = (graph, id) =>
+  withChanges(graph, {
+    nodes: graph.nodes.filter(node => node.id !== id),
+    edges: graph.edges.filter(edge => edge.source !== id && edge.target !== id),
+  });
+
+export const addLink = (graph, a, b) => {
+  if (a === b || hasEdge(graph, a, b) || !getNode(graph, a) || !getNode(graph, b)) return graph;
+  const edge = { id: `${a}--${b}`, source: a, target: b, kind: EDGE_KINDS.LINK };
+  return withChanges(graph, { edges: [...graph.edges, edge] });
+};
+
+export const removeEdge = (graph, edgeId) =>
+  withChanges(graph, { edges: graph.edges.filter(edge => edge.id !== edgeId) });
+
+// Stretches node and annotation positions to a new canvas size
+export const scaleGraph = (graph, width, height) => {
+  const sx = width / graph.meta.width;
+  const sy = height / graph.meta.height;
+  if (sx === 1 && sy === 1) return graph;
+  return {
+    ...graph,
+    nodes: graph.nodes.map(node => ({ ...node, x: node.x * sx, y: node.y * sy })),
+    annotations: graph.annotations.map(annotation => ({ ...annotation, x: annotation.x * sx, y: annotation.y * sy })),
+    meta: { ...graph.meta, width, height },
+  };
+};
@@ -0,0 +1,121 @@
+import {
+  TOPOLOGY_TYPES, NODE_TYPES, EDGE_KINDS, buildTopology, getNode, getNeighbors, getEdgePaths, hasEdge,
+  moveNode, renameNode, addDevice, removeNode, addLink, removeEdge, scaleGraph, matchesGenerationOptions,
+} from './topology';
+
+const WIDTH = 800;
+const HEIGHT = 400;
+
+test('every topology builds a graph whose edges reference existing nodes', () => {
+  TOPOLOGY_TYPES.forEach(type => {
+    const graph = buildTopology(type, WIDTH, HEIGHT);
+    const ids = new Set(graph.nodes.map(node => node.id));
+    expect(graph.type).toBe(type);
+    expect(ids.size).toBe(graph.nodes.length);
+    graph.edges.forEach(edge => {
+      expect(ids.has(edge.source)).toBe(true);
+      expect(ids.has(edge.target)).toBe(true);
+    });
+  });
+});
+
+test('star connects every device to the hub', () => {
+  const graph = buildTopology('star', WIDTH, HEIGHT);
+  const devices = graph.nodes.filter(node => node.type === NODE_TYPES.DEVICE);
+  expect(devices).toHaveLength(5);
+  expect(getNeighbors(graph, 'hub').sort()).toEqual(devices.map(device => device.id).sort());
+});
+
+test('tree has a root hub, two sub-hubs and four leaves', () => {
+  const graph = buildTopology('tree', WIDTH, HEIGHT);
+  expect(graph.nodes.filter(node => node.type === NODE_TYPES.HUB)).toHaveLength(1);
+  expect(graph.nodes.filter(node => node.type === NODE_TYPES.SUB_HUB)).toHaveLength(2);
+  expect(getNeighbors(graph, 'sub-hub-a')).toEqual(['root', 'device-1', 'device-2']);
+});
+
+test('bus devices drop onto a chain of bus segments', () => {
+  const graph = buildTopology('bus', WIDTH, HEIGHT);
+  expect(graph.edges.filter(edge => edge.kind === EDGE_KINDS.BUS)).toHaveLength(4);
+  expect(graph.edges.filter(edge => edge.kind === EDGE_KINDS.DROP)).toHaveLength(5);
+  expect(graph.annotations[0].text).toBe('Main Bus');
+});
+
+test('hybrid bridges the star hub to the mesh', () => {
+  const graph = buildTopology('hybrid', WIDTH, HEIGHT);
+  const bridge = graph.edges.find(edge => edge.kind === EDGE_KINDS.BRIDGE);
+  expect(bridge).toMatchObject({ source: 'star-hub', target: 'm-dev-1', label: 'Bridge Link' });
+});
+
+test('edge paths cover both directions of every edge', () => {
+  const graph = buildTopology('mesh', WIDTH, HEIGHT);
+  expect(graph.edges).toHaveLength(10);
+  expect(getEdgePaths(graph)).toHaveLength(20);
+});
+
+test('unknown types fall back to star', () => {
+  expect(buildTopology('ring', WIDTH, HEIGHT).type).toBe('star');
+});
+
+test('editing operations return a new edited graph', () => {
+  const graph = buildTopology('star', WIDTH, HEIGHT);
+  let edited = addDevice(graph, 10, 20);
+  expect(graph.nodes).toHaveLength(6);
+  expect(edited.nodes).toHaveLength(7);
+  expect(edited.meta.edited).toBe(true);
+
+  edited = addLink(edited, 'device-6', 'device-1');
+  expect(hasEdge(edited, 'device-1', 'device-6')).toBe(true);
+  expect(addLink(edited, 'device-1', 'device-6')).toBe(edited); // Duplicate links are ignored
+
+  edited = renameNode(moveNode(edited, 'hub', 5, 5), 'hub', 'Living Room Router');
+  expect(getNode(edited, 'hub')).toMatchObject({ x: 5, y: 5, label: 'Living Room Router' });
+
+  edited = removeNode(edited, 'device-1');
+  expect(getNode(edited, 'device-1')).toBeUndefined();
+  expect(edited.edges.some(edge => edge.source === 'device-1' || edge.target === 'device-1')).toBe(false);
+
+  edited = removeEdge(edited, 'hub--device-2');
+  expect(hasEdge(edited, 'hub', 'device-2')).toBe(false);
+});
+
+test('scaleGraph stretches positions to the new canvas size', () => {
+  const graph = moveNode(buildTopology('star', WIDTH, HEIGHT), 'hub', 100, 100);
+  const scaled = scaleGraph(graph, WIDTH / 2, HEIGHT * 2);
+  expect(getNode(scaled, 'hub')).toMatchObject({ x: 50, y: 200 });
+  expect(scaled.meta).toMatchObject({ width: WIDTH / 2, height: HEIGHT * 2, edited: true });
+});
+
+test('device count sizes every topology', () => {
+  TOPOLOGY_TYPES.forEach(type => {
+    const graph = buildTopology(type, WIDTH, HEIGHT, { deviceCount: 30 });
+    expect(graph.nodes.filter(node => node.type === NODE_TYPES.DEVICE)).toHaveLength(30);
+  });
+});
+
+test('tree depth and branching shape the hub levels', () => {
+  const graph = buildTopology('tree', WIDTH, HEIGHT, { treeDepth: 3, treeBranching: 3, deviceCount: 18 });
+  expect(graph.nodes.filter(node => node.type === NODE_TYPES.SUB_HUB)).toHaveLength(3 + 9);
+  expect(getNeighbors(graph, 'sub-hub-b')).toEqual(['root', 'sub-hub-b-a', 'sub-hub-b-b', 'sub-hub-b-c']);
+  expect(getNeighbors(graph, 'sub-hub-a-a')).toEqual(['sub-hub-a', 'device-1', 'device-2']);
+});
+
+test('hybrid composition picks the parts and how they are bridged', () => {
+  const hybrid = {
+    segments: [{ kind: 'star', devices: 2 }, { kind: 'bus', devices: 3 }, { kind: 'star', devices: 2 }],
+    bridging: 'backbone',
+  };
+  const graph = buildTopology('hybrid', WIDTH, HEIGHT, { hybrid });
+  expect(getNode(graph, 'star-hub-2')).toBeDefined();
+  expect(getNode(graph, 's2-dev-2')).toBeDefined();
+  expect(getNeighbors(graph, 'core-router').sort()).toEqual(['b-tap-1', 'star-hub', 'star-hub-2']);
+
+  const full = buildTopology('hybrid', WIDTH, HEIGHT, { hybrid: { ...hybrid, bridging: 'full' } });
+  expect(full.edges.filter(edge => edge.kind === EDGE_KINDS.BRIDGE)).toHaveLength(3);
+});
+
+test('graphs remember the options they were generated with', () => {
+  const options = { seed: '7', layout: 'scatter', deviceCount: 12, hybrid: { segments: [{ kind: 'mesh', devices: 4 }], bridging: 'chain' } };
+  const graph = buildTopology('hybrid', WIDTH, HEIGHT, options);
+  expect(matchesGenerationOptions(graph, JSON.parse(JSON.stringify(options)))).toBe(true);
+  expect(matchesGenerationOptions(graph, { ...options, deviceCount: 13 })).toBe(false);
+});
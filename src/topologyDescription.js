@@ -0,0 +1,111 @@
+// src/topologyDescription.js
+// Text descriptions of topology graphs for screen readers, and spatial arrow-key navigation
+// between the nodes drawn on the canvas. Bus taps are never described or focused; a device
+// dropped onto a bus is described as being on the bus.
+
+import { NODE_TYPES, EDGE_KINDS, getVisibleNodes, getNodeMap } from './topology';
+import { HEALTH_LEVELS } from './deviceTelemetry';
+import { SECURITY_ZONES, getNodeZone } from './securityZones';
+
+const NODE_KIND_LABELS = {
+  [NODE_TYPES.HUB]: 'hub',
+  [NODE_TYPES.SUB_HUB]: 'sub-hub',
+  [NODE_TYPES.DEVICE]: 'device',
+};
+
+const TOPOLOGY_LABELS = { star: 'Star', mesh: 'Mesh', bus: 'Bus', tree: 'Tree', hybrid: 'Hybrid' };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const joinLabels = (labels) => (labels.length <= 1
+  ? labels.join('')
+  : `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`);
+
+// Visible nodes linked to `id`, and whether it hangs off a bus: { nodes, onBus }
+export const getLinkedNodes = (graph, id) => {
+  const nodeMap = getNodeMap(graph);
+  const nodes = [];
+  let onBus = false;
+  graph.edges.forEach(edge => {
+    if (edge.source !== id && edge.target !== id) return;
+    const other = nodeMap.get(edge.source === id ? edge.target : edge.source);
+    if (!other) return;
+    if (other.type === NODE_TYPES.BUS_TAP) onBus = true;
+    else nodes.push(other);
+  });
+  return { nodes, onBus };
+};
+
+// One-sentence summary of the whole graph, e.g. "Star topology: 1 hub and 5 devices, 5 links."
+export const describeTopology = (graph, { failures, isolatedNodeIds = [] } = {}) => {
+  const visible = getVisibleNodes(graph);
+  const counts = [NODE_TYPES.HUB, NODE_TYPES.SUB_HUB, NODE_TYPES.DEVICE]
+    .map(type => [type, visible.filter(node => node.type === type).length])
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => plural(count, NODE_KIND_LABELS[type]));
+  const links = graph.edges.filter(edge => edge.kind !== EDGE_KINDS.BUS && edge.kind !== EDGE_KINDS.DROP).length;
+  const parts = [`${TOPOLOGY_LABELS[graph.type] || graph.type} topology: ${joinLabels(counts)}`];
+  if (links > 0) parts.push(plural(links, 'link'));
+  if (graph.edges.some(edge => edge.kind === EDGE_KINDS.BUS)) parts.push('a shared bus');
+  const failed = failures ? failures.nodes.length + failures.edges.length : 0;
+  let summary = `${parts.join(', ')}.`;
+  if (failed > 0) summary += ` ${plural(failed, 'failed element')}.`;
+  if (isolatedNodeIds.length > 0) summary += ` ${plural(isolatedNodeIds.length, 'device')} cut off.`;
+  return summary;
+};
+
+// Everything the canvas shows about one node, e.g.
+// "Device 2, device in the IoT zone. Linked to Hub. Health: Degraded."
+export const describeNode = (graph, id, { failures, isolatedNodeIds = [], nodeTelemetry = {}, showZones = false } = {}) => {
+  const node = getVisibleNodes(graph).find(candidate => candidate.id === id);
+  if (!node) return '';
+  const zone = showZones ? getNodeZone(node) : null;
+  const sentences = [`${node.label || node.id}, ${NODE_KIND_LABELS[node.type]}${zone ? ` in the ${SECURITY_ZONES[zone].label} zone` : ''}`];
+
+  const { nodes, onBus } = getLinkedNodes(graph, id);
+  const links = nodes.map(other => other.label || other.id);
+  if (onBus) links.unshift('the bus');
+  sentences.push(links.length > 0 ? `Linked to ${joinLabels(links)}` : 'Not linked to anything');
+
+  if (failures && failures.nodes.includes(id)) sentences.push('Failed');
+  else if (isolatedNodeIds.includes(id)) sentences.push('Cut off from the rest of the network');
+  if (nodeTelemetry[id]) sentences.push(`Health: ${HEALTH_LEVELS[nodeTelemetry[id].health].label}`);
+  return `${sentences.join('. ')}.`;
+};
+
+// Arrow keys and the directions they move focus in
+export const NAVIGATION_KEYS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+};
+
+// The node to focus after pressing `key` on `fromId`: the nearest visible node in that
+// direction, favouring ones straight ahead over ones off to the side. Home and End go to the
+// first and last node, and any of these keys starts at the first node when nothing is focused yet.
+// Returns null when there is nowhere to go.
+export const findNodeInDirection = (graph, fromId, key) => {
+  const visible = getVisibleNodes(graph);
+  const direction = NAVIGATION_KEYS[key];
+  if (visible.length === 0 || (!direction && key !== 'Home' && key !== 'End')) return null;
+  const from = visible.find(node => node.id === fromId);
+  if (!from || key === 'Home') return visible[0].id;
+  if (key === 'End') return visible[visible.length - 1].id;
+
+  let best = null;
+  let bestScore = Infinity;
+  visible.forEach(node => {
+    const dx = node.x - from.x;
+    const dy = node.y - from.y;
+    const ahead = dx * direction.x + dy * direction.y;
+    if (node.id === from.id || ahead <= 0) return;
+    const aside = Math.abs(dx * direction.y - dy * direction.x);
+    const score = ahead + aside * 2;
+    if (score < bestScore) {
+      best = node;
+      bestScore = score;
+    }
+  });
+  return best ? best.id : null;
+};
@@ -0,0 +1,40 @@
+import { buildTopology, renameNode } from './topology';
+import { describeTopology, describeNode, findNodeInDirection } from './topologyDescription';
+
+const WIDTH = 800;
+const HEIGHT = 400;
+
+test('the summary and node descriptions cover links, failures, zones and health', () => {
+  const star = renameNode(buildTopology('star', WIDTH, HEIGHT), 'device-1', 'Camera');
+  expect(describeTopology(star)).toBe('Star topology: 1 hub and 5 devices, 5 links.');
+  expect(describeNode(star, 'device-1')).toBe('Camera, device. Linked to Router/Hub.');
+  expect(describeNode(star, 'device-1', {
+    failures: { nodes: ['device-1'], edges: [] },
+    nodeTelemetry: { 'device-1': { health: 'degraded' } },
+    showZones: true,
+  })).toBe('Camera, device in the Trusted zone. Linked to Router/Hub. Failed. Health: Degraded.');
+  expect(describeNode(star, 'hub')).toMatch(/^Router\/Hub, hub\. Linked to Camera, Device 2, Device 3, Device 4 and Device 5\.$/);
+
+  const bus = buildTopology('bus', WIDTH, HEIGHT);
+  expect(describeTopology(bus, { failures: { nodes: ['device-2'], edges: [] }, isolatedNodeIds: ['device-3'] }))
+    .toBe('Bus topology: 5 devices, a shared bus. 1 failed element. 1 device cut off.');
+  expect(describeNode(bus, 'device-3', { isolatedNodeIds: ['device-3'] }))
+    .toBe('Device 3, device. Linked to the bus. Cut off from the rest of the network.');
+  expect(describeNode(bus, 'tap-1')).toBe('');
+});
+
+test('arrow keys move to the nearest node in that direction, skipping bus taps', () => {
+  const bus = buildTopology('bus', WIDTH, HEIGHT);
+  expect(findNodeInDirection(bus, null, 'ArrowRight')).toBe('device-1');
+  expect(findNodeInDirection(bus, 'device-1', 'ArrowRight')).toBe('device-2');
+  expect(findNodeInDirection(bus, 'device-2', 'ArrowLeft')).toBe('device-1');
+  expect(findNodeInDirection(bus, 'device-1', 'ArrowLeft')).toBeNull();
+  expect(findNodeInDirection(bus, 'device-1', 'ArrowUp')).toBeNull();
+  expect(findNodeInDirection(bus, 'device-1', 'End')).toBe('device-5');
+  expect(findNodeInDirection(bus, 'device-3', 'Home')).toBe('device-1');
+  expect(findNodeInDirection(bus, 'device-3', 'a')).toBeNull();
+
+  const star = buildTopology('star', WIDTH, HEIGHT);
+  const below = star.nodes.filter(node => node.id !== 'hub' && node.y > star.nodes[0].y);
+  expect(below.map(node => node.id)).toContain(findNodeInDirection(star, 'hub', 'ArrowDown'));
+});
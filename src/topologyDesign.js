@@ -0,0 +1,142 @@
+// src/topologyDesign.js
+// Saved topology designs: conversion between canvas graphs and the portable JSON design
+// format documented in README.md, plus storage under homes/{homeId}/designs.
+
+import { TOPOLOGY_TYPES, NODE_TYPES, EDGE_KINDS, pickGenerationOptions } from './topology';
+import { TRAFFIC_PROFILES } from './trafficProfiles';
+import { SECURITY_ZONES } from './securityZones';
+
+export const DESIGN_FORMAT = 'smart-home-topology';
+export const DESIGN_VERSION = 1;
+
+export const designsPath = (homeId) => `homes/${homeId}/designs`;
+
+const NODE_TYPE_VALUES = Object.values(NODE_TYPES);
+const EDGE_KIND_VALUES = Object.values(EDGE_KINDS);
+
+// Copies only the fields the format defines, dropping anything undefined
+const pick = (source, keys) =>
+  keys.reduce((result, key) => {
+    if (source[key] !== undefined) result[key] = source[key];
+    return result;
+  }, {});
+
+export const graphToDesign = (graph, name) => {
+  const now = new Date().toISOString();
+  return {
+    format: DESIGN_FORMAT,
+    version: DESIGN_VERSION,
+    name,
+    topology: graph.type,
+    canvas: { width: graph.meta.width, height: graph.meta.height },
+    nodes: graph.nodes.map(node => pick(node, ['id', 'type', 'label', 'x', 'y', 'group', 'deviceId', 'deviceType', 'zone', 'metadata'])),
+    links: graph.edges.map(edge => pick(edge, ['id', 'source', 'target', 'kind', 'label', 'capacity'])),
+    annotations: graph.annotations.map(annotation => pick(annotation, ['text', 'x', 'y'])),
+    ...(graph.zoneRules ? { zoneRules: graph.zoneRules } : {}),
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+// Throws an Error describing the first problem found, so imports can report it to the user
+export const validateDesign = (design) => {
+  if (!design || typeof design !== 'object') throw new Error('Design must be a JSON object.');
+  if (design.format !== DESIGN_FORMAT) throw new Error(`Not a topology design (expected format "${DESIGN_FORMAT}").`);
+  if (design.version > DESIGN_VERSION) throw new Error(`Design version ${design.version} is newer than this app supports.`);
+  if (!design.canvas || !(design.canvas.width > 0) || !(design.canvas.height > 0)) {
+    throw new Error('Design is missing a valid canvas size.');
+  }
+  if (!Array.isArray(design.nodes)) throw new Error('Design has no "nodes" list.');
+
+  const ids = new Set();
+  design.nodes.forEach((node, i) => {
+    if (!node.id || typeof node.id !== 'string') throw new Error(`Node ${i + 1} has no id.`);
+    if (ids.has(node.id)) throw new Error(`Node id "${node.id}" is used twice.`);
+    if (!NODE_TYPE_VALUES.includes(node.type)) throw new Error(`Node "${node.id}" has unknown type "${node.type}".`);
+    if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) throw new Error(`Node "${node.id}" has no position.`);
+    if (node.deviceType !== undefined && !TRAFFIC_PROFILES[node.deviceType]) {
+      throw new Error(`Node "${node.id}" has unknown device type "${node.deviceType}".`);
+    }
+    if (node.zone !== undefined && !SECURITY_ZONES[node.zone]) throw new Error(`Node "${node.id}" has unknown zone "${node.zone}".`);
+    ids.add(node.id);
+  });
+  (design.links || []).forEach(link => {
+    if (!ids.has(link.source) || !ids.has(link.target)) {
+      throw new Error(`Link "${link.id || `${link.source}--${link.target}`}" points to a missing node.`);
+    }
+    if (link.kind && !EDGE_KIND_VALUES.includes(link.kind)) throw new Error(`Link "${link.id}" has unknown kind "${link.kind}".`);
+    if (link.capacity !== undefined && !(link.capacity > 0)) throw new Error(`Link "${link.id}" has an invalid capacity.`);
+  });
+  Object.entries(design.zoneRules || {}).forEach(([from, targets]) => {
+    Object.entries(targets || {}).forEach(([to, action]) => {
+      if (!SECURITY_ZONES[from] || !SECURITY_ZONES[to] || (action !== 'allow' && action !== 'deny')) {
+        throw new Error(`Zone rule "${from}" → "${to}" must be "allow" or "deny" between known zones.`);
+      }
+    });
+  });
+  return design;
+};
+
+// Builds a canvas graph from a design. `options` ({ seed, layout, deviceCount }) stamps the
+// current generation settings so the canvas treats the design as an edit of them and keeps it on resize.
+export const designToGraph = (design, options = {}) => {
+  validateDesign(design);
+  const topology = TOPOLOGY_TYPES.includes(design.topology) ? design.topology : 'star';
+  return {
+    type: topology,
+    nodes: design.nodes.map(node => ({ label: '', ...node })),
+    edges: (design.links || []).map(link => ({
+      kind: EDGE_KINDS.LINK,
+      ...link,
+      id: link.id || `${link.source}--${link.target}`,
+    })),
+    annotations: design.annotations || [],
+    ...(design.zoneRules ? { zoneRules: design.zoneRules } : {}),
+    meta: {
+      width: design.canvas.width,
+      height: design.canvas.height,
+      deviceRadius: 15,
+      ...pickGenerationOptions(options),
+      edited: true,
+      designName: design.name,
+    },
+  };
+};
+
+export const serializeDesign = (design) => JSON.stringify(design, null, 2);
+
+export const parseDesignFile = (text) => {
+  let design;
+  try {
+    design = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`File is not valid JSON: ${error.message}`);
+  }
+  return validateDesign(design);
+};
+
+const toFileSlug = (name) =>
+  (name || 'topology').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'topology';
+
+// Safe file name for downloads, e.g. "Smith Residence" -> "smith-residence.topology.json"
+export const designFileName = (name) => `${toFileSlug(name)}.topology.json`;
+
+// File name for an exported diagram image, e.g. ("Smith Residence", "png") -> "smith-residence.png"
+export const diagramFileName = (name, extension) => `${toFileSlug(name)}.${extension}`;
+
+// --- Database access ---
+export const subscribeToDesigns = (source, homeId, callback, onError) =>
+  source.subscribe(designsPath(homeId), (value) => {
+    const designs = Object.entries(value || {}).map(([id, design]) => ({ id, ...design }));
+    designs.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    callback(designs);
+  }, onError);
+
+// Realtime Database rejects undefined values, so designs go through a JSON round trip first
+export const saveDesign = (source, homeId, design, designId) => {
+  const clean = JSON.parse(JSON.stringify(design));
+  if (designId) return source.set(`${designsPath(homeId)}/${designId}`, clean);
+  return source.push(designsPath(homeId), clean);
+};
+
+export const deleteDesign = (source, homeId, designId) => source.remove(`${designsPath(homeId)}/${designId}`);
@@ -0,0 +1,39 @@
+import { graphToDesign, designToGraph, parseDesignFile, serializeDesign, designFileName } from './topologyDesign';
+import { buildTopology, updateNode } from './topology';
+import { setZoneRule } from './securityZones';
+
+test('a design round-trips back to the same graph', () => {
+  const graph = updateNode(buildTopology('tree', 600, 400), 'device-1', { deviceId: 'cam-front', metadata: { room: 'Porch' } });
+  const design = parseDesignFile(serializeDesign(graphToDesign(graph, 'Porch camera')));
+  const loaded = designToGraph(design, { seed: '1', layout: 'scatter' });
+
+  expect(loaded.type).toBe('tree');
+  expect(loaded.nodes).toEqual(graph.nodes);
+  expect(loaded.edges).toEqual(graph.edges);
+  expect(loaded.meta).toMatchObject({ width: 600, height: 400, seed: '1', edited: true, designName: 'Porch camera' });
+});
+
+test('security zones and their rules are saved with the design', () => {
+  const graph = setZoneRule(updateNode(buildTopology('star', 600, 400), 'device-1', { zone: 'cameras' }), 'iot', 'trusted', 'allow');
+  const loaded = designToGraph(parseDesignFile(serializeDesign(graphToDesign(graph, 'Zoned'))));
+  expect(loaded.nodes.find(node => node.id === 'device-1').zone).toBe('cameras');
+  expect(loaded.zoneRules).toEqual({ iot: { trusted: 'allow' } });
+
+  const design = graphToDesign(graph, 'Zoned');
+  expect(() => parseDesignFile(JSON.stringify({ ...design, nodes: [{ ...design.nodes[0], zone: 'dmz' }] }))).toThrow('unknown zone');
+  expect(() => parseDesignFile(JSON.stringify({ ...design, zoneRules: { iot: { trusted: 'maybe' } } }))).toThrow('must be "allow" or "deny"');
+});
+
+test('rejects files that are not valid designs', () => {
+  const design = graphToDesign(buildTopology('star', 600, 400), 'Star');
+  expect(() => parseDesignFile('not json')).toThrow('not valid JSON');
+  expect(() => parseDesignFile(JSON.stringify({ ...design, format: 'other' }))).toThrow('Not a topology design');
+  expect(() => parseDesignFile(JSON.stringify({ ...design, nodes: [...design.nodes, design.nodes[0]] }))).toThrow('used twice');
+  expect(() => parseDesignFile(JSON.stringify({ ...design, links: [{ source: 'hub', target: 'missing' }] })))
+    .toThrow('missing node');
+});
+
+test('builds safe download file names', () => {
+  expect(designFileName('Smith Residence #2')).toBe('smith-residence-2.topology.json');
+  expect(designFileName('')).toBe('topology.topology.json');
+});
@@ -0,0 +1,104 @@
+// src/topologyMetrics.js
+// Structural metrics computed from a topology graph, so topologies can be compared with
+// numbers: size, diameter, average hop count, cable length, redundancy and the single
+// points of failure. Hops are counted as in the packet simulation (bus taps don't count).
+
+import { TOPOLOGY_TYPES, NODE_TYPES, buildTopology, getNodeMap, getVisibleNodes } from './topology';
+import { NO_FAILURES, findShortestPathsFrom, findIsolatedNodes, getConnectedComponents, findCutElements } from './routing';
+import { countHops } from './packetSimulation';
+
+// The canvas is taken to span a home this many meters wide, whatever its pixel size
+export const HOME_WIDTH_METERS = 20;
+
+// Cable length of every link in meters, scaled from canvas pixels
+export const getCableLength = (graph) => {
+  const nodeMap = getNodeMap(graph);
+  const pixels = graph.edges.reduce((total, edge) => {
+    const source = nodeMap.get(edge.source);
+    const target = nodeMap.get(edge.target);
+    return total + Math.hypot(target.x - source.x, target.y - source.y);
+  }, 0);
+  return (pixels * HOME_WIDTH_METERS) / graph.meta.width;
+};
+
+// Devices and links whose failure cuts off more of the network than the element itself.
+// A link counts when it strands more than one node, so the link to a single leaf device
+// (which only ever takes that device down) is not reported. Only cut elements can split the
+// network, so only they (and hubs, which decide which part counts as the main one) are tried.
+export const findSinglePointsOfFailure = (graph) => {
+  const baseline = findIsolatedNodes(graph, NO_FAILURES).length;
+  const cuts = findCutElements(graph);
+  const points = [];
+
+  getVisibleNodes(graph).forEach(node => {
+    if (!cuts.nodes.has(node.id) && node.type !== NODE_TYPES.HUB) return;
+    const isolated = findIsolatedNodes(graph, { nodes: [node.id], edges: [] }).length - baseline;
+    if (isolated > 0) points.push({ kind: 'nodes', id: node.id, label: node.label, isolated });
+  });
+  const nodeMap = getNodeMap(graph);
+  graph.edges.forEach(edge => {
+    if (!cuts.edges.has(edge.id)) return;
+    const isolated = findIsolatedNodes(graph, { nodes: [], edges: [edge.id] }).length - baseline;
+    if (isolated > 1) {
+      const label = edge.label || `${nodeMap.get(edge.source).label || edge.source} – ${nodeMap.get(edge.target).label || edge.target}`;
+      points.push({ kind: 'edges', id: edge.id, label, isolated });
+    }
+  });
+  return points.sort((a, b) => b.isolated - a.isolated);
+};
+
+export const computeTopologyMetrics = (graph) => {
+  const nodes = getVisibleNodes(graph);
+  const nodeMap = getNodeMap(graph);
+
+  // Shortest paths between every pair of devices and hubs
+  let diameter = 0;
+  let totalHops = 0;
+  let connectedPairs = 0;
+  let unreachablePairs = 0;
+  for (let i = 0; i < nodes.length; i++) {
+    const paths = findShortestPathsFrom(graph, nodes[i].id);
+    for (let j = i + 1; j < nodes.length; j++) {
+      const path = paths.get(nodes[j].id);
+      if (!path) {
+        unreachablePairs++;
+        continue;
+      }
+      const hops = countHops(path, nodeMap);
+      diameter = Math.max(diameter, hops);
+      totalHops += hops;
+      connectedPairs++;
+    }
+  }
+
+  // Links beyond what a spanning tree needs; each one is an alternative path
+  const components = getConnectedComponents(graph).length;
+  const redundantLinks = Math.max(0, graph.edges.length - (graph.nodes.length - components));
+  const singlePointsOfFailure = findSinglePointsOfFailure(graph);
+  const elementCount = nodes.length + graph.edges.length;
+
+  return {
+    nodeCount: nodes.length,
+    deviceCount: nodes.filter(node => node.type === NODE_TYPES.DEVICE).length,
+    linkCount: graph.edges.length,
+    diameter,
+    averageHops: connectedPairs > 0 ? totalHops / connectedPairs : null,
+    unreachablePairs,
+    cableLength: getCableLength(graph),
+    redundantLinks,
+    // Share of single device or link failures that leave everything else connected
+    faultTolerance: elementCount > 0 ? 1 - singlePointsOfFailure.length / elementCount : null,
+    // Share of the other nodes cut off by the most damaging single failure
+    worstFailureLoss: nodes.length > 1
+      ? Math.max(0, ...singlePointsOfFailure.map(point => point.isolated)) / (nodes.length - 1)
+      : 0,
+    singlePointsOfFailure,
+  };
+};
+
+// Metrics for every topology built with the same device count and canvas size
+export const compareTopologies = (width, height, deviceCount, options = {}) =>
+  TOPOLOGY_TYPES.map(type => ({
+    type,
+    metrics: computeTopologyMetrics(buildTopology(type, width, height, { ...options, deviceCount })),
+  }));
@@ -0,0 +1,36 @@
+import { computeTopologyMetrics, compareTopologies, HOME_WIDTH_METERS } from './topologyMetrics';
+import { buildTopology } from './topology';
+
+test('star: every device is two hops apart and the hub is the single point of failure', () => {
+  const metrics = computeTopologyMetrics(buildTopology('star', 600, 400));
+  expect(metrics).toMatchObject({ nodeCount: 6, deviceCount: 5, linkCount: 5, diameter: 2, redundantLinks: 0 });
+  expect(metrics.singlePointsOfFailure.map(point => point.id)).toEqual(['hub']);
+});
+
+test('mesh: fully meshed devices have no single point of failure', () => {
+  const metrics = computeTopologyMetrics(buildTopology('mesh', 600, 400));
+  expect(metrics).toMatchObject({ diameter: 1, averageHops: 1, linkCount: 10, redundantLinks: 6, faultTolerance: 1 });
+  expect(metrics.singlePointsOfFailure).toEqual([]);
+});
+
+test('bus: devices share one hop and inner bus segments are points of failure', () => {
+  const metrics = computeTopologyMetrics(buildTopology('bus', 600, 400));
+  expect(metrics.nodeCount).toBe(5); // Bus taps are not nodes
+  expect(metrics.diameter).toBe(1);
+  expect(metrics.singlePointsOfFailure.every(point => point.kind === 'edges')).toBe(true);
+  expect(metrics.singlePointsOfFailure.map(point => point.id)).toContain('tap-2--tap-3');
+});
+
+test('cable length is measured against the home width, not canvas pixels', () => {
+  const small = computeTopologyMetrics(buildTopology('star', 300, 200)).cableLength;
+  const large = computeTopologyMetrics(buildTopology('star', 600, 400)).cableLength;
+  expect(small).toBeCloseTo(large);
+  // Five spokes of 35% of the canvas height
+  expect(large).toBeCloseTo((5 * 0.35 * 400 * HOME_WIDTH_METERS) / 600);
+});
+
+test('compares every topology at the same device count', () => {
+  const comparison = compareTopologies(600, 400, 7);
+  expect(comparison.map(entry => entry.type)).toEqual(['star', 'mesh', 'bus', 'tree', 'hybrid']);
+  comparison.forEach(entry => expect(entry.metrics.deviceCount).toBe(7));
+});
@@ -0,0 +1,131 @@
+// src/topologyRecommendation.js
+// Scores the five topologies against a household's answers to the recommendation wizard.
+// Reliability (how many single failures are harmless, and how bad the worst one is) and
+// cabling come from the computed topology metrics; coverage, throughput, scalability and
+// equipment cost come from the per-topology profiles below.
+
+import { TOPOLOGY_TYPES } from './topology';
+import { compareTopologies } from './topologyMetrics';
+
+export const HOME_SIZES = {
+  small: { label: 'Small (under 100 m²)', coverage: 0.2 },
+  medium: { label: 'Medium (100–200 m²)', coverage: 0.5 },
+  large: { label: 'Large (over 200 m²)', coverage: 0.85 },
+};
+
+export const DEVICE_TYPES = {
+  cameras: { label: 'Security cameras', bandwidth: 1, critical: true },
+  streaming: { label: 'TVs and streaming', bandwidth: 0.8 },
+  speakers: { label: 'Smart speakers', bandwidth: 0.4 },
+  lighting: { label: 'Lighting', bandwidth: 0.1 },
+  sensors: { label: 'Sensors and thermostats', bandwidth: 0.1 },
+  locks: { label: 'Locks and alarms', bandwidth: 0.1, critical: true },
+};
+
+export const BUDGETS = {
+  low: { label: 'Tight', costWeight: 0.4 },
+  medium: { label: 'Moderate', costWeight: 0.15 },
+  high: { label: 'Flexible', costWeight: 0 },
+};
+
+export const DEFAULT_ANSWERS = {
+  homeSize: 'medium',
+  floors: 1,
+  deviceCount: 8,
+  deviceTypes: ['lighting', 'sensors'],
+  budget: 'medium',
+  priority: 3, // 1 = lowest cost matters most, 5 = reliability matters most
+};
+
+// 0–1 ratings of what the metrics can't measure
+const TOPOLOGY_PROFILES = {
+  star: { equipmentCost: 0.3, coverage: 0.4, bandwidth: 0.8, scalability: 0.7 },
+  mesh: { equipmentCost: 0.9, coverage: 1, bandwidth: 0.7, scalability: 0.6 },
+  bus: { equipmentCost: 0.1, coverage: 0.3, bandwidth: 0.2, scalability: 0.2 },
+  tree: { equipmentCost: 0.5, coverage: 0.7, bandwidth: 0.7, scalability: 0.9 },
+  hybrid: { equipmentCost: 0.7, coverage: 0.9, bandwidth: 0.8, scalability: 0.8 },
+};
+
+// Fault tolerance and cabling barely change past this size, and a full mesh gets slow to analyse
+const MAX_METRIC_DEVICES = 12;
+const METRIC_CANVAS = { width: 600, height: 400 };
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// How much each factor matters to this household, 0–1
+export const getNeeds = (answers) => {
+  const types = answers.deviceTypes.map(type => DEVICE_TYPES[type]).filter(Boolean);
+  const importance = (answers.priority - 1) / 4;
+  return {
+    reliability: clamp01(importance + (types.some(type => type.critical) ? 0.2 : 0)),
+    cost: clamp01(1 - importance + BUDGETS[answers.budget].costWeight),
+    coverage: clamp01(HOME_SIZES[answers.homeSize].coverage + 0.15 * (answers.floors - 1)),
+    bandwidth: clamp01(Math.max(0, ...types.map(type => type.bandwidth)) + answers.deviceCount / 50),
+    scalability: clamp01((answers.deviceCount - 5) / 25),
+  };
+};
+
+// Plain-language reason for a factor the topology does well on
+const describeStrength = (factor, metrics, answers) => {
+  switch (factor) {
+    case 'reliability':
+      return metrics.worstFailureLoss === 0
+        ? 'No single device or link failure cuts off the rest of the network.'
+        : `${Math.round(metrics.faultTolerance * 100)}% of single failures leave the rest of the network running.`;
+    case 'cost':
+      return 'Low equipment and cabling cost keeps it within budget.';
+    case 'coverage':
+      return `Good coverage for a ${answers.homeSize} home over ${answers.floors} floor${answers.floors === 1 ? '' : 's'}.`;
+    case 'bandwidth':
+      return 'Enough throughput for bandwidth-hungry devices like cameras and streaming.';
+    default:
+      return `Room to grow beyond ${answers.deviceCount} devices.`;
+  }
+};
+
+const describeWeakness = (factor) => ({
+  reliability: 'Trade-off: a single failure can cut off part of the network.',
+  cost: 'Trade-off: more equipment and cabling than the alternatives.',
+  coverage: 'Trade-off: weaker coverage in far rooms and on other floors.',
+  bandwidth: 'Trade-off: devices share limited throughput.',
+  scalability: 'Trade-off: harder to extend as you add devices.',
+}[factor]);
+
+// Returns { needs, ranking: [{ type, score (0–100), reasons }] }, best topology first
+export const recommendTopology = (answers) => {
+  const needs = getNeeds(answers);
+  const comparison = compareTopologies(
+    METRIC_CANVAS.width,
+    METRIC_CANVAS.height,
+    Math.min(Math.max(answers.deviceCount, 2), MAX_METRIC_DEVICES)
+  );
+  const longestCable = Math.max(...comparison.map(entry => entry.metrics.cableLength));
+  const totalWeight = Object.values(needs).reduce((sum, weight) => sum + weight, 0) || 1;
+
+  const ranking = comparison.map(({ type, metrics }) => {
+    const profile = TOPOLOGY_PROFILES[type];
+    const ratings = {
+      reliability: (metrics.faultTolerance + (1 - metrics.worstFailureLoss)) / 2,
+      cost: 1 - (0.6 * profile.equipmentCost + (0.4 * metrics.cableLength) / longestCable),
+      coverage: profile.coverage,
+      bandwidth: profile.bandwidth,
+      scalability: profile.scalability,
+    };
+    const score = Object.keys(needs).reduce((sum, factor) => sum + needs[factor] * ratings[factor], 0) / totalWeight;
+
+    // Strengths are the well-rated factors that matter most; the weakness is the worst-rated one that matters
+    const important = Object.keys(needs).filter(factor => needs[factor] >= 0.3);
+    const strengths = important
+      .filter(factor => ratings[factor] >= 0.6)
+      .sort((a, b) => needs[b] * ratings[b] - needs[a] * ratings[a])
+      .slice(0, 3)
+      .map(factor => describeStrength(factor, metrics, answers));
+    const weakest = important.filter(factor => ratings[factor] < 0.4).sort((a, b) => ratings[a] - ratings[b])[0];
+    const reasons = weakest ? [...strengths, describeWeakness(weakest)] : strengths;
+
+    return { type, score: Math.round(score * 100), reasons };
+  });
+
+  ranking.sort((a, b) => b.score - a.score || TOPOLOGY_TYPES.indexOf(a.type) - TOPOLOGY_TYPES.indexOf(b.type));
+  return { needs, ranking };
+};
@@ -0,0 +1,32 @@
+import { recommendTopology, getNeeds, DEFAULT_ANSWERS } from './topologyRecommendation';
+
+const best = (answers) => recommendTopology({ ...DEFAULT_ANSWERS, ...answers }).ranking[0];
+
+test('a small home on a tight budget gets a cheap, simple topology', () => {
+  const { type } = best({ homeSize: 'small', deviceCount: 4, deviceTypes: ['sensors'], budget: 'low', priority: 1 });
+  expect(['star', 'bus']).toContain(type);
+});
+
+test('a large multi-floor home that values reliability gets a meshed topology', () => {
+  const { type, reasons } = best({
+    homeSize: 'large', floors: 3, deviceCount: 20, deviceTypes: ['cameras', 'streaming'], budget: 'high', priority: 5,
+  });
+  expect(['mesh', 'hybrid']).toContain(type);
+  expect(reasons.length).toBeGreaterThan(0);
+});
+
+test('ranks all five topologies with scores from 0 to 100', () => {
+  const { ranking } = recommendTopology(DEFAULT_ANSWERS);
+  expect(ranking.map(entry => entry.type).sort()).toEqual(['bus', 'hybrid', 'mesh', 'star', 'tree']);
+  ranking.forEach(entry => {
+    expect(entry.score).toBeGreaterThanOrEqual(0);
+    expect(entry.score).toBeLessThanOrEqual(100);
+  });
+  expect(ranking[0].score).toBeGreaterThanOrEqual(ranking[4].score);
+});
+
+test('critical devices raise the weight of reliability', () => {
+  const without = getNeeds({ ...DEFAULT_ANSWERS, deviceTypes: ['lighting'] });
+  const withLocks = getNeeds({ ...DEFAULT_ANSWERS, deviceTypes: ['lighting', 'locks'] });
+  expect(withLocks.reliability).toBeGreaterThan(without.reliability);
+});
@@ -0,0 +1,399 @@
+// src/topologyRenderer.js
+// Canvas drawing for topology graphs produced by ./topology.js.
+
+import { NODE_TYPES, EDGE_KINDS, getNode } from './topology';
+import { SIGNAL_SPEED } from './sharedMedium';
+import { SECURITY_ZONES, getZoneRegions } from './securityZones';
+
+export const CANVAS_COLORS = {
+  device: '#3B82F6',
+  deviceStroke: '#2563EB',
+  hub: '#EF4444',
+  subHub: '#F59E0B',
+  meshGroup: '#10B981',
+  connection: '#60A5FA',
+  bus: '#F59E0B',
+  bridge: '#DC2626',
+  text: '#1F2937',
+  packet: '#FFD700', // Gold for packets
+  reroutedPacket: '#F97316',
+  selection: '#7C3AED',
+  failed: '#9CA3AF',
+  failure: '#DC2626',
+  isolated: '#F97316',
+  focus: '#0369A1', // Keyboard focus, dark enough to stand out on every node color
+};
+
+export const DROP_MARKER_DURATION = 800; // Milliseconds a dropped packet stays visible
+export const COLLISION_MARKER_DURATION = 900;
+export const BLOCK_MARKER_DURATION = 1200;
+
+export const PACKET_RADIUS = 5;
+
+// Link utilization bands for the load labels, heaviest first
+export const LINK_LOAD_BANDS = [
+  { min: 0.85, label: 'Congested (≥ 85%)', color: '#DC2626' },
+  { min: 0.5, label: 'Busy (50–84%)', color: '#D97706' },
+  { min: 0, label: 'Light (< 50%)', color: '#059669' },
+];
+const MIN_LOAD_LABEL = 0.05; // Links below this utilization get no label
+
+export const getLinkLoadBand = (utilization) =>
+  LINK_LOAD_BANDS.find(band => utilization >= band.min) || LINK_LOAD_BANDS[LINK_LOAD_BANDS.length - 1];
+
+// Bigger packets are drawn bigger; packets without a size keep the classic dot
+export const getPacketRadius = (packet) =>
+  (packet.size ? Math.min(8, Math.max(3, 3 + packet.size * 0.6)) : PACKET_RADIUS);
+
+// Fill color and radius for a node based on its type and group
+export const getNodeStyle = (node, r) => {
+  switch (node.type) {
+    case NODE_TYPES.HUB:
+      return { color: CANVAS_COLORS.hub, radius: r + 5 };
+    case NODE_TYPES.SUB_HUB:
+      return { color: CANVAS_COLORS.subHub, radius: r };
+    case NODE_TYPES.BUS_TAP:
+      return { color: CANVAS_COLORS.bus, radius: 0 };
+    default:
+      return { color: node.group === 'mesh' ? CANVAS_COLORS.meshGroup : CANVAS_COLORS.device, radius: r };
+  }
+};
+
+// Stroke color and width for an edge based on its kind. `linkStyle` ({ color, width })
+// replaces the default look of ordinary links, e.g. to reflect live signal strength;
+// the bus and bridge keep their own colors but follow its thickness.
+export const getEdgeStyle = (edge, linkStyle = null) => {
+  switch (edge.kind) {
+    case EDGE_KINDS.BUS:
+      return { color: CANVAS_COLORS.bus, width: linkStyle ? linkStyle.width + 2 : 4 };
+    case EDGE_KINDS.BRIDGE:
+      return { color: CANVAS_COLORS.bridge, width: linkStyle ? linkStyle.width : 2 };
+    default:
+      return linkStyle || { color: CANVAS_COLORS.connection, width: 2 };
+  }
+};
+
+// Drawing helper functions
+export const drawDevice = (ctx, x, y, radius, color, label) => {
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.strokeStyle = CANVAS_COLORS.deviceStroke;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  ctx.fillStyle = CANVAS_COLORS.text;
+  ctx.fillText(label, x, y + radius + 10);
+};
+
+export const drawConnection = (ctx, x1, y1, x2, y2, color, width = 2) => {
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.stroke();
+};
+
+// Draws a packet in its traffic color with a small "hops · travel time" tag above it.
+// Rerouted packets get an orange rim (or are orange when they have no traffic color).
+export const drawPacket = (ctx, packet) => {
+  if (packet.x === null) return; // Not moved yet
+  const radius = getPacketRadius(packet);
+  ctx.beginPath();
+  ctx.arc(packet.x, packet.y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = packet.color || (packet.rerouted ? CANVAS_COLORS.reroutedPacket : CANVAS_COLORS.packet);
+  ctx.fill();
+  if (packet.color && packet.rerouted) {
+    ctx.strokeStyle = CANVAS_COLORS.reroutedPacket;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  if (packet.hops !== null && !packet.waitingOn) {
+    ctx.save();
+    ctx.font = '10px Inter, sans-serif';
+    ctx.fillStyle = CANVAS_COLORS.text;
+    ctx.fillText(
+      `${packet.hops} hop${packet.hops === 1 ? '' : 's'} · ${(packet.elapsed / 1000).toFixed(1)}s`,
+      packet.x,
+      packet.y - radius - 8
+    );
+    ctx.restore();
+  }
+};
+
+const drawCross = (ctx, x, y, size, color, width) => {
+  ctx.beginPath();
+  ctx.moveTo(x - size, y - size);
+  ctx.lineTo(x + size, y + size);
+  ctx.moveTo(x + size, y - size);
+  ctx.lineTo(x - size, y + size);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = width;
+  ctx.stroke();
+};
+
+// Red cross that grows and fades out where a packet was dropped; `age` is in milliseconds
+export const drawDropMarker = (ctx, drop, age) => {
+  const progress = Math.min(1, age / DROP_MARKER_DURATION);
+  ctx.save();
+  ctx.globalAlpha = 1 - progress;
+  drawCross(ctx, drop.x, drop.y, PACKET_RADIUS + progress * 6, CANVAS_COLORS.failure, 3);
+  ctx.restore();
+};
+
+// Red burst that expands and fades out where two bus signals collided
+export const drawCollisionMarker = (ctx, collision, age) => {
+  const progress = Math.min(1, age / COLLISION_MARKER_DURATION);
+  const inner = PACKET_RADIUS + progress * 6;
+  const outer = inner + 8 + progress * 10;
+  ctx.save();
+  ctx.globalAlpha = 1 - progress;
+  ctx.beginPath();
+  for (let i = 0; i < 8; i++) {
+    const angle = (i * Math.PI) / 4;
+    ctx.moveTo(collision.x + Math.cos(angle) * inner, collision.y + Math.sin(angle) * inner);
+    ctx.lineTo(collision.x + Math.cos(angle) * outer, collision.y + Math.sin(angle) * outer);
+  }
+  ctx.strokeStyle = CANVAS_COLORS.failure;
+  ctx.lineWidth = 3;
+  ctx.stroke();
+  ctx.restore();
+};
+
+// No-entry sign that fades out on the router that blocked a packet
+export const drawBlockedMarker = (ctx, block, age) => {
+  const progress = Math.min(1, age / BLOCK_MARKER_DURATION);
+  const radius = PACKET_RADIUS + 3;
+  const x = block.x;
+  const y = block.y - 28; // Above the router so its label stays readable
+  ctx.save();
+  ctx.globalAlpha = 1 - progress;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fillStyle = CANVAS_COLORS.failure;
+  ctx.fill();
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(x - radius * 0.6, y - 1.5, radius * 1.2, 3);
+  ctx.restore();
+};
+
+// Translucent outline around each security zone's devices, labelled with the zone name
+const drawZoneRegions = (ctx, graph) => {
+  getZoneRegions(graph, graph.meta.deviceRadius * 2).forEach(region => {
+    ctx.save();
+    ctx.beginPath();
+    region.points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+    ctx.closePath();
+    ctx.globalAlpha = 0.12;
+    ctx.fillStyle = region.color;
+    ctx.fill();
+    ctx.globalAlpha = 0.7;
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = region.color;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const top = region.points.reduce((highest, point) => (point.y < highest.y ? point : highest));
+    ctx.globalAlpha = 1;
+    ctx.font = 'bold 11px Inter, sans-serif';
+    ctx.fillStyle = region.color;
+    ctx.fillText(SECURITY_ZONES[region.zone].label, top.x, Math.max(8, top.y + 8));
+    ctx.restore();
+  });
+};
+
+// Signals on a shared bus (see ./sharedMedium.js): each spreads both ways from its sender
+// at the signal speed and trails off the same way once the sender stops. Signals that
+// collided are drawn in the failure color.
+export const drawSharedMedium = (ctx, medium) => {
+  ctx.save();
+  ctx.globalAlpha = 0.6;
+  medium.transmissions.forEach(transmission => {
+    const sender = medium.stations.find(station => station.id === transmission.station);
+    if (!sender) return;
+    const xs = medium.stations.filter(station => station.component === sender.component).map(station => station.x);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const lead = (medium.now - transmission.start) * SIGNAL_SPEED;
+    const tail = Math.max(0, medium.now - transmission.end) * SIGNAL_SPEED;
+    const color = transmission.collided ? CANVAS_COLORS.failure : CANVAS_COLORS.packet;
+    const left = Math.max(minX, sender.x - lead);
+    if (sender.x - tail > left) drawConnection(ctx, left, sender.y, sender.x - tail, sender.y, color, 8);
+    const right = Math.min(maxX, sender.x + lead);
+    if (right > sender.x + tail) drawConnection(ctx, sender.x + tail, sender.y, right, sender.y, color, 8);
+  });
+  ctx.restore();
+
+  // Stations putting a frame on the bus
+  medium.stations.forEach(station => {
+    if (station.state !== 'transmitting') return;
+    ctx.beginPath();
+    ctx.arc(station.x, station.y, PACKET_RADIUS, 0, Math.PI * 2);
+    ctx.fillStyle = CANVAS_COLORS.packet;
+    ctx.fill();
+  });
+};
+
+// Solid ring around a node, used to show per-device health
+const drawStatusRing = (ctx, x, y, radius, color) => {
+  ctx.beginPath();
+  ctx.arc(x, y, radius + 3, 0, Math.PI * 2);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.stroke();
+};
+
+const drawIsolationHalo = (ctx, x, y, radius) => {
+  ctx.beginPath();
+  ctx.arc(x, y, radius + 5, 0, Math.PI * 2);
+  ctx.fillStyle = 'rgba(249, 115, 22, 0.25)';
+  ctx.fill();
+  ctx.strokeStyle = CANVAS_COLORS.isolated;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+};
+
+const drawSelectionRing = (ctx, x, y, radius) => {
+  ctx.beginPath();
+  ctx.arc(x, y, radius + 6, 0, Math.PI * 2);
+  ctx.strokeStyle = CANVAS_COLORS.selection;
+  ctx.lineWidth = 3;
+  ctx.setLineDash([4, 3]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+};
+
+// Solid double ring, unlike the dashed selection ring, so focus and selection can be told apart
+const drawFocusRing = (ctx, x, y, radius) => {
+  ctx.save();
+  ctx.strokeStyle = CANVAS_COLORS.focus;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(x, y, radius + 10, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.arc(x, y, radius + 12, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+};
+
+// Paints a whole graph: edges first so nodes sit on top, then edge labels and annotations.
+// `overlay` carries editor and simulation state: { selectedNodeId, focusedNodeId, hoveredEdgeId, linkSourceId,
+// pointer, failures: { nodes, edges }, isolatedNodeIds, linkStyle, nodeRingColors: { [nodeId]: color },
+// linkLoads: Map of edge id -> { utilization } from the packet simulation, showZones }.
+export const drawTopology = (ctx, graph, overlay = {}) => {
+  const r = graph.meta.deviceRadius;
+  const failedNodes = new Set(overlay.failures ? overlay.failures.nodes : []);
+  const failedEdges = new Set(overlay.failures ? overlay.failures.edges : []);
+  const isolatedNodes = new Set(overlay.isolatedNodeIds || []);
+
+  ctx.font = '12px Inter, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  if (overlay.showZones) drawZoneRegions(ctx, graph);
+
+  graph.edges.forEach(edge => {
+    const source = getNode(graph, edge.source);
+    const target = getNode(graph, edge.target);
+    const { color, width } = getEdgeStyle(edge, overlay.linkStyle);
+    if (edge.id === overlay.hoveredEdgeId) {
+      drawConnection(ctx, source.x, source.y, target.x, target.y, CANVAS_COLORS.selection, width + 2);
+    } else if (failedEdges.has(edge.id)) {
+      ctx.setLineDash([5, 5]);
+      drawConnection(ctx, source.x, source.y, target.x, target.y, CANVAS_COLORS.failure, width);
+      ctx.setLineDash([]);
+      drawCross(ctx, (source.x + target.x) / 2, (source.y + target.y) / 2, 5, CANVAS_COLORS.failure, 2);
+    } else {
+      drawConnection(ctx, source.x, source.y, target.x, target.y, color, width);
+    }
+  });
+
+  // Rubber band from the first endpoint of a link being drawn to the pointer
+  const linkSource = overlay.linkSourceId && getNode(graph, overlay.linkSourceId);
+  if (linkSource && overlay.pointer) {
+    ctx.setLineDash([6, 4]);
+    drawConnection(ctx, linkSource.x, linkSource.y, overlay.pointer.x, overlay.pointer.y, CANVAS_COLORS.selection);
+    ctx.setLineDash([]);
+  }
+
+  graph.nodes.forEach(node => {
+    if (node.type === NODE_TYPES.BUS_TAP) return;
+    const { color, radius } = getNodeStyle(node, r);
+    if (isolatedNodes.has(node.id)) drawIsolationHalo(ctx, node.x, node.y, radius);
+    if (failedNodes.has(node.id)) {
+      drawDevice(ctx, node.x, node.y, radius, CANVAS_COLORS.failed, node.label);
+      drawCross(ctx, node.x, node.y, radius * 0.6, CANVAS_COLORS.failure, 3);
+    } else {
+      drawDevice(ctx, node.x, node.y, radius, color, node.label);
+    }
+    if (overlay.nodeRingColors && overlay.nodeRingColors[node.id]) {
+      drawStatusRing(ctx, node.x, node.y, radius, overlay.nodeRingColors[node.id]);
+    }
+    if (node.id === overlay.selectedNodeId || node.id === overlay.linkSourceId) {
+      drawSelectionRing(ctx, node.x, node.y, radius);
+    }
+    if (node.id === overlay.focusedNodeId) drawFocusRing(ctx, node.x, node.y, radius);
+  });
+
+  ctx.fillStyle = CANVAS_COLORS.text;
+  graph.edges.forEach(edge => {
+    if (!edge.label) return;
+    const source = getNode(graph, edge.source);
+    const target = getNode(graph, edge.target);
+    ctx.fillText(edge.label, (source.x + target.x) / 2, (source.y + target.y) / 2 - 10);
+  });
+  graph.annotations.forEach(annotation => ctx.fillText(annotation.text, annotation.x, annotation.y));
+
+  // Utilization under every link that is carrying traffic
+  if (overlay.linkLoads) {
+    ctx.save();
+    ctx.font = 'bold 10px Inter, sans-serif';
+    graph.edges.forEach(edge => {
+      const load = overlay.linkLoads.get(edge.id);
+      if (!load || load.utilization < MIN_LOAD_LABEL || failedEdges.has(edge.id)) return;
+      const source = getNode(graph, edge.source);
+      const target = getNode(graph, edge.target);
+      ctx.fillStyle = getLinkLoadBand(load.utilization).color;
+      ctx.fillText(`${Math.round(load.utilization * 100)}%`, (source.x + target.x) / 2, (source.y + target.y) / 2 + 10);
+    });
+    ctx.restore();
+  }
+};
+
+// --- Hit testing ---
+// Returns the topmost visible node under (x, y), if any
+export const findNodeAt = (graph, x, y) => {
+  const r = graph.meta.deviceRadius;
+  for (let i = graph.nodes.length - 1; i >= 0; i--) {
+    const node = graph.nodes[i];
+    const { radius } = getNodeStyle(node, r);
+    if (radius > 0 && Math.hypot(node.x - x, node.y - y) <= radius + 2) return node;
+  }
+  return null;
+};
+
+// Returns the edge whose segment passes within `tolerance` pixels of (x, y), if any
+export const findEdgeAt = (graph, x, y, tolerance = 6) => {
+  let closest = null;
+  let closestDist = tolerance;
+  graph.edges.forEach(edge => {
+    const source = getNode(graph, edge.source);
+    const target = getNode(graph, edge.target);
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - source.x) * dx + (y - source.y) * dy) / lengthSq));
+    const dist = Math.hypot(source.x + t * dx - x, source.y + t * dy - y);
+    if (dist <= closestDist) {
+      closest = edge;
+      closestDist = dist;
+    }
+  });
+  return closest;
+};
@@ -0,0 +1,195 @@
+// src/topologySvg.js
+// SVG rendering of topology graphs, the vector counterpart of ./topologyRenderer.js. It uses
+// the same colors and shapes, stays crisp at any zoom and adds a legend, so the markup can be
+// shown in the page or exported as an SVG or PNG diagram.
+
+import { NODE_TYPES, EDGE_KINDS, getNodeMap } from './topology';
+import { CANVAS_COLORS, getNodeStyle, getEdgeStyle } from './topologyRenderer';
+import { SECURITY_ZONES, getZoneRegions } from './securityZones';
+
+const FONT = 'Inter, Helvetica, Arial, sans-serif';
+const BACKGROUND = '#FFFFFF';
+const HALO_FILL = 'rgba(249, 115, 22, 0.25)'; // Same as the canvas isolation halo
+const LEGEND_PADDING = 12;
+const LEGEND_ROW = 20;
+const LEGEND_CHAR_WIDTH = 6.5; // Rough width of a 12px character, for wrapping legend items
+const PNG_SCALE = 2; // Pixels per SVG unit in PNG exports, so they stay sharp when printed
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Element markup from a tag, attributes (undefined ones skipped) and optional children
+const element = (tag, attributes, children = null) => {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${typeof value === 'number' ? round(value) : escapeXml(value)}"`)
+    .join('');
+  return children === null ? `<${tag}${attrs}/>` : `<${tag}${attrs}>${children}</${tag}>`;
+};
+
+const line = (x1, y1, x2, y2, stroke, width, dash) =>
+  element('line', { x1, y1, x2, y2, stroke, 'stroke-width': width, 'stroke-dasharray': dash, 'stroke-linecap': 'round' });
+
+const circle = (cx, cy, r, attributes) => element('circle', { cx, cy, r, ...attributes });
+
+const text = (x, y, content, attributes = {}) =>
+  element('text', { x, y, 'text-anchor': 'middle', 'dominant-baseline': 'middle', ...attributes }, escapeXml(content));
+
+const cross = (x, y, size, color, width) =>
+  line(x - size, y - size, x + size, y + size, color, width) + line(x + size, y - size, x - size, y + size, color, width);
+
+const renderZones = (graph) => getZoneRegions(graph, graph.meta.deviceRadius * 2).map(region => {
+  const points = region.points.map(point => `${round(point.x)},${round(point.y)}`).join(' ');
+  const top = region.points.reduce((highest, point) => (point.y < highest.y ? point : highest));
+  return element('polygon', {
+    points, fill: region.color, 'fill-opacity': 0.12, stroke: region.color, 'stroke-opacity': 0.7, 'stroke-width': 1.5, 'stroke-dasharray': '6 4',
+  }) + text(top.x, Math.max(8, top.y + 8), SECURITY_ZONES[region.zone].label, { fill: region.color, 'font-size': 11, 'font-weight': 'bold' });
+}).join('');
+
+// What the diagram uses, in the order the legend lists it
+const getLegendItems = (graph, overlay) => {
+  const nodeTypes = new Set(graph.nodes.map(node => (node.type === NODE_TYPES.DEVICE && node.group === 'mesh' ? 'mesh' : node.type)));
+  const edgeKinds = new Set(graph.edges.map(edge => edge.kind));
+  const linkColor = getEdgeStyle({ kind: EDGE_KINDS.LINK }, overlay.linkStyle).color;
+  const items = [
+    { show: nodeTypes.has(NODE_TYPES.HUB), shape: 'node', color: CANVAS_COLORS.hub, label: 'Router / hub' },
+    { show: nodeTypes.has(NODE_TYPES.SUB_HUB), shape: 'node', color: CANVAS_COLORS.subHub, label: 'Sub-hub' },
+    { show: nodeTypes.has(NODE_TYPES.DEVICE), shape: 'node', color: CANVAS_COLORS.device, label: 'Device' },
+    { show: nodeTypes.has('mesh'), shape: 'node', color: CANVAS_COLORS.meshGroup, label: 'Mesh device' },
+    { show: edgeKinds.has(EDGE_KINDS.LINK) || edgeKinds.has(EDGE_KINDS.DROP), shape: 'line', color: linkColor, label: 'Link' },
+    { show: edgeKinds.has(EDGE_KINDS.BUS), shape: 'line', color: CANVAS_COLORS.bus, label: 'Bus' },
+    { show: edgeKinds.has(EDGE_KINDS.BRIDGE), shape: 'line', color: CANVAS_COLORS.bridge, label: 'Bridge link' },
+    {
+      show: Boolean(overlay.failures) && overlay.failures.nodes.length + overlay.failures.edges.length > 0,
+      shape: 'node', color: CANVAS_COLORS.failed, label: 'Failed',
+    },
+    { show: (overlay.isolatedNodeIds || []).length > 0, shape: 'halo', color: CANVAS_COLORS.isolated, label: 'Cut off' },
+  ];
+  if (overlay.showZones) {
+    const zones = new Set(getZoneRegions(graph, 0).map(region => region.zone));
+    Object.entries(SECURITY_ZONES).forEach(([zone, { label, color }]) => {
+      items.push({ show: zones.has(zone), shape: 'zone', color, label: `${label} zone` });
+    });
+  }
+  return items.filter(item => item.show);
+};
+
+// Legend items flow left to right and wrap to the diagram width; returns { markup, height }
+const renderLegend = (items, width, top) => {
+  let x = LEGEND_PADDING;
+  let y = top + LEGEND_PADDING + LEGEND_ROW / 2;
+  const parts = [];
+  items.forEach(item => {
+    const itemWidth = 24 + item.label.length * LEGEND_CHAR_WIDTH + 16;
+    if (x > LEGEND_PADDING && x + itemWidth > width - LEGEND_PADDING) {
+      x = LEGEND_PADDING;
+      y += LEGEND_ROW;
+    }
+    if (item.shape === 'line') {
+      parts.push(line(x, y, x + 18, y, item.color, 3));
+    } else if (item.shape === 'zone') {
+      parts.push(element('rect', { x, y: y - 6, width: 18, height: 12, rx: 3, fill: item.color, 'fill-opacity': 0.25, stroke: item.color }));
+    } else if (item.shape === 'halo') {
+      parts.push(circle(x + 9, y, 7, { fill: HALO_FILL, stroke: item.color, 'stroke-width': 2 }));
+    } else {
+      parts.push(circle(x + 9, y, 6, { fill: item.color, stroke: CANVAS_COLORS.deviceStroke, 'stroke-width': 1.5 }));
+    }
+    parts.push(text(x + 24, y, item.label, { 'text-anchor': 'start', fill: CANVAS_COLORS.text }));
+    x += itemWidth;
+  });
+  const height = items.length > 0 ? y + LEGEND_ROW / 2 + LEGEND_PADDING - top : 0;
+  const separator = items.length > 0 ? line(0, top, width, top, '#E5E7EB', 1) : '';
+  return { markup: separator + parts.join(''), height };
+};
+
+// Renders `graph` with the same `overlay` options drawTopology takes (failures,
+// isolatedNodeIds, linkStyle, nodeRingColors, showZones). `legend` adds a legend strip under
+// the diagram; `fit` sizes the SVG to its container instead of the graph's pixel size.
+// Returns { markup, width, height }.
+export const renderTopologySvg = (graph, overlay = {}, { legend = true, fit = false } = {}) => {
+  const { width, height, deviceRadius: r } = graph.meta;
+  const nodeMap = getNodeMap(graph);
+  const failedNodes = new Set(overlay.failures ? overlay.failures.nodes : []);
+  const failedEdges = new Set(overlay.failures ? overlay.failures.edges : []);
+  const isolatedNodes = new Set(overlay.isolatedNodeIds || []);
+  const parts = [];
+
+  if (overlay.showZones) parts.push(renderZones(graph));
+
+  graph.edges.forEach(edge => {
+    const source = nodeMap.get(edge.source);
+    const target = nodeMap.get(edge.target);
+    if (!source || !target) return;
+    const { color, width: strokeWidth } = getEdgeStyle(edge, overlay.linkStyle);
+    if (failedEdges.has(edge.id)) {
+      parts.push(line(source.x, source.y, target.x, target.y, CANVAS_COLORS.failure, strokeWidth, '5 5'));
+      parts.push(cross((source.x + target.x) / 2, (source.y + target.y) / 2, 5, CANVAS_COLORS.failure, 2));
+    } else {
+      parts.push(line(source.x, source.y, target.x, target.y, color, strokeWidth));
+    }
+  });
+
+  graph.nodes.forEach(node => {
+    if (node.type === NODE_TYPES.BUS_TAP) return;
+    const { color, radius } = getNodeStyle(node, r);
+    const failed = failedNodes.has(node.id);
+    if (isolatedNodes.has(node.id)) {
+      parts.push(circle(node.x, node.y, radius + 5, { fill: HALO_FILL, stroke: CANVAS_COLORS.isolated, 'stroke-width': 2 }));
+    }
+    parts.push(circle(node.x, node.y, radius, { fill: failed ? CANVAS_COLORS.failed : color, stroke: CANVAS_COLORS.deviceStroke, 'stroke-width': 2 }));
+    if (failed) parts.push(cross(node.x, node.y, radius * 0.6, CANVAS_COLORS.failure, 3));
+    const ring = overlay.nodeRingColors && overlay.nodeRingColors[node.id];
+    if (ring) parts.push(circle(node.x, node.y, radius + 3, { fill: 'none', stroke: ring, 'stroke-width': 3 }));
+    parts.push(text(node.x, node.y + radius + 10, node.label, { fill: CANVAS_COLORS.text }));
+  });
+
+  graph.edges.forEach(edge => {
+    const source = nodeMap.get(edge.source);
+    const target = nodeMap.get(edge.target);
+    if (!edge.label || !source || !target) return;
+    parts.push(text((source.x + target.x) / 2, (source.y + target.y) / 2 - 10, edge.label, { fill: CANVAS_COLORS.text }));
+  });
+  graph.annotations.forEach(annotation => parts.push(text(annotation.x, annotation.y, annotation.text, { fill: CANVAS_COLORS.text })));
+
+  const legendStrip = legend ? renderLegend(getLegendItems(graph, overlay), width, height) : { markup: '', height: 0 };
+  const totalHeight = height + legendStrip.height;
+  const svgWidth = Math.round(width);
+  const svgHeight = Math.round(totalHeight);
+  const markup = element('svg', {
+    xmlns: 'http://www.w3.org/2000/svg',
+    viewBox: `0 0 ${svgWidth} ${svgHeight}`,
+    width: fit ? '100%' : svgWidth,
+    height: fit ? '100%' : svgHeight,
+    'font-family': FONT,
+    'font-size': 12,
+    role: 'img',
+    'aria-label': `${graph.type} topology diagram`,
+  }, element('rect', { x: 0, y: 0, width: svgWidth, height: svgHeight, fill: BACKGROUND }) + parts.join('') + legendStrip.markup);
+  return { markup, width: svgWidth, height: svgHeight };
+};
+
+// Rasterizes SVG markup to a PNG blob at PNG_SCALE times its size
+export const svgToPngBlob = ({ markup, width, height }) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(PNG_SCALE, PNG_SCALE);
+    ctx.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not create the PNG.'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('The diagram could not be drawn as an image.'));
+  };
+  image.src = url;
+});
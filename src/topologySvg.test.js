@@ -0,0 +1,42 @@
+import { buildTopology, renameNode, updateNode } from './topology';
+import { renderTopologySvg } from './topologySvg';
+
+const WIDTH = 800;
+const HEIGHT = 400;
+
+test('the SVG carries every label, the bridge annotation and a legend of what is drawn', () => {
+  const graph = buildTopology('hybrid', WIDTH, HEIGHT);
+  const { markup, width, height } = renderTopologySvg(graph);
+
+  expect(markup.startsWith('<svg xmlns="http://www.w3.org/2000/svg"')).toBe(true);
+  expect(width).toBe(WIDTH);
+  expect(height).toBeGreaterThan(HEIGHT); // Legend strip below the diagram
+  expect(markup).toContain(`viewBox="0 0 ${width} ${height}"`);
+  graph.nodes.filter(node => node.label).forEach(node => expect(markup).toContain(`>${node.label}</text>`));
+  expect(markup).toContain('>Bridge Link</text>');
+  expect(markup).toContain('>Router / hub</text>');
+  expect(markup).toContain('>Bridge link</text>');
+  expect(markup).not.toContain('>Failed</text>');
+
+  const { markup: fitted, height: fittedHeight } = renderTopologySvg(graph, {}, { legend: false, fit: true });
+  expect(fittedHeight).toBe(HEIGHT);
+  expect(fitted).toContain('width="100%"');
+  expect(fitted).not.toContain('>Router / hub</text>');
+});
+
+test('failures, zones and odd labels show up in the SVG', () => {
+  let graph = renameNode(buildTopology('star', WIDTH, HEIGHT), 'device-1', 'Tom & Jerry\'s <TV>');
+  graph = updateNode(graph, 'device-2', { zone: 'guest' });
+  const { markup } = renderTopologySvg(graph, {
+    failures: { nodes: ['device-3'], edges: [] },
+    isolatedNodeIds: ['device-3'],
+    showZones: true,
+  });
+
+  expect(markup).toContain('>Tom &amp; Jerry\'s &lt;TV&gt;</text>');
+  expect(markup).toContain('stroke-dasharray="6 4"'); // Zone outlines
+  expect(markup).toContain('>Guest zone</text>');
+  expect(markup).not.toContain('>IoT zone</text>');
+  expect(markup).toContain('>Failed</text>');
+  expect(markup).toContain('>Cut off</text>');
+});
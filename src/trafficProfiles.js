@@ -0,0 +1,110 @@
+// src/trafficProfiles.js
+// Device types and the traffic each one generates. Cameras stream continuously to a video
+// recorder, TVs stream down from the gateway, voice assistants talk in bursts, sensors send
+// small periodic updates, lights take the odd command and laptops browse. Sizes are in KB,
+// times in ms.
+
+import { NODE_TYPES } from './topology';
+import { NO_FAILURES } from './routing';
+
+export const TRAFFIC_PROFILES = {
+  camera: { label: 'Security camera', color: '#8B5CF6', size: 6, pattern: 'stream', interval: 200, direction: 'recorder' },
+  recorder: { label: 'Video recorder', color: '#6B7280', size: 0, pattern: 'none' },
+  tv: { label: 'TV / streaming', color: '#EC4899', size: 5, pattern: 'stream', interval: 400, direction: 'down' },
+  assistant: {
+    label: 'Voice assistant', color: '#06B6D4', size: 2, pattern: 'burst', interval: 8000, burstSize: 6, burstGap: 120, direction: 'up',
+  },
+  sensor: { label: 'Sensor', color: '#10B981', size: 0.5, pattern: 'periodic', interval: 4000, jitter: 0.2, direction: 'up' },
+  light: { label: 'Smart light', color: '#FACC15', size: 0.5, pattern: 'random', interval: 6000, direction: 'down' },
+  laptop: { label: 'Laptop / computer', color: '#0F766E', size: 3, pattern: 'random', interval: 1000, direction: 'down' },
+  generic: { label: 'Other device', color: '#FFD700', size: 1, pattern: 'random', interval: 1500, direction: 'peer' },
+};
+
+export const DEVICE_TYPE_KEYS = Object.keys(TRAFFIC_PROFILES);
+
+// Devices without a chosen type get one from this cycle, in graph order
+const DEFAULT_TYPE_CYCLE = ['camera', 'sensor', 'recorder', 'assistant', 'tv', 'light', 'sensor', 'generic'];
+const MAX_STEP = 100; // Longer gaps (e.g. a background tab) are clamped instead of replayed
+
+// Map of device node id -> device type
+export const getDeviceTypes = (graph) => {
+  const types = new Map();
+  graph.nodes
+    .filter(node => node.type === NODE_TYPES.DEVICE)
+    .forEach((node, index) => {
+      types.set(node.id, TRAFFIC_PROFILES[node.deviceType] ? node.deviceType : DEFAULT_TYPE_CYCLE[index % DEFAULT_TYPE_CYCLE.length]);
+    });
+  return types;
+};
+
+// Where "up" traffic goes and "down" traffic comes from: the main hub, or the first device without one
+export const findGateway = (graph) => {
+  const hub = graph.nodes.find(node => node.type === NODE_TYPES.HUB);
+  if (hub) return hub.id;
+  const device = graph.nodes.find(node => node.type === NODE_TYPES.DEVICE);
+  return device ? device.id : null;
+};
+
+// Milliseconds until a device's next packet; bursts count down `slot.burstLeft`
+const nextDelay = (profile, slot, random) => {
+  switch (profile.pattern) {
+    case 'stream':
+      return profile.interval;
+    case 'periodic':
+      return profile.interval * (1 + profile.jitter * (2 * random() - 1));
+    case 'burst':
+      if (slot.burstLeft > 0) {
+        slot.burstLeft--;
+        return profile.burstGap;
+      }
+      slot.burstLeft = profile.burstSize - 1;
+      return -Math.log(1 - random()) * profile.interval;
+    default:
+      return -Math.log(1 - random()) * profile.interval;
+  }
+};
+
+// Per-device send timers, kept between frames by the caller
+export const createTrafficState = () => new Map();
+
+// Advances every working device's timer by `deltaTime` and returns the packets due:
+// [{ source, destination, deviceType, size, color }]. Sources and destinations may be
+// unreachable; routing decides what happens to those.
+export const generateTraffic = (graph, state, deltaTime, failures = NO_FAILURES, random = Math.random) => {
+  const step = Math.min(deltaTime, MAX_STEP);
+  const types = getDeviceTypes(graph);
+  const gateway = findGateway(graph);
+  const deviceIds = [...types.keys()];
+  const recorder = deviceIds.find(id => types.get(id) === 'recorder') || gateway;
+  const sends = [];
+
+  const pickPeer = (source) => {
+    const peers = deviceIds.filter(id => id !== source && !failures.nodes.includes(id));
+    return peers.length > 0 ? peers[Math.floor(random() * peers.length)] : null;
+  };
+
+  types.forEach((deviceType, id) => {
+    const profile = TRAFFIC_PROFILES[deviceType];
+    if (profile.pattern === 'none' || failures.nodes.includes(id)) return;
+    let slot = state.get(id);
+    if (!slot || slot.deviceType !== deviceType) {
+      // Start each device at a random point in its cycle so streams don't march in step
+      slot = { deviceType, burstLeft: 0, wait: 0 };
+      slot.wait = nextDelay(profile, slot, random) * random();
+      state.set(id, slot);
+    }
+
+    slot.wait -= step;
+    while (slot.wait <= 0) {
+      slot.wait += nextDelay(profile, slot, random);
+      let [source, destination] = [id, null];
+      if (profile.direction === 'up') destination = gateway;
+      else if (profile.direction === 'recorder') destination = recorder;
+      else if (profile.direction === 'down') [source, destination] = [gateway, id];
+      else destination = pickPeer(id);
+      if (!source || !destination || source === destination) continue;
+      sends.push({ source, destination, deviceType, size: profile.size, color: profile.color });
+    }
+  });
+  return sends;
+};
@@ -0,0 +1,56 @@
+import { buildTopology, updateNode } from './topology';
+import { createRandom } from './layout';
+import { toggleFailure, NO_FAILURES } from './routing';
+import { getDeviceTypes, findGateway, createTrafficState, generateTraffic } from './trafficProfiles';
+
+const WIDTH = 800;
+const HEIGHT = 400;
+
+// Collects every packet the devices ask to send over `duration` milliseconds of 16ms frames
+const collectTraffic = (graph, duration, failures = NO_FAILURES) => {
+  const state = createTrafficState();
+  const random = createRandom('traffic');
+  const sends = [];
+  for (let time = 0; time < duration; time += 16) {
+    sends.push(...generateTraffic(graph, state, 16, failures, random));
+  }
+  return sends;
+};
+
+test('devices get a type by position unless one is chosen', () => {
+  const graph = buildTopology('star', WIDTH, HEIGHT);
+  expect([...getDeviceTypes(graph).values()]).toEqual(['camera', 'sensor', 'recorder', 'assistant', 'tv']);
+
+  const edited = updateNode(graph, 'device-2', { deviceType: 'camera' });
+  expect(getDeviceTypes(edited).get('device-2')).toBe('camera');
+  expect(getDeviceTypes(edited).has('hub')).toBe(false);
+});
+
+test('the gateway is the main hub, or the first device when there is none', () => {
+  expect(findGateway(buildTopology('star', WIDTH, HEIGHT))).toBe('hub');
+  expect(findGateway(buildTopology('tree', WIDTH, HEIGHT))).toBe('root');
+  expect(findGateway(buildTopology('mesh', WIDTH, HEIGHT))).toBe('device-1');
+});
+
+test('each device type follows its own traffic pattern', () => {
+  const sends = collectTraffic(buildTopology('star', WIDTH, HEIGHT), 20000);
+  const byType = (type) => sends.filter(send => send.deviceType === type);
+
+  // The camera streams five packets a second to the recorder
+  expect(byType('camera').length).toBeGreaterThanOrEqual(99);
+  expect(byType('camera').every(send => send.source === 'device-1' && send.destination === 'device-3')).toBe(true);
+  // The TV streams down from the gateway
+  expect(byType('tv').every(send => send.source === 'hub' && send.destination === 'device-5')).toBe(true);
+  // Sensors send a few small updates up to the gateway
+  expect(byType('sensor').length).toBeGreaterThanOrEqual(4);
+  expect(byType('sensor').length).toBeLessThanOrEqual(6);
+  expect(byType('sensor').every(send => send.destination === 'hub' && send.size < 1)).toBe(true);
+  // The recorder only receives
+  expect(sends.some(send => send.source === 'device-3')).toBe(false);
+});
+
+test('failed devices stop sending', () => {
+  const graph = buildTopology('star', WIDTH, HEIGHT);
+  const sends = collectTraffic(graph, 5000, toggleFailure(NO_FAILURES, 'nodes', 'device-1'));
+  expect(sends.some(send => send.source === 'device-1')).toBe(false);
+});
@@ -0,0 +1,99 @@
+// src/urlState.js
+// The page address mirrors what the user is looking at: the section as the path and the
+// visualizer's topology and generation parameters as the query, e.g.
+// /visualize?topology=mesh&seed=k3x9f&layout=force&devices=8. Opening such a link restores
+// the view; the seed is always included so the link reproduces the exact layout.
+
+import { TOPOLOGY_TYPES, HYBRID_SEGMENT_KINDS, HYBRID_BRIDGING, PARAMETER_LIMITS } from './topology';
+
+// Page sections in document order, and their paths. The alert center sits inside the
+// visualizer, so it can be linked to but the scroll position never lands on it.
+export const SECTION_PATHS = {
+  home: '/',
+  recommend: '/recommend',
+  topologies: '/topologies',
+  'why-choose': '/why-choose',
+  simulation: '/visualize',
+  alerts: '/alerts',
+  'floor-plan': '/floor-plan',
+};
+
+export const SECTION_IDS = Object.keys(SECTION_PATHS);
+
+const MESH_LAYOUTS = ['scatter', 'force'];
+
+// A view with nothing chosen: null parameters keep each topology's default, and a null seed
+// lets the app pick a random one
+export const DEFAULT_VIEW = {
+  section: 'home',
+  topology: 'star',
+  seed: null,
+  layout: 'scatter',
+  deviceCount: null,
+  treeDepth: null,
+  treeBranching: null,
+  hybrid: null,
+};
+
+// Whole numbers from 1 up, capped at `max`; anything else is null
+const parseCount = (value, max) => {
+  const count = Number(value);
+  return Number.isInteger(count) && count >= 1 ? Math.min(count, max) : null;
+};
+
+// "star:3,mesh:4" plus a bridging name -> { segments, bridging }, or null if any part is invalid
+const parseHybrid = (segments, bridging) => {
+  if (!segments) return null;
+  const parsed = segments.split(',').slice(0, PARAMETER_LIMITS.hybridSegments).map(part => {
+    const [kind, devices] = part.split(':');
+    return { kind, devices: parseCount(devices, PARAMETER_LIMITS.devices) };
+  });
+  if (parsed.some(segment => !HYBRID_SEGMENT_KINDS.includes(segment.kind) || !segment.devices)) return null;
+  return { segments: parsed, bridging: HYBRID_BRIDGING[bridging] ? bridging : 'chain' };
+};
+
+// Reads a view from `location` ({ pathname, search }), ignoring anything unrecognized
+export const parseLocation = ({ pathname, search }) => {
+  const path = pathname.replace(/\/+$/, '') || '/';
+  const params = new URLSearchParams(search);
+  const topology = params.get('topology');
+  const layout = params.get('layout');
+  return {
+    section: SECTION_IDS.find(id => SECTION_PATHS[id] === path) || DEFAULT_VIEW.section,
+    topology: TOPOLOGY_TYPES.includes(topology) ? topology : DEFAULT_VIEW.topology,
+    seed: params.get('seed') || null,
+    layout: MESH_LAYOUTS.includes(layout) ? layout : DEFAULT_VIEW.layout,
+    deviceCount: parseCount(params.get('devices'), PARAMETER_LIMITS.devices),
+    treeDepth: parseCount(params.get('depth'), PARAMETER_LIMITS.treeDepth),
+    treeBranching: parseCount(params.get('branching'), PARAMETER_LIMITS.treeBranching),
+    hybrid: parseHybrid(params.get('segments'), params.get('bridging')),
+  };
+};
+
+// The path and query for a view; defaults are left out to keep links short
+export const buildLocation = (view) => {
+  const params = new URLSearchParams({ topology: view.topology });
+  if (view.seed) params.set('seed', view.seed);
+  if (view.layout !== DEFAULT_VIEW.layout) params.set('layout', view.layout);
+  if (view.deviceCount) params.set('devices', view.deviceCount);
+  if (view.treeDepth) params.set('depth', view.treeDepth);
+  if (view.treeBranching) params.set('branching', view.treeBranching);
+  if (view.hybrid) {
+    params.set('segments', view.hybrid.segments.map(segment => `${segment.kind}:${segment.devices}`).join(','));
+    params.set('bridging', view.hybrid.bridging);
+  }
+  // ":" and "," are fine in a query and much easier to read unescaped
+  const query = params.toString().replace(/%3A/g, ':').replace(/%2C/g, ',');
+  return `${SECTION_PATHS[view.section]}?${query}`;
+};
+
+// The section being read, from each section's distance to the top of the viewport
+// ([{ id, top }]): the last one whose top has scrolled above `threshold`, or, at the very
+// bottom of the page, the last one that has come into view at all
+export const pickActiveSection = (positions, threshold, viewportHeight, atBottom) => {
+  if (positions.length === 0) return null;
+  const sorted = [...positions].sort((a, b) => a.top - b.top);
+  const limit = atBottom ? viewportHeight : threshold;
+  const reached = sorted.filter(position => position.top <= limit);
+  return (reached.length > 0 ? reached[reached.length - 1] : sorted[0]).id;
+};
@@ -0,0 +1,50 @@
+import { parseLocation, buildLocation, pickActiveSection, DEFAULT_VIEW } from './urlState';
+
+const at = (url) => {
+  const { pathname, search } = new URL(url, 'https://example.com');
+  return parseLocation({ pathname, search });
+};
+
+test('links restore the section, topology and parameters they were built from', () => {
+  expect(at('/visualize?topology=mesh')).toEqual({ ...DEFAULT_VIEW, section: 'simulation', topology: 'mesh' });
+
+  const view = {
+    ...DEFAULT_VIEW,
+    section: 'floor-plan',
+    topology: 'hybrid',
+    seed: 'k3x9f',
+    layout: 'force',
+    deviceCount: 8,
+    hybrid: { segments: [{ kind: 'star', devices: 3 }, { kind: 'bus', devices: 5 }], bridging: 'backbone' },
+  };
+  const url = buildLocation(view);
+  expect(url).toBe('/floor-plan?topology=hybrid&seed=k3x9f&layout=force&devices=8&segments=star:3,bus:5&bridging=backbone');
+  expect(at(url)).toEqual(view);
+
+  const tree = { ...DEFAULT_VIEW, topology: 'tree', seed: 'a b', treeDepth: 3, treeBranching: 2 };
+  expect(at(buildLocation(tree))).toEqual(tree);
+});
+
+test('unknown paths and bad parameters fall back to defaults', () => {
+  expect(at('/nowhere/?topology=ring&layout=spiral&devices=0&depth=-1&branching=9&segments=star:2,ring:3'))
+    .toEqual({ ...DEFAULT_VIEW, treeBranching: 4 });
+  expect(at('/visualize/?devices=500&segments=mesh:2&bridging=odd')).toMatchObject({
+    section: 'simulation',
+    deviceCount: 100,
+    hybrid: { segments: [{ kind: 'mesh', devices: 2 }], bridging: 'chain' },
+  });
+});
+
+test('the active section is the last one scrolled past, or the last one showing at the bottom', () => {
+  const positions = [
+    { id: 'home', top: -900 },
+    { id: 'simulation', top: -200 },
+    { id: 'alerts', top: 150 },
+    { id: 'floor-plan', top: 600 },
+  ];
+  expect(pickActiveSection(positions, 200, 800, false)).toBe('alerts');
+  expect(pickActiveSection(positions, 100, 800, false)).toBe('simulation');
+  expect(pickActiveSection(positions, 100, 800, true)).toBe('floor-plan');
+  expect(pickActiveSection([{ id: 'home', top: 300 }], 100, 800, false)).toBe('home');
+  expect(pickActiveSection([], 100, 800, false)).toBeNull();
+});
@@ -0,0 +1,77 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  evaluateRules, replayRules, getReplayWindow, subscribeToAlertRules, subscribeToAlerts, saveAlertRule,
+  deleteAlertRule, recordAlert, setAlertStatus, clearAlertLog,
+} from './alertRules';
+import { readHistory, parseTimestamp } from './networkHistory';
+
+// Alert rules and alerts for the current home, plus `evaluateReading` to run the rules
+// against each live reading as it arrives. Only members who may write to the home
+// (`canRecord`) record the alerts they raise; viewers just see them. The rule state is
+// rebuilt from the home's history whenever the home or its rules change, so every member's
+// app raises an alert on the same reading.
+const useAlerts = (dataSource, homeId, canRecord = true) => {
+  const [rules, setRules] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [alertsError, setAlertsError] = useState(null);
+  const rulesRef = useRef([]);
+  const ruleStateRef = useRef({});
+  const replayedRef = useRef(null); // { homeId, rules } the rule state was rebuilt for
+  const queueRef = useRef(Promise.resolve()); // Readings are evaluated one at a time
+
+  useEffect(() => {
+    ruleStateRef.current = {}; // A breach in one home says nothing about the next
+    replayedRef.current = null;
+    if (!dataSource || !homeId) return;
+    const handleError = (error) => {
+      console.error("Error fetching alerts from Realtime Database:", error);
+      setAlertsError(`Failed to load alerts: ${error.message}`);
+    };
+    const unsubscribeRules = subscribeToAlertRules(dataSource, homeId, (list) => {
+      rulesRef.current = list;
+      setRules(list);
+    }, handleError);
+    const unsubscribeAlerts = subscribeToAlerts(dataSource, homeId, setAlerts, handleError);
+    return () => {
+      unsubscribeRules();
+      unsubscribeAlerts();
+    };
+  }, [dataSource, homeId]);
+
+  const evaluateReading = useCallback((reading) => {
+    if (!dataSource || !homeId || !canRecord) return;
+    queueRef.current = queueRef.current.then(async () => {
+      const rules = rulesRef.current;
+      const replayed = replayedRef.current;
+      if (!replayed || replayed.homeId !== homeId || replayed.rules !== rules) {
+        replayedRef.current = { homeId, rules };
+        const until = parseTimestamp(reading.timestamp) ?? Date.now();
+        const entries = await readHistory(dataSource, homeId, until - getReplayWindow(rules), until - 1);
+        ruleStateRef.current = replayRules(rules, entries);
+      }
+      const { ruleState, triggered } = evaluateRules(rules, reading, ruleStateRef.current);
+      ruleStateRef.current = ruleState;
+      triggered.forEach(alert => {
+        recordAlert(dataSource, homeId, alert).catch(error => console.error("Error recording alert:", error));
+      });
+    }).catch(error => console.error("Error evaluating alert rules:", error));
+  }, [dataSource, homeId, canRecord]);
+
+  const reportError = (action) => (error) => {
+    console.error(`Error trying to ${action}:`, error);
+    setAlertsError(`Failed to ${action}: ${error.message}`);
+  };
+
+  return {
+    rules,
+    alerts,
+    alertsError,
+    evaluateReading,
+    saveRule: (rule) => saveAlertRule(dataSource, homeId, rule).catch(reportError('save alert rule')),
+    deleteRule: (ruleId) => deleteAlertRule(dataSource, homeId, ruleId).catch(reportError('delete alert rule')),
+    setStatus: (alertId, status) => setAlertStatus(dataSource, homeId, alertId, status).catch(reportError('update alert')),
+    clearLog: () => clearAlertLog(dataSource, homeId).catch(reportError('clear alert log')),
+  };
+};
+
+export default useAlerts;
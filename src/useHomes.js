@@ -0,0 +1,163 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  DEFAULT_HOME_NAME, subscribeToUserHomes, subscribeToHome, subscribeToInvites, createHome,
+  renameHome, deleteHome, leaveHome, joinHome, createInvite, revokeInvite, setMemberRole, removeMember,
+  userHomesPath, canManage, needsFirstHome, markHomesStarted,
+} from './homes';
+
+const STORAGE_KEY = 'smartHome.home';
+
+const readStoredHome = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null; // Storage can be disabled, e.g. in private browsing
+  }
+};
+
+const rememberHome = (homeId) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, homeId);
+  } catch (error) {
+    console.error("Could not remember the selected home:", error);
+  }
+};
+
+// The signed-in user's homes and the one being looked at, with the actions members can take.
+// A user signing in for the first time gets a home, along with the data they had before homes
+// existed; `loaded` turns true once the homes are known, even if there are none. Actions
+// return promises so the caller can report failures next to the control used.
+const useHomes = (dataSource, account) => {
+  const uid = account ? account.uid : null;
+  const [homeIds, setHomeIds] = useState(null); // null until the user's list has loaded
+  const [homeDetails, setHomeDetails] = useState({}); // homeId -> home, or null once unreadable
+  const [selectedId, setSelectedId] = useState(readStoredHome);
+  const [invites, setInvites] = useState([]);
+  const [homesError, setHomesError] = useState(null);
+  const [noHomes, setNoHomes] = useState(false); // True once it's settled that the user has none
+  const creatingRef = useRef(false);
+  const markedRef = useRef(null); // uid whose homes_started flag this session has set
+  const accountRef = useRef(account);
+  accountRef.current = account;
+
+  // --- The user's list of homes ---
+  useEffect(() => {
+    setHomeIds(null);
+    setHomeDetails({});
+    setHomesError(null);
+    setNoHomes(false);
+    if (!dataSource || !uid) return;
+    return subscribeToUserHomes(dataSource, uid, setHomeIds, (error) => {
+      console.error("Error fetching homes from Realtime Database:", error);
+      setHomesError(`Failed to load your homes: ${error.message}`);
+    });
+  }, [dataSource, uid]);
+
+  // First sign-in: create a home and move the user's existing data into it. Users with homes
+  // from before homes_started existed get the flag too, so deleting their last home sticks.
+  useEffect(() => {
+    if (!dataSource || !uid || !homeIds) return;
+    if (homeIds.length > 0) {
+      setNoHomes(false);
+      if (markedRef.current === uid) return;
+      markedRef.current = uid;
+      markHomesStarted(dataSource, uid).catch(error => {
+        console.error("Error marking homes as started:", error);
+      });
+      return;
+    }
+    if (creatingRef.current) return;
+    creatingRef.current = true;
+    needsFirstHome(dataSource, uid)
+      .then(needed => {
+        if (!needed) {
+          setNoHomes(true);
+          return null;
+        }
+        return createHome(dataSource, accountRef.current, DEFAULT_HOME_NAME, { moveLegacy: true });
+      })
+      .catch(error => {
+        console.error("Error creating a home:", error);
+        setHomesError(`Failed to create a home: ${error.message}`);
+      })
+      .finally(() => { creatingRef.current = false; });
+  }, [dataSource, uid, homeIds]);
+
+  // --- Each home's name and members ---
+  const homeKey = homeIds ? homeIds.join(',') : '';
+  useEffect(() => {
+    if (!dataSource || !homeKey) return;
+    const unsubscribes = homeKey.split(',').map(homeId => subscribeToHome(dataSource, homeId, (home) => {
+      setHomeDetails(prev => ({ ...prev, [homeId]: home }));
+    }, (error) => {
+      // Removed members lose read access; the home drops out of their list below
+      console.error(`Error fetching home ${homeId}:`, error);
+      setHomeDetails(prev => ({ ...prev, [homeId]: null }));
+    }));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [dataSource, homeKey]);
+
+  const homes = (homeIds || [])
+    .map(homeId => homeDetails[homeId])
+    .filter(home => home && home.members.some(member => member.uid === uid))
+    .map(home => ({ ...home, role: home.members.find(member => member.uid === uid).role }));
+
+  // Forget homes that were deleted or that the user was removed from
+  useEffect(() => {
+    if (!dataSource || !uid || !homeIds) return;
+    homeIds
+      .filter(homeId => homeDetails[homeId] === null ||
+        (homeDetails[homeId] && !homeDetails[homeId].members.some(member => member.uid === uid)))
+      .forEach(homeId => {
+        dataSource.remove(`${userHomesPath(uid)}/${homeId}`).catch(error => {
+          console.error("Error removing a home from the list:", error);
+        });
+      });
+  }, [dataSource, uid, homeIds, homeDetails]);
+
+  const home = homes.find(item => item.id === selectedId) || homes[0] || null;
+  const homeId = home ? home.id : null;
+  const role = home ? home.role : null;
+
+  const selectHome = useCallback((id) => {
+    setSelectedId(id);
+    rememberHome(id);
+  }, []);
+
+  // --- Invites, for owners ---
+  const managing = canManage(role);
+  useEffect(() => {
+    setInvites([]);
+    if (!dataSource || !homeId || !managing) return;
+    return subscribeToInvites(dataSource, homeId, setInvites, (error) => {
+      console.error("Error fetching invites from Realtime Database:", error);
+    });
+  }, [dataSource, homeId, managing]);
+
+  return {
+    homes,
+    home,
+    loaded: noHomes || home !== null,
+    role,
+    invites,
+    homesError,
+    selectHome,
+    createHome: (name) => createHome(dataSource, account, name).then(id => {
+      selectHome(id);
+      return id;
+    }),
+    joinHome: (code) => joinHome(dataSource, account, code).then(id => {
+      selectHome(id);
+      return id;
+    }),
+    renameHome: (name) => renameHome(dataSource, homeId, name),
+    deleteHome: () => deleteHome(dataSource, homeId, uid),
+    leaveHome: () => leaveHome(dataSource, homeId, uid),
+    createInvite: (inviteRole) => createInvite(dataSource, home, inviteRole, uid),
+    revokeInvite: (code) => revokeInvite(dataSource, homeId, code),
+    setMemberRole: (memberUid, memberRole) => setMemberRole(dataSource, homeId, memberUid, memberRole),
+    removeMember: (memberUid) => removeMember(dataSource, homeId, memberUid),
+  };
+};
+
+export default useHomes;
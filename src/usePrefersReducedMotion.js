@@ -0,0 +1,22 @@
+import { useState, useEffect } from 'react';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+const matchesQuery = () => typeof window.matchMedia === 'function' && window.matchMedia(QUERY).matches;
+
+// Whether the operating system asks for less motion, kept current if the setting changes
+const usePrefersReducedMotion = () => {
+  const [prefersReducedMotion, setPrefersReducedMotion] = useState(matchesQuery);
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return;
+    const query = window.matchMedia(QUERY);
+    const handleChange = () => setPrefersReducedMotion(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  return prefersReducedMotion;
+};
+
+export default usePrefersReducedMotion;
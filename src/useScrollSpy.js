@@ -0,0 +1,66 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { pickActiveSection } from './urlState';
+
+const SCROLL_SETTLE_DELAY = 150; // Milliseconds without scroll events before a scroll counts as finished
+
+// Calls `onChange` with the id of the section (one of `ids`) being read as the page scrolls.
+// While a scroll announced with `followScrollTo(id)` is under way, the sections passed on the
+// way are skipped so the nav moves straight to its target. A section nested inside another
+// (the alert center inside the visualizer) is only a place to jump to: while it's on screen,
+// the section around it is the one being read. Returns `followScrollTo`.
+const useScrollSpy = (ids, onChange) => {
+  const onChangeRef = useRef(onChange);
+  const targetRef = useRef(null);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  }, [onChange]);
+
+  useEffect(() => {
+    let frame = null;
+    let settleTimer = null;
+
+    const update = () => {
+      const elements = ids.map(id => document.getElementById(id)).filter(Boolean);
+      const positions = elements
+        .filter(element => !elements.some(other => other !== element && other.contains(element)))
+        .map(element => ({ id: element.id, top: element.getBoundingClientRect().top }));
+      const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+      const id = pickActiveSection(positions, window.innerHeight / 3, window.innerHeight, atBottom);
+      if (!id) return;
+      if (targetRef.current) {
+        if (id !== targetRef.current) return;
+        targetRef.current = null;
+      }
+      onChangeRef.current(id);
+    };
+
+    const handleScroll = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          update();
+        });
+      }
+      // Once scrolling stops, follow the page again even if the target was never reached
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => {
+        targetRef.current = null;
+        update();
+      }, SCROLL_SETTLE_DELAY);
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+      clearTimeout(settleTimer);
+    };
+  }, [ids]);
+
+  return useCallback((id) => {
+    targetRef.current = id;
+  }, []);
+};
+
+export default useScrollSpy;
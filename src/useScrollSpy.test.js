@@ -0,0 +1,43 @@
+import React from 'react';
+import { render, renderHook, screen } from '@testing-library/react';
+import useScrollSpy from './useScrollSpy';
+
+// Renders sections with the given viewport tops; `nested` ids go inside `#simulation`
+const layOut = (tops, nested = []) => {
+  const section = (id, children) => <section key={id} id={id} data-testid={id}>{children}</section>;
+  render(Object.keys(tops)
+    .filter(id => !nested.includes(id))
+    .map(id => section(id, id === 'simulation' ? nested.map(child => section(child)) : null)));
+  Object.entries(tops).forEach(([id, top]) => {
+    screen.getByTestId(id).getBoundingClientRect = () => ({ top });
+  });
+};
+
+beforeEach(() => {
+  jest.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => {
+    callback(0);
+    return 1;
+  });
+  Object.defineProperty(document.documentElement, 'scrollHeight', { configurable: true, value: 10000 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('a section nested in another one never takes over the nav', () => {
+  // Scrolled past the alert center, further down the visualizer
+  layOut({ home: -3000, simulation: -1000, alerts: -600, 'floor-plan': 900 }, ['alerts']);
+  const onChange = jest.fn();
+  renderHook(() => useScrollSpy(['home', 'simulation', 'alerts', 'floor-plan'], onChange));
+  window.dispatchEvent(new Event('scroll'));
+  expect(onChange).toHaveBeenLastCalledWith('simulation');
+});
+
+test('follows the last section scrolled past the top third of the viewport', () => {
+  layOut({ home: -3000, simulation: -1000, 'floor-plan': 100 });
+  const onChange = jest.fn();
+  renderHook(() => useScrollSpy(['home', 'simulation', 'floor-plan'], onChange));
+  window.dispatchEvent(new Event('scroll'));
+  expect(onChange).toHaveBeenLastCalledWith('floor-plan');
+});
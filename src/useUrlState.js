@@ -0,0 +1,38 @@
+import { useEffect, useRef, useCallback } from 'react';
+import { parseLocation, buildLocation } from './urlState';
+
+// Keeps the address bar in step with `view` (see ./urlState.js). Choosing another topology
+// starts a new history entry; other changes update the current one unless
+// `startHistoryEntry()` is called first. Back and forward pass the view they land on to
+// `onNavigate`. Returns `startHistoryEntry`.
+const useUrlState = (view, onNavigate) => {
+  const newEntryRef = useRef(false);
+  const onNavigateRef = useRef(onNavigate);
+
+  useEffect(() => {
+    onNavigateRef.current = onNavigate;
+  }, [onNavigate]);
+
+  useEffect(() => {
+    const next = buildLocation(view);
+    const { pathname, search } = window.location;
+    if (next === `${pathname}${search}`) return;
+    const newEntry = newEntryRef.current || parseLocation(window.location).topology !== view.topology;
+    newEntryRef.current = false;
+    window.history[newEntry ? 'pushState' : 'replaceState'](null, '', next);
+  }, [view]);
+
+  useEffect(() => {
+    // The app scrolls to the section itself, so the browser shouldn't restore old positions
+    window.history.scrollRestoration = 'manual';
+    const handlePopState = () => onNavigateRef.current(parseLocation(window.location));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  return useCallback(() => {
+    newEntryRef.current = true;
+  }, []);
+};
+
+export default useUrlState;
@@ -0,0 +1,41 @@
+// src/userAccount.js
+// Helpers for the signed-in account reported by a data source's connect(): names to show
+// in the header and readable messages for Firebase Authentication errors.
+
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address doesn\'t look right.',
+  'auth/missing-password': 'Enter a password.',
+  'auth/weak-password': 'Passwords need at least 6 characters.',
+  'auth/email-already-in-use': 'That email already has an account. Sign in instead.',
+  'auth/invalid-credential': 'Wrong email or password.',
+  'auth/wrong-password': 'Wrong email or password.',
+  'auth/user-not-found': 'Wrong email or password.',
+  'auth/credential-already-in-use': 'That account is already linked to another home.',
+  'auth/provider-already-linked': 'This account is already linked to that sign-in method.',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+  'auth/cancelled-popup-request': 'The sign-in window was closed before finishing.',
+  'auth/popup-blocked': 'The browser blocked the sign-in window. Allow pop-ups for this site and try again.',
+  'auth/operation-not-allowed': 'This sign-in method isn\'t enabled for the project.',
+  'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+  'auth/network-request-failed': 'Couldn\'t reach the sign-in service. Check your connection.',
+};
+
+export const describeAuthError = (error) =>
+  AUTH_ERROR_MESSAGES[error && error.code] || (error && error.message) || 'Sign-in failed.';
+
+// Name for the profile button: the display name, then the email, then "Guest"
+export const getAccountLabel = (account) => {
+  if (!account) return 'Signing in...';
+  if (account.isAnonymous) return 'Guest';
+  return account.displayName || account.email || 'Signed in';
+};
+
+export const getAccountInitial = (account) => {
+  const label = account && !account.isAnonymous ? getAccountLabel(account) : '?';
+  return label.charAt(0).toUpperCase();
+};
+
+const PROVIDER_LABELS = { password: 'Email', 'google.com': 'Google' };
+
+export const getProviderLabels = (account) =>
+  (account ? account.providers : []).map(provider => PROVIDER_LABELS[provider] || provider);
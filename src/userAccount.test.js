@@ -0,0 +1,19 @@
+import { describeAuthError, getAccountLabel, getAccountInitial, getProviderLabels } from './userAccount';
+
+test('auth errors get readable messages, falling back to the error text', () => {
+  expect(describeAuthError({ code: 'auth/email-already-in-use' })).toMatch(/already has an account/);
+  expect(describeAuthError(new Error('Something odd'))).toBe('Something odd');
+  expect(describeAuthError(null)).toBe('Sign-in failed.');
+});
+
+test('accounts are labelled by name, then email, and guests as Guest', () => {
+  const guest = { uid: 'a', isAnonymous: true, email: null, displayName: null, providers: [] };
+  const member = { uid: 'b', isAnonymous: false, email: 'sam@example.com', displayName: null, providers: ['password', 'google.com'] };
+  expect(getAccountLabel(null)).toBe('Signing in...');
+  expect(getAccountLabel(guest)).toBe('Guest');
+  expect(getAccountLabel(member)).toBe('sam@example.com');
+  expect(getAccountLabel({ ...member, displayName: 'Sam' })).toBe('Sam');
+  expect(getAccountInitial(guest)).toBe('?');
+  expect(getAccountInitial(member)).toBe('S');
+  expect(getProviderLabels(member)).toEqual(['Email', 'Google']);
+});